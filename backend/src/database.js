@@ -19,6 +19,7 @@ export function initDatabase(dbPath) {
   db.pragma('foreign_keys = ON');
 
   createTables();
+  migrateTables();
   insertDefaultSettings();
 
   console.log(`[DB] Veritabanı başlatıldı: ${resolvedPath}`);
@@ -65,12 +66,21 @@ function createTables() {
       updated_at DATETIME DEFAULT (datetime('now'))
     );
 
+    CREATE TABLE IF NOT EXISTS grid_bot_events (
+      id TEXT PRIMARY KEY,
+      bot_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      message TEXT,
+      details TEXT DEFAULT '{}',
+      created_at DATETIME DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS dca_plans (
       id TEXT PRIMARY KEY,
       exchange TEXT NOT NULL,
       symbol TEXT NOT NULL,
       amount REAL NOT NULL,
-      interval TEXT NOT NULL CHECK(interval IN ('hourly','daily','weekly','biweekly','monthly')),
+      interval TEXT NOT NULL,
       total_invested REAL DEFAULT 0,
       total_coins REAL DEFAULT 0,
       avg_buy_price REAL DEFAULT 0,
@@ -81,6 +91,29 @@ function createTables() {
       updated_at DATETIME DEFAULT (datetime('now'))
     );
 
+    CREATE TABLE IF NOT EXISTS dca_deals (
+      id TEXT PRIMARY KEY,
+      plan_id TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      status TEXT DEFAULT 'open' CHECK(status IN ('open','closed','cancelled')),
+      base_price REAL,
+      avg_price REAL,
+      total_cost REAL DEFAULT 0,
+      total_amount REAL DEFAULT 0,
+      fees REAL DEFAULT 0,
+      safety_filled INTEGER DEFAULT 0,
+      safety_orders TEXT DEFAULT '[]',
+      take_profit_price REAL,
+      close_price REAL,
+      close_reason TEXT,
+      pnl REAL,
+      pnl_pct REAL,
+      opened_at DATETIME DEFAULT (datetime('now')),
+      closed_at DATETIME,
+      updated_at DATETIME DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS ta_signals (
       id TEXT PRIMARY KEY,
       exchange TEXT NOT NULL,
@@ -114,6 +147,23 @@ function createTables() {
       created_at DATETIME DEFAULT (datetime('now'))
     );
 
+    CREATE TABLE IF NOT EXISTS arbitrage_legs (
+      id TEXT PRIMARY KEY,
+      arbitrage_id TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('buy','sell','retry','unwind','hedge')),
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL CHECK(side IN ('buy','sell')),
+      requested_amount REAL NOT NULL,
+      filled_amount REAL DEFAULT 0,
+      avg_price REAL,
+      fee REAL DEFAULT 0,
+      order_id TEXT,
+      status TEXT NOT NULL CHECK(status IN ('filled','partial','failed')),
+      error TEXT,
+      created_at DATETIME DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS portfolio_snapshots (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       total_value_usd REAL,
@@ -131,6 +181,122 @@ function createTables() {
       created_at DATETIME DEFAULT (datetime('now'))
     );
 
+    CREATE TABLE IF NOT EXISTS futures_positions (
+      id TEXT PRIMARY KEY,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('long','short')),
+      status TEXT DEFAULT 'open' CHECK(status IN ('open','closed')),
+      data TEXT NOT NULL DEFAULT '{}',
+      close_reason TEXT,
+      close_price REAL,
+      pnl REAL,
+      opened_at DATETIME,
+      closed_at DATETIME,
+      updated_at DATETIME DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS ohlcv_candles (
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      timeframe TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      open REAL NOT NULL,
+      high REAL NOT NULL,
+      low REAL NOT NULL,
+      close REAL NOT NULL,
+      volume REAL DEFAULT 0,
+      PRIMARY KEY (exchange, symbol, timeframe, timestamp)
+    );
+
+    CREATE TABLE IF NOT EXISTS backtest_runs (
+      id TEXT PRIMARY KEY,
+      strategy TEXT NOT NULL,
+      exchange TEXT NOT NULL,
+      symbols TEXT NOT NULL,
+      start_at DATETIME,
+      end_at DATETIME,
+      settings TEXT DEFAULT '{}',
+      metrics TEXT DEFAULT '{}',
+      trades TEXT DEFAULT '[]',
+      equity_curve TEXT DEFAULT '[]',
+      status TEXT DEFAULT 'completed' CHECK(status IN ('completed','failed')),
+      error TEXT,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS paper_balances (
+      exchange TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      free REAL DEFAULT 0,
+      used REAL DEFAULT 0,
+      updated_at DATETIME DEFAULT (datetime('now')),
+      PRIMARY KEY (exchange, currency)
+    );
+
+    CREATE TABLE IF NOT EXISTS paper_orders (
+      id TEXT PRIMARY KEY,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      market TEXT DEFAULT 'spot' CHECK(market IN ('spot','future')),
+      type TEXT NOT NULL,
+      side TEXT NOT NULL CHECK(side IN ('buy','sell')),
+      amount REAL NOT NULL,
+      price REAL,
+      trigger_price REAL,
+      filled REAL DEFAULT 0,
+      average REAL,
+      cost REAL DEFAULT 0,
+      fee REAL DEFAULT 0,
+      reserved REAL DEFAULT 0,
+      reduce_only INTEGER DEFAULT 0,
+      post_only INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'open' CHECK(status IN ('open','closed','canceled')),
+      created_at DATETIME DEFAULT (datetime('now')),
+      updated_at DATETIME DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS paper_positions (
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT CHECK(side IN ('long','short')),
+      contracts REAL DEFAULT 0,
+      entry_price REAL DEFAULT 0,
+      leverage REAL DEFAULT 1,
+      margin REAL DEFAULT 0,
+      realized_pnl REAL DEFAULT 0,
+      updated_at DATETIME DEFAULT (datetime('now')),
+      PRIMARY KEY (exchange, symbol)
+    );
+
+    CREATE TABLE IF NOT EXISTS funding_positions (
+      id TEXT PRIMARY KEY,
+      exchange TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('short_perp','long_perp')),
+      spot_amount REAL NOT NULL,
+      perp_amount REAL NOT NULL,
+      spot_entry REAL NOT NULL,
+      perp_entry REAL NOT NULL,
+      entry_basis_pct REAL,
+      entry_annual_pct REAL,
+      leverage REAL DEFAULT 1,
+      last_rate REAL,
+      next_funding_ts INTEGER,
+      funding_accrued REAL DEFAULT 0,
+      funding_count INTEGER DEFAULT 0,
+      fees REAL DEFAULT 0,
+      status TEXT DEFAULT 'open' CHECK(status IN ('open','closed')),
+      close_reason TEXT,
+      spot_exit REAL,
+      perp_exit REAL,
+      pnl REAL,
+      opened_at DATETIME DEFAULT (datetime('now')),
+      closed_at DATETIME,
+      updated_at DATETIME DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS settings (
       key TEXT PRIMARY KEY,
       value TEXT,
@@ -145,13 +311,120 @@ function createTables() {
     CREATE INDEX IF NOT EXISTS idx_ta_signals_symbol ON ta_signals(symbol);
     CREATE INDEX IF NOT EXISTS idx_ta_signals_created ON ta_signals(created_at);
     CREATE INDEX IF NOT EXISTS idx_arbitrage_created ON arbitrage_history(created_at);
+    CREATE INDEX IF NOT EXISTS idx_arbitrage_legs_arb ON arbitrage_legs(arbitrage_id);
     CREATE INDEX IF NOT EXISTS idx_portfolio_created ON portfolio_snapshots(created_at);
     CREATE INDEX IF NOT EXISTS idx_risk_events_type ON risk_events(type);
     CREATE INDEX IF NOT EXISTS idx_grid_bots_status ON grid_bots(status);
+    CREATE INDEX IF NOT EXISTS idx_grid_bot_events_bot ON grid_bot_events(bot_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_dca_plans_status ON dca_plans(status);
+    CREATE INDEX IF NOT EXISTS idx_dca_deals_plan ON dca_deals(plan_id, status);
+    CREATE INDEX IF NOT EXISTS idx_futures_positions_status ON futures_positions(status);
+    CREATE INDEX IF NOT EXISTS idx_backtest_runs_created ON backtest_runs(created_at);
+    CREATE INDEX IF NOT EXISTS idx_paper_orders_open ON paper_orders(exchange, status, symbol);
+    CREATE INDEX IF NOT EXISTS idx_funding_positions_status ON funding_positions(status);
   `);
 }
 
+/**
+ * Mevcut veritabanlarına sonradan eklenen kolonlar
+ */
+function migrateTables() {
+  const columns = {
+    grid_bots: {
+      grid_type: "TEXT DEFAULT 'arithmetic'",
+      trail_mode: "TEXT DEFAULT 'off'",
+      trail_floor: 'REAL',
+      trail_limit: 'REAL',
+      market: "TEXT DEFAULT 'spot'",
+      direction: "TEXT DEFAULT 'long'",
+      leverage: 'REAL DEFAULT 1',
+      liq_price_long: 'REAL',
+      liq_price_short: 'REAL',
+      start_price: 'REAL',
+    },
+    dca_plans: {
+      sizing_rules: "TEXT DEFAULT '[]'",
+      mode: "TEXT DEFAULT 'accumulate'",
+      safety_orders: 'INTEGER DEFAULT 0',
+      safety_order_amount: 'REAL',
+      safety_deviation_pct: 'REAL DEFAULT 1.5',
+      safety_step_scale: 'REAL DEFAULT 1',
+      safety_volume_scale: 'REAL DEFAULT 1',
+      take_profit_pct: 'REAL DEFAULT 1.5',
+      realized_pnl: 'REAL DEFAULT 0',
+      deals_closed: 'INTEGER DEFAULT 0',
+      cron_expr: 'TEXT',
+      timezone: 'TEXT',
+      start_at: 'DATETIME',
+      end_at: 'DATETIME',
+      max_invested: 'REAL',
+      max_buys: 'INTEGER',
+      buy_count: 'INTEGER DEFAULT 0',
+      stop_reason: 'TEXT',
+      catch_up: "TEXT DEFAULT 'skip'",
+      basket: 'TEXT',
+      basket_mode: "TEXT DEFAULT 'fixed'",
+      basket_holdings: "TEXT DEFAULT '{}'",
+      execution: "TEXT DEFAULT 'market'",
+      limit_offset_pct: 'REAL DEFAULT 0.05',
+      limit_reprices: 'INTEGER DEFAULT 3',
+      limit_window_sec: 'INTEGER DEFAULT 300',
+      limit_fallback: "TEXT DEFAULT 'market'",
+      source_plan_id: 'TEXT',
+      exit_unit: 'TEXT',
+      exit_min_multiple: 'REAL',
+      exit_ladder: 'TEXT',
+      total_proceeds: 'REAL DEFAULT 0',
+      sold_cost: 'REAL DEFAULT 0',
+      exit_ladder_done: "TEXT DEFAULT '[]'",
+    },
+    trades: {
+      maker: 'INTEGER',
+    },
+    arbitrage_history: {
+      depth_spread_pct: 'REAL',
+      expected_slippage_pct: 'REAL',
+      expected_profit: 'REAL',
+      max_amount: 'REAL',
+      max_size_usd: 'REAL',
+      type: "TEXT DEFAULT 'cross'",
+      route: 'TEXT',
+    },
+    funding_positions: {
+      realized_pnl: 'REAL DEFAULT 0',
+    },
+  };
+
+  for (const [table, defs] of Object.entries(columns)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    for (const [column, definition] of Object.entries(defs)) {
+      if (!existing.has(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  relaxDCAIntervalCheck();
+}
+
+/**
+ * Eski dca_plans tablosundaki sabit aralık CHECK kısıtını kaldır (özel cron planları için)
+ * SQLite kısıt silmeyi desteklemez — tablo yeni şemayla kopyalanıp yeniden adlandırılır.
+ */
+function relaxDCAIntervalCheck() {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'dca_plans'").get();
+  const relaxed = sql.replace(/\s*CHECK\s*\(\s*interval\s+IN\s*\([^)]*\)\s*\)/i, '');
+  if (relaxed === sql) return;
+
+  const columns = db.prepare('PRAGMA table_info(dca_plans)').all().map(c => c.name).join(', ');
+  db.transaction(() => {
+    db.exec(relaxed.replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?"?dca_plans"?/i, 'CREATE TABLE dca_plans_new'));
+    db.exec(`INSERT INTO dca_plans_new (${columns}) SELECT ${columns} FROM dca_plans`);
+    db.exec('DROP TABLE dca_plans');
+    db.exec('ALTER TABLE dca_plans_new RENAME TO dca_plans');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_dca_plans_status ON dca_plans(status)');
+  })();
+  console.log('[DB] dca_plans aralık kısıtı kaldırıldı (özel cron desteği).');
+}
+
 function insertDefaultSettings() {
   const defaults = {
     'risk.max_daily_loss_pct': '10',
@@ -168,12 +441,64 @@ function insertDefaultSettings() {
     'futures.partial_close_amount': '50',
     'futures.scan_interval_sec': '60',
     'futures.position_check_sec': '5',
+    'futures.native_sltp': '1',
+    'futures.native_sl_amend_step_pct': '0.25',
+    'futures.running': '0',
+    'futures.auto_resume': '0',
     'futures.coins': 'BTC/USDT,ETH/USDT,SOL/USDT,BNB/USDT,XRP/USDT,DOGE/USDT,ADA/USDT,AVAX/USDT,DOT/USDT,MATIC/USDT',
     'grid.check_interval_sec': '10',
+    'grid.maintenance_margin_pct': '0.5',
+    'grid.min_net_profit_pct': '0.2',
+    'grid.min_order_usd': '5',
+    'dca.indicator_timeframe': '1d',
+    'dca.max_multiplier': '3',
+    'dca.min_order_usd': '5',
+    'dca.max_catch_up_buys': '10',
+    'reconcile.enabled': '1',
+    'reconcile.interval_sec': '300',
+    'reconcile.auto_repair': '0',
+    'reconcile.size_tolerance_pct': '0.5',
+    'paper.exchanges': '',
+    'paper.initial_balance': '100',
+    'paper.slippage_pct': '0.05',
+    'paper.maker_fee_pct': '0.1',
+    'paper.taker_fee_pct': '0.1',
+    'paper.futures_maker_fee_pct': '0.02',
+    'paper.futures_taker_fee_pct': '0.05',
+    'paper.maintenance_margin_pct': '0.5',
     'arbitrage.min_spread_pct': '0.15',
     'arbitrage.scan_interval_sec': '3',
     'arbitrage.auto_execute': '0',
+    'arbitrage.orderbook_depth': '20',
+    'arbitrage.unwind_policy': 'reverse',
+    'arbitrage.triangular_enabled': '0',
+    'arbitrage.triangular_execute': '0',
+    'arbitrage.triangular_exchanges': 'binance',
+    'arbitrage.triangular_base': 'USDT',
+    'arbitrage.triangular_coins': 'BTC,ETH,BNB,SOL,XRP',
+    'arbitrage.triangular_min_profit_pct': '0.1',
+    'arbitrage.unwind_retries': '2',
+    'arbitrage.max_trade_usd': '50',
+    'arbitrage.min_trade_usd': '10',
     'arbitrage.coins': 'BTC/USDT,ETH/USDT,SOL/USDT',
+    'inventory.cache_sec': '30',
+    'inventory.skew_alert_pct': '30',
+    'inventory.min_transfer_usd': '20',
+    'inventory.max_fee_pct': '2',
+    'inventory.withdraw_fees': 'USDT:1,BTC:0.0002,ETH:0.002,SOL:0.01',
+    'inventory.transfer_delays_min': 'USDT:10,BTC:40,ETH:15,SOL:5',
+    'inventory.default_transfer_delay_min': '30',
+    'funding.enabled': '0',
+    'funding.auto_execute': '0',
+    'funding.exchanges': 'binance,bybit,okx',
+    'funding.coins': 'BTC/USDT,ETH/USDT,SOL/USDT',
+    'funding.scan_interval_sec': '300',
+    'funding.min_annual_pct': '15',
+    'funding.exit_annual_pct': '3',
+    'funding.basis_converge_pct': '0.05',
+    'funding.trade_usd': '50',
+    'funding.leverage': '1',
+    'funding.max_positions': '3',
     'telegram.enabled': '1',
     'telegram.trade_notifications': '1',
     'telegram.daily_report': '1',
@@ -203,7 +528,7 @@ export function getSettingNum(key, defaultVal = 0) {
 }
 
 export function setSetting(key, value) {
-  db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, datetime("now"))').run(key, String(value));
+  db.prepare("INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, datetime('now'))").run(key, String(value));
 }
 
 export function getAllSettings() {
@@ -217,9 +542,9 @@ export function getAllSettings() {
 export function insertTrade(trade) {
   const id = trade.id || uuidv4();
   db.prepare(`
-    INSERT INTO trades (id, exchange, symbol, side, type, price, amount, cost, fee, fee_currency, strategy, strategy_id, order_id, status, pnl, notes)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(id, trade.exchange, trade.symbol, trade.side, trade.type || 'market', trade.price, trade.amount, trade.cost || 0, trade.fee || 0, trade.fee_currency || 'USDT', trade.strategy || null, trade.strategy_id || null, trade.order_id || null, trade.status || 'filled', trade.pnl || 0, trade.notes || null);
+    INSERT INTO trades (id, exchange, symbol, side, type, price, amount, cost, fee, fee_currency, strategy, strategy_id, order_id, status, pnl, notes, maker)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, trade.exchange, trade.symbol, trade.side, trade.type || 'market', trade.price, trade.amount, trade.cost || 0, trade.fee || 0, trade.fee_currency || 'USDT', trade.strategy || null, trade.strategy_id || null, trade.order_id || null, trade.status || 'filled', trade.pnl || 0, trade.notes || null, trade.maker === undefined ? null : (trade.maker ? 1 : 0));
   return id;
 }
 
@@ -228,12 +553,19 @@ export function getTrades(limit = 50, offset = 0, filters = {}) {
   const params = [];
   if (filters.symbol) { where += ' AND symbol = ?'; params.push(filters.symbol); }
   if (filters.strategy) { where += ' AND strategy = ?'; params.push(filters.strategy); }
+  if (filters.strategy_id) { where += ' AND strategy_id = ?'; params.push(filters.strategy_id); }
   if (filters.status) { where += ' AND status = ?'; params.push(filters.status); }
   if (filters.exchange) { where += ' AND exchange = ?'; params.push(filters.exchange); }
   params.push(limit, offset);
   return db.prepare(`SELECT * FROM trades ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`).all(...params);
 }
 
+export function getTradedOrderIds(exchange, orderIds) {
+  if (orderIds.length === 0) return [];
+  return db.prepare(`SELECT DISTINCT order_id FROM trades WHERE exchange = ? AND order_id IN (${orderIds.map(() => '?').join(', ')})`)
+    .all(exchange, ...orderIds).map(r => r.order_id);
+}
+
 export function getTradeStats() {
   const total = db.prepare('SELECT COUNT(*) as count FROM trades WHERE status = ?').get('filled');
   const wins = db.prepare('SELECT COUNT(*) as count FROM trades WHERE status = ? AND pnl > 0').get('filled');
@@ -260,9 +592,12 @@ export function getTradeStats() {
 export function insertGridBot(bot) {
   const id = bot.id || uuidv4();
   db.prepare(`
-    INSERT INTO grid_bots (id, exchange, symbol, upper_price, lower_price, grid_count, investment, stop_loss_pct, take_profit_pct, grid_orders)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(id, bot.exchange, bot.symbol, bot.upper_price, bot.lower_price, bot.grid_count, bot.investment, bot.stop_loss_pct || 5, bot.take_profit_pct || 10, JSON.stringify(bot.grid_orders || []));
+    INSERT INTO grid_bots (id, exchange, symbol, upper_price, lower_price, grid_count, investment, stop_loss_pct, take_profit_pct, grid_orders, grid_type, trail_mode, trail_floor, trail_limit,
+      market, direction, leverage, liq_price_long, liq_price_short, start_price)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, bot.exchange, bot.symbol, bot.upper_price, bot.lower_price, bot.grid_count, bot.investment, bot.stop_loss_pct || 5, bot.take_profit_pct || 10, JSON.stringify(bot.grid_orders || []), bot.grid_type || 'arithmetic',
+    bot.trail_mode || 'off', bot.trail_floor ?? null, bot.trail_limit ?? null,
+    bot.market || 'spot', bot.direction || 'long', bot.leverage || 1, bot.liq_price_long ?? null, bot.liq_price_short ?? null, bot.start_price ?? null);
   return id;
 }
 
@@ -282,18 +617,42 @@ export function updateGridBot(id, updates) {
     fields.push(`${key} = ?`);
     params.push(typeof value === 'object' ? JSON.stringify(value) : value);
   }
-  fields.push('updated_at = datetime("now")');
+  fields.push("updated_at = datetime('now')");
   params.push(id);
   db.prepare(`UPDATE grid_bots SET ${fields.join(', ')} WHERE id = ?`).run(...params);
 }
 
+export function insertGridEvent(event) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO grid_bot_events (id, bot_id, type, message, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, event.bot_id, event.type, event.message || null, JSON.stringify(event.details || {}));
+  return id;
+}
+
+export function getGridEvents(botId, limit = 100) {
+  return db.prepare('SELECT * FROM grid_bot_events WHERE bot_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?').all(botId, limit)
+    .map(e => ({ ...e, details: JSON.parse(e.details || '{}') }));
+}
+
 // --- DCA Plans ---
 export function insertDCAPlan(plan) {
   const id = plan.id || uuidv4();
   db.prepare(`
-    INSERT INTO dca_plans (id, exchange, symbol, amount, interval, next_buy_at)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(id, plan.exchange, plan.symbol, plan.amount, plan.interval, plan.next_buy_at || null);
+    INSERT INTO dca_plans (id, exchange, symbol, amount, interval, next_buy_at, sizing_rules, mode, safety_orders, safety_order_amount, safety_deviation_pct, safety_step_scale, safety_volume_scale, take_profit_pct,
+      cron_expr, timezone, start_at, end_at, max_invested, max_buys, catch_up, basket, basket_mode,
+      execution, limit_offset_pct, limit_reprices, limit_window_sec, limit_fallback, source_plan_id, exit_unit, exit_min_multiple, exit_ladder)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, plan.exchange, plan.symbol, plan.amount, plan.interval, plan.next_buy_at || null, plan.sizing_rules || '[]',
+    plan.mode || 'accumulate', plan.safety_orders || 0, plan.safety_order_amount ?? null, plan.safety_deviation_pct ?? 1.5,
+    plan.safety_step_scale ?? 1, plan.safety_volume_scale ?? 1, plan.take_profit_pct ?? 1.5,
+    plan.cron_expr || null, plan.timezone || null, plan.start_at || null, plan.end_at || null, plan.max_invested ?? null, plan.max_buys ?? null,
+    plan.catch_up || 'skip', plan.basket || null, plan.basket_mode || 'fixed',
+    plan.execution || 'market', plan.limit_offset_pct ?? 0.05, plan.limit_reprices ?? 3, plan.limit_window_sec ?? 300, plan.limit_fallback || 'market',
+    plan.source_plan_id || null, plan.exit_unit || null, plan.exit_min_multiple ?? null, plan.exit_ladder || null
+  );
   return id;
 }
 
@@ -313,15 +672,71 @@ export function updateDCAPlan(id, updates) {
     fields.push(`${key} = ?`);
     params.push(value);
   }
-  fields.push('updated_at = datetime("now")');
+  fields.push("updated_at = datetime('now')");
   params.push(id);
   db.prepare(`UPDATE dca_plans SET ${fields.join(', ')} WHERE id = ?`).run(...params);
 }
 
 export function deleteDCAPlan(id) {
+  db.prepare('DELETE FROM dca_deals WHERE plan_id = ?').run(id);
   db.prepare('DELETE FROM dca_plans WHERE id = ?').run(id);
 }
 
+// --- DCA Deals ---
+export function insertDCADeal(deal) {
+  const id = deal.id || uuidv4();
+  db.prepare(`
+    INSERT INTO dca_deals (id, plan_id, exchange, symbol, base_price, avg_price, total_cost, total_amount, fees, safety_orders, take_profit_price)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, deal.plan_id, deal.exchange, deal.symbol, deal.base_price, deal.avg_price, deal.total_cost || 0, deal.total_amount || 0,
+    deal.fees || 0, deal.safety_orders || '[]', deal.take_profit_price ?? null
+  );
+  return id;
+}
+
+export function updateDCADeal(id, updates) {
+  const fields = [];
+  const params = [];
+  for (const [key, value] of Object.entries(updates)) {
+    fields.push(`${key} = ?`);
+    params.push(value);
+  }
+  fields.push("updated_at = datetime('now')");
+  params.push(id);
+  db.prepare(`UPDATE dca_deals SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+}
+
+export function closeDCADeal(id, { reason, closePrice = null, fees = 0, pnl = null, pnlPct = null, status = 'closed' }) {
+  db.prepare(`
+    UPDATE dca_deals SET status = ?, close_reason = ?, close_price = ?, fees = ?, pnl = ?, pnl_pct = ?, closed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(status, reason, closePrice, fees, pnl, pnlPct, id);
+}
+
+export function getDCADeal(id) {
+  return db.prepare('SELECT * FROM dca_deals WHERE id = ?').get(id);
+}
+
+export function getOpenDCADeal(planId) {
+  return db.prepare("SELECT * FROM dca_deals WHERE plan_id = ? AND status = 'open' ORDER BY opened_at DESC LIMIT 1").get(planId);
+}
+
+export function getDCADeals(planId, limit = 100) {
+  return db.prepare('SELECT * FROM dca_deals WHERE plan_id = ? ORDER BY opened_at DESC, rowid DESC LIMIT ?').all(planId, limit);
+}
+
+export function getOpenDCADeals(exchange) {
+  return db.prepare("SELECT d.* FROM dca_deals d JOIN dca_plans p ON p.id = d.plan_id WHERE d.status = 'open' AND p.exchange = ?").all(exchange);
+}
+
+export function getDCAExecutionStats(planId) {
+  return db.prepare(`
+    SELECT COUNT(*) as fills, COALESCE(SUM(maker = 1), 0) as maker_fills, COALESCE(SUM(maker = 0), 0) as taker_fills, COALESCE(SUM(fee), 0) as fees
+    FROM trades WHERE strategy = 'dca' AND strategy_id = ? AND side = 'buy'
+  `).get(planId);
+}
+
 // --- TA Signals ---
 export function insertTASignal(signal) {
   const id = signal.id || uuidv4();
@@ -344,12 +759,28 @@ export function getLatestSignalForSymbol(symbol) {
 export function insertArbitrageHistory(arb) {
   const id = arb.id || uuidv4();
   db.prepare(`
-    INSERT INTO arbitrage_history (id, symbol, buy_exchange, sell_exchange, buy_price, sell_price, spread_pct, amount, profit, status, execution_time_ms)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(id, arb.symbol, arb.buy_exchange, arb.sell_exchange, arb.buy_price, arb.sell_price, arb.spread_pct, arb.amount || 0, arb.profit || 0, arb.status || 'detected', arb.execution_time_ms || 0);
+    INSERT INTO arbitrage_history (id, symbol, buy_exchange, sell_exchange, buy_price, sell_price, spread_pct, amount, profit, status, execution_time_ms,
+      depth_spread_pct, expected_slippage_pct, expected_profit, max_amount, max_size_usd, type, route)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, arb.symbol, arb.buy_exchange, arb.sell_exchange, arb.buy_price, arb.sell_price, arb.spread_pct, arb.amount || 0, arb.profit || 0, arb.status || 'detected', arb.execution_time_ms || 0,
+    arb.depth_spread_pct ?? null, arb.expected_slippage_pct ?? null, arb.expected_profit ?? null, arb.max_amount ?? null, arb.max_size_usd ?? null,
+    arb.type || 'cross', arb.route ? JSON.stringify(arb.route) : null);
+  return id;
+}
+
+export function insertArbitrageLeg(leg) {
+  const id = leg.id || uuidv4();
+  db.prepare(`
+    INSERT INTO arbitrage_legs (id, arbitrage_id, role, exchange, symbol, side, requested_amount, filled_amount, avg_price, fee, order_id, status, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, leg.arbitrage_id, leg.role, leg.exchange, leg.symbol, leg.side, leg.requested_amount, leg.filled_amount || 0, leg.avg_price ?? null, leg.fee || 0, leg.order_id || null, leg.status, leg.error || null);
   return id;
 }
 
+export function getArbitrageLegs(arbitrageId) {
+  return db.prepare('SELECT * FROM arbitrage_legs WHERE arbitrage_id = ? ORDER BY created_at ASC').all(arbitrageId);
+}
+
 export function getArbitrageHistory(limit = 50) {
   return db.prepare('SELECT * FROM arbitrage_history ORDER BY created_at DESC LIMIT ?').all(limit);
 }
@@ -396,6 +827,188 @@ export function resolveRiskEvent(id) {
   db.prepare('UPDATE risk_events SET resolved = 1 WHERE id = ?').run(id);
 }
 
+// --- Futures Pozisyonları ---
+export function saveFuturesPosition(exchange, pos) {
+  db.prepare(`
+    INSERT INTO futures_positions (id, exchange, symbol, direction, status, data, opened_at, updated_at)
+    VALUES (?, ?, ?, ?, 'open', ?, ?, datetime('now'))
+    ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = datetime('now')
+  `).run(pos.id, exchange, pos.symbol, pos.direction, JSON.stringify(pos), pos.openedAt || new Date().toISOString());
+}
+
+export function closeFuturesPosition(id, { reason, closePrice = null, pnl = null }) {
+  db.prepare(`
+    UPDATE futures_positions SET status = 'closed', close_reason = ?, close_price = ?, pnl = ?, closed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(reason, closePrice, pnl, id);
+}
+
+export function getOpenFuturesPositions(exchange) {
+  const rows = exchange
+    ? db.prepare("SELECT * FROM futures_positions WHERE status = 'open' AND exchange = ? ORDER BY opened_at ASC").all(exchange)
+    : db.prepare("SELECT * FROM futures_positions WHERE status = 'open' ORDER BY opened_at ASC").all();
+  return rows.map(r => ({ ...r, data: JSON.parse(r.data) }));
+}
+
+// --- OHLCV Mumları (backtest) ---
+export function upsertCandles(exchange, symbol, timeframe, candles) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO ohlcv_candles (exchange, symbol, timeframe, timestamp, open, high, low, close, volume)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertMany = db.transaction((rows) => {
+    for (const c of rows) stmt.run(exchange, symbol, timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume || 0);
+  });
+  insertMany(candles);
+  return candles.length;
+}
+
+export function getCandles(exchange, symbol, timeframe, from = 0, to = Number.MAX_SAFE_INTEGER) {
+  return db.prepare(`
+    SELECT timestamp, open, high, low, close, volume FROM ohlcv_candles
+    WHERE exchange = ? AND symbol = ? AND timeframe = ? AND timestamp >= ? AND timestamp <= ?
+    ORDER BY timestamp ASC
+  `).all(exchange, symbol, timeframe, from, to);
+}
+
+export function getCandleCoverage() {
+  return db.prepare(`
+    SELECT exchange, symbol, timeframe, COUNT(*) as count, MIN(timestamp) as first_ts, MAX(timestamp) as last_ts
+    FROM ohlcv_candles GROUP BY exchange, symbol, timeframe ORDER BY exchange, symbol, timeframe
+  `).all();
+}
+
+// --- Backtest Sonuçları ---
+export function insertBacktestRun(run) {
+  const id = run.id || uuidv4();
+  db.prepare(`
+    INSERT INTO backtest_runs (id, strategy, exchange, symbols, start_at, end_at, settings, metrics, trades, equity_curve, status, error, duration_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, run.strategy, run.exchange, JSON.stringify(run.symbols || []), run.start_at || null, run.end_at || null, JSON.stringify(run.settings || {}), JSON.stringify(run.metrics || {}), JSON.stringify(run.trades || []), JSON.stringify(run.equity_curve || []), run.status || 'completed', run.error || null, run.duration_ms || 0);
+  return id;
+}
+
+export function getBacktestRuns(limit = 20) {
+  return db.prepare('SELECT id, strategy, exchange, symbols, start_at, end_at, settings, metrics, status, error, duration_ms, created_at FROM backtest_runs ORDER BY created_at DESC LIMIT ?').all(limit);
+}
+
+export function getBacktestRun(id) {
+  return db.prepare('SELECT * FROM backtest_runs WHERE id = ?').get(id);
+}
+
+export function deleteBacktestRun(id) {
+  db.prepare('DELETE FROM backtest_runs WHERE id = ?').run(id);
+}
+
+// --- Paper Trading Simülatörü ---
+export function getPaperBalances(exchange) {
+  return db.prepare('SELECT currency, free, used FROM paper_balances WHERE exchange = ?').all(exchange);
+}
+
+export function setPaperBalance(exchange, currency, free, used) {
+  db.prepare(`
+    INSERT INTO paper_balances (exchange, currency, free, used, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(exchange, currency) DO UPDATE SET free = excluded.free, used = excluded.used, updated_at = datetime('now')
+  `).run(exchange, currency, free, used);
+}
+
+export function insertPaperOrder(order) {
+  db.prepare(`
+    INSERT INTO paper_orders (id, exchange, symbol, market, type, side, amount, price, trigger_price, filled, average, cost, fee, reserved, reduce_only, post_only, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(order.id, order.exchange, order.symbol, order.market, order.type, order.side, order.amount, order.price ?? null, order.trigger_price ?? null, order.filled || 0, order.average ?? null, order.cost || 0, order.fee || 0, order.reserved || 0, order.reduce_only ? 1 : 0, order.post_only ? 1 : 0, order.status || 'open');
+}
+
+export function updatePaperOrder(id, updates) {
+  const fields = [];
+  const params = [];
+  for (const [key, value] of Object.entries(updates)) {
+    fields.push(`${key} = ?`);
+    params.push(value);
+  }
+  fields.push("updated_at = datetime('now')");
+  params.push(id);
+  db.prepare(`UPDATE paper_orders SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+}
+
+export function getPaperOrder(exchange, id) {
+  return db.prepare('SELECT * FROM paper_orders WHERE exchange = ? AND id = ?').get(exchange, id);
+}
+
+export function getPaperOrders(exchange, { status, symbol, since, latest = false, limit = 500 } = {}) {
+  let query = 'SELECT * FROM paper_orders WHERE exchange = ?';
+  const params = [exchange];
+  if (status) { query += ' AND status = ?'; params.push(status); }
+  if (symbol) { query += ' AND symbol = ?'; params.push(symbol); }
+  // created_at saniye hassasiyetinde — since aynı saniyeye yuvarlanır
+  if (since) { query += ' AND created_at >= ?'; params.push(new Date(since).toISOString().slice(0, 19).replace('T', ' ')); }
+  query += ` ORDER BY created_at ${latest ? 'DESC' : 'ASC'}, rowid ${latest ? 'DESC' : 'ASC'} LIMIT ?`;
+  params.push(limit);
+  const rows = db.prepare(query).all(...params);
+  return latest ? rows.reverse() : rows;
+}
+
+export function getPaperPositions(exchange) {
+  return db.prepare('SELECT * FROM paper_positions WHERE exchange = ?').all(exchange);
+}
+
+export function getPaperPosition(exchange, symbol) {
+  return db.prepare('SELECT * FROM paper_positions WHERE exchange = ? AND symbol = ?').get(exchange, symbol);
+}
+
+export function savePaperPosition(exchange, pos) {
+  db.prepare(`
+    INSERT INTO paper_positions (exchange, symbol, side, contracts, entry_price, leverage, margin, realized_pnl, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(exchange, symbol) DO UPDATE SET side = excluded.side, contracts = excluded.contracts, entry_price = excluded.entry_price,
+      leverage = excluded.leverage, margin = excluded.margin, realized_pnl = excluded.realized_pnl, updated_at = datetime('now')
+  `).run(exchange, pos.symbol, pos.side || null, pos.contracts || 0, pos.entry_price || 0, pos.leverage || 1, pos.margin || 0, pos.realized_pnl || 0);
+}
+
+export function resetPaperAccount(exchange) {
+  db.prepare('DELETE FROM paper_orders WHERE exchange = ?').run(exchange);
+  db.prepare('DELETE FROM paper_positions WHERE exchange = ?').run(exchange);
+  db.prepare('DELETE FROM paper_balances WHERE exchange = ?').run(exchange);
+}
+
+// --- Funding Arbitrajı ---
+export function insertFundingPosition(pos) {
+  const id = pos.id || uuidv4();
+  db.prepare(`
+    INSERT INTO funding_positions (id, exchange, symbol, direction, spot_amount, perp_amount, spot_entry, perp_entry, entry_basis_pct, entry_annual_pct, leverage, last_rate, next_funding_ts, fees)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, pos.exchange, pos.symbol, pos.direction, pos.spot_amount, pos.perp_amount, pos.spot_entry, pos.perp_entry, pos.entry_basis_pct ?? null, pos.entry_annual_pct ?? null, pos.leverage || 1, pos.last_rate ?? null, pos.next_funding_ts ?? null, pos.fees || 0);
+  return id;
+}
+
+export function updateFundingPosition(id, updates) {
+  const fields = [];
+  const params = [];
+  for (const [key, value] of Object.entries(updates)) {
+    fields.push(`${key} = ?`);
+    params.push(value);
+  }
+  fields.push("updated_at = datetime('now')");
+  params.push(id);
+  db.prepare(`UPDATE funding_positions SET ${fields.join(', ')} WHERE id = ?`).run(...params);
+}
+
+export function closeFundingPosition(id, { reason, spotExit = null, perpExit = null, fees = 0, pnl = null }) {
+  db.prepare(`
+    UPDATE funding_positions SET status = 'closed', close_reason = ?, spot_exit = ?, perp_exit = ?, fees = ?, pnl = ?, closed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(reason, spotExit, perpExit, fees, pnl, id);
+}
+
+export function getFundingPosition(id) {
+  return db.prepare('SELECT * FROM funding_positions WHERE id = ?').get(id);
+}
+
+export function getFundingPositions(status, limit = 100) {
+  if (status) return db.prepare('SELECT * FROM funding_positions WHERE status = ? ORDER BY opened_at DESC LIMIT ?').all(status, limit);
+  return db.prepare('SELECT * FROM funding_positions ORDER BY opened_at DESC LIMIT ?').all(limit);
+}
+
 // --- Genel ---
 export function getDB() {
   return db;
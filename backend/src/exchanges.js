@@ -1,6 +1,8 @@
 import ccxt from 'ccxt';
 import EventEmitter from 'events';
 import { createLogger, format, transports } from 'winston';
+import PaperExchange from './paper-exchange.js';
+import { getSetting, setSetting } from './database.js';
 
 const logger = createLogger({
   level: 'info',
@@ -8,11 +10,36 @@ const logger = createLogger({
   transports: [new transports.Console(), new transports.File({ filename: 'logs/exchange.log' })],
 });
 
+/**
+ * Borsa emrinden gerçekleşen dolum — ücret baz coinden kesildiyse feeBase, quote ile ödendiyse feeQuote
+ * Başka coinle (ör. BNB) ödenen ücret kayda geçer ama kâra yansıtılmaz
+ */
+export function fillDetails(order, fallbackPrice, base, quote) {
+  const price = order.average || order.price || fallbackPrice;
+  const fees = (order.fees?.length ? order.fees : [order.fee]).filter(f => f?.cost);
+  let feeBase = 0;
+  let feeQuote = 0;
+  for (const fee of fees) {
+    if (fee.currency === base) feeBase += fee.cost;
+    else if (!fee.currency || fee.currency === quote) feeQuote += fee.cost;
+  }
+  return {
+    filled: order.filled || 0,
+    price,
+    feeBase,
+    feeQuote,
+    feeCost: fees.reduce((sum, f) => sum + f.cost, 0),
+    feeCurrency: fees[0]?.currency || quote,
+  };
+}
+
 class ExchangeManager extends EventEmitter {
   constructor() {
     super();
     this.exchanges = {};
     this.demoMode = {};
+    this.hasApiKey = {};
+    this.paper = {}; // Demo modda emirleri karşılayan simülatörler
     this.forceDemo = false; // Kullanıcı tarafından zorlanmış demo mod
     this._configs = [];
   }
@@ -53,14 +80,17 @@ class ExchangeManager extends EventEmitter {
     ];
 
     this._configs = configs;
+    const paperSelected = this.getPaperSelection();
 
     for (const cfg of configs) {
       try {
-        const isDemo = this.forceDemo || !cfg.config.apiKey || cfg.config.apiKey.startsWith('your_');
+        const hasKey = !!cfg.config.apiKey && !cfg.config.apiKey.startsWith('your_');
+        const isDemo = this.forceDemo || !hasKey || paperSelected.includes(cfg.id);
+        this.hasApiKey[cfg.id] = hasKey;
         this.demoMode[cfg.id] = isDemo;
 
         if (isDemo) {
-          logger.warn(`${cfg.id} — API key bulunamadı, DEMO modda çalışıyor.`);
+          logger.warn(`${cfg.id} — ${hasKey ? 'paper trading seçili' : 'API key bulunamadı'}, DEMO modda çalışıyor (simülatör).`);
           // Demo modda da exchange objesini oluştur (public endpoint'ler için)
           const exchange = new cfg.class({
             ...cfg.config,
@@ -89,6 +119,7 @@ class ExchangeManager extends EventEmitter {
         logger.error(`${cfg.id} — Bağlantı hatası: ${err.message}`);
         this.demoMode[cfg.id] = true;
       }
+      if (this.exchanges[cfg.id]) this.paper[cfg.id] = new PaperExchange(cfg.id, this.exchanges[cfg.id]);
     }
 
     return this;
@@ -98,6 +129,15 @@ class ExchangeManager extends EventEmitter {
     return this.exchanges[exchangeId];
   }
 
+  /**
+   * Emir/bakiye çağrılarını karşılayan istemci: demo modda simülatör, canlıda ccxt
+   */
+  client(exchangeId) {
+    const exchange = this.exchanges[exchangeId];
+    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
+    return this.isDemo(exchangeId) ? this.paper[exchangeId] : exchange;
+  }
+
   getAvailableExchanges() {
     return Object.keys(this.exchanges);
   }
@@ -117,13 +157,46 @@ class ExchangeManager extends EventEmitter {
     return this.getDemoStatus();
   }
 
+  getPaperSelection() {
+    return (getSetting('paper.exchanges') || '').split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  /**
+   * API key'i olan bir borsayı paper trading (simülatör) ile çalıştır veya canlıya döndür
+   */
+  async setPaperMode(exchangeId, enabled) {
+    if (!this.exchanges[exchangeId]) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
+    const selected = new Set(this.getPaperSelection());
+    if (enabled) selected.add(exchangeId);
+    else selected.delete(exchangeId);
+    setSetting('paper.exchanges', [...selected].join(','));
+    logger.info(`${exchangeId} paper trading ${enabled ? 'AÇILDI' : 'KAPATILDI'} — borsalar yeniden bağlanıyor...`);
+    await this.initialize();
+    return this.getDemoStatus();
+  }
+
+  /**
+   * Simülatördeki bekleyen emirleri güncel fiyatla eşleştir
+   */
+  async processPaperOrders() {
+    for (const id of Object.keys(this.exchanges)) {
+      if (!this.isDemo(id)) continue;
+      for (const symbol of this.paper[id].activeSymbols()) {
+        try {
+          await this.getTicker(id, symbol);
+        } catch { /* sonraki turda tekrar */ }
+      }
+    }
+  }
+
   getDemoStatus() {
+    const paperSelected = this.getPaperSelection();
     const perExchange = {};
     for (const id of Object.keys(this.exchanges)) {
-      const hasKey = !this.demoMode[id]; // orijinal key durumu
       perExchange[id] = {
         demo: this.isDemo(id),
-        hasApiKey: hasKey,
+        hasApiKey: !!this.hasApiKey[id],
+        paper: paperSelected.includes(id),
       };
     }
     return {
@@ -136,11 +209,8 @@ class ExchangeManager extends EventEmitter {
   async getBalance(exchangeId) {
     const exchange = this.exchanges[exchangeId];
     if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) {
-      return { totalUSD: 100, free: { USDT: 100 }, used: {}, total: { USDT: 100 } };
-    }
     try {
-      const balance = await exchange.fetchBalance();
+      const balance = await this.client(exchangeId).fetchBalance();
       let totalUSD = 0;
       const filtered = {};
       for (const [coin, amount] of Object.entries(balance.total || {})) {
@@ -179,7 +249,10 @@ class ExchangeManager extends EventEmitter {
     const exchange = this.exchanges[exchangeId];
     if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
     try {
-      return await exchange.fetchTicker(symbol);
+      const ticker = await exchange.fetchTicker(symbol);
+      // Her fiyat güncellemesinde simülatördeki bekleyen emirler eşleştirilir
+      if (this.isDemo(exchangeId)) this.paper[exchangeId].onTicker(symbol, ticker);
+      return ticker;
     } catch (err) {
       logger.error(`${exchangeId} ticker hatası (${symbol}): ${err.message}`);
       throw err;
@@ -209,11 +282,11 @@ class ExchangeManager extends EventEmitter {
     return results;
   }
 
-  async getOHLCV(exchangeId, symbol, timeframe = '1h', limit = 100) {
+  async getOHLCV(exchangeId, symbol, timeframe = '1h', limit = 100, since = undefined) {
     const exchange = this.exchanges[exchangeId];
     if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
     try {
-      const ohlcv = await exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
+      const ohlcv = await exchange.fetchOHLCV(symbol, timeframe, since, limit);
       return ohlcv.map(c => ({
         timestamp: c[0],
         open: c[1],
@@ -229,29 +302,9 @@ class ExchangeManager extends EventEmitter {
   }
 
   async createOrder(exchangeId, symbol, type, side, amount, price = undefined, params = {}) {
-    const exchange = this.exchanges[exchangeId];
-    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) {
-      logger.warn(`${exchangeId} DEMO mod — emir simüle ediliyor: ${side} ${amount} ${symbol} @ ${price || 'market'}`);
-      const simOrder = {
-        id: `demo_${Date.now()}`,
-        symbol,
-        type,
-        side,
-        amount,
-        price: price || 0,
-        cost: amount * (price || 0),
-        fee: { cost: 0, currency: 'USDT' },
-        status: 'closed',
-        timestamp: Date.now(),
-        demo: true,
-      };
-      this.emit('orderCreated', { exchangeId, order: simOrder });
-      return simOrder;
-    }
-
+    const client = this.client(exchangeId);
     try {
-      const order = await exchange.createOrder(symbol, type, side, amount, price, params);
+      const order = await client.createOrder(symbol, type, side, amount, price, params);
       logger.info(`${exchangeId} emir oluşturuldu: ${side} ${amount} ${symbol} — ID: ${order.id}`);
       this.emit('orderCreated', { exchangeId, order });
       return order;
@@ -262,26 +315,77 @@ class ExchangeManager extends EventEmitter {
     }
   }
 
-  async cancelOrder(exchangeId, orderId, symbol) {
-    const exchange = this.exchanges[exchangeId];
-    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) return { id: orderId, status: 'cancelled', demo: true };
+  /**
+   * Tetik emri: reduce-only stop-market (stop_loss) veya take-profit-market (take_profit)
+   */
+  async createTriggerOrder(exchangeId, symbol, kind, side, amount, triggerPrice, params = {}) {
+    const client = this.client(exchangeId);
+    const triggerParams = kind === 'take_profit' ? { takeProfitPrice: triggerPrice } : { stopLossPrice: triggerPrice };
+    try {
+      const order = await client.createOrder(symbol, 'market', side, amount, undefined, { ...triggerParams, reduceOnly: true, ...params });
+      logger.info(`${exchangeId} tetik emri oluşturuldu: ${kind} ${side} ${amount} ${symbol} @ ${triggerPrice} — ID: ${order.id}`);
+      this.emit('orderCreated', { exchangeId, order });
+      return order;
+    } catch (err) {
+      logger.error(`${exchangeId} tetik emri hatası: ${err.message}`);
+      this.emit('orderFailed', { exchangeId, symbol, side, error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Tetik (SL/TP) emirleri birçok borsada ayrı uç noktada tutulur — iptal ve sorgu trigger bayrağıyla yapılır
+   */
+  async cancelTriggerOrder(exchangeId, orderId, symbol, params = {}) {
+    return this.cancelOrder(exchangeId, orderId, symbol, { trigger: true, ...params });
+  }
+
+  async fetchTriggerOrder(exchangeId, orderId, symbol, params = {}) {
+    return this.fetchOrder(exchangeId, orderId, symbol, { trigger: true, ...params });
+  }
+
+  async cancelOrder(exchangeId, orderId, symbol, params = {}) {
+    const client = this.client(exchangeId);
     try {
-      return await exchange.cancelOrder(orderId, symbol);
+      return await client.cancelOrder(orderId, symbol, params);
     } catch (err) {
       logger.error(`${exchangeId} emir iptal hatası: ${err.message}`);
       throw err;
     }
   }
 
-  async getOpenOrders(exchangeId, symbol) {
-    const exchange = this.exchanges[exchangeId];
-    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) return [];
+  async getOpenOrders(exchangeId, symbol, { throwOnError = false, params = {} } = {}) {
+    const client = this.client(exchangeId);
     try {
-      return await exchange.fetchOpenOrders(symbol);
+      return await client.fetchOpenOrders(symbol, undefined, undefined, params);
     } catch (err) {
       logger.error(`${exchangeId} açık emir hatası: ${err.message}`);
+      if (throwOnError) throw err;
+      return [];
+    }
+  }
+
+  async fetchOrder(exchangeId, orderId, symbol, params = {}) {
+    const client = this.client(exchangeId);
+    try {
+      return await client.fetchOrder(orderId, symbol, params);
+    } catch (err) {
+      logger.error(`${exchangeId} emir sorgu hatası (${orderId}): ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Kapanmış emirler — borsa desteklemiyorsa boş liste (çağıran fetchOrder ile tek tek sorgular)
+   */
+  async fetchClosedOrders(exchangeId, symbol, since = undefined, limit = undefined, { throwOnError = false, params = {} } = {}) {
+    const client = this.client(exchangeId);
+    if (client.has && !client.has['fetchClosedOrders']) return [];
+    try {
+      return await client.fetchClosedOrders(symbol, since, limit, params);
+    } catch (err) {
+      logger.error(`${exchangeId} kapalı emir hatası: ${err.message}`);
+      if (throwOnError) throw err;
       return [];
     }
   }
@@ -297,9 +401,36 @@ class ExchangeManager extends EventEmitter {
     }
   }
 
+  /**
+   * Perpetual funding oranı — spot sembolü (BTC/USDT) verilir, perp sembolüne (BTC/USDT:USDT) çevrilir
+   */
+  async getFundingRate(exchangeId, symbol) {
+    const exchange = this.exchanges[exchangeId];
+    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
+    const [base, quote] = symbol.split(':')[0].split('/');
+    const perpSymbol = `${base}/${quote}:${quote}`;
+    try {
+      const rate = await exchange.fetchFundingRate(perpSymbol);
+      // Funding aralığı ('8h') yoksa 8 saat varsayılır
+      const intervalHours = parseInt(rate.interval) || 8;
+      return {
+        symbol: perpSymbol,
+        fundingRate: rate.fundingRate ?? 0,
+        nextFundingTimestamp: rate.nextFundingTimestamp || rate.fundingTimestamp || null,
+        markPrice: rate.markPrice || null,
+        indexPrice: rate.indexPrice || null,
+        intervalHours,
+      };
+    } catch (err) {
+      logger.error(`${exchangeId} funding oranı hatası (${perpSymbol}): ${err.message}`);
+      throw err;
+    }
+  }
+
   async getTradingFee(exchangeId, symbol) {
     const exchange = this.exchanges[exchangeId];
     if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
+    if (this.isDemo(exchangeId)) return this.paper[exchangeId].fetchTradingFee(symbol);
     try {
       if (exchange.has['fetchTradingFee']) {
         return await exchange.fetchTradingFee(symbol);
@@ -312,14 +443,9 @@ class ExchangeManager extends EventEmitter {
 
   // Futures specific helpers
   async setLeverage(exchangeId, symbol, leverage) {
-    const exchange = this.exchanges[exchangeId];
-    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) {
-      logger.info(`${exchangeId} DEMO — kaldıraç ayarlandı: ${symbol} ${leverage}x`);
-      return true;
-    }
+    const client = this.client(exchangeId);
     try {
-      await exchange.setLeverage(leverage, symbol);
+      await client.setLeverage(leverage, symbol);
       logger.info(`${exchangeId} kaldıraç ayarlandı: ${symbol} ${leverage}x`);
       return true;
     } catch (err) {
@@ -331,7 +457,7 @@ class ExchangeManager extends EventEmitter {
   async setMarginMode(exchangeId, symbol, mode = 'isolated') {
     const exchange = this.exchanges[exchangeId];
     if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) return true;
+    if (this.isDemo(exchangeId)) return true; // simülatör yalnızca izole marjin
     try {
       await exchange.setMarginMode(mode, symbol);
       return true;
@@ -344,14 +470,14 @@ class ExchangeManager extends EventEmitter {
     }
   }
 
-  async getPositions(exchangeId, symbols) {
-    const exchange = this.exchanges[exchangeId];
-    if (!exchange) throw new Error(`Borsa bulunamadı: ${exchangeId}`);
-    if (this.isDemo(exchangeId)) return [];
+  async getPositions(exchangeId, symbols, { throwOnError = false } = {}) {
+    const client = this.client(exchangeId);
     try {
-      return await exchange.fetchPositions(symbols);
+      return await client.fetchPositions(symbols);
     } catch (err) {
       logger.error(`${exchangeId} pozisyon hatası: ${err.message}`);
+      // Boş liste "pozisyon yok" ile karıştırılmamalı (senkronizasyon)
+      if (throwOnError) throw err;
       return [];
     }
   }
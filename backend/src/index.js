@@ -10,7 +10,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Modüller
-import { initDatabase, closeDatabase, getSetting, getSettingNum, setSetting, getAllSettings, getTrades, getTradeStats, insertTrade, getLatestSignals, getLatestPortfolioSnapshot, getPortfolioHistory, insertPortfolioSnapshot, getUnresolvedRiskEvents, getGridBots, getDCAPlans } from './database.js';
+import { initDatabase, closeDatabase, getSetting, getSettingNum, setSetting, getAllSettings, getTrades, getTradeStats, insertTrade, getLatestSignals, getLatestPortfolioSnapshot, getPortfolioHistory, insertPortfolioSnapshot, getUnresolvedRiskEvents, getGridBots, getGridEvents, getDCAPlans } from './database.js';
 import exchangeManager from './exchanges.js';
 import riskManager from './risk-manager.js';
 import notifier from './notifications.js';
@@ -19,6 +19,10 @@ import FuturesEngine from './strategies/futures-100.js';
 import GridTrading from './strategies/grid-trading.js';
 import DCAEngine from './strategies/dca.js';
 import ArbitrageEngine from './strategies/arbitrage.js';
+import FundingArbitrage from './strategies/funding-arbitrage.js';
+import FuturesBacktester from './strategies/futures-backtest.js';
+import ReconciliationService from './reconciliation.js';
+import InventoryManager from './inventory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,7 +53,7 @@ if (fs.existsSync(frontendDist)) {
 const server = http.createServer(app);
 
 // ==================== BAŞLATMA ====================
-let futuresEngine, gridTrading, dcaEngine, arbitrageEngine;
+let futuresEngine, gridTrading, dcaEngine, arbitrageEngine, fundingArbitrage, futuresBacktester, reconciler, inventoryManager;
 let wsClients = new Set();
 
 async function bootstrap() {
@@ -63,12 +67,24 @@ async function bootstrap() {
 
   // 3. Strateji motorları
   futuresEngine = new FuturesEngine(exchangeManager, riskManager, notifier);
-  gridTrading = new GridTrading(exchangeManager, notifier);
+  gridTrading = new GridTrading(exchangeManager, notifier, riskManager);
   dcaEngine = new DCAEngine(exchangeManager, notifier);
-  arbitrageEngine = new ArbitrageEngine(exchangeManager, notifier);
+  inventoryManager = new InventoryManager(exchangeManager);
+  arbitrageEngine = new ArbitrageEngine(exchangeManager, notifier, inventoryManager);
+  fundingArbitrage = new FundingArbitrage(exchangeManager, riskManager, notifier);
+  futuresBacktester = new FuturesBacktester(exchangeManager);
+  reconciler = new ReconciliationService(exchangeManager, notifier, { futuresEngine, gridTrading, dcaEngine });
 
-  // DCA aktif planları yükle
-  dcaEngine.initializeActivePlans();
+  // DCA aktif planları yükle — kapalıyken kaçırılan alımlar planın politikasına göre telafi edilir
+  dcaEngine.initializeActivePlans().catch(e => logger.error(`DCA yükleme hatası: ${e.message}`));
+
+  // Grid botları: kapalıyken dolan/iptal olan emirleri borsayla eşitle
+  gridTrading.restoreBots().catch(e => logger.error(`Grid geri yükleme hatası: ${e.message}`));
+
+  // Futures motoru yeniden başlatmadan önce çalışıyorsa devam ettir — yalnızca futures.auto_resume açıkken
+  if (getSetting('futures.auto_resume') === '1' && getSetting('futures.running') === '1') {
+    futuresEngine.start().catch(e => logger.error(`Futures otomatik başlatma hatası: ${e.message}`));
+  }
 
   // WebSocket
   setupWebSocket();
@@ -137,12 +153,30 @@ function setupCronJobs() {
   }, 10000);
   cronTimers.push(gridTimer);
 
+  // DCA deal takibi — güvenlik emri dolumları ve take-profit, her 10 saniye
+  const dcaDealTimer = setInterval(() => {
+    dcaEngine.checkDeals().catch(e => logger.error(`DCA deal kontrol hatası: ${e.message}`));
+  }, 10000);
+  cronTimers.push(dcaDealTimer);
+
   // Arbitraj taraması — her 30 saniye (3 saniye çok agresif rate limit için)
   const arbTimer = setInterval(() => {
     arbitrageEngine.scan().catch(e => logger.error(`Arbitraj tarama hatası: ${e.message}`));
   }, 30000);
   cronTimers.push(arbTimer);
 
+  // Funding arbitrajı — tarama + açık çiftlerin funding/çıkış takibi, varsayılan her 5 dakika
+  const fundingTimer = setInterval(() => {
+    fundingArbitrage.tick().catch(e => logger.error(`Funding tarama hatası: ${e.message}`));
+  }, Math.max(getSettingNum('funding.scan_interval_sec', 300), 60) * 1000);
+  cronTimers.push(fundingTimer);
+
+  // Envanter snapshot — dashboard ve arbitraj önbellekten okur, varsayılan her 30 saniye
+  const inventoryTimer = setInterval(() => {
+    inventoryManager.refresh().catch(e => logger.error(`Envanter yenileme hatası: ${e.message}`));
+  }, Math.max(getSettingNum('inventory.cache_sec', 30), 10) * 1000);
+  cronTimers.push(inventoryTimer);
+
   // Portföy snapshot — her saat
   cron.schedule('0 * * * *', async () => {
     try {
@@ -171,6 +205,19 @@ function setupCronJobs() {
     }
   }, 5000);
   cronTimers.push(futuresBroadcast);
+
+  // Paper trading — bekleyen simülatör emirlerini eşleştir, her 5 saniye
+  const paperTimer = setInterval(() => {
+    exchangeManager.processPaperOrders().catch(e => logger.error(`Paper eşleştirme hatası: ${e.message}`));
+  }, 5000);
+  cronTimers.push(paperTimer);
+
+  // Pozisyon mutabakatı — varsayılan her 5 dakika
+  const reconcileTimer = setInterval(() => {
+    if (getSetting('reconcile.enabled') !== '1') return;
+    reconciler.run().catch(e => logger.error(`Mutabakat hatası: ${e.message}`));
+  }, Math.max(getSettingNum('reconcile.interval_sec', 300), 30) * 1000);
+  cronTimers.push(reconcileTimer);
 }
 
 // ==================== REST API ====================
@@ -202,6 +249,39 @@ app.post('/api/demo/toggle', async (req, res) => {
   }
 });
 
+app.post('/api/demo/paper', async (req, res) => {
+  try {
+    const { exchange, enabled } = req.body;
+    const result = await exchangeManager.setPaperMode(exchange, !!enabled);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Paper Trading ---
+app.get('/api/paper', async (req, res) => {
+  try {
+    const result = {};
+    for (const id of exchangeManager.getAvailableExchanges()) {
+      if (!exchangeManager.isDemo(id)) continue;
+      result[id] = {
+        balance: await exchangeManager.getBalance(id),
+        positions: await exchangeManager.getPositions(id),
+        openOrders: await exchangeManager.getOpenOrders(id),
+      };
+    }
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/paper/reset', (req, res) => {
+  const { exchange } = req.body;
+  if (!exchangeManager.isDemo(exchange)) return res.status(400).json({ error: 'Sadece demo/paper moddaki borsa sıfırlanabilir.' });
+  exchangeManager.paper[exchange].reset();
+  res.json({ success: true });
+});
+
 // --- Dashboard ---
 app.get('/api/dashboard', async (req, res) => {
   try {
@@ -214,6 +294,8 @@ app.get('/api/dashboard', async (req, res) => {
 
     let totalBalance = 0;
     for (const bal of Object.values(balances)) totalBalance += bal.totalUSD || 0;
+    // Envanter zamanlayıcının tuttuğu önbellekten okunur — istek başına fiyat/bakiye çekilmez
+    const inventory = inventoryManager.getSkew(inventoryManager.snapshot || await inventoryManager.refresh(balances));
 
     res.json({
       balance: { total: totalBalance, byExchange: balances },
@@ -222,11 +304,13 @@ app.get('/api/dashboard', async (req, res) => {
       recentTrades,
       futures: futuresStatus,
       snapshot,
+      inventory,
       activeStrategies: {
         futures: futuresEngine?.running || false,
         gridBots: getGridBots('active').length,
         dcaPlans: getDCAPlans('active').length,
         arbitrage: arbitrageEngine?.autoExecute || false,
+        fundingPositions: fundingArbitrage?.getPositions('open').length || 0,
       },
     });
   } catch (err) {
@@ -288,6 +372,16 @@ app.get('/api/grid/bots', (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+app.post('/api/grid/suggest', async (req, res) => {
+  try { res.json(await gridTrading.suggestRange(req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.post('/api/grid/preview', async (req, res) => {
+  try { res.json(await gridTrading.previewBot(req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
 app.post('/api/grid/bots', async (req, res) => {
   try {
     const bot = await gridTrading.createBot(req.body);
@@ -295,6 +389,21 @@ app.post('/api/grid/bots', async (req, res) => {
   } catch (err) { res.status(400).json({ error: err.message }); }
 });
 
+app.get('/api/grid/bots/:id/report', async (req, res) => {
+  try { res.json(await gridTrading.getReport(req.params.id)); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/grid/bots/:id/events', (req, res) => {
+  try { res.json(getGridEvents(req.params.id, parseInt(req.query.limit) || 100)); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.patch('/api/grid/bots/:id', async (req, res) => {
+  try { res.json(await gridTrading.editBot(req.params.id, req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
 app.post('/api/grid/bots/:id/pause', async (req, res) => {
   try { await gridTrading.pauseBot(req.params.id); res.json({ success: true }); }
   catch (err) { res.status(500).json({ error: err.message }); }
@@ -321,6 +430,21 @@ app.post('/api/dca/plans', (req, res) => {
   catch (err) { res.status(400).json({ error: err.message }); }
 });
 
+app.post('/api/dca/preview', async (req, res) => {
+  try { res.json(await dcaEngine.previewSizing(req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.put('/api/dca/plans/:id/rules', (req, res) => {
+  try { res.json(dcaEngine.updateSizingRules(req.params.id, req.body.sizing_rules)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.put('/api/dca/plans/:id/catch-up', (req, res) => {
+  try { res.json(dcaEngine.updateCatchUp(req.params.id, req.body.policy)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
 app.post('/api/dca/plans/:id/buy', async (req, res) => {
   try { res.json(await dcaEngine.manualBuy(req.params.id)); }
   catch (err) { res.status(500).json({ error: err.message }); }
@@ -333,11 +457,21 @@ app.post('/api/dca/plans/:id/pause', (req, res) => {
 
 app.post('/api/dca/plans/:id/resume', (req, res) => {
   try { dcaEngine.resumePlan(req.params.id); res.json({ success: true }); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.get('/api/dca/plans/:id/deals', (req, res) => {
+  try { res.json(dcaEngine.getDeals(req.params.id, parseInt(req.query.limit) || 50)); }
   catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.delete('/api/dca/plans/:id', (req, res) => {
-  try { dcaEngine.deletePlan(req.params.id); res.json({ success: true }); }
+app.post('/api/dca/plans/:id/close-deal', async (req, res) => {
+  try { res.json(await dcaEngine.closeDealManually(req.params.id)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.delete('/api/dca/plans/:id', async (req, res) => {
+  try { await dcaEngine.deletePlan(req.params.id); res.json({ success: true }); }
   catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -355,6 +489,10 @@ app.get('/api/arbitrage/history', (req, res) => {
   res.json(arbitrageEngine.getHistory(limit));
 });
 
+app.get('/api/arbitrage/history/:id/legs', (req, res) => {
+  res.json(arbitrageEngine.getLegs(req.params.id));
+});
+
 app.post('/api/arbitrage/scan', async (req, res) => {
   try { res.json(await arbitrageEngine.scan()); }
   catch (err) { res.status(500).json({ error: err.message }); }
@@ -372,6 +510,54 @@ app.post('/api/arbitrage/auto/:action', (req, res) => {
   else res.status(400).json({ error: 'Geçersiz aksiyon. enable veya disable kullanın.' });
 });
 
+// --- Envanter ---
+app.get('/api/inventory', async (req, res) => {
+  try {
+    const snapshot = req.query.refresh === '1' ? await inventoryManager.refresh() : await inventoryManager.getSnapshot();
+    res.json({ snapshot, skew: inventoryManager.getSkew(snapshot) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/inventory/rebalance', async (req, res) => {
+  try { res.json(await inventoryManager.planRebalance({ refresh: req.query.refresh === '1' })); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// --- Funding Arbitrajı ---
+app.get('/api/funding/rates', (req, res) => {
+  res.json(fundingArbitrage.getRates());
+});
+
+app.get('/api/funding/positions', (req, res) => {
+  res.json(fundingArbitrage.getPositions(req.query.status));
+});
+
+app.post('/api/funding/scan', async (req, res) => {
+  try { res.json(await fundingArbitrage.scan()); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/funding/open', async (req, res) => {
+  try {
+    const { exchange, symbol, direction, usd } = req.body;
+    if (!exchange || !symbol) return res.status(400).json({ error: 'exchange ve symbol gerekli.' });
+    if (direction && !['short_perp', 'long_perp'].includes(direction)) return res.status(400).json({ error: 'direction short_perp veya long_perp olmalı.' });
+    res.json(await fundingArbitrage.open(exchange, symbol, { direction, usd: usd ? parseFloat(usd) : undefined }));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/funding/positions/:id/close', async (req, res) => {
+  try { res.json(await fundingArbitrage.close(req.params.id, req.body?.reason || 'Manuel kapatma')); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/funding/auto/:action', (req, res) => {
+  const { action } = req.params;
+  if (action === 'enable') { fundingArbitrage.enableAuto(); res.json({ autoExecute: true }); }
+  else if (action === 'disable') { fundingArbitrage.disableAuto(); res.json({ autoExecute: false }); }
+  else res.status(400).json({ error: 'Geçersiz aksiyon. enable veya disable kullanın.' });
+});
+
 // --- Futures ---
 app.get('/api/futures/status', (req, res) => {
   res.json(futuresEngine?.getStatus() || { running: false });
@@ -407,6 +593,59 @@ app.get('/api/futures/analyze/:symbol', async (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// --- Backtest ---
+app.get('/api/backtest/candles', (req, res) => {
+  res.json(futuresBacktester.getCoverage());
+});
+
+app.post('/api/backtest/candles', async (req, res) => {
+  try { res.json(await futuresBacktester.syncCandles(req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.post('/api/backtest/futures', async (req, res) => {
+  try { res.json(await futuresBacktester.runFutures(req.body)); }
+  catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+app.get('/api/backtest/runs', (req, res) => {
+  const limit = parseInt(req.query.limit) || 20;
+  res.json(futuresBacktester.getRuns(limit));
+});
+
+app.get('/api/backtest/runs/:id', (req, res) => {
+  const run = futuresBacktester.getRun(req.params.id);
+  if (!run) return res.status(404).json({ error: 'Backtest bulunamadı.' });
+  res.json(run);
+});
+
+app.delete('/api/backtest/runs/:id', (req, res) => {
+  futuresBacktester.deleteRun(req.params.id);
+  res.json({ success: true });
+});
+
+// --- Reconciliation ---
+app.get('/api/reconcile', async (req, res) => {
+  try {
+    const report = reconciler.getReport();
+    if (report && req.query.refresh !== '1') return res.json(report);
+    res.json(await reconciler.run());
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/reconcile/repair', async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'ids gerekli.' });
+    const results = [];
+    for (const id of ids) {
+      try { results.push(await reconciler.repair(id)); }
+      catch (err) { results.push({ success: false, id, error: err.message }); }
+    }
+    res.json({ results });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // --- Trades ---
 app.get('/api/trades', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
@@ -482,7 +721,7 @@ function shutdown(signal) {
   for (const timer of cronTimers) clearInterval(timer);
 
   // Motorları durdur
-  if (futuresEngine?.running) futuresEngine.stop();
+  if (futuresEngine?.running) futuresEngine.stop(false);
   if (dcaEngine) dcaEngine.stopAll();
 
   // Borsaları kapat
@@ -0,0 +1,245 @@
+import { createLogger, format, transports } from 'winston';
+import { getSetting, getSettingNum } from './database.js';
+
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(format.timestamp(), format.printf(({ timestamp, level, message }) => `${timestamp} [INVENTORY][${level.toUpperCase()}] ${message}`)),
+  transports: [new transports.Console(), new transports.File({ filename: 'logs/inventory.log' })],
+});
+
+// Alış bacağında fiyat sapması + fee için ayrılan quote payı
+const QUOTE_BUFFER = 0.005;
+const STABLES = new Set(['USDT', 'USDC', 'USD']);
+
+/**
+ * "USDT:1,BTC:0.0002" biçimindeki ayarı { USDT: 1, BTC: 0.0002 } nesnesine çevir
+ */
+const parseAssetMap = (raw) => Object.fromEntries(
+  (raw || '').split(',')
+    .map(pair => pair.split(':').map(s => s.trim()))
+    .filter(([asset, value]) => asset && value !== undefined && !isNaN(parseFloat(value)))
+    .map(([asset, value]) => [asset.toUpperCase(), parseFloat(value)])
+);
+
+/**
+ * Borsalar Arası Envanter Takibi
+ * Çapraz arbitraj alış borsasında quote (USDT), satış borsasında baz coin gerektirir.
+ * Bakiyeler getAllBalances üzerinden izlenir; dengesizlik için transfer planı önerilir (transfer yapılmaz).
+ */
+class InventoryManager {
+  constructor(exchangeManager) {
+    this.exchangeManager = exchangeManager;
+    this.snapshot = null;
+    this.prices = {};
+  }
+
+  /**
+   * İzlenen varlıklar: arbitraj coinlerinin baz ve quote paraları
+   */
+  getAssets() {
+    const coins = (getSetting('arbitrage.coins') || 'BTC/USDT,ETH/USDT,SOL/USDT').split(',').map(s => s.trim()).filter(Boolean);
+    const assets = new Set();
+    for (const symbol of coins) {
+      const [base, quote] = symbol.split('/');
+      assets.add(quote);
+      assets.add(base);
+    }
+    return [...assets];
+  }
+
+  /**
+   * Bakiyeleri yeniden oku — dashboard gibi zaten bakiye çeken yerler sonucu verebilir
+   */
+  async refresh(balances = null) {
+    const all = balances || await this.exchangeManager.getAllBalances();
+    const assets = this.getAssets();
+    const exchanges = {};
+    for (const [id, bal] of Object.entries(all)) {
+      exchanges[id] = bal.error
+        ? { error: bal.error, free: {} }
+        : { totalUSD: bal.totalUSD || 0, free: { ...(bal.free || {}) } };
+    }
+    await this.updatePrices(assets, Object.keys(exchanges).filter(id => !exchanges[id].error));
+    this.snapshot = { updatedAt: Date.now(), assets, exchanges };
+    return this.snapshot;
+  }
+
+  async updatePrices(assets, exchangeIds) {
+    for (const asset of assets) {
+      if (STABLES.has(asset)) {
+        this.prices[asset] = 1;
+        continue;
+      }
+      for (const id of exchangeIds) {
+        try {
+          this.prices[asset] = (await this.exchangeManager.getTicker(id, `${asset}/USDT`)).last;
+          break;
+        } catch { /* sonraki borsa */ }
+      }
+    }
+  }
+
+  async getSnapshot() {
+    const maxAge = getSettingNum('inventory.cache_sec', 30) * 1000;
+    if (!this.snapshot || Date.now() - this.snapshot.updatedAt > maxAge) await this.refresh();
+    return this.snapshot;
+  }
+
+  /**
+   * İşlem sonrası bakiyeler değişti — bir sonraki kontrol borsadan okur
+   */
+  invalidate() {
+    this.snapshot = null;
+  }
+
+  freeOf(snapshot, exchangeId, currency) {
+    return snapshot.exchanges[exchangeId]?.free?.[currency] || 0;
+  }
+
+  /**
+   * Çapraz arbitraj: alış borsasında maliyet kadar quote, satış borsasında miktar kadar baz coin
+   */
+  async canCover({ symbol, buyExchange, sellExchange, amount, cost }) {
+    const [base, quote] = symbol.split('/');
+    const snapshot = await this.getSnapshot();
+    const quoteFree = this.freeOf(snapshot, buyExchange, quote);
+    const baseFree = this.freeOf(snapshot, sellExchange, base);
+    const needQuote = cost * (1 + QUOTE_BUFFER);
+
+    if (quoteFree < needQuote) {
+      return { ok: false, reason: `${buyExchange} ${quote} envanteri yetersiz (${quoteFree.toFixed(2)} < ${needQuote.toFixed(2)})` };
+    }
+    if (baseFree < amount) {
+      return { ok: false, reason: `${sellExchange} ${base} envanteri yetersiz (${baseFree.toFixed(8)} < ${amount.toFixed(8)})` };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Tek borsa içi işlem (üçgen arbitraj) için başlangıç parası yeterli mi
+   */
+  async canCoverAmount(exchangeId, currency, amount) {
+    const snapshot = await this.getSnapshot();
+    const free = this.freeOf(snapshot, exchangeId, currency);
+    if (free < amount) return { ok: false, reason: `${exchangeId} ${currency} envanteri yetersiz (${free.toFixed(2)} < ${amount.toFixed(2)})` };
+    return { ok: true };
+  }
+
+  /**
+   * Varlık bazında borsalar arası dağılım — hedef eşit pay
+   * skewPct: hedef paydan en büyük sapma (yüzde puan)
+   */
+  getSkew(snapshot = this.snapshot) {
+    if (!snapshot) return null;
+    const ids = Object.keys(snapshot.exchanges).filter(id => !snapshot.exchanges[id].error);
+    const alertPct = getSettingNum('inventory.skew_alert_pct', 30);
+    const minUSD = getSettingNum('inventory.min_transfer_usd', 20);
+    const targetPct = ids.length > 0 ? 100 / ids.length : 0;
+
+    const assets = snapshot.assets.map(asset => {
+      const price = this.prices[asset] || 0;
+      const amounts = Object.fromEntries(ids.map(id => [id, this.freeOf(snapshot, id, asset)]));
+      const total = Object.values(amounts).reduce((a, b) => a + b, 0);
+      const shares = Object.fromEntries(ids.map(id => [id, total > 0 ? (amounts[id] / total) * 100 : 0]));
+      const skewPct = total > 0 ? Math.max(...ids.map(id => Math.abs(shares[id] - targetPct))) : 0;
+      return {
+        asset,
+        price,
+        total,
+        totalUSD: total * price,
+        amounts,
+        shares,
+        targetPct,
+        skewPct,
+        // Transfer etmeye değmeyecek küçük bakiyeler uyarı üretmez
+        alert: skewPct >= alertPct && total * price >= minUSD,
+      };
+    });
+
+    return {
+      updatedAt: snapshot.updatedAt,
+      exchanges: ids,
+      assets,
+      maxSkewPct: Math.max(0, ...assets.map(a => a.skewPct)),
+      alert: assets.some(a => a.alert),
+    };
+  }
+
+  /**
+   * Dengeleme planı: fazlası olan borsadan eksik olana transfer önerisi ve sonrasının simülasyonu
+   * Çekim ücreti alıcı taraftan düşer; transfer süresince miktar iki borsada da kullanılamaz.
+   */
+  async planRebalance({ refresh = false } = {}) {
+    const snapshot = refresh ? await this.refresh() : await this.getSnapshot();
+    const fees = parseAssetMap(getSetting('inventory.withdraw_fees'));
+    const delays = parseAssetMap(getSetting('inventory.transfer_delays_min'));
+    const defaultDelay = getSettingNum('inventory.default_transfer_delay_min', 30);
+    const minUSD = getSettingNum('inventory.min_transfer_usd', 20);
+    const maxFeePct = getSettingNum('inventory.max_fee_pct', 2);
+    const ids = Object.keys(snapshot.exchanges).filter(id => !snapshot.exchanges[id].error);
+    const now = Date.now();
+
+    const projected = Object.fromEntries(ids.map(id => [id, { free: { ...snapshot.exchanges[id].free } }]));
+    const transfers = [];
+    const skipped = [];
+
+    for (const asset of snapshot.assets) {
+      const price = this.prices[asset];
+      if (!price || ids.length < 2) continue;
+      const total = ids.reduce((sum, id) => sum + this.freeOf(snapshot, id, asset), 0);
+      const target = total / ids.length;
+      const surplus = ids.map(id => ({ id, amount: this.freeOf(snapshot, id, asset) - target })).filter(s => s.amount > 0).sort((a, b) => b.amount - a.amount);
+      const deficit = ids.map(id => ({ id, amount: target - this.freeOf(snapshot, id, asset) })).filter(d => d.amount > 0).sort((a, b) => b.amount - a.amount);
+
+      let i = 0, j = 0;
+      while (i < surplus.length && j < deficit.length) {
+        const move = Math.min(surplus[i].amount, deficit[j].amount);
+        const fee = fees[asset] ?? 0;
+        const from = surplus[i].id;
+        const to = deficit[j].id;
+
+        if (move * price < minUSD) {
+          skipped.push({ asset, from, to, amount: move, reason: `Minimum transfer tutarının altında ($${(move * price).toFixed(2)} < $${minUSD})` });
+        } else if ((fee / move) * 100 > maxFeePct) {
+          skipped.push({ asset, from, to, amount: move, reason: `Çekim ücreti çok yüksek (${((fee / move) * 100).toFixed(2)}% > ${maxFeePct}%)` });
+        } else {
+          const delayMin = delays[asset] ?? defaultDelay;
+          transfers.push({
+            asset,
+            from,
+            to,
+            amount: move,
+            fee,
+            received: move - fee,
+            valueUSD: move * price,
+            feeUSD: fee * price,
+            delayMin,
+            arrivesAt: new Date(now + delayMin * 60000).toISOString(),
+          });
+          projected[from].free[asset] = (projected[from].free[asset] || 0) - move;
+          projected[to].free[asset] = (projected[to].free[asset] || 0) + move - fee;
+        }
+
+        surplus[i].amount -= move;
+        deficit[j].amount -= move;
+        if (surplus[i].amount <= 1e-12) i++;
+        if (deficit[j].amount <= 1e-12) j++;
+      }
+    }
+
+    const after = this.getSkew({ ...snapshot, exchanges: projected });
+    const plan = {
+      generatedAt: new Date(now).toISOString(),
+      transfers,
+      skipped,
+      totalFeeUSD: transfers.reduce((sum, t) => sum + t.feeUSD, 0),
+      completeInMin: Math.max(0, ...transfers.map(t => t.delayMin)),
+      before: this.getSkew(snapshot),
+      after,
+    };
+    logger.info(`Dengeleme planı: ${transfers.length} transfer, ücret $${plan.totalFeeUSD.toFixed(2)} | Sapma ${plan.before.maxSkewPct.toFixed(1)}% → ${after.maxSkewPct.toFixed(1)}%`);
+    return plan;
+  }
+}
+
+export default InventoryManager;
@@ -0,0 +1,493 @@
+import ccxt from 'ccxt';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger, format, transports } from 'winston';
+import {
+  getSettingNum, getPaperBalances, setPaperBalance, insertPaperOrder, updatePaperOrder, getPaperOrder, getPaperOrders,
+  getPaperPositions, getPaperPosition, savePaperPosition, resetPaperAccount,
+} from './database.js';
+
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(format.timestamp(), format.printf(({ timestamp, level, message }) => `${timestamp} [PAPER][${level.toUpperCase()}] ${message}`)),
+  transports: [new transports.Console(), new transports.File({ filename: 'logs/paper.log' })],
+});
+
+const EPSILON = 1e-12;
+
+const splitSymbol = (symbol) => {
+  const [base, rest] = symbol.split('/');
+  return { base, quote: rest.split(':')[0] };
+};
+
+/**
+ * Paper Trading Simülatörü
+ * ccxt arayüzünü taklit eder: piyasa verisi gerçek borsadan, cüzdan/emir/pozisyon durumu SQLite'ta.
+ * Market emirleri bid/ask + kayma ile dolar, limit emirleri fiyat kesişene kadar bekler.
+ * Futures: USDT marjinli, tek yönlü (one-way), izole marjin.
+ */
+class PaperExchange {
+  constructor(exchangeId, marketSource) {
+    this.id = exchangeId;
+    this.source = marketSource; // public endpoint'ler için ccxt nesnesi
+    this.lastPrices = new Map();
+  }
+
+  // ==================== CÜZDAN ====================
+
+  wallet() {
+    let rows = getPaperBalances(this.id);
+    if (rows.length === 0) {
+      const initial = getSettingNum('paper.initial_balance', 100);
+      setPaperBalance(this.id, 'USDT', initial, 0);
+      logger.info(`${this.id} paper cüzdanı oluşturuldu: ${initial} USDT`);
+      rows = getPaperBalances(this.id);
+    }
+    const wallet = {};
+    for (const r of rows) wallet[r.currency] = { free: r.free, used: r.used };
+    return wallet;
+  }
+
+  adjust(currency, freeDelta, usedDelta = 0) {
+    const current = this.wallet()[currency] || { free: 0, used: 0 };
+    const free = current.free + freeDelta;
+    const used = Math.max(0, current.used + usedDelta);
+    setPaperBalance(this.id, currency, Math.abs(free) < EPSILON ? 0 : free, used < EPSILON ? 0 : used);
+  }
+
+  requireFree(currency, amount) {
+    const free = this.wallet()[currency]?.free || 0;
+    if (free + EPSILON < amount) {
+      throw new ccxt.InsufficientFunds(`[PAPER] ${this.id} yetersiz ${currency} bakiyesi — gereken: ${amount.toFixed(8)} | serbest: ${free.toFixed(8)}`);
+    }
+  }
+
+  async fetchBalance() {
+    const wallet = this.wallet();
+    const free = {}, used = {}, total = {};
+    for (const [currency, b] of Object.entries(wallet)) {
+      free[currency] = b.free;
+      used[currency] = b.used;
+      total[currency] = b.free + b.used;
+    }
+    return { free, used, total, info: { paper: true } };
+  }
+
+  reset() {
+    resetPaperAccount(this.id);
+    this.lastPrices.clear();
+    this.wallet();
+    logger.warn(`${this.id} paper hesabı sıfırlandı.`);
+  }
+
+  // ==================== FİYAT / ÜCRET ====================
+
+  async quote(symbol) {
+    const ticker = await this.source.fetchTicker(symbol);
+    const last = ticker.last || ticker.close;
+    const q = { bid: ticker.bid || last, ask: ticker.ask || last, last };
+    this.lastPrices.set(symbol, q);
+    return q;
+  }
+
+  feeRate(market, liquidity) {
+    const key = market === 'future' ? `paper.futures_${liquidity}_fee_pct` : `paper.${liquidity}_fee_pct`;
+    return getSettingNum(key, market === 'future' ? (liquidity === 'maker' ? 0.02 : 0.05) : 0.1) / 100;
+  }
+
+  fetchTradingFee(symbol) {
+    const market = symbol.includes(':') ? 'future' : 'spot';
+    return { symbol, maker: this.feeRate(market, 'maker'), taker: this.feeRate(market, 'taker') };
+  }
+
+  slippedPrice(side, q) {
+    const slippage = getSettingNum('paper.slippage_pct', 0.05) / 100;
+    return side === 'buy' ? q.ask * (1 + slippage) : q.bid * (1 - slippage);
+  }
+
+  // ==================== EMİRLER ====================
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    if (!(amount > 0)) throw new ccxt.InvalidOrder(`[PAPER] Geçersiz miktar: ${amount}`);
+    const market = params.type === 'future' || symbol.includes(':') ? 'future' : 'spot';
+    const triggerPrice = params.stopLossPrice || params.takeProfitPrice || params.triggerPrice;
+
+    const order = {
+      id: `paper_${uuidv4()}`,
+      exchange: this.id,
+      symbol,
+      market,
+      type,
+      side,
+      amount,
+      price: type === 'limit' ? price : null,
+      trigger_price: triggerPrice || null,
+      reduce_only: !!params.reduceOnly,
+      post_only: !!params.postOnly,
+      status: 'open',
+    };
+
+    // Tetik emirleri (SL/TP) fiyat tetik seviyesine gelene kadar bekler
+    if (triggerPrice) {
+      order.type = params.takeProfitPrice ? 'take_profit' : 'stop_loss';
+      insertPaperOrder(order);
+      logger.info(`${this.id} tetik emri: ${order.type} ${side} ${amount} ${symbol} @ ${triggerPrice}`);
+      return this.formatOrder(getPaperOrder(this.id, order.id));
+    }
+
+    const q = await this.quote(symbol);
+
+    if (type === 'market') {
+      const fillPrice = this.slippedPrice(side, q);
+      this.fill(order, amount, fillPrice, 'taker');
+      return this.formatOrder(getPaperOrder(this.id, order.id));
+    }
+
+    if (!(price > 0)) throw new ccxt.InvalidOrder('[PAPER] Limit emri için fiyat gerekli.');
+    const crosses = side === 'buy' ? q.ask <= price : q.bid >= price;
+    if (crosses) {
+      if (order.post_only) throw new ccxt.OrderImmediatelyFillable(`[PAPER] Post-only emir anında eşleşirdi: ${side} ${symbol} @ ${price}`);
+      // Karşı tarafı geçen limit emri hemen, en iyi fiyattan taker olarak dolar
+      this.fill(order, amount, side === 'buy' ? Math.min(price, q.ask) : Math.max(price, q.bid), 'taker');
+      return this.formatOrder(getPaperOrder(this.id, order.id));
+    }
+
+    order.reserved = this.reserve(order);
+    insertPaperOrder(order);
+    logger.info(`${this.id} limit emri bekliyor: ${side} ${amount} ${symbol} @ ${price}`);
+    return this.formatOrder(getPaperOrder(this.id, order.id));
+  }
+
+  /**
+   * Bekleyen emir için bakiye kilitle (spot: ödenecek coin, futures: başlangıç marjini)
+   */
+  reserve(order) {
+    const { base, quote } = splitSymbol(order.symbol);
+    if (order.market === 'future') {
+      if (order.reduce_only) return 0;
+      const leverage = getPaperPosition(this.id, order.symbol)?.leverage || 1;
+      const margin = (order.amount * order.price) / leverage;
+      this.requireFree(quote, margin);
+      this.adjust(quote, -margin, margin);
+      return margin;
+    }
+    if (order.side === 'buy') {
+      const cost = order.amount * order.price * (1 + this.feeRate('spot', 'maker'));
+      this.requireFree(quote, cost);
+      this.adjust(quote, -cost, cost);
+      return cost;
+    }
+    this.requireFree(base, order.amount);
+    this.adjust(base, -order.amount, order.amount);
+    return order.amount;
+  }
+
+  release(order) {
+    if (!order.reserved) return;
+    const { base, quote } = splitSymbol(order.symbol);
+    const currency = order.market === 'spot' && order.side === 'sell' ? base : quote;
+    this.adjust(currency, order.reserved, -order.reserved);
+    order.reserved = 0;
+  }
+
+  /**
+   * Emri doldur ve cüzdan/pozisyonu güncelle
+   */
+  fill(order, amount, price, liquidity) {
+    const resting = order.status === 'open' && getPaperOrder(this.id, order.id);
+    let filledAmount = amount;
+    let fee;
+
+    // Önce kilitli bakiye serbest bırakılır, sonra gerçek maliyet düşülür
+    const reserved = order.reserved || 0;
+    this.release(order);
+    try {
+      if (order.market === 'future') {
+        ({ filledAmount, fee } = this.applyFuturesFill(order, amount, price, liquidity));
+      } else {
+        fee = this.applySpotFill(order, amount, price, liquidity);
+      }
+    } catch (err) {
+      if (reserved) {
+        order.reserved = this.reserve(order);
+      }
+      throw err;
+    }
+
+    const updates = {
+      filled: filledAmount,
+      average: price,
+      cost: filledAmount * price,
+      fee,
+      reserved: 0,
+      status: 'closed',
+    };
+    if (resting) updatePaperOrder(order.id, updates);
+    else insertPaperOrder({ ...order, ...updates });
+    logger.info(`${this.id} dolum (${liquidity}): ${order.side} ${filledAmount} ${order.symbol} @ ${price.toFixed(6)} | ücret: ${fee.toFixed(6)}`);
+  }
+
+  applySpotFill(order, amount, price, liquidity) {
+    const { base, quote } = splitSymbol(order.symbol);
+    const cost = amount * price;
+    const fee = cost * this.feeRate('spot', liquidity);
+    if (order.side === 'buy') {
+      this.requireFree(quote, cost + fee);
+      this.adjust(quote, -(cost + fee));
+      this.adjust(base, amount);
+    } else {
+      this.requireFree(base, amount);
+      this.adjust(base, -amount);
+      this.adjust(quote, cost - fee);
+    }
+    return fee;
+  }
+
+  applyFuturesFill(order, amount, price, liquidity) {
+    const { quote } = splitSymbol(order.symbol);
+    const pos = getPaperPosition(this.id, order.symbol) || { symbol: order.symbol, side: null, contracts: 0, entry_price: 0, leverage: 1, margin: 0, realized_pnl: 0 };
+    const orderDirection = order.side === 'buy' ? 'long' : 'short';
+    const opposite = pos.contracts > EPSILON && pos.side !== orderDirection;
+
+    if (order.reduce_only && !opposite) {
+      throw new ccxt.InvalidOrder(`[PAPER] Reduce-only emir reddedildi — ${order.symbol} kapatılacak pozisyon yok.`);
+    }
+
+    const closeQty = opposite ? Math.min(amount, pos.contracts) : 0;
+    const openQty = order.reduce_only ? 0 : amount - closeQty;
+    const filledAmount = closeQty + openQty;
+    const fee = filledAmount * price * this.feeRate('future', liquidity);
+    const openMargin = (openQty * price) / pos.leverage;
+
+    // Yeni açılan kısım için marjin + tüm ücret, kapanan kısmın serbest kalan marjini ve K/Z ile karşılanmalı
+    let released = 0, pnl = 0;
+    if (closeQty > 0) {
+      released = pos.margin * (closeQty / pos.contracts);
+      pnl = (price - pos.entry_price) * closeQty * (pos.side === 'long' ? 1 : -1);
+    }
+    if (openQty > 0) this.requireFree(quote, openMargin + fee - released - pnl);
+
+    if (closeQty > 0) {
+      pos.contracts -= closeQty;
+      pos.margin -= released;
+      pos.realized_pnl += pnl;
+      this.adjust(quote, released + pnl, -released);
+      if (pos.contracts <= EPSILON) {
+        pos.side = null;
+        pos.contracts = 0;
+        pos.entry_price = 0;
+        pos.margin = 0;
+      }
+    }
+
+    if (openQty > 0) {
+      pos.entry_price = pos.contracts > 0
+        ? (pos.entry_price * pos.contracts + price * openQty) / (pos.contracts + openQty)
+        : price;
+      pos.contracts += openQty;
+      pos.side = orderDirection;
+      pos.margin += openMargin;
+      this.adjust(quote, -openMargin, openMargin);
+    }
+
+    this.adjust(quote, -fee);
+    savePaperPosition(this.id, pos);
+    return { filledAmount, fee };
+  }
+
+  async cancelOrder(id, symbol = undefined) {
+    const row = getPaperOrder(this.id, id);
+    if (!row || row.status !== 'open') throw new ccxt.OrderNotFound(`[PAPER] Açık emir bulunamadı: ${id}`);
+    this.release(row);
+    updatePaperOrder(id, { status: 'canceled', reserved: 0 });
+    return this.formatOrder(getPaperOrder(this.id, id));
+  }
+
+  async fetchOrder(id, symbol = undefined) {
+    const row = getPaperOrder(this.id, id);
+    if (!row) throw new ccxt.OrderNotFound(`[PAPER] Emir bulunamadı: ${id}`);
+    return this.formatOrder(row);
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    return getPaperOrders(this.id, { status: 'open', symbol }).map(r => this.formatOrder(r));
+  }
+
+  async fetchClosedOrders(symbol = undefined, since = undefined, limit = 500) {
+    // since yoksa en son emirler döner (ccxt gibi kronolojik sırada)
+    return getPaperOrders(this.id, { status: 'closed', symbol, since, latest: !since, limit })
+      .map(r => this.formatOrder(r));
+  }
+
+  // ==================== FUTURES ====================
+
+  async setLeverage(leverage, symbol) {
+    const pos = getPaperPosition(this.id, symbol) || { symbol, side: null, contracts: 0, entry_price: 0, margin: 0, realized_pnl: 0 };
+    pos.leverage = leverage;
+    savePaperPosition(this.id, pos);
+    return { symbol, leverage };
+  }
+
+  /**
+   * Funding ödemesini cüzdana yansıt (pozitif: alınan, negatif: ödenen)
+   */
+  applyFunding(symbol, amount) {
+    const { quote } = splitSymbol(symbol);
+    this.adjust(quote, amount);
+  }
+
+  liquidationPrice(pos) {
+    const mmr = getSettingNum('paper.maintenance_margin_pct', 0.5) / 100;
+    const perUnitMargin = pos.margin / pos.contracts;
+    return pos.side === 'long'
+      ? (pos.entry_price - perUnitMargin) / (1 - mmr)
+      : (pos.entry_price + perUnitMargin) / (1 + mmr);
+  }
+
+  async fetchPositions(symbols = undefined) {
+    const result = [];
+    for (const pos of getPaperPositions(this.id)) {
+      if (pos.contracts <= EPSILON) continue;
+      if (symbols && !symbols.includes(pos.symbol)) continue;
+      const mark = this.lastPrices.get(pos.symbol)?.last || (await this.quote(pos.symbol)).last;
+      const { base, quote } = splitSymbol(pos.symbol);
+      result.push({
+        symbol: `${base}/${quote}:${quote}`,
+        side: pos.side,
+        contracts: pos.contracts,
+        contractSize: 1,
+        entryPrice: pos.entry_price,
+        markPrice: mark,
+        notional: pos.contracts * mark,
+        leverage: pos.leverage,
+        collateral: pos.margin,
+        initialMargin: pos.margin,
+        unrealizedPnl: (mark - pos.entry_price) * pos.contracts * (pos.side === 'long' ? 1 : -1),
+        realizedPnl: pos.realized_pnl,
+        liquidationPrice: this.liquidationPrice(pos),
+        marginMode: 'isolated',
+        info: { paper: true },
+      });
+    }
+    return result;
+  }
+
+  // ==================== EŞLEŞTİRME ====================
+
+  /**
+   * Yeni fiyatla bekleyen emirleri eşleştir ve likidasyonu kontrol et
+   */
+  onTicker(symbol, ticker) {
+    const last = ticker.last || ticker.close;
+    if (!last) return;
+    const q = { bid: ticker.bid || last, ask: ticker.ask || last, last };
+    this.lastPrices.set(symbol, q);
+
+    for (const order of getPaperOrders(this.id, { status: 'open', symbol })) {
+      try {
+        if (order.type === 'limit') {
+          const crossed = order.side === 'buy' ? q.ask <= order.price : q.bid >= order.price;
+          if (!crossed) continue;
+          try {
+            this.fill(order, order.amount, order.price, 'maker');
+          } catch (err) {
+            if (!order.reduce_only) throw err;
+            // Kapatılacak pozisyon kalmadı — her tikte yeniden denenmesin, tetik emirleri gibi iptal edilir
+            this.release(order);
+            updatePaperOrder(order.id, { status: 'canceled', reserved: 0 });
+            logger.warn(`${this.id} reduce-only limit emir iptal edildi (${symbol}): ${err.message}`);
+          }
+          continue;
+        }
+
+        // stop_loss: long kapatma (sell) fiyat düşünce, short kapatma (buy) fiyat yükselince tetiklenir; take_profit tersi
+        const fallsThrough = order.type === 'stop_loss' ? order.side === 'sell' : order.side === 'buy';
+        const triggered = fallsThrough ? last <= order.trigger_price : last >= order.trigger_price;
+        if (!triggered) continue;
+        try {
+          this.fill(order, order.amount, this.slippedPrice(order.side, q), 'taker');
+          logger.info(`${this.id} ${order.type} tetiklendi: ${symbol} @ ${order.trigger_price}`);
+        } catch (err) {
+          // Pozisyon zaten kapalı — borsalar gibi reduce-only emri iptal et
+          updatePaperOrder(order.id, { status: 'canceled' });
+          logger.warn(`${this.id} ${order.type} iptal edildi (${symbol}): ${err.message}`);
+        }
+      } catch (err) {
+        logger.error(`${this.id} eşleştirme hatası (${order.id}): ${err.message}`);
+      }
+    }
+
+    this.checkLiquidation(symbol, last);
+  }
+
+  checkLiquidation(symbol, price) {
+    const pos = getPaperPosition(this.id, symbol);
+    if (!pos || pos.contracts <= EPSILON) return;
+    const liqPrice = this.liquidationPrice(pos);
+    const liquidated = pos.side === 'long' ? price <= liqPrice : price >= liqPrice;
+    if (!liquidated) return;
+
+    const { quote } = splitSymbol(symbol);
+    logger.warn(`${this.id} LİKİDASYON: ${symbol} ${pos.side.toUpperCase()} ${pos.contracts} @ ${price} (liq: ${liqPrice.toFixed(4)}) — marjin kaybedildi: ${pos.margin.toFixed(4)} ${quote}`);
+
+    insertPaperOrder({
+      id: `paper_${uuidv4()}`,
+      exchange: this.id,
+      symbol,
+      market: 'future',
+      type: 'liquidation',
+      side: pos.side === 'long' ? 'sell' : 'buy',
+      amount: pos.contracts,
+      filled: pos.contracts,
+      average: price,
+      cost: pos.contracts * price,
+      reduce_only: true,
+      status: 'closed',
+    });
+    this.adjust(quote, 0, -pos.margin);
+    savePaperPosition(this.id, { ...pos, side: null, contracts: 0, entry_price: 0, margin: 0, realized_pnl: pos.realized_pnl - pos.margin });
+
+    // Pozisyonsuz kalan reduce-only emirler anlamsız
+    for (const order of getPaperOrders(this.id, { status: 'open', symbol })) {
+      if (order.reduce_only) updatePaperOrder(order.id, { status: 'canceled' });
+    }
+  }
+
+  /**
+   * Açık emri veya pozisyonu olan semboller (periyodik eşleştirme için)
+   */
+  activeSymbols() {
+    const symbols = new Set(getPaperOrders(this.id, { status: 'open' }).map(o => o.symbol));
+    for (const pos of getPaperPositions(this.id)) {
+      if (pos.contracts > EPSILON) symbols.add(pos.symbol);
+    }
+    return [...symbols];
+  }
+
+  formatOrder(row) {
+    const timestamp = new Date(`${row.created_at.replace(' ', 'T')}Z`).getTime();
+    return {
+      id: row.id,
+      clientOrderId: row.id,
+      timestamp,
+      datetime: new Date(timestamp).toISOString(),
+      symbol: row.symbol,
+      type: row.type,
+      side: row.side,
+      price: row.price ?? row.average,
+      average: row.average,
+      amount: row.amount,
+      filled: row.filled,
+      remaining: row.amount - row.filled,
+      cost: row.cost,
+      triggerPrice: row.trigger_price,
+      reduceOnly: !!row.reduce_only,
+      postOnly: !!row.post_only,
+      status: row.status,
+      fee: { cost: row.fee, currency: splitSymbol(row.symbol).quote },
+      info: { paper: true, market: row.market },
+      paper: true,
+    };
+  }
+}
+
+export default PaperExchange;
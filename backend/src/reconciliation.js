@@ -0,0 +1,417 @@
+import { createLogger, format, transports } from 'winston';
+import ccxt from 'ccxt';
+import { getSetting, getSettingNum, getGridBots, getGridBot, updateGridBot, getOpenFuturesPositions, saveFuturesPosition, closeFuturesPosition, insertRiskEvent, getOpenDCADeals, getTradedOrderIds, getFundingPositions } from './database.js';
+
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(format.timestamp(), format.printf(({ timestamp, level, message }) => `${timestamp} [RECONCILE][${level.toUpperCase()}] ${message}`)),
+  transports: [new transports.Console(), new transports.File({ filename: 'logs/reconcile.log' })],
+});
+
+const SEVERITY = {
+  orphan: 'critical',       // borsada var, yerelde yok — yönetilmeyen risk
+  ghost: 'warning',         // yerelde var, borsada yok
+  size_mismatch: 'warning', // iki tarafta da var, miktar farklı
+};
+
+const baseSymbol = (symbol) => symbol.split(':')[0];
+
+// Onarım, süren grid kontrol turunun bitmesini en fazla bu kadar bekler
+const GRID_LOCK_WAIT_MS = 30000;
+
+/**
+ * Pozisyon Mutabakat Servisi
+ * Yerel durum (futures pozisyonları, grid emirleri) ile borsadaki pozisyon, açık emir ve bakiyeleri karşılaştırır
+ */
+class ReconciliationService {
+  constructor(exchangeManager, notifier, engines = {}) {
+    this.exchangeManager = exchangeManager;
+    this.notifier = notifier;
+    this.futuresEngine = engines.futuresEngine || null;
+    this.gridTrading = engines.gridTrading || null;
+    this.dcaEngine = engines.dcaEngine || null;
+    this.lastReport = null;
+    this.reported = new Set(); // bir önceki çalıştırmada kaydedilmiş uyumsuzluklar
+    this.running = false;
+  }
+
+  /**
+   * Tüm borsalarda mutabakat çalıştır
+   */
+  async run({ autoRepair = getSetting('reconcile.auto_repair') === '1' } = {}) {
+    if (this.running) return this.lastReport;
+    this.running = true;
+    const startTime = Date.now();
+    const exchanges = {};
+    const mismatches = [];
+
+    try {
+      for (const exchangeId of this.exchangeManager.getAvailableExchanges()) {
+        // Futures API'si olmayan borsada grid emirleri ve bakiyeler yine de kontrol edilir
+        const checks = {};
+        for (const [name, check] of [['futures', () => this.checkFutures(exchangeId)], ['grid', () => this.checkGrid(exchangeId)]]) {
+          try {
+            mismatches.push(...await check());
+            checks[name] = { status: 'ok' };
+          } catch (err) {
+            logger.error(`${exchangeId} ${name} mutabakat hatası: ${err.message}`);
+            checks[name] = { status: 'error', error: err.message };
+          }
+        }
+        const failed = Object.values(checks).filter(c => c.status === 'error');
+        exchanges[exchangeId] = {
+          status: failed.length === 0 ? 'ok' : failed.length === 2 ? 'error' : 'partial',
+          ...(failed.length > 0 ? { error: failed.map(c => c.error).join(' | ') } : {}),
+          checks,
+        };
+      }
+
+      this.recordNewMismatches(mismatches);
+
+      const repaired = [];
+      if (autoRepair) {
+        for (const m of mismatches.filter(x => x.autoRepairable)) {
+          const result = await this.applyRepair(m);
+          if (result.success) repaired.push(m.id);
+        }
+      }
+
+      this.lastReport = {
+        runAt: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        autoRepair,
+        exchanges,
+        summary: {
+          total: mismatches.length,
+          orphan: mismatches.filter(m => m.kind === 'orphan').length,
+          ghost: mismatches.filter(m => m.kind === 'ghost').length,
+          size_mismatch: mismatches.filter(m => m.kind === 'size_mismatch').length,
+        },
+        mismatches,
+        repaired,
+      };
+
+      if (mismatches.length > 0) {
+        logger.warn(`Mutabakat: ${mismatches.length} uyumsuzluk (orphan: ${this.lastReport.summary.orphan}, ghost: ${this.lastReport.summary.ghost}, miktar: ${this.lastReport.summary.size_mismatch}) | Onarılan: ${repaired.length}`);
+      } else {
+        logger.info(`Mutabakat temiz (${Date.now() - startTime}ms)`);
+      }
+      return this.lastReport;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Futures pozisyonları: yerel kayıt ↔ borsa pozisyonu
+   */
+  async checkFutures(exchangeId) {
+    const result = [];
+    const tolerancePct = getSettingNum('reconcile.size_tolerance_pct', 0.5);
+
+    // Yerel: DB kayıtları, motor çalışıyorsa bellekteki güncel hali
+    const local = new Map();
+    for (const row of getOpenFuturesPositions(exchangeId)) local.set(row.data.symbol, row.data);
+    if (this.futuresEngine?.preferredExchange === exchangeId) {
+      for (const pos of this.futuresEngine.positions.values()) local.set(pos.symbol, pos);
+    }
+
+    // Vadeli motoru dışındaki stratejilerin aynı borsa pozisyonundaki payı — sembol:yön → miktar
+    const shared = new Map();
+    const addShared = (symbol, side, amount) => shared.set(`${symbol}:${side}`, (shared.get(`${symbol}:${side}`) || 0) + amount);
+    for (const pos of getFundingPositions('open')) {
+      if (pos.exchange === exchangeId && pos.perp_amount > 0) addShared(pos.symbol, pos.direction === 'short_perp' ? 'short' : 'long', pos.perp_amount);
+    }
+    if (this.gridTrading) {
+      for (const bot of [...getGridBots('active'), ...getGridBots('paused')]) {
+        if (bot.exchange !== exchangeId || bot.market !== 'futures') continue;
+        const net = this.gridTrading.netPosition(JSON.parse(bot.grid_orders || '[]'));
+        if (net !== 0) addShared(bot.symbol, net > 0 ? 'long' : 'short', Math.abs(net));
+      }
+    }
+
+    const remote = (await this.exchangeManager.getPositions(exchangeId, undefined, { throwOnError: true }))
+      .filter(p => Math.abs(p.contracts || 0) > 0);
+
+    for (const pos of local.values()) {
+      const live = remote.find(p => baseSymbol(p.symbol) === pos.symbol && p.side === pos.direction);
+      if (!live) {
+        result.push(this.mismatch(exchangeId, 'futures_position', 'ghost', pos.symbol, {
+          ref: pos.id,
+          local: { id: pos.id, direction: pos.direction, amount: pos.amount, entryPrice: pos.entryPrice },
+          remote: null,
+          message: `${pos.symbol} ${pos.direction.toUpperCase()} yerelde açık, borsada yok.`,
+          repair: 'drop_local',
+          autoRepairable: true,
+        }));
+        continue;
+      }
+      const other = shared.get(`${pos.symbol}:${pos.direction}`) || 0;
+      const liveAmount = Math.abs(live.contracts) * (live.contractSize || 1) - other;
+      if (Math.abs(liveAmount - pos.amount) > pos.amount * (tolerancePct / 100)) {
+        result.push(this.mismatch(exchangeId, 'futures_position', 'size_mismatch', pos.symbol, {
+          ref: pos.id,
+          local: { id: pos.id, direction: pos.direction, amount: pos.amount },
+          remote: { symbol: live.symbol, side: live.side, amount: liveAmount },
+          message: `${pos.symbol} miktar farkı — yerel: ${pos.amount} | borsa: ${liveAmount}${other ? ` (diğer stratejiler hariç: ${other})` : ''}`,
+          repair: 'sync_size',
+          autoRepairable: true,
+        }));
+      }
+    }
+
+    for (const live of remote) {
+      const symbol = baseSymbol(live.symbol);
+      const tracked = shared.has(`${symbol}:${live.side}`) || [...local.values()].some(p => p.symbol === symbol && p.direction === live.side);
+      if (tracked) continue;
+      result.push(this.mismatch(exchangeId, 'futures_position', 'orphan', symbol, {
+        ref: live.side,
+        local: null,
+        remote: { symbol: live.symbol, side: live.side, amount: Math.abs(live.contracts) * (live.contractSize || 1), entryPrice: live.entryPrice, unrealizedPnl: live.unrealizedPnl },
+        message: `${symbol} ${live.side?.toUpperCase()} borsada açık, hiçbir motor takip etmiyor.`,
+        repair: 'close_exchange',
+        autoRepairable: false,
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Grid botları: yerleştirilmiş emirler ↔ borsadaki açık emirler ve bakiyeler
+   */
+  async checkGrid(exchangeId) {
+    const result = [];
+    const bots = [...getGridBots('active'), ...getGridBots('paused')].filter(b => b.exchange === exchangeId);
+    if (bots.length === 0) return result;
+
+    const strategyIds = this.strategyOrderIds(exchangeId);
+
+    const required = {}; // coin -> yerel durumun borsada kilitli olmasını beklediği miktar
+    // Spot ve futures grid emirleri ayrı piyasalardan okunur
+    const bySymbol = new Map();
+    for (const bot of bots) {
+      const key = `${bot.symbol}|${bot.market || 'spot'}`;
+      if (!bySymbol.has(key)) bySymbol.set(key, []);
+      bySymbol.get(key).push(bot);
+    }
+
+    for (const [key, symbolBots] of bySymbol) {
+      const [symbol, market] = key.split('|');
+      const params = market === 'futures' ? { type: 'future' } : {};
+      const openOrders = await this.exchangeManager.getOpenOrders(exchangeId, symbol, { throwOnError: true, params });
+      const openIds = new Set(openOrders.map(o => o.id));
+      const knownIds = new Set();
+      const [base, quote] = symbol.split('/');
+
+      for (const bot of symbolBots) {
+        const gridOrders = typeof bot.grid_orders === 'string' ? JSON.parse(bot.grid_orders) : bot.grid_orders;
+        for (const level of gridOrders) {
+          if (level.orderId) knownIds.add(level.orderId);
+          if (level.status !== 'buy_placed' && level.status !== 'sell_placed') continue;
+
+          // Futures emirleri marjin kullanır — coin bakiyesi beklenmez
+          if (market !== 'futures') {
+            if (level.status === 'sell_placed') required[base] = (required[base] || 0) + (level.holding ?? level.amount);
+            else required[quote] = (required[quote] || 0) + level.amount * level.buyPrice;
+          }
+
+          if (level.orderId && !openIds.has(level.orderId)) {
+            result.push(this.mismatch(exchangeId, 'grid_order', 'ghost', symbol, {
+              ref: level.orderId,
+              local: { botId: bot.id, levelId: level.id, status: level.status, orderId: level.orderId, price: level.status === 'buy_placed' ? level.buyPrice : level.sellPrice, amount: level.amount },
+              remote: null,
+              message: `Grid ${bot.id.slice(0, 8)} seviye ${level.level}: ${level.status} emri borsada açık değil (dolmuş veya iptal edilmiş).`,
+              repair: 'replace_order',
+              autoRepairable: false,
+            }));
+          }
+        }
+      }
+
+      // Aynı semboldeki DCA, arbitraj ve funding emirleri işlem kayıtlarından tanınır
+      const untracked = openOrders.filter(o => !knownIds.has(o.id) && !strategyIds.has(o.id));
+      const traded = new Set(getTradedOrderIds(exchangeId, untracked.map(o => o.id)));
+
+      for (const order of untracked) {
+        if (traded.has(order.id)) continue;
+        result.push(this.mismatch(exchangeId, 'grid_order', 'orphan', symbol, {
+          ref: order.id,
+          local: null,
+          remote: { orderId: order.id, side: order.side, price: order.price, amount: order.amount, remaining: order.remaining, market },
+          message: `${symbol} borsada ${order.side} emri (${order.id}) var, hiçbir grid seviyesine bağlı değil.`,
+          repair: 'cancel_order',
+          autoRepairable: false,
+        }));
+      }
+    }
+
+    // Bakiye: açık grid emirlerinin gerektirdiği coin borsada var mı
+    const balance = await this.exchangeManager.getBalance(exchangeId);
+    const tolerancePct = getSettingNum('reconcile.size_tolerance_pct', 0.5);
+    for (const [coin, amount] of Object.entries(required)) {
+      const held = balance.total?.[coin] || 0;
+      if (held < amount * (1 - tolerancePct / 100)) {
+        result.push(this.mismatch(exchangeId, 'balance', 'size_mismatch', coin, {
+          ref: coin,
+          local: { required: amount },
+          remote: { total: held },
+          message: `${coin} bakiyesi grid emirleri için yetersiz — gereken: ${amount.toFixed(6)} | borsada: ${held.toFixed(6)}`,
+          repair: null,
+          autoRepairable: false,
+        }));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Grid dışındaki motorların borsada bekleyen emirleri — futures SL/TP, DCA güvenlik ve limit alım emirleri
+   */
+  strategyOrderIds(exchangeId) {
+    const ids = new Set();
+    if (this.futuresEngine?.preferredExchange === exchangeId) {
+      for (const pos of this.futuresEngine.positions.values()) {
+        if (pos.slOrderId) ids.add(pos.slOrderId);
+        if (pos.tpOrderId) ids.add(pos.tpOrderId);
+      }
+    }
+    for (const deal of getOpenDCADeals(exchangeId)) {
+      for (const so of JSON.parse(deal.safety_orders || '[]')) {
+        if (so.orderId) ids.add(so.orderId);
+      }
+    }
+    for (const id of this.dcaEngine?.liveOrders || []) ids.add(id);
+    return ids;
+  }
+
+  mismatch(exchange, scope, kind, symbol, details) {
+    return {
+      id: `${exchange}:${scope}:${kind}:${symbol}:${details.ref}`,
+      exchange,
+      scope,
+      kind,
+      symbol,
+      severity: SEVERITY[kind],
+      ...details,
+    };
+  }
+
+  /**
+   * Yeni uyumsuzlukları risk olayı olarak kaydet (her çalıştırmada tekrar yazma)
+   */
+  recordNewMismatches(mismatches) {
+    const current = new Set(mismatches.map(m => m.id));
+    const fresh = mismatches.filter(m => !this.reported.has(m.id));
+    this.reported = current;
+
+    for (const m of fresh) {
+      insertRiskEvent({
+        type: `reconcile_${m.kind}`,
+        message: `[${m.exchange}] ${m.message}`,
+        severity: m.severity,
+      });
+    }
+
+    const critical = fresh.filter(m => m.severity === 'critical');
+    if (critical.length > 0 && this.notifier) {
+      this.notifier.notifyRiskAlert(`🔍 MUTABAKAT UYUMSUZLUĞU\n${critical.map(m => `• [${m.exchange}] ${m.message}`).join('\n')}`)
+        .catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+  }
+
+  /**
+   * Son rapordaki bir uyumsuzluğu onar
+   */
+  async repair(mismatchId) {
+    const m = this.lastReport?.mismatches.find(x => x.id === mismatchId);
+    if (!m) throw new Error('Uyumsuzluk bulunamadı — önce mutabakatı yenileyin.');
+    if (!m.repair) throw new Error('Bu uyumsuzluk için otomatik onarım yok.');
+    return this.applyRepair(m);
+  }
+
+  async applyRepair(m) {
+    try {
+      switch (m.repair) {
+        case 'drop_local': {
+          const dropped = this.futuresEngine?.preferredExchange === m.exchange && await this.futuresEngine.dropPosition(m.symbol, 'MUTABAKAT — BORSADA YOK');
+          if (!dropped) closeFuturesPosition(m.local.id, { reason: 'MUTABAKAT — BORSADA YOK' });
+          break;
+        }
+        case 'sync_size': {
+          const synced = this.futuresEngine?.preferredExchange === m.exchange && await this.futuresEngine.syncPositionAmount(m.symbol, m.remote.amount);
+          if (!synced) {
+            // Motor kapalı — yalnızca kayıt güncellenir, koruma emirleri motor başlarken yenilenir
+            const row = getOpenFuturesPositions(m.exchange).find(r => r.id === m.local.id);
+            if (!row) throw new Error('Pozisyon kaydı bulunamadı.');
+            saveFuturesPosition(m.exchange, { ...row.data, amount: m.remote.amount });
+          }
+          break;
+        }
+        case 'close_exchange': {
+          const side = m.remote.side === 'long' ? 'sell' : 'buy';
+          await this.exchangeManager.createOrder(m.exchange, m.remote.symbol, 'market', side, m.remote.amount, undefined, { type: 'future', reduceOnly: true });
+          break;
+        }
+        case 'cancel_order':
+          await this.exchangeManager.cancelOrder(m.exchange, m.remote.orderId, m.symbol, m.remote.market === 'futures' ? { type: 'future' } : {});
+          break;
+        case 'replace_order':
+          await this.replaceGridOrder(m);
+          break;
+        default:
+          throw new Error(`Bilinmeyen onarım: ${m.repair}`);
+      }
+
+      m.repaired = true;
+      insertRiskEvent({ type: 'reconcile_repair', message: `[${m.exchange}] ${m.repair}: ${m.message}`, severity: 'info' });
+      logger.info(`Onarıldı (${m.repair}): ${m.message}`);
+      return { success: true, id: m.id, action: m.repair };
+    } catch (err) {
+      logger.error(`Onarım hatası (${m.repair} — ${m.id}): ${err.message}`);
+      return { success: false, id: m.id, action: m.repair, error: err.message };
+    }
+  }
+
+  /**
+   * Kaybolan grid emrini yeniden koy — grid kontrol turuyla aynı bot kilidi altında, bot kilit içinde yeniden okunur
+   */
+  async replaceGridOrder(m) {
+    if (!this.gridTrading) throw new Error('Grid motoru bağlı değil.');
+    if (!await this.gridTrading.lockBot(m.local.botId, GRID_LOCK_WAIT_MS)) throw new Error('Grid bot şu an işleniyor — birkaç saniye sonra tekrar deneyin.');
+    try {
+      const bot = getGridBot(m.local.botId);
+      if (!bot) throw new Error('Grid bot bulunamadı.');
+      const gridOrders = JSON.parse(bot.grid_orders);
+      const level = gridOrders.find(l => l.id === m.local.levelId);
+      if (!level || level.orderId !== m.local.orderId) throw new Error('Grid seviyesi değişmiş — mutabakatı yenileyin.');
+
+      // Açık listede olmaması dolduğu anlamına da gelebilir — yalnızca iptal/red edilmiş veya kaybolmuş emir yenilenir
+      let remote = null;
+      try {
+        remote = await this.exchangeManager.fetchOrder(bot.exchange, level.orderId, bot.symbol, this.gridTrading.marketParams(bot));
+      } catch (err) {
+        if (!(err instanceof ccxt.OrderNotFound)) throw err;
+      }
+      if (remote && !(['canceled', 'cancelled', 'rejected', 'expired'].includes(remote.status) && !(remote.filled > 0))) {
+        throw new Error(`Emir borsada ${remote.status}${remote.filled > 0 ? ` (dolan: ${remote.filled})` : ''} — grid motoru bir sonraki kontrolde işler.`);
+      }
+
+      const { side, price, amount, params } = this.gridTrading.levelOrderSpec(bot, level);
+      const placed = await this.exchangeManager.createOrder(bot.exchange, bot.symbol, 'limit', side, amount, price, params);
+      level.orderId = placed.id;
+      level.filled = 0;
+      level.placedAt = Date.now();
+      updateGridBot(bot.id, { grid_orders: JSON.stringify(gridOrders) });
+    } finally {
+      this.gridTrading.unlockBot(m.local.botId);
+    }
+  }
+
+  getReport() {
+    return this.lastReport;
+  }
+}
+
+export default ReconciliationService;
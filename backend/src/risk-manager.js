@@ -8,6 +8,36 @@ const logger = createLogger({
   transports: [new transports.Console(), new transports.File({ filename: 'logs/risk.log' })],
 });
 
+/**
+ * İşlem limitleri — canlı RiskManager ve backtest aynı kuralları kullanır
+ * Reddedilirse { reason, lock } döner; lock: günlük kayıp limiti aşıldı (bot kilitlenmeli)
+ */
+export function checkTradeLimits(tradeConfig, { locked, dailyPnL, exposureMargin = 0, settingNum }) {
+  if (locked) return { reason: 'bot kilitli' };
+
+  // Günlük kayıp limiti
+  const balance = tradeConfig.balance || settingNum('bot.initial_balance', 100);
+  const maxDailyLoss = balance * (settingNum('risk.max_daily_loss_pct', 10) / 100);
+  if (dailyPnL < -maxDailyLoss) {
+    return { reason: `Günlük kayıp limiti aşıldı: $${dailyPnL.toFixed(2)} < -$${maxDailyLoss.toFixed(2)}`, lock: true };
+  }
+
+  // Pozisyon büyüklüğü kontrolü — diğer stratejilerin bildirdiği marjin de kullanımda sayılır
+  if (tradeConfig.margin && tradeConfig.balance) {
+    const maxMargin = tradeConfig.balance * (settingNum('risk.max_margin_usage_pct', 50) / 100);
+    const margin = tradeConfig.margin + exposureMargin;
+    if (margin > maxMargin) return { reason: `Margin çok yüksek: $${margin.toFixed(2)} > $${maxMargin.toFixed(2)}` };
+  }
+
+  // Risk:Reward kontrolü
+  if (tradeConfig.rrRatio) {
+    const minRR = settingNum('risk.min_rr_ratio', 2.5);
+    if (tradeConfig.rrRatio < minRR) return { reason: `R:R çok düşük: ${tradeConfig.rrRatio} < ${minRR}` };
+  }
+
+  return null;
+}
+
 class RiskManager {
   constructor() {
     this.dailyPnL = 0;
@@ -16,6 +46,7 @@ class RiskManager {
     this.maxDrawdown = 0;
     this.peakBalance = 100;
     this.currentDay = new Date().toDateString();
+    this.exposures = new Map(); // "grid:<id>" → açık pozisyon büyüklüğü/marjini (stratejiler bildirir)
   }
 
   /**
@@ -46,41 +77,17 @@ class RiskManager {
   canTrade(tradeConfig = {}) {
     this.checkDayReset();
 
-    // Bot kilitli mi?
-    if (getSetting('bot.locked') === '1') {
-      logger.warn('İşlem reddedildi — bot kilitli.');
-      return false;
-    }
-
-    // Günlük kayıp limiti
-    const balance = tradeConfig.balance || getSettingNum('bot.initial_balance', 100);
-    const maxDailyLossPct = getSettingNum('risk.max_daily_loss_pct', 10) / 100;
-    const maxDailyLoss = balance * maxDailyLossPct;
-
-    if (this.dailyPnL < -maxDailyLoss) {
-      logger.warn(`Günlük kayıp limiti aşıldı: $${this.dailyPnL.toFixed(2)} < -$${maxDailyLoss.toFixed(2)}`);
-      this.lockBot('Günlük kayıp limiti aşıldı');
+    const result = checkTradeLimits(tradeConfig, {
+      locked: getSetting('bot.locked') === '1',
+      dailyPnL: this.dailyPnL,
+      exposureMargin: this.getExposure().margin,
+      settingNum: getSettingNum,
+    });
+    if (result) {
+      logger.warn(`İşlem reddedildi — ${result.reason}`);
+      if (result.lock) this.lockBot('Günlük kayıp limiti aşıldı');
       return false;
     }
-
-    // Pozisyon büyüklüğü kontrolü
-    if (tradeConfig.margin && tradeConfig.balance) {
-      const maxMarginPct = getSettingNum('risk.max_margin_usage_pct', 50) / 100;
-      if (tradeConfig.margin > tradeConfig.balance * maxMarginPct) {
-        logger.warn(`Margin çok yüksek: $${tradeConfig.margin.toFixed(2)} > $${(tradeConfig.balance * maxMarginPct).toFixed(2)}`);
-        return false;
-      }
-    }
-
-    // Risk:Reward kontrolü
-    if (tradeConfig.rrRatio) {
-      const minRR = getSettingNum('risk.min_rr_ratio', 2.5);
-      if (tradeConfig.rrRatio < minRR) {
-        logger.warn(`R:R çok düşük: ${tradeConfig.rrRatio} < ${minRR}`);
-        return false;
-      }
-    }
-
     return true;
   }
 
@@ -111,6 +118,30 @@ class RiskManager {
     logger.info(`P&L kaydedildi: ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} | Günlük: ${this.dailyPnL >= 0 ? '+' : ''}$${this.dailyPnL.toFixed(2)} | İşlem: ${this.dailyTradeCount}`);
   }
 
+  /**
+   * Strateji pozisyon riskini bildirir — { symbol, side, size, notional, margin, liquidationPrice }
+   */
+  setExposure(key, exposure) {
+    if (!exposure || !exposure.notional) {
+      this.exposures.delete(key);
+      return;
+    }
+    this.exposures.set(key, { ...exposure, updatedAt: Date.now() });
+  }
+
+  clearExposure(key) {
+    this.exposures.delete(key);
+  }
+
+  getExposure() {
+    const items = [...this.exposures.entries()].map(([key, e]) => ({ key, ...e }));
+    return {
+      notional: items.reduce((sum, e) => sum + e.notional, 0),
+      margin: items.reduce((sum, e) => sum + (e.margin || 0), 0),
+      items,
+    };
+  }
+
   /**
    * Bot kilitle
    */
@@ -191,6 +222,7 @@ class RiskManager {
       totalPnl: stats.totalPnl,
       todayPnl: stats.todayPnl,
       kellySize: this.kellyOptimalSize(getSettingNum('bot.initial_balance', 100)),
+      exposure: this.getExposure(),
       limits: {
         maxDailyLossPct: getSettingNum('risk.max_daily_loss_pct', 10),
         maxPositionRiskPct: getSettingNum('risk.max_position_risk_pct', 3),
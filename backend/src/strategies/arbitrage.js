@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import { createLogger, format, transports } from 'winston';
-import { getSetting, getSettingNum, setSetting, insertArbitrageHistory, getArbitrageHistory, getArbitrageStats } from '../database.js';
+import { getSetting, getSettingNum, setSetting, insertArbitrageHistory, insertArbitrageLeg, getArbitrageLegs, getArbitrageHistory, getArbitrageStats, insertRiskEvent } from '../database.js';
+import { fillDetails } from '../exchanges.js';
 
 const logger = createLogger({
   level: 'info',
@@ -8,13 +9,209 @@ const logger = createLogger({
   transports: [new transports.Console(), new transports.File({ filename: 'logs/arbitrage.log' })],
 });
 
+// Bacaklar arası bu orandan küçük miktar farkı açık pozisyon sayılmaz (yuvarlama)
+const LEG_TOLERANCE = 0.001;
+// Üçgen döngüde alış miktarı hesaplanırken fiyat sapması payı
+const TRIANGULAR_PRICE_BUFFER = 0.001;
+
+/**
+ * Borsa emrinden dolan miktar (ccxt filled yoksa kapalı emir tam dolmuş sayılır)
+ */
+export function filledAmount(order, requested) {
+  if (!order) return 0;
+  if (typeof order.filled === 'number') return order.filled;
+  return order.status === 'closed' ? requested : 0;
+}
+
+/**
+ * Emir ücretinin quote karşılığı — base coin ile kesilen ücret dolum fiyatıyla çevrilir
+ */
+export function legFee(order, symbol, price) {
+  if (!order) return 0;
+  const [base, quote] = symbol.split(':')[0].split('/');
+  const fill = fillDetails(order, price, base, quote);
+  return fill.feeQuote + fill.feeBase * (fill.price || 0);
+}
+
+/**
+ * Emir defterinde verilen miktar kadar ilerle — hacim ağırlıklı ortalama fiyat
+ * levels: [[fiyat, miktar], ...] (alış için asks, satış için bids)
+ */
+export function walkBook(levels, amount) {
+  let remaining = amount;
+  let cost = 0;
+  let worstPrice = null;
+  for (const [price, qty] of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(qty, remaining);
+    cost += take * price;
+    remaining -= take;
+    worstPrice = price;
+  }
+  const filled = amount - Math.max(remaining, 0);
+  return { filled, cost, avgPrice: filled > 0 ? cost / filled : 0, worstPrice };
+}
+
+/**
+ * İki bacaklı arbitraj için kârı maksimize eden miktar
+ * Marjinal kâr (bid·(1-satışFee) - ask·(1+alışFee)) defterde ilerledikçe azalır;
+ * pozitif olduğu sürece miktar büyütülür, üst sınır maxCostUSD.
+ */
+export function optimizeArbitrageSize(asks, bids, buyFeeRate, sellFeeRate, maxCostUSD) {
+  let i = 0, j = 0;
+  let askLeft = asks[0]?.[1] || 0;
+  let bidLeft = bids[0]?.[1] || 0;
+  let maxAmount = 0;
+  let amount = 0;
+  let buyCost = 0;
+
+  while (i < asks.length && j < bids.length) {
+    const ask = asks[i][0];
+    const bid = bids[j][0];
+    if (bid * (1 - sellFeeRate) - ask * (1 + buyFeeRate) <= 0) break;
+
+    const qty = Math.min(askLeft, bidLeft);
+    maxAmount += qty;
+
+    // Bütçe sınırı — bu seviyeden sığdığı kadar al
+    if (buyCost < maxCostUSD) {
+      const affordable = Math.min(qty, (maxCostUSD - buyCost) / (ask * (1 + buyFeeRate)));
+      amount += affordable;
+      buyCost += affordable * ask * (1 + buyFeeRate);
+    }
+
+    askLeft -= qty;
+    bidLeft -= qty;
+    if (askLeft <= 0) { i++; askLeft = asks[i]?.[1] || 0; }
+    if (bidLeft <= 0) { j++; bidLeft = bids[j]?.[1] || 0; }
+  }
+
+  if (amount <= 0) return null;
+
+  const buy = walkBook(asks, amount);
+  const sell = walkBook(bids, amount);
+  const maxBuy = walkBook(asks, maxAmount);
+  const buyFee = buy.cost * buyFeeRate;
+  const sellFee = sell.cost * sellFeeRate;
+  const bestAsk = asks[0][0];
+  const bestBid = bids[0][0];
+
+  return {
+    amount,
+    buyPrice: buy.avgPrice,
+    sellPrice: sell.avgPrice,
+    buyCost: buy.cost,
+    sellProceeds: sell.cost,
+    fees: buyFee + sellFee,
+    netProfit: sell.cost - buy.cost - buyFee - sellFee,
+    depthSpreadPct: ((sell.avgPrice - buy.avgPrice) / buy.avgPrice) * 100,
+    slippagePct: ((buy.avgPrice - bestAsk) / bestAsk + (bestBid - sell.avgPrice) / bestBid) * 100,
+    maxAmount,
+    maxSizeUSD: maxBuy.cost,
+  };
+}
+
+/**
+ * Karşı para (quote) bütçesiyle asks üzerinde alış — alınan baz miktar
+ */
+export function walkBookByQuote(levels, quoteAmount) {
+  let remaining = quoteAmount;
+  let filled = 0;
+  let cost = 0;
+  for (const [price, qty] of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(qty, remaining / price);
+    filled += take;
+    cost += take * price;
+    remaining -= take * price;
+  }
+  return { filled, cost, avgPrice: filled > 0 ? cost / filled : 0 };
+}
+
+/**
+ * Borsanın spot marketlerinden base → X → Y → base döngüleri
+ * Her adım: { symbol, side, from, to } — side 'buy' ise from karşı para, 'sell' ise from baz para
+ */
+export function findTriangularCycles(markets, base, coins) {
+  const universe = new Set([base, ...coins]);
+  const conversions = new Map();
+  for (const m of Object.values(markets)) {
+    if (!m.spot || m.active === false) continue;
+    if (!universe.has(m.base) || !universe.has(m.quote)) continue;
+    conversions.set(`${m.quote}>${m.base}`, { symbol: m.symbol, side: 'buy' });
+    conversions.set(`${m.base}>${m.quote}`, { symbol: m.symbol, side: 'sell' });
+  }
+
+  const cycles = [];
+  for (const x of coins) {
+    for (const y of coins) {
+      if (x === y) continue;
+      const steps = [[base, x], [x, y], [y, base]].map(([from, to]) => {
+        const conv = conversions.get(`${from}>${to}`);
+        return conv ? { ...conv, from, to } : null;
+      });
+      if (steps.every(Boolean)) cycles.push(steps);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Döngüyü emir defterleri üzerinde yürüt — her adımda taker fee alınan paradan düşülür
+ * Derinlik yetmezse null
+ */
+export function evaluateCycle(steps, books, fees, startAmount) {
+  let amount = startAmount;
+  let topAmount = startAmount;
+  let slippage = 0;
+  const detail = [];
+
+  for (const step of steps) {
+    const book = books.get(step.symbol);
+    const fee = fees.get(step.symbol) ?? 0.001;
+    if (!book?.asks?.length || !book?.bids?.length) return null;
+
+    let result, best, out;
+    if (step.side === 'buy') {
+      result = walkBookByQuote(book.asks, amount);
+      if (result.cost < amount * (1 - 1e-9)) return null;
+      best = book.asks[0][0];
+      out = result.filled * (1 - fee);
+      topAmount = (topAmount / best) * (1 - fee);
+      slippage += (result.avgPrice - best) / best;
+    } else {
+      result = walkBook(book.bids, amount);
+      if (result.filled < amount * (1 - 1e-9)) return null;
+      best = book.bids[0][0];
+      out = result.cost * (1 - fee);
+      topAmount = topAmount * best * (1 - fee);
+      slippage += (best - result.avgPrice) / best;
+    }
+
+    detail.push({ ...step, amountIn: amount, amountOut: out, avgPrice: result.avgPrice, fee });
+    amount = out;
+  }
+
+  return {
+    steps: detail,
+    startAmount,
+    finalAmount: amount,
+    profit: amount - startAmount,
+    returnPct: ((amount - startAmount) / startAmount) * 100,
+    topReturnPct: ((topAmount - startAmount) / startAmount) * 100,
+    slippagePct: slippage * 100,
+  };
+}
+
 class ArbitrageEngine {
-  constructor(exchangeManager, notifier) {
+  constructor(exchangeManager, notifier, inventory = null) {
     this.exchangeManager = exchangeManager;
     this.notifier = notifier;
+    this.inventory = inventory;
     this.opportunities = [];
     this.autoExecute = false;
     this.scanTimer = null;
+    this.cycleCache = new Map(); // exchangeId -> { key, cycles }
   }
 
   getCoins() {
@@ -51,29 +248,50 @@ class ArbitrageEngine {
             const spread = ((sellPrice - buyPrice) / buyPrice) * 100;
 
             if (spread >= minSpread) {
+              // Tepe fiyatlar ön eleme — gerçek kârlılık emir defteri derinliğiyle
+              const sizing = await this.evaluateDepth(symbol, buyExchange, sellExchange);
+              if (!sizing) {
+                logger.info(`${symbol} ${buyExchange}→${sellExchange} spread ${spread.toFixed(4)}% derinlik/fee sonrası kârsız — atlandı.`);
+                continue;
+              }
+
               const opp = {
                 id: uuidv4(),
+                type: 'cross',
                 symbol,
                 buyExchange,
                 sellExchange,
-                buyPrice,
-                sellPrice,
+                buyPrice: sizing.buyPrice,
+                sellPrice: sizing.sellPrice,
                 spread: spread.toFixed(4),
+                depthSpread: sizing.depthSpreadPct.toFixed(4),
+                amount: sizing.amount,
+                sizeUSD: sizing.buyCost,
+                expectedProfit: sizing.netProfit,
+                slippagePct: sizing.slippagePct,
+                maxAmount: sizing.maxAmount,
+                maxSizeUSD: sizing.maxSizeUSD,
                 timestamp: Date.now(),
               };
               newOpportunities.push(opp);
 
-              logger.info(`💱 Arbitraj fırsatı: ${symbol} | Al: ${buyExchange} @ $${buyPrice.toFixed(2)} → Sat: ${sellExchange} @ $${sellPrice.toFixed(2)} | Spread: ${spread.toFixed(4)}%`);
+              logger.info(`💱 Arbitraj fırsatı: ${symbol} | Al: ${buyExchange} @ $${sizing.buyPrice.toFixed(2)} → Sat: ${sellExchange} @ $${sizing.sellPrice.toFixed(2)} | Spread: ${spread.toFixed(4)}% (derinlik: ${sizing.depthSpreadPct.toFixed(4)}%) | $${sizing.buyCost.toFixed(2)} → net $${sizing.netProfit.toFixed(4)}`);
 
               // DB'ye kaydet
               insertArbitrageHistory({
                 symbol,
                 buy_exchange: buyExchange,
                 sell_exchange: sellExchange,
-                buy_price: buyPrice,
-                sell_price: sellPrice,
+                buy_price: sizing.buyPrice,
+                sell_price: sizing.sellPrice,
                 spread_pct: spread,
+                amount: sizing.amount,
                 status: 'detected',
+                depth_spread_pct: sizing.depthSpreadPct,
+                expected_slippage_pct: sizing.slippagePct,
+                expected_profit: sizing.netProfit,
+                max_amount: sizing.maxAmount,
+                max_size_usd: sizing.maxSizeUSD,
               });
 
               // Otomatik işlem
@@ -88,75 +306,231 @@ class ArbitrageEngine {
       }
     }
 
+    if (getSetting('arbitrage.triangular_enabled') === '1') {
+      newOpportunities.push(...await this.scanTriangular());
+    }
+
     this.opportunities = newOpportunities;
     return newOpportunities;
   }
 
+  // ==================== ÜÇGEN ARBİTRAJ ====================
+
+  getTriangularConfig() {
+    const list = (key, def) => (getSetting(key) || def).split(',').map(s => s.trim()).filter(Boolean);
+    return {
+      base: (getSetting('arbitrage.triangular_base') || 'USDT').trim(),
+      coins: list('arbitrage.triangular_coins', 'BTC,ETH,BNB,SOL,XRP'),
+      exchanges: list('arbitrage.triangular_exchanges', 'binance'),
+      minProfitPct: getSettingNum('arbitrage.triangular_min_profit_pct', 0.1),
+      startAmount: getSettingNum('arbitrage.max_trade_usd', 50),
+    };
+  }
+
+  getCycles(exchangeId, base, coins) {
+    const key = `${base}:${coins.join(',')}`;
+    const cached = this.cycleCache.get(exchangeId);
+    if (cached?.key === key) return cached.cycles;
+    const markets = this.exchangeManager.getExchange(exchangeId)?.markets || {};
+    const cycles = findTriangularCycles(markets, base, coins);
+    this.cycleCache.set(exchangeId, { key, cycles });
+    logger.info(`${exchangeId} üçgen döngüleri: ${cycles.length} (${base} + ${coins.join(',')})`);
+    return cycles;
+  }
+
+  /**
+   * Döngülerdeki marketlerin emir defteri ve fee'leri (tarama başına bir kez)
+   */
+  async loadCycleMarkets(exchangeId, cycles) {
+    const depth = getSettingNum('arbitrage.orderbook_depth', 20);
+    const symbols = [...new Set(cycles.flat().map(s => s.symbol))];
+    const books = new Map();
+    const fees = new Map();
+    for (const symbol of symbols) {
+      try {
+        const [book, fee] = await Promise.all([
+          this.exchangeManager.getOrderBook(exchangeId, symbol, depth),
+          this.exchangeManager.getTradingFee(exchangeId, symbol),
+        ]);
+        books.set(symbol, book);
+        fees.set(symbol, fee.taker ?? 0.001);
+      } catch (err) {
+        logger.warn(`${exchangeId} ${symbol} emir defteri alınamadı: ${err.message}`);
+      }
+    }
+    return { books, fees };
+  }
+
+  /**
+   * Tek borsa içi base → X → Y → base döngülerini tara
+   */
+  async scanTriangular() {
+    const config = this.getTriangularConfig();
+    const opportunities = [];
+
+    for (const exchangeId of config.exchanges) {
+      try {
+        const cycles = this.getCycles(exchangeId, config.base, config.coins);
+        if (cycles.length === 0) continue;
+        const { books, fees } = await this.loadCycleMarkets(exchangeId, cycles);
+
+        for (const steps of cycles) {
+          const result = evaluateCycle(steps, books, fees, config.startAmount);
+          if (!result || result.returnPct < config.minProfitPct) continue;
+
+          const opp = this.buildTriangularOpportunity(exchangeId, result);
+          opportunities.push(opp);
+          logger.info(`🔺 Üçgen arbitraj: ${exchangeId} ${opp.symbol} | Getiri: ${result.returnPct.toFixed(4)}% | Net: $${result.profit.toFixed(4)}`);
+
+          insertArbitrageHistory({
+            symbol: opp.symbol,
+            buy_exchange: exchangeId,
+            sell_exchange: exchangeId,
+            buy_price: result.steps[0].avgPrice,
+            sell_price: result.steps[result.steps.length - 1].avgPrice,
+            spread_pct: result.topReturnPct,
+            amount: result.startAmount,
+            status: 'detected',
+            depth_spread_pct: result.returnPct,
+            expected_slippage_pct: result.slippagePct,
+            expected_profit: result.profit,
+            type: 'triangular',
+            route: result.steps,
+          });
+
+          if (this.autoExecute && getSetting('arbitrage.triangular_execute') === '1') {
+            await this.execute(opp);
+          }
+        }
+      } catch (err) {
+        logger.error(`Üçgen arbitraj tarama hatası (${exchangeId}): ${err.message}`);
+      }
+    }
+
+    return opportunities;
+  }
+
+  buildTriangularOpportunity(exchangeId, result) {
+    const route = [result.steps[0].from, ...result.steps.map(s => s.to)].join('→');
+    return {
+      id: uuidv4(),
+      type: 'triangular',
+      symbol: route,
+      buyExchange: exchangeId,
+      sellExchange: exchangeId,
+      buyPrice: result.steps[0].avgPrice,
+      sellPrice: result.steps[result.steps.length - 1].avgPrice,
+      spread: result.topReturnPct.toFixed(4),
+      depthSpread: result.returnPct.toFixed(4),
+      amount: result.startAmount,
+      sizeUSD: result.startAmount,
+      expectedProfit: result.profit,
+      slippagePct: result.slippagePct,
+      maxSizeUSD: result.startAmount,
+      steps: result.steps.map(({ symbol, side, from, to, avgPrice, amountIn, amountOut }) => ({ symbol, side, from, to, avgPrice, amountIn, amountOut })),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Her iki bacağın emir defteri + fee ile optimum miktar ve kâr
+   * Kârsızsa veya minimum işlem büyüklüğünün altındaysa null
+   */
+  async evaluateDepth(symbol, buyExchange, sellExchange) {
+    const depth = getSettingNum('arbitrage.orderbook_depth', 20);
+    const [buyBook, sellBook, buyFee, sellFee] = await Promise.all([
+      this.exchangeManager.getOrderBook(buyExchange, symbol, depth),
+      this.exchangeManager.getOrderBook(sellExchange, symbol, depth),
+      this.exchangeManager.getTradingFee(buyExchange, symbol),
+      this.exchangeManager.getTradingFee(sellExchange, symbol),
+    ]);
+    if (!buyBook.asks?.length || !sellBook.bids?.length) return null;
+
+    const sizing = optimizeArbitrageSize(
+      buyBook.asks, sellBook.bids, buyFee.taker ?? 0.001, sellFee.taker ?? 0.001, getSettingNum('arbitrage.max_trade_usd', 50)
+    );
+    if (!sizing || sizing.netProfit <= 0) return null;
+    if (sizing.buyCost < getSettingNum('arbitrage.min_trade_usd', 10)) return null;
+    return sizing;
+  }
+
   /**
    * Arbitraj işlemi yürüt
    */
   async execute(opportunity) {
+    if (opportunity.type === 'triangular') return this.executeTriangular(opportunity);
     const { symbol, buyExchange, sellExchange, buyPrice, sellPrice } = opportunity;
     const startTime = Date.now();
 
     try {
-      // Slippage kontrolü: fiyatı tekrar çek
-      const [buyTicker, sellTicker] = await Promise.all([
-        this.exchangeManager.getTicker(buyExchange, symbol),
-        this.exchangeManager.getTicker(sellExchange, symbol),
-      ]);
-
-      const currentBuyPrice = buyTicker.ask;
-      const currentSellPrice = sellTicker.bid;
-      const currentSpread = ((currentSellPrice - currentBuyPrice) / currentBuyPrice) * 100;
-      const minSpread = getSettingNum('arbitrage.min_spread_pct', 0.15);
-
-      if (currentSpread < minSpread) {
-        logger.warn(`Arbitraj iptal — spread azaldı: ${currentSpread.toFixed(4)}% < ${minSpread}%`);
-        return { success: false, reason: 'Spread yetersiz' };
+      // Slippage kontrolü: emir defterini tekrar çek ve miktarı yeniden hesapla
+      const sizing = await this.evaluateDepth(symbol, buyExchange, sellExchange);
+      if (!sizing) {
+        logger.warn(`Arbitraj iptal — güncel derinlikte fee sonrası kârlı miktar yok: ${symbol} ${buyExchange}→${sellExchange}`);
+        return { success: false, reason: 'Derinlik/fee sonrası kâr yok' };
       }
 
-      // İşlem miktarı ($10 sabit)
-      const tradeAmount = 10;
-      const amount = tradeAmount / currentBuyPrice;
-
-      // Fee hesapla
-      const [buyFee, sellFee] = await Promise.all([
-        this.exchangeManager.getTradingFee(buyExchange, symbol),
-        this.exchangeManager.getTradingFee(sellExchange, symbol),
-      ]);
-
-      const totalFee = (buyFee.taker + sellFee.taker) * tradeAmount;
-      const grossProfit = (currentSellPrice - currentBuyPrice) * amount;
-      const netProfit = grossProfit - totalFee;
+      const { amount, buyPrice: currentBuyPrice, sellPrice: currentSellPrice } = sizing;
+      const currentSpread = sizing.depthSpreadPct;
 
-      if (netProfit <= 0) {
-        logger.warn(`Arbitraj iptal — fee sonrası kâr negatif: $${netProfit.toFixed(4)}`);
-        return { success: false, reason: 'Fee sonrası kâr negatif' };
+      // Alış borsasında quote, satış borsasında baz coin yoksa bacaklardan biri dolmaz
+      if (this.inventory) {
+        const cover = await this.inventory.canCover({ symbol, buyExchange, sellExchange, amount, cost: sizing.buyCost });
+        if (!cover.ok) {
+          logger.warn(`Arbitraj atlandı — ${cover.reason}: ${symbol} ${buyExchange}→${sellExchange}`);
+          return { success: false, reason: cover.reason };
+        }
       }
 
-      // Eşzamanlı emir
-      const [buyOrder, sellOrder] = await Promise.all([
+      // Eşzamanlı emir — bir bacağın hatası diğerini iptal etmez, sonuçlar ayrı değerlendirilir
+      const arbId = uuidv4();
+      const [buyResult, sellResult] = await Promise.allSettled([
         this.exchangeManager.createOrder(buyExchange, symbol, 'market', 'buy', amount),
         this.exchangeManager.createOrder(sellExchange, symbol, 'market', 'sell', amount),
       ]);
+      this.inventory?.invalidate();
+      const buyLeg = this.recordLeg(arbId, 'buy', buyExchange, symbol, 'buy', amount, buyResult);
+      const sellLeg = this.recordLeg(arbId, 'sell', sellExchange, symbol, 'sell', amount, sellResult);
+
+      let status = 'executed';
+      let unwind = null;
+      if (buyLeg.filled === 0 && sellLeg.filled === 0) {
+        status = 'failed';
+        logger.warn(`Arbitraj başarısız — iki bacak da dolmadı: ${buyLeg.error || ''} ${sellLeg.error || ''}`);
+      } else if (Math.abs(buyLeg.filled - sellLeg.filled) > amount * LEG_TOLERANCE) {
+        unwind = await this.handleLegRisk({ arbId, symbol, buyExchange, sellExchange, amount, buyLeg, sellLeg });
+        status = unwind.status;
+      }
 
       const executionTime = Date.now() - startTime;
+      const legs = getArbitrageLegs(arbId);
+      // Hedge/açık pozisyonda kâr henüz gerçekleşmedi
+      const netProfit = ['executed', 'unwound'].includes(status) ? this.realizedProfit(legs, sizing.netProfit) : 0;
 
       // DB'ye kaydet
       insertArbitrageHistory({
+        id: arbId,
         symbol,
         buy_exchange: buyExchange,
         sell_exchange: sellExchange,
-        buy_price: currentBuyPrice,
-        sell_price: currentSellPrice,
+        buy_price: buyLeg.avgPrice || currentBuyPrice,
+        sell_price: sellLeg.avgPrice || currentSellPrice,
         spread_pct: currentSpread,
-        amount,
+        amount: Math.min(buyLeg.filled, sellLeg.filled),
         profit: netProfit,
-        status: 'executed',
+        status,
         execution_time_ms: executionTime,
+        depth_spread_pct: sizing.depthSpreadPct,
+        expected_slippage_pct: sizing.slippagePct,
+        expected_profit: sizing.netProfit,
+        max_amount: sizing.maxAmount,
+        max_size_usd: sizing.maxSizeUSD,
       });
 
+      if (status !== 'executed') {
+        return { success: false, id: arbId, status, reason: unwind?.message || 'İki bacak da başarısız', profit: netProfit, legs, executionTime };
+      }
+
       logger.info(`✅ Arbitraj işlemi başarılı: ${symbol} | Net kâr: $${netProfit.toFixed(4)} | Süre: ${executionTime}ms`);
 
       // Telegram
@@ -173,7 +547,7 @@ class ArbitrageEngine {
         });
       }
 
-      return { success: true, profit: netProfit, executionTime };
+      return { success: true, id: arbId, status, profit: netProfit, expectedProfit: sizing.netProfit, amount, legs, executionTime };
     } catch (err) {
       logger.error(`Arbitraj işlem hatası: ${err.message}`);
       insertArbitrageHistory({
@@ -190,6 +564,241 @@ class ArbitrageEngine {
     }
   }
 
+  /**
+   * Üçgen döngüyü sırayla yürüt — her adım bir öncekinin gerçekleşen miktarıyla
+   * Ara adımda hata olursa elde kalan coin doğrudan base'e çevrilir
+   */
+  async executeTriangular(opportunity) {
+    const exchangeId = opportunity.buyExchange;
+    const startTime = Date.now();
+    const config = this.getTriangularConfig();
+
+    // Güncel defterlerle yeniden değerlendir
+    const cycle = (opportunity.steps || []).map(({ symbol, side, from, to }) => ({ symbol, side, from, to }));
+    if (cycle.length !== 3 || cycle[0].from !== cycle[2].to) return { success: false, reason: 'Geçersiz döngü' };
+    const { books, fees } = await this.loadCycleMarkets(exchangeId, [cycle]);
+    const plan = evaluateCycle(cycle, books, fees, config.startAmount);
+    if (!plan || plan.profit <= 0) {
+      logger.warn(`Üçgen arbitraj iptal — güncel defterlerde kâr yok: ${opportunity.symbol}`);
+      return { success: false, reason: 'Güncel defterlerde kâr yok' };
+    }
+
+    if (this.inventory) {
+      const cover = await this.inventory.canCoverAmount(exchangeId, cycle[0].from, plan.startAmount);
+      if (!cover.ok) {
+        logger.warn(`Üçgen arbitraj atlandı — ${cover.reason}`);
+        return { success: false, reason: cover.reason };
+      }
+    }
+
+    const arbId = uuidv4();
+    let holding = plan.startAmount;
+    let failedAt = -1;
+
+    for (const [i, step] of plan.steps.entries()) {
+      // Alışta miktar baz cinsinden — fiyat sapmasına karşı küçük pay bırakılır
+      const amount = step.side === 'buy' ? holding / (step.avgPrice * (1 + TRIANGULAR_PRICE_BUFFER)) : holding;
+      const leg = await this.placeLeg(arbId, step.side, exchangeId, step.symbol, step.side, amount);
+      if (leg.filled <= 0) {
+        failedAt = i;
+        break;
+      }
+      const price = leg.avgPrice || step.avgPrice;
+      holding = (step.side === 'buy' ? leg.filled : leg.filled * price) * (1 - step.fee);
+      if (leg.status === 'partial') {
+        logger.warn(`Üçgen adım ${i + 1} kısmi doldu — kalan ${step.from} elde kaldı.`);
+      }
+    }
+
+    this.inventory?.invalidate();
+    let status = 'executed';
+    let message = null;
+    if (failedAt === 0) {
+      status = 'failed';
+    } else if (failedAt > 0) {
+      const currency = plan.steps[failedAt].from;
+      const recovered = await this.unwindToBase(arbId, exchangeId, plan.steps, currency, holding);
+      status = recovered === null ? 'exposed' : 'unwound';
+      if (recovered !== null) holding = recovered;
+      message = `Üçgen arbitraj ${opportunity.symbol} (${exchangeId}) adım ${failedAt + 1} başarısız — elde ${holding.toFixed(8)} ${status === 'unwound' ? config.base : currency}. ${status === 'unwound' ? `${currency} → ${config.base} geri çevrildi.` : 'GERİ ÇEVRİLEMEDİ — MANUEL MÜDAHALE GEREKLİ.'}`;
+      insertRiskEvent({ type: 'arbitrage_leg_risk', message, severity: 'critical' });
+      logger.error(message);
+      if (this.notifier) {
+        await this.notifier.notifyRiskAlert(`🔺 ${message}`).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+      }
+    }
+
+    const profit = status === 'executed' || status === 'unwound' ? holding - plan.startAmount : 0;
+    const executionTime = Date.now() - startTime;
+    insertArbitrageHistory({
+      id: arbId,
+      symbol: opportunity.symbol,
+      buy_exchange: exchangeId,
+      sell_exchange: exchangeId,
+      buy_price: plan.steps[0].avgPrice,
+      sell_price: plan.steps[plan.steps.length - 1].avgPrice,
+      spread_pct: plan.topReturnPct,
+      amount: plan.startAmount,
+      profit: status === 'failed' ? 0 : profit,
+      status,
+      execution_time_ms: executionTime,
+      depth_spread_pct: plan.returnPct,
+      expected_slippage_pct: plan.slippagePct,
+      expected_profit: plan.profit,
+      type: 'triangular',
+      route: plan.steps,
+    });
+
+    const legs = getArbitrageLegs(arbId);
+    if (status !== 'executed') {
+      return { success: false, id: arbId, status, reason: message || 'İlk adım başarısız', profit, legs, executionTime };
+    }
+
+    logger.info(`✅ Üçgen arbitraj tamamlandı: ${opportunity.symbol} | Net: $${profit.toFixed(4)} | Süre: ${executionTime}ms`);
+    return { success: true, id: arbId, status, profit, expectedProfit: plan.profit, legs, executionTime };
+  }
+
+  /**
+   * Ara coini döngüdeki doğrudan market üzerinden base'e çevir — başarısızsa null
+   */
+  async unwindToBase(arbId, exchangeId, steps, currency, amount) {
+    const base = steps[0].from;
+    // currency ↔ base marketi: ilk adım (base→X) veya son adım (Y→base)
+    const direct = steps.find(s => (s.from === base && s.to === currency) || (s.from === currency && s.to === base));
+    if (!direct) return null;
+
+    // X/base marketinde satış; base/X marketinde (nadir) base alışı
+    const marketBase = direct.symbol.split('/')[0];
+    const side = marketBase === currency ? 'sell' : 'buy';
+    const orderAmount = side === 'sell' ? amount : amount / (direct.avgPrice * (1 + TRIANGULAR_PRICE_BUFFER));
+    const leg = await this.placeLeg(arbId, 'unwind', exchangeId, direct.symbol, side, orderAmount);
+    if (leg.filled <= 0) return null;
+    const price = leg.avgPrice || direct.avgPrice;
+    return (side === 'sell' ? leg.filled * price : leg.filled) * (1 - direct.fee);
+  }
+
+  /**
+   * Bacak sonucunu kaydet (Promise.allSettled sonucu veya emir)
+   */
+  recordLeg(arbId, role, exchange, symbol, side, requested, result) {
+    const order = result.status === 'fulfilled' ? result.value : null;
+    const error = result.status === 'rejected' ? result.reason?.message || String(result.reason) : null;
+    const filled = filledAmount(order, requested);
+    const avgPrice = order?.average || order?.price || null;
+    const leg = {
+      role,
+      exchange,
+      side,
+      requested,
+      filled,
+      avgPrice,
+      fee: legFee(order, symbol, avgPrice),
+      status: filled >= requested * (1 - LEG_TOLERANCE) ? 'filled' : filled > 0 ? 'partial' : 'failed',
+      error,
+    };
+    insertArbitrageLeg({
+      arbitrage_id: arbId,
+      role,
+      exchange,
+      symbol,
+      side,
+      requested_amount: requested,
+      filled_amount: filled,
+      avg_price: avgPrice,
+      fee: leg.fee,
+      order_id: order?.id,
+      status: leg.status,
+      error,
+    });
+    if (leg.status !== 'filled') {
+      logger.warn(`Bacak ${role.toUpperCase()} ${leg.status}: ${side} ${filled}/${requested} ${symbol} @ ${exchange}${error ? ` — ${error}` : ''}`);
+    }
+    return leg;
+  }
+
+  /**
+   * Dengesiz bacakları kapat: politika sırası retry → hedge → reverse (son çare her zaman reverse)
+   * Artık > 0: alış borsasında fazla coin (long), < 0: satış borsasında eksik coin (short)
+   */
+  async handleLegRisk(ctx) {
+    const { arbId, symbol, buyExchange, sellExchange, amount, buyLeg, sellLeg } = ctx;
+    const policy = getSetting('arbitrage.unwind_policy') || 'reverse';
+    const initial = buyLeg.filled - sellLeg.filled;
+    let residual = initial;
+    const tolerance = amount * LEG_TOLERANCE;
+    let status = 'unwound';
+
+    logger.error(`⚠️ Bacak riski: ${symbol} alış ${buyLeg.filled} / satış ${sellLeg.filled} — açık: ${residual.toFixed(8)} | politika: ${policy}`);
+
+    if (policy === 'retry') {
+      const retries = getSettingNum('arbitrage.unwind_retries', 2);
+      for (let attempt = 1; attempt <= retries && Math.abs(residual) > tolerance; attempt++) {
+        const [exchange, side] = residual > 0 ? [sellExchange, 'sell'] : [buyExchange, 'buy'];
+        const leg = await this.placeLeg(arbId, 'retry', exchange, symbol, side, Math.abs(residual));
+        residual -= Math.sign(residual) * leg.filled;
+      }
+      if (Math.abs(residual) <= tolerance) status = 'executed';
+    }
+
+    if (policy === 'hedge' && Math.abs(residual) > tolerance) {
+      // Spot fazlası aynı borsada ters yönlü perp ile dengelenir — pozisyon manuel kapatılmalı
+      const [exchange, side] = residual > 0 ? [buyExchange, 'sell'] : [sellExchange, 'buy'];
+      const leg = await this.placeLeg(arbId, 'hedge', exchange, symbol, side, Math.abs(residual), { type: 'future' });
+      residual -= Math.sign(residual) * leg.filled;
+      if (Math.abs(residual) <= tolerance) status = 'hedged';
+    }
+
+    if (Math.abs(residual) > tolerance) {
+      const [exchange, side] = residual > 0 ? [buyExchange, 'sell'] : [sellExchange, 'buy'];
+      const leg = await this.placeLeg(arbId, 'unwind', exchange, symbol, side, Math.abs(residual));
+      residual -= Math.sign(residual) * leg.filled;
+      status = Math.abs(residual) <= tolerance ? 'unwound' : 'exposed';
+    }
+
+    const exposure = residual > 0 ? `${buyExchange} LONG ${residual.toFixed(8)}` : `${sellExchange} SHORT ${Math.abs(residual).toFixed(8)}`;
+    const outcome = {
+      executed: 'eksik bacak tekrar denenerek tamamlandı',
+      hedged: 'açık miktar futures ile hedge edildi — hedge pozisyonunu manuel kapatın',
+      unwound: 'dolan fazla bacak geri alındı',
+      exposed: `AÇIK POZİSYON KALDI: ${exposure} — MANUEL MÜDAHALE GEREKLİ`,
+    }[status];
+    const message = `Arbitraj bacak riski ${symbol} (${buyExchange}→${sellExchange}): alış ${buyLeg.filled.toFixed(6)}/${amount.toFixed(6)} [${buyLeg.status}], satış ${sellLeg.filled.toFixed(6)}/${amount.toFixed(6)} [${sellLeg.status}]. Politika: ${policy} — ${outcome}.`;
+
+    insertRiskEvent({ type: 'arbitrage_leg_risk', message, severity: 'critical' });
+    logger.error(message);
+    if (this.notifier) {
+      await this.notifier.notifyRiskAlert(`💱 ${message}`).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+
+    return { status, residual, initial, message };
+  }
+
+  async placeLeg(arbId, role, exchange, symbol, side, amount, params = {}) {
+    let result;
+    try {
+      result = { status: 'fulfilled', value: await this.exchangeManager.createOrder(exchange, symbol, 'market', side, amount, undefined, params) };
+    } catch (err) {
+      result = { status: 'rejected', reason: err };
+    }
+    return this.recordLeg(arbId, role, exchange, symbol, side, amount, result);
+  }
+
+  /**
+   * Spot bacaklarından gerçekleşen kâr (hedge futures bacağı açık pozisyon olduğu için hariç)
+   */
+  realizedProfit(legs, expected) {
+    const spot = legs.filter(l => l.role !== 'hedge' && l.filled_amount > 0);
+    if (spot.some(l => !l.avg_price)) return expected;
+    return spot.reduce((sum, l) => {
+      const value = l.filled_amount * l.avg_price;
+      return sum + (l.side === 'sell' ? value : -value) - (l.fee || 0);
+    }, 0);
+  }
+
+  getLegs(arbitrageId) {
+    return getArbitrageLegs(arbitrageId);
+  }
+
   enableAuto() {
     this.autoExecute = true;
     setSetting('arbitrage.auto_execute', '1');
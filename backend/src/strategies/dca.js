@@ -1,7 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
 import cron from 'node-cron';
+import ccxt from 'ccxt';
 import { createLogger, format, transports } from 'winston';
-import { insertDCAPlan, getDCAPlans, getDCAPlan, updateDCAPlan, deleteDCAPlan as dbDeleteDCA, insertTrade } from '../database.js';
+import {
+  insertDCAPlan, getDCAPlans, getDCAPlan, updateDCAPlan, deleteDCAPlan as dbDeleteDCA, insertTrade, getSetting, getSettingNum,
+  insertDCADeal, updateDCADeal, closeDCADeal, getOpenDCADeal, getDCADeals, insertRiskEvent, getDCAExecutionStats,
+} from '../database.js';
+import { calculateIndicators } from './technical-analysis.js';
+import { fillDetails } from '../exchanges.js';
 
 const logger = createLogger({
   level: 'info',
@@ -17,48 +23,669 @@ const CRON_MAP = {
   monthly: '0 9 1 * *',
 };
 
+// Cron alanları (dakika çözünürlüğü) — node-cron ile aynı: gün ve haftanın günü birlikte (VE) eşleşir
+const CRON_FIELDS = [
+  { name: 'dakika', min: 0, max: 59 },
+  { name: 'saat', min: 0, max: 23 },
+  { name: 'gün', min: 1, max: 31 },
+  { name: 'ay', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'haftanın günü', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Yıllık bir ifade için bile yeterli — eşleşme yoksa null döner
+const CRON_SEARCH_LIMIT = 200000;
+
+function parseCronValue(text, field) {
+  if (field.names && /^[a-z]{3,}$/i.test(text)) {
+    const index = field.names.indexOf(text.slice(0, 3).toLowerCase());
+    if (index >= 0) return index + (field.min === 1 ? 1 : 0);
+  }
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) throw new Error(`Geçersiz cron ${field.name} değeri: ${text}`);
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Geçersiz cron adımı: ${part}`);
+
+    let lo = field.min;
+    let hi = field.max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      lo = parseCronValue(a, field);
+      // "5/15" → 5'ten başlayarak alanın sonuna kadar
+      hi = b !== undefined ? parseCronValue(b, field) : (stepText !== undefined ? field.max : lo);
+      if (hi < lo) throw new Error(`Geçersiz cron aralığı: ${range}`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(field.max === 7 && v === 7 ? 0 : v);
+  }
+  return values;
+}
+
+/**
+ * 5 alanlı cron ifadesini çözümle (dakika saat gün ay haftanın-günü)
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron ifadesi 5 alanlı olmalı (dakika saat gün ay haftanın-günü): ${expr}`);
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return { minutes, hours, days, months, weekdays };
+}
+
+function validateTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Geçersiz saat dilimi: ${timezone}`);
+  }
+}
+
+/**
+ * Cron ifadesinin from'dan sonraki ilk çalışma anı — saat dilimindeki duvar saatine göre
+ * Eşleşmeyen gün/saat blokları tek adımda atlanır.
+ */
+export function nextCronRun(expr, timezone = null, from = new Date()) {
+  const spec = typeof expr === 'string' ? parseCron(expr) : expr;
+  const dtf = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined, hourCycle: 'h23', weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  let t = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+  for (let i = 0; i < CRON_SEARCH_LIMIT; i++) {
+    const p = Object.fromEntries(dtf.formatToParts(new Date(t)).map(x => [x.type, x.value]));
+    const month = Number(p.month);
+    const day = Number(p.day);
+    const hour = Number(p.hour);
+    const minute = Number(p.minute);
+
+    if (!spec.months.has(month) || !spec.days.has(day) || !spec.weekdays.has(WEEKDAYS[p.weekday])) {
+      // Gün sonuna atla — yaz saati geçişinde günü kaçırmamak için bir saat önce dur
+      t += Math.max(1, (23 - hour) * 60 + (60 - minute) - 60) * 60000;
+    } else if (!spec.hours.has(hour)) {
+      t += (60 - minute) * 60000;
+    } else if (!spec.minutes.has(minute)) {
+      t += 60000;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+/**
+ * Akıllı DCA boyutlandırma kuralları — value: eşik (RSI) veya yüzde (ortalama / SMA200 mesafesi)
+ * action: scale → tutarı multiplier ile çarp, skip → koşul sağlanırsa alımı atla, require → koşul sağlanmazsa atla
+ */
+const SIZING_RULES = {
+  rsi_below: { label: 'RSI <', indicators: true },
+  rsi_above: { label: 'RSI >', indicators: true },
+  below_avg: { label: 'Ortalamanın % altında', indicators: false },
+  above_avg: { label: 'Ortalamanın % üstünde', indicators: false },
+  below_sma200: { label: "SMA200'ün % altında", indicators: true },
+  above_sma200: { label: "SMA200'ün % üstünde", indicators: true },
+};
+const SIZING_ACTIONS = ['scale', 'skip', 'require'];
+// Kapalıyken kaçırılan alımlar: skip → hiçbiri, once → tek alım, all → her biri için alım
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+// Uzun kesintide tek tek kaydedilecek en fazla kaçırılan çalışma
+const MAX_MISSED_RUNS = 100;
+// accumulate: zamanlanmış birikim, deal: taban emir + güvenlik emirleri + take-profit döngüsü, basket: çok varlıklı sepet
+const DCA_MODES = ['accumulate', 'deal', 'basket', 'exit'];
+// fixed: her alım hedef ağırlıklarla bölünür, rebalance: hedefin altında kalan varlıklar öncelikli alınır
+const BASKET_MODES = ['fixed', 'rebalance'];
+const MAX_SAFETY_ORDERS = 25;
+// market: anında alım, limit: post-only limit emir (pencere sonunda market'e düşer veya atlanır)
+const EXECUTION_MODES = ['market', 'limit'];
+const LIMIT_FALLBACKS = ['market', 'skip'];
+// Çıkış planı satış miktarı: sabit coin, sabit $, kalan pozisyonun yüzdesi veya fiyat basamağı
+const EXIT_UNITS = ['coin', 'usd', 'percent', 'ladder'];
+// Limit emrin dolumu bu aralıkla sorgulanır
+const LIMIT_POLL_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Kural listesini doğrula ve normalize et
+ */
+export function normalizeSizingRules(rules) {
+  const list = typeof rules === 'string' ? JSON.parse(rules || '[]') : (rules || []);
+  if (!Array.isArray(list)) throw new Error('Boyutlandırma kuralları bir liste olmalı.');
+
+  return list.map((rule, i) => {
+    if (!SIZING_RULES[rule.type]) throw new Error(`Geçersiz kural tipi (#${i + 1}): ${rule.type}. Geçerli: ${Object.keys(SIZING_RULES).join(', ')}`);
+    const action = rule.action || 'scale';
+    if (!SIZING_ACTIONS.includes(action)) throw new Error(`Geçersiz kural aksiyonu (#${i + 1}): ${action}`);
+    const value = parseFloat(rule.value);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Kural #${i + 1} için geçerli bir eşik gerekli.`);
+    const normalized = { type: rule.type, value, action };
+    if (action === 'scale') {
+      const multiplier = parseFloat(rule.multiplier);
+      if (!Number.isFinite(multiplier) || multiplier <= 0) throw new Error(`Kural #${i + 1} için çarpan sıfırdan büyük olmalı.`);
+      normalized.multiplier = multiplier;
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Kuralın koşulunu piyasa verisiyle değerlendir — veri yoksa null
+ */
+function checkCondition(rule, market) {
+  const { price, avgBuyPrice, rsi, sma200 } = market;
+  const distance = (ref) => ((price - ref) / ref) * 100;
+
+  switch (rule.type) {
+    case 'rsi_below':
+    case 'rsi_above': {
+      if (rsi == null) return null;
+      const met = rule.type === 'rsi_below' ? rsi < rule.value : rsi > rule.value;
+      return { met, detail: `RSI ${rsi.toFixed(1)} ${rule.type === 'rsi_below' ? '<' : '>'} ${rule.value}` };
+    }
+    case 'below_avg':
+    case 'above_avg': {
+      if (!avgBuyPrice) return null;
+      const pct = distance(avgBuyPrice);
+      const met = rule.type === 'below_avg' ? pct <= -rule.value : pct >= rule.value;
+      return { met, detail: `Ort. ${pct >= 0 ? '+' : ''}${pct.toFixed(2)}% (eşik ${rule.type === 'below_avg' ? '-' : '+'}${rule.value}%)` };
+    }
+    case 'below_sma200':
+    case 'above_sma200': {
+      if (!sma200) return null;
+      const pct = distance(sma200);
+      const met = rule.type === 'below_sma200' ? pct <= -rule.value : pct >= rule.value;
+      return { met, detail: `SMA200 ${pct >= 0 ? '+' : ''}${pct.toFixed(2)}% (eşik ${rule.type === 'below_sma200' ? '-' : '+'}${rule.value}%)` };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Deal modu parametrelerini doğrula
+ */
+function buildDealConfig(config) {
+  const amount = parseFloat(config.amount);
+  const safetyOrders = parseInt(config.safety_orders ?? 0, 10);
+  const deal = {
+    safety_orders: safetyOrders,
+    safety_order_amount: parseFloat(config.safety_order_amount) || amount,
+    safety_deviation_pct: parseFloat(config.safety_deviation_pct ?? 1.5),
+    safety_step_scale: parseFloat(config.safety_step_scale ?? 1),
+    safety_volume_scale: parseFloat(config.safety_volume_scale ?? 1),
+    take_profit_pct: parseFloat(config.take_profit_pct ?? 1.5),
+  };
+
+  if (!Number.isInteger(safetyOrders) || safetyOrders < 0 || safetyOrders > MAX_SAFETY_ORDERS) throw new Error(`Güvenlik emri sayısı 0-${MAX_SAFETY_ORDERS} arasında olmalı.`);
+  if (!(deal.take_profit_pct > 0)) throw new Error('Take-profit yüzdesi sıfırdan büyük olmalı.');
+  if (safetyOrders > 0) {
+    if (!(deal.safety_order_amount > 0)) throw new Error('Güvenlik emri tutarı sıfırdan büyük olmalı.');
+    if (!(deal.safety_deviation_pct > 0)) throw new Error('Güvenlik emri sapması sıfırdan büyük olmalı.');
+    if (!(deal.safety_step_scale > 0) || !(deal.safety_volume_scale > 0)) throw new Error('Adım ve hacim çarpanları sıfırdan büyük olmalı.');
+    const levels = buildSafetyLevels(1, deal);
+    if (levels[levels.length - 1].deviationPct >= 100) throw new Error('Son güvenlik emrinin sapması %100 veya üzeri — sapma/adım çarpanını düşürün.');
+  }
+  return deal;
+}
+
+/**
+ * Taban fiyattan güvenlik emri seviyeleri
+ * Sapma kümülatif: her adım bir öncekinin step_scale katı, tutar her emirde volume_scale katı
+ */
+export function buildSafetyLevels(basePrice, plan) {
+  const levels = [];
+  let deviation = 0;
+  for (let i = 0; i < (plan.safety_orders || 0); i++) {
+    deviation += plan.safety_deviation_pct * Math.pow(plan.safety_step_scale, i);
+    const price = basePrice * (1 - deviation / 100);
+    const cost = (plan.safety_order_amount || plan.amount) * Math.pow(plan.safety_volume_scale, i);
+    levels.push({ index: i + 1, deviationPct: deviation, price, cost, amount: price > 0 ? cost / price : 0 });
+  }
+  return levels;
+}
+
+/**
+ * Sepet tanımını doğrula — ağırlıklar toplamı 1 olacak şekilde normalize edilir
+ * [{ symbol: 'BTC/USDT', weight: 50 }, ...]
+ */
+function buildBasket(config) {
+  const list = typeof config.basket === 'string' ? JSON.parse(config.basket || '[]') : (config.basket || []);
+  if (!Array.isArray(list) || list.length < 2) throw new Error('Sepet en az iki sembol içermeli.');
+
+  const basketMode = config.basket_mode || 'fixed';
+  if (!BASKET_MODES.includes(basketMode)) throw new Error(`Geçersiz sepet modu: ${basketMode}. Geçerli: ${BASKET_MODES.join(', ')}`);
+
+  const seen = new Set();
+  for (const item of list) {
+    if (!item.symbol || !item.symbol.includes('/')) throw new Error(`Geçersiz sepet sembolü: ${item.symbol}`);
+    if (seen.has(item.symbol)) throw new Error(`Sepette tekrar eden sembol: ${item.symbol}`);
+    if (!(parseFloat(item.weight) > 0)) throw new Error(`${item.symbol} için ağırlık sıfırdan büyük olmalı.`);
+    seen.add(item.symbol);
+  }
+  const quotes = new Set(list.map(item => item.symbol.split('/')[1]));
+  if (quotes.size > 1) throw new Error('Sepetteki semboller aynı quote para birimini kullanmalı.');
+
+  const total = list.reduce((sum, item) => sum + parseFloat(item.weight), 0);
+  const basket = list.map(item => ({ symbol: item.symbol, weight: parseFloat(item.weight) / total }));
+  return { basket, basketMode, symbol: basket.map(b => b.symbol).join(',') };
+}
+
+/**
+ * Sepet alımını sembollere böl
+ * rebalance: alım sonrası hedef değere göre açığı olan varlıklara açıklarıyla orantılı dağıtılır
+ * (en çok geride kalan en büyük payı alır; açıklar toplamı her zaman alım tutarından büyük veya eşittir)
+ */
+export function allocateBasket(basket, holdings, prices, amount, basketMode) {
+  if (basketMode !== 'rebalance') return basket.map(b => ({ symbol: b.symbol, cost: amount * b.weight }));
+
+  const values = Object.fromEntries(basket.map(b => [b.symbol, (holdings[b.symbol]?.coins || 0) * prices[b.symbol]]));
+  const totalAfter = Object.values(values).reduce((sum, v) => sum + v, 0) + amount;
+  const deficits = basket.map(b => ({ symbol: b.symbol, deficit: Math.max(0, b.weight * totalAfter - values[b.symbol]) }));
+  const totalDeficit = deficits.reduce((sum, d) => sum + d.deficit, 0);
+  return deficits.map(d => ({ symbol: d.symbol, cost: totalDeficit > 0 ? amount * (d.deficit / totalDeficit) : 0 }));
+}
+
+/**
+ * Limit yürütme ayarlarını doğrula — market modunda varsayılanlar saklanır
+ */
+function buildExecution(config) {
+  const execution = config.execution || 'market';
+  if (!EXECUTION_MODES.includes(execution)) throw new Error(`Geçersiz yürütme modu: ${execution}. Geçerli: ${EXECUTION_MODES.join(', ')}`);
+  if (execution === 'market') return { execution };
+
+  const offset = parseFloat(config.limit_offset_pct ?? 0.05);
+  const reprices = parseInt(config.limit_reprices ?? 3);
+  const windowSec = parseInt(config.limit_window_sec ?? 300);
+  const fallback = config.limit_fallback || 'market';
+  if (!(offset >= 0 && offset <= 5)) throw new Error('Limit fiyat farkı %0 ile %5 arasında olmalı.');
+  if (!(reprices >= 0 && reprices <= 20)) throw new Error('Yeniden fiyatlama sayısı 0-20 arasında olmalı.');
+  if (!(windowSec >= 1 && windowSec <= 3600)) throw new Error('Limit emir penceresi 1-3600 saniye arasında olmalı.');
+  if (!LIMIT_FALLBACKS.includes(fallback)) throw new Error(`Geçersiz pencere sonu davranışı: ${fallback}. Geçerli: ${LIMIT_FALLBACKS.join(', ')}`);
+  return { execution, limit_offset_pct: offset, limit_reprices: reprices, limit_window_sec: windowSec, limit_fallback: fallback };
+}
+
+/**
+ * Çıkış planı ayarlarını doğrula
+ * ladder: [{ price, pct }] — fiyatın ulaştığı en yüksek basamağın yüzdesi kadar satılır, en alttakinin altında satış yok.
+ * Her basamak bir kez satar; satılan basamak ve altındakiler exit_ladder_done'a yazılır.
+ */
+function buildExit(config) {
+  const unit = config.exit_unit || 'percent';
+  if (!EXIT_UNITS.includes(unit)) throw new Error(`Geçersiz satış birimi: ${unit}. Geçerli: ${EXIT_UNITS.join(', ')}`);
+
+  let ladder = null;
+  if (unit === 'ladder') {
+    const list = typeof config.exit_ladder === 'string' ? JSON.parse(config.exit_ladder || '[]') : (config.exit_ladder || []);
+    if (!Array.isArray(list) || list.length === 0) throw new Error('Fiyat basamağı en az bir seviye içermeli.');
+    ladder = list.map(l => ({ price: parseFloat(l.price), pct: parseFloat(l.pct) })).sort((a, b) => a.price - b.price);
+    for (const level of ladder) {
+      if (!(level.price > 0)) throw new Error('Basamak fiyatı sıfırdan büyük olmalı.');
+      if (!(level.pct > 0 && level.pct <= 100)) throw new Error(`$${level.price} basamağı için yüzde 0-100 arasında olmalı.`);
+    }
+    if (new Set(ladder.map(l => l.price)).size !== ladder.length) throw new Error('Basamak fiyatları tekrar edemez.');
+  } else {
+    const amount = parseFloat(config.amount);
+    if (!(amount > 0)) throw new Error('Satış miktarı sıfırdan büyük olmalı.');
+    if (unit === 'percent' && amount > 100) throw new Error('Satış yüzdesi 100\'ü geçemez.');
+  }
+
+  const multiple = config.exit_min_multiple ? parseFloat(config.exit_min_multiple) : null;
+  if (multiple !== null && !(multiple > 0)) throw new Error('Minimum fiyat çarpanı sıfırdan büyük olmalı.');
+  return { exit_unit: unit, exit_ladder: ladder ? JSON.stringify(ladder) : null, exit_min_multiple: multiple };
+}
+
+/**
+ * Bu aralıkta satılacak coin miktarı (kaynak pozisyonla sınırlanmadan) ve açıklaması
+ */
+function exitAmount(plan, holding, price) {
+  const amount = parseFloat(plan.amount);
+  switch (plan.exit_unit) {
+    case 'coin': return { amount, label: `${amount} coin` };
+    case 'usd': return { amount: amount / price, label: `$${amount}` };
+    case 'ladder': {
+      const done = JSON.parse(plan.exit_ladder_done || '[]');
+      const level = JSON.parse(plan.exit_ladder || '[]').filter(l => price >= l.price && !done.includes(l.price)).pop();
+      return level ? { amount: holding * level.pct / 100, label: `basamak $${level.price} → %${level.pct}`, rung: level.price } : { amount: 0, label: null };
+    }
+    default: return { amount: holding * amount / 100, label: `%${amount}` };
+  }
+}
+
+/**
+ * Planın çalıştığı cron ifadesi — özel ifade yoksa sabit aralığın karşılığı
+ */
+function planCron(plan) {
+  return plan.cron_expr || CRON_MAP[plan.interval] || null;
+}
+
+/**
+ * Birikim planı zamanlama ve limit ayarlarını doğrula
+ * cron_expr verilirse interval 'custom' olur; tarihler ISO olarak saklanır
+ */
+function buildSchedule(config) {
+  const cronExpr = config.cron_expr?.trim() || null;
+  const interval = cronExpr ? 'custom' : config.interval;
+  if (!cronExpr && !CRON_MAP[interval]) throw new Error(`Geçersiz aralık: ${interval}. Geçerli: ${Object.keys(CRON_MAP).join(', ')} veya cron_expr`);
+  if (cronExpr) {
+    parseCron(cronExpr);
+    if (!cron.validate(cronExpr)) throw new Error(`Geçersiz cron ifadesi: ${cronExpr}`);
+  }
+
+  const timezone = config.timezone?.trim() || null;
+  if (timezone) validateTimezone(timezone);
+
+  const toISO = (value, label) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new Error(`Geçersiz ${label}: ${value}`);
+    return date.toISOString();
+  };
+  const startAt = toISO(config.start_at, 'başlangıç tarihi');
+  const endAt = toISO(config.end_at, 'bitiş tarihi');
+  if (startAt && endAt && endAt <= startAt) throw new Error('Bitiş tarihi başlangıçtan sonra olmalı.');
+  if (endAt && new Date(endAt) <= new Date()) throw new Error('Bitiş tarihi geçmişte.');
+
+  const maxInvested = config.max_invested ? parseFloat(config.max_invested) : null;
+  const maxBuys = config.max_buys ? parseInt(config.max_buys, 10) : null;
+  if (maxInvested !== null && !(maxInvested > 0)) throw new Error('Toplam yatırım limiti sıfırdan büyük olmalı.');
+  if (maxBuys !== null && !(maxBuys > 0)) throw new Error('Alım sayısı limiti sıfırdan büyük olmalı.');
+
+  const catchUp = config.catch_up || 'skip';
+  if (!CATCH_UP_POLICIES.includes(catchUp)) throw new Error(`Geçersiz telafi politikası: ${catchUp}. Geçerli: ${CATCH_UP_POLICIES.join(', ')}`);
+
+  return { interval, cron_expr: cronExpr, timezone, start_at: startAt, end_at: endAt, max_invested: maxInvested, max_buys: maxBuys, catch_up: catchUp };
+}
+
+/**
+ * Tetiklenen kuralların işlem notu için kısa özeti
+ */
+function describeFired(fired) {
+  return fired.map(f => `${f.type}${f.action === 'scale' ? ` x${f.multiplier}` : ` ${f.action}`} (${f.detail})`).join(', ');
+}
+
 class DCAEngine {
   constructor(exchangeManager, notifier) {
     this.exchangeManager = exchangeManager;
     this.notifier = notifier;
     this.cronJobs = new Map(); // planId -> cron job
+    this.executing = new Set(); // alımı süren planlar (limit emir penceresi uzun sürebilir)
+    this.liveOrders = new Set(); // borsada bekleyen limit alım emirleri (mutabakat bunları sahipsiz saymaz)
   }
 
   /**
    * Kaydedilmiş planları başlat
    */
-  initializeActivePlans() {
+  async initializeActivePlans() {
     const plans = getDCAPlans('active');
     for (const plan of plans) {
       this.schedulePlan(plan);
     }
     logger.info(`${plans.length} aktif DCA planı yüklendi.`);
+
+    for (const plan of plans.filter(p => p.mode !== 'deal')) {
+      try {
+        await this.catchUpMissed(plan);
+      } catch (err) {
+        logger.error(`DCA telafi hatası (${plan.symbol}): ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * next_buy_at'ten bu yana kaçırılan cron çalışmaları (bitiş tarihinden sonrası hariç)
+   */
+  missedRuns(plan, now = new Date()) {
+    if (!plan.next_buy_at || new Date(plan.next_buy_at) > now) return { runs: [], more: 0 };
+    const end = plan.end_at ? new Date(Math.min(now.getTime(), new Date(plan.end_at).getTime())) : now;
+    const runs = [];
+    let more = 0;
+    let run = new Date(plan.next_buy_at);
+    while (run && run <= end) {
+      if (runs.length < MAX_MISSED_RUNS) runs.push(run);
+      else more++;
+      // Sayım kesinti süresiyle sınırlı — çok sık planlarda üst sınırdan sonra saymayı bırak
+      if (more >= MAX_MISSED_RUNS * 100) break;
+      run = nextCronRun(planCron(plan), plan.timezone, run);
+    }
+    return { runs, more };
+  }
+
+  /**
+   * Açılışta kaçırılan alımları planın politikasına göre işle
+   * Uygulanan alımlar işlem notunda, atlananlar risk olayı olarak kayda geçer.
+   */
+  async catchUpMissed(plan) {
+    const { runs, more } = this.missedRuns(plan);
+    if (runs.length === 0) return;
+
+    const policy = plan.catch_up || 'skip';
+    const total = runs.length + more;
+    // 'all' uzun bir kesintiden sonra yüzlerce alımı art arda ateşlemesin — fazlası atlanmış sayılır
+    const maxCatchUp = Math.max(1, Math.floor(getSettingNum('dca.max_catch_up_buys', 10)));
+    const capped = policy === 'all' && total > maxCatchUp;
+    const executeCount = policy === 'all' ? Math.min(total, maxCatchUp) : policy === 'once' ? 1 : 0;
+    logger.warn(`DCA ${plan.symbol}: ${total} kaçırılan alım (ilk: ${runs[0].toISOString()}) | Politika: ${policy}${capped ? ` | Üst sınır: ${maxCatchUp}` : ''}`);
+
+    let executed = 0;
+    for (let i = 0; i < executeCount; i++) {
+      const current = getDCAPlan(plan.id);
+      if (!current || current.status !== 'active') break;
+      const scheduled = runs[Math.min(i, runs.length - 1)].toISOString();
+      const note = policy === 'once'
+        ? `Telafi: ${total} kaçırılan alım için tek alım (ilk planlanan ${scheduled})`
+        : `Telafi ${i + 1}/${executeCount} (planlanan ${i < runs.length ? scheduled : 'kayıt dışı'})`;
+      if (await this.executeBuy(current, { note })) executed++;
+    }
+
+    // Atlananlar: skip'te hepsi, once'ta ilki dışındakiler, all'da üst sınırı aşan ve limit/hata nedeniyle yapılamayanlar
+    const skipped = runs.slice(policy === 'skip' ? 0 : Math.min(executed, runs.length));
+    const skipReason = policy === 'skip' ? 'politika gereği atlandı' : capped ? `telafi edilmedi (üst sınır ${maxCatchUp} alım)` : 'telafi edilmedi';
+    for (const run of skipped) {
+      insertRiskEvent({
+        type: 'dca_missed_buy',
+        message: `${plan.symbol} DCA alımı kaçırıldı (planlanan ${run.toISOString()}) — ${skipReason}`,
+        severity: 'warning',
+      });
+    }
+    const unlogged = total - executed - skipped.length;
+    if (unlogged > 0) {
+      insertRiskEvent({
+        type: 'dca_missed_buy',
+        message: `${plan.symbol} DCA: ${unlogged} kaçırılan alım daha (${runs[runs.length - 1].toISOString()} sonrası) — ${skipReason}`,
+        severity: 'warning',
+      });
+    }
+
+    const updated = getDCAPlan(plan.id);
+    if (updated?.status === 'active') {
+      const nextBuy = this.nextBuyAt(updated);
+      updateDCAPlan(plan.id, { next_buy_at: nextBuy?.toISOString() ?? null });
+      // Bitiş tarihi kesinti sırasında geçtiyse plan burada kapanır
+      const stopReason = this.capReached(getDCAPlan(plan.id), nextBuy);
+      if (stopReason) await this.stopPlan(getDCAPlan(plan.id), stopReason);
+    }
+
+    const summary = `DCA ${plan.symbol}: ${total} kaçırılan alım — politika ${policy}, ${executed} telafi alımı, ${total - executed} atlandı`;
+    logger.info(summary);
+    if (this.notifier) await this.notifier.notifyBotStatus(summary).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
   }
 
   /**
    * Yeni DCA planı oluştur
    */
   createPlan(config) {
-    const { exchange, symbol, amount, interval } = config;
+    const mode = config.mode || 'accumulate';
+
+    if (!DCA_MODES.includes(mode)) throw new Error(`Geçersiz mod: ${mode}. Geçerli: ${DCA_MODES.join(', ')}`);
+    if (mode !== 'exit' && !(parseFloat(config.amount) > 0)) throw new Error('Alım tutarı sıfırdan büyük olmalı.');
+    const sizingRules = normalizeSizingRules(config.sizing_rules);
+    if (mode !== 'accumulate' && sizingRules.length > 0) throw new Error('Boyutlandırma kuralları yalnızca birikim modunda kullanılabilir.');
+    const basket = mode === 'basket' ? buildBasket(config) : null;
 
-    if (!CRON_MAP[interval]) throw new Error(`Geçersiz aralık: ${interval}. Geçerli: ${Object.keys(CRON_MAP).join(', ')}`);
+    // Çıkış planı kaynak planın borsası ve sembolünde satar
+    const source = mode === 'exit' ? getDCAPlan(config.source_plan_id) : null;
+    if (mode === 'exit') {
+      if (!source) throw new Error('Kaynak DCA planı bulunamadı.');
+      if ((source.mode || 'accumulate') !== 'accumulate') throw new Error('Çıkış planı yalnızca birikim planları için oluşturulabilir.');
+      if (config.max_invested) throw new Error('Bütçe limiti çıkış planında kullanılamaz — satış sayısı veya bitiş tarihi kullanın.');
+    }
+    const exit = mode === 'exit' ? buildExit(config) : {};
+    const exchange = source ? source.exchange : config.exchange;
+    const symbol = basket ? basket.symbol : source ? source.symbol : config.symbol;
+    const amount = exit.exit_unit === 'ladder' ? 0 : config.amount;
+    if (mode === 'deal' && (config.cron_expr || config.start_at || config.end_at || config.max_invested || config.max_buys)) {
+      throw new Error('Zamanlama ve limitler yalnızca birikim modunda kullanılabilir.');
+    }
+    // Deal modu zamanlanmaz — aralık yalnızca kayıt için saklanır
+    const schedule = mode === 'deal' ? { interval: config.interval || 'daily' } : buildSchedule(config);
+    const deal = mode === 'deal' ? buildDealConfig(config) : {};
+    const execution = buildExecution(config);
+    if (mode === 'deal' && execution.execution !== 'market') throw new Error('Limit yürütme deal modunda kullanılamaz — güvenlik emirleri zaten limit emirdir.');
+    if (mode === 'exit' && execution.execution !== 'market') throw new Error('Limit yürütme yalnızca alım planlarında kullanılabilir.');
 
-    const nextBuy = this.calculateNextBuy(interval);
+    const nextBuy = mode === 'deal' ? null : this.nextBuyAt(schedule);
+    if (mode !== 'deal' && !nextBuy) throw new Error('Bitiş tarihinden önce zamanlanmış alım yok.');
     const id = insertDCAPlan({
       exchange,
       symbol,
       amount,
-      interval,
-      next_buy_at: nextBuy.toISOString(),
+      next_buy_at: nextBuy?.toISOString(),
+      sizing_rules: JSON.stringify(sizingRules),
+      mode,
+      ...schedule,
+      ...deal,
+      ...execution,
+      ...exit,
+      source_plan_id: source?.id,
+      basket: basket ? JSON.stringify(basket.basket) : null,
+      basket_mode: basket?.basketMode,
     });
 
     const plan = getDCAPlan(id);
     this.schedulePlan(plan);
 
-    logger.info(`DCA planı oluşturuldu: ${symbol} | $${amount} | ${interval} | Sonraki: ${nextBuy.toLocaleString('tr-TR')}`);
+    if (mode === 'exit') {
+      const condition = [exit.exit_min_multiple && `fiyat ≥ ort. x${exit.exit_min_multiple}`, exit.exit_ladder && `${JSON.parse(exit.exit_ladder).length} basamak`].filter(Boolean).join(', ');
+      logger.info(`DCA çıkış planı oluşturuldu: ${symbol} | ${exit.exit_unit === 'ladder' ? 'basamak' : exitAmount(plan, 0, 1).label} | ${schedule.cron_expr || schedule.interval}${condition ? ` | ${condition}` : ''} | Kaynak: ${source.id} (${(source.total_coins || 0).toFixed(6)} coin) | Sonraki: ${nextBuy.toISOString()}`);
+    } else if (mode === 'deal') {
+      logger.info(`DCA deal planı oluşturuldu: ${symbol} | Taban $${amount} | ${deal.safety_orders} güvenlik emri (${deal.safety_deviation_pct}% / x${deal.safety_step_scale}, hacim x${deal.safety_volume_scale}) | TP ${deal.take_profit_pct}%`);
+    } else {
+      const limits = [schedule.max_invested && `Bütçe $${schedule.max_invested}`, schedule.max_buys && `${schedule.max_buys} alım`, schedule.end_at && `Bitiş ${schedule.end_at}`].filter(Boolean).join(', ');
+      const exec = execution.execution === 'limit'
+        ? `limit -%${execution.limit_offset_pct}, ${execution.limit_reprices} yeniden fiyat, ${execution.limit_window_sec}sn → ${execution.limit_fallback}`
+        : 'market';
+      logger.info(`DCA ${basket ? `sepet (${basket.basketMode}) ` : ''}planı oluşturuldu: ${symbol} | $${amount} | ${schedule.cron_expr || schedule.interval}${schedule.timezone ? ` (${schedule.timezone})` : ''} | ${exec} | ${sizingRules.length} kural${limits ? ` | ${limits}` : ''} | Sonraki: ${nextBuy ? nextBuy.toISOString() : '-'}`);
+    }
     return plan;
   }
 
+  /**
+   * Planın boyutlandırma kurallarını güncelle
+   */
+  updateSizingRules(id, rules) {
+    const plan = getDCAPlan(id);
+    if (!plan) throw new Error('Plan bulunamadı.');
+    const sizingRules = normalizeSizingRules(rules);
+    if ((plan.mode || 'accumulate') !== 'accumulate' && sizingRules.length > 0) throw new Error('Boyutlandırma kuralları yalnızca birikim modunda kullanılabilir.');
+    updateDCAPlan(id, { sizing_rules: JSON.stringify(sizingRules) });
+    logger.info(`DCA kuralları güncellendi: ${plan.symbol} | ${sizingRules.length} kural`);
+    return getDCAPlan(id);
+  }
+
+  /**
+   * Kuralları güncel piyasaya göre değerlendir → alım tutarı
+   * Tüm tetiklenen scale kurallarının çarpanları çarpılır, sonuç dca.max_multiplier ile sınırlanır.
+   */
+  async evaluateSizing(plan, price = null) {
+    const rules = normalizeSizingRules(plan.sizing_rules);
+    const baseAmount = parseFloat(plan.amount);
+    if (!price) price = (await this.exchangeManager.getTicker(plan.exchange, plan.symbol)).last;
+
+    const market = { price, avgBuyPrice: plan.avg_buy_price || null, rsi: null, sma200: null };
+    if (rules.some(r => SIZING_RULES[r.type].indicators)) {
+      const timeframe = getSetting('dca.indicator_timeframe') || '1d';
+      const candles = await this.exchangeManager.getOHLCV(plan.exchange, plan.symbol, timeframe, 250);
+      const indicators = calculateIndicators(candles);
+      if (indicators) {
+        market.rsi = indicators.rsi;
+        // 200 mumdan azsa SMA200 kısa pencereye düşer — kullanılmaz
+        market.sma200 = candles.length >= 200 ? indicators.sma.sma200 : null;
+      }
+    }
+
+    const fired = [];
+    const ignored = [];
+    let multiplier = 1;
+    let skip = null;
+
+    for (const rule of rules) {
+      const result = checkCondition(rule, market);
+      if (!result) {
+        ignored.push({ ...rule, reason: 'Veri yok' });
+        continue;
+      }
+      const triggered = rule.action === 'require' ? !result.met : result.met;
+      if (!triggered) continue;
+
+      fired.push({ ...rule, detail: result.detail });
+      if (rule.action === 'scale') multiplier *= rule.multiplier;
+      else if (!skip) skip = `${rule.type} ${rule.action === 'require' ? 'koşulu sağlanmadı' : 'koşulu sağlandı'} (${result.detail})`;
+    }
+
+    const maxMultiplier = getSettingNum('dca.max_multiplier', 3);
+    multiplier = Math.min(multiplier, maxMultiplier);
+
+    return {
+      planId: plan.id,
+      symbol: plan.symbol,
+      price,
+      market,
+      baseAmount,
+      multiplier,
+      amount: skip ? 0 : baseAmount * multiplier,
+      skip: !!skip,
+      skipReason: skip,
+      fired,
+      ignored,
+      summary: fired.length > 0 ? describeFired(fired) : null,
+    };
+  }
+
+  /**
+   * Kaçırılan alım telafi politikasını değiştir
+   */
+  updateCatchUp(id, policy) {
+    const plan = getDCAPlan(id);
+    if (!plan) throw new Error('Plan bulunamadı.');
+    if (!CATCH_UP_POLICIES.includes(policy)) throw new Error(`Geçersiz telafi politikası: ${policy}. Geçerli: ${CATCH_UP_POLICIES.join(', ')}`);
+    updateDCAPlan(id, { catch_up: policy });
+    logger.info(`DCA telafi politikası: ${plan.symbol} → ${policy}`);
+    return getDCAPlan(id);
+  }
+
+  /**
+   * Kayıtlı plan veya kaydedilmemiş ayarlar için boyutlandırma önizlemesi
+   */
+  async previewSizing(config) {
+    let plan;
+    if (config.id) {
+      plan = getDCAPlan(config.id);
+      if (!plan) throw new Error('Plan bulunamadı.');
+      if (plan.mode === 'basket' || plan.mode === 'exit') throw new Error('Sepet ve çıkış planlarında boyutlandırma kuralı yok.');
+      plan = { ...plan };
+      if (config.sizing_rules !== undefined) plan.sizing_rules = config.sizing_rules;
+      if (config.amount !== undefined) plan.amount = config.amount;
+    } else {
+      if (!config.exchange || !config.symbol) throw new Error('Borsa ve sembol gerekli.');
+      plan = { exchange: config.exchange, symbol: config.symbol, amount: config.amount, avg_buy_price: null, sizing_rules: config.sizing_rules };
+    }
+    if (!(parseFloat(plan.amount) > 0)) throw new Error('Alım tutarı sıfırdan büyük olmalı.');
+    return this.evaluateSizing(plan);
+  }
+
   /**
    * Plan zamanlama
    */
@@ -67,91 +694,880 @@ class DCAEngine {
       this.cronJobs.get(plan.id).stop();
     }
 
-    const cronExpr = CRON_MAP[plan.interval];
-    if (!cronExpr) return;
+    // Deal planları checkDeals döngüsüyle takip edilir
+    const cronExpr = planCron(plan);
+    if (!cronExpr || plan.mode === 'deal') return;
 
     const job = cron.schedule(cronExpr, async () => {
       const currentPlan = getDCAPlan(plan.id);
       if (!currentPlan || currentPlan.status !== 'active') return;
+      if (currentPlan.end_at && new Date() > new Date(currentPlan.end_at)) {
+        await this.stopPlan(currentPlan, 'Bitiş tarihine ulaşıldı');
+        return;
+      }
+      if (currentPlan.start_at && new Date() < new Date(currentPlan.start_at)) return;
       await this.executeBuy(currentPlan);
-    });
+    }, plan.timezone ? { timezone: plan.timezone } : undefined);
 
     this.cronJobs.set(plan.id, job);
   }
 
   /**
-   * Alım emri gönder
+   * Planın cron ifadesine göre sonraki alım zamanı — başlangıç tarihinden önce olamaz, bitişten sonraysa null
    */
-  async executeBuy(plan) {
+  nextBuyAt(plan, from = new Date()) {
+    const cronExpr = planCron(plan);
+    if (!cronExpr) return null;
+    const start = plan.start_at && new Date(plan.start_at) > from ? new Date(new Date(plan.start_at).getTime() - 1) : from;
+    const next = nextCronRun(cronExpr, plan.timezone, start);
+    if (!next || (plan.end_at && next > new Date(plan.end_at))) return null;
+    return next;
+  }
+
+  /**
+   * Bütçe / alım sayısı / bitiş limitlerinden dolan ilki — yoksa null
+   */
+  capReached(plan, nextBuy = undefined) {
+    if (plan.max_invested) {
+      // Kalan bütçe minimum emir tutarının altındaysa son alım borsada reddedilir — limit dolmuş sayılır
+      const remaining = plan.max_invested - (plan.total_invested || 0);
+      if (remaining <= 1e-9) return `Toplam yatırım limitine ulaşıldı ($${plan.max_invested})`;
+      const minOrder = getSettingNum('dca.min_order_usd', 5);
+      if (remaining < minOrder) return `Toplam yatırım limitine ulaşıldı ($${plan.max_invested}) — kalan $${remaining.toFixed(2)} minimum emir tutarının ($${minOrder}) altında`;
+    }
+    if (plan.max_buys && (plan.buy_count || 0) >= plan.max_buys) return `Alım sayısı limitine ulaşıldı (${plan.max_buys})`;
+    if (plan.end_at && (nextBuy === null || new Date() > new Date(plan.end_at))) return 'Bitiş tarihine ulaşıldı';
+    return null;
+  }
+
+  /**
+   * Limit dolunca planı durdur ve bildir
+   */
+  async stopPlan(plan, reason) {
+    updateDCAPlan(plan.id, { status: 'stopped', stop_reason: reason, next_buy_at: null });
+    if (this.cronJobs.has(plan.id)) {
+      this.cronJobs.get(plan.id).stop();
+      this.cronJobs.delete(plan.id);
+    }
+    const summary = plan.mode === 'exit'
+      ? `Gerçekleşen K/Z $${(plan.realized_pnl || 0).toFixed(2)}, ${plan.buy_count || 0} satış`
+      : `Toplam yatırım $${(plan.total_invested || 0).toFixed(2)}, ${plan.buy_count || 0} alım`;
+    logger.info(`DCA planı durduruldu: ${plan.symbol} | ${reason} | ${summary}`);
+    if (this.notifier) {
+      await this.notifier.notifyBotStatus(`DCA planı durduruldu: ${plan.symbol} — ${reason} | ${summary}`)
+        .catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+  }
+
+  /**
+   * Alım emri gönder — alım yapıldıysa true
+   */
+  async executeBuy(plan, { note = null } = {}) {
+    if (this.executing.has(plan.id)) {
+      // Bu çalıştırma kaçırıldı — sonraki alım zamanı yine de ilerler
+      updateDCAPlan(plan.id, { next_buy_at: this.nextBuyAt(plan)?.toISOString() ?? null });
+      logger.warn(`DCA alım atlandı: ${plan.symbol} | Önceki alım hâlâ sürüyor`);
+      return false;
+    }
+    this.executing.add(plan.id);
     try {
+      const cap = this.capReached(plan);
+      if (cap) {
+        await this.stopPlan(plan, cap);
+        return false;
+      }
+      if (plan.mode === 'basket') return await this.executeBasketBuy(plan, { note });
+      if (plan.mode === 'exit') return await this.executeSell(plan, { note });
+
       const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
       const price = ticker.last;
-      const amount = plan.amount / price;
 
-      const order = await this.exchangeManager.createOrder(
-        plan.exchange, plan.symbol, 'market', 'buy', amount
-      );
+      const sizing = await this.evaluateSizing(plan, price);
+      let nextBuy = this.nextBuyAt(plan);
+
+      if (sizing.skip) {
+        updateDCAPlan(plan.id, { next_buy_at: nextBuy?.toISOString() ?? null });
+        logger.info(`DCA alım atlandı: ${plan.symbol} | ${sizing.skipReason}`);
+        return false;
+      }
+
+      // Bütçe limiti son alımı kalan tutarla sınırlar
+      const remaining = plan.max_invested ? plan.max_invested - (plan.total_invested || 0) : Infinity;
+      const { fills, error } = await this.placeBuy(plan, plan.symbol, Math.min(sizing.amount, remaining), price);
+      if (fills.length === 0 && error) throw error;
+      // Limit penceresi sürerken çalıştırma zamanları geçmiş olabilir — sonraki zaman alım bitince hesaplanır
+      nextBuy = this.nextBuyAt(plan);
+      if (fills.length === 0) {
+        updateDCAPlan(plan.id, { next_buy_at: nextBuy?.toISOString() ?? null });
+        logger.info(`DCA alım yapılmadı: ${plan.symbol} | Limit emir pencere içinde dolmadı`);
+        return false;
+      }
 
-      const totalInvested = (plan.total_invested || 0) + plan.amount;
-      const totalCoins = (plan.total_coins || 0) + amount;
-      const avgBuyPrice = totalInvested / totalCoins;
-      const nextBuy = this.calculateNextBuy(plan.interval);
+      // Limit penceresi sürerken plan değişmiş olabilir — toplamlar güncel kayıttan
+      const current = getDCAPlan(plan.id) || plan;
+      const cost = fills.reduce((sum, f) => sum + f.spent, 0);
+      const amount = fills.reduce((sum, f) => sum + f.coins, 0);
+      const fillPrice = fills.reduce((sum, f) => sum + f.cost, 0) / fills.reduce((sum, f) => sum + f.amount, 0);
+      const totalInvested = (current.total_invested || 0) + cost;
+      const totalCoins = (current.total_coins || 0) + amount;
+      // Çıkış planının sattığı coinlerin maliyeti ortalamadan düşülür
+      const heldCost = totalInvested - (current.sold_cost || 0);
+      const avgBuyPrice = heldCost / totalCoins;
 
       updateDCAPlan(plan.id, {
         total_invested: totalInvested,
         total_coins: totalCoins,
         avg_buy_price: avgBuyPrice,
         last_buy_at: new Date().toISOString(),
-        next_buy_at: nextBuy.toISOString(),
+        next_buy_at: nextBuy?.toISOString() ?? null,
+        buy_count: (current.buy_count || 0) + 1,
       });
 
-      insertTrade({
-        exchange: plan.exchange,
-        symbol: plan.symbol,
-        side: 'buy',
-        type: 'market',
-        price,
-        amount,
-        cost: plan.amount,
-        strategy: 'dca',
-        strategy_id: plan.id,
-        order_id: order.id,
-        status: 'filled',
-        notes: `DCA ${plan.interval} | Toplam: $${totalInvested.toFixed(2)} | Ort: $${avgBuyPrice.toFixed(2)}`,
-      });
+      for (const fill of fills) {
+        insertTrade({
+          exchange: plan.exchange,
+          symbol: plan.symbol,
+          side: 'buy',
+          type: fill.type,
+          price: fill.price,
+          amount: fill.amount,
+          cost: fill.cost,
+          fee: fill.fee,
+          fee_currency: fill.feeCurrency,
+          strategy: 'dca',
+          strategy_id: plan.id,
+          order_id: fill.orderId,
+          status: 'filled',
+          maker: fill.maker,
+          notes: `DCA ${plan.cron_expr || plan.interval} | Toplam: $${totalInvested.toFixed(2)} | Ort: $${avgBuyPrice.toFixed(2)}${sizing.summary ? ` | Kural: ${sizing.summary} → x${sizing.multiplier.toFixed(2)}` : ''}${note ? ` | ${note}` : ''}`,
+        });
+      }
+      if (error) logger.error(`DCA alım hatası (${plan.symbol}): ${error.message} — dolan kısım kaydedildi`);
 
-      // ROI hesapla
+      // ROI hesapla — brüt harcamaya göre, satışların gerçekleşen K/Z'si dahil
       const currentValue = totalCoins * price;
-      const roi = ((currentValue - totalInvested) / totalInvested) * 100;
+      const roi = ((currentValue - heldCost + (current.realized_pnl || 0)) / totalInvested) * 100;
+      const makerShare = fills.filter(f => f.maker).reduce((sum, f) => sum + f.cost, 0) / fills.reduce((sum, f) => sum + f.cost, 0) * 100;
 
-      logger.info(`DCA alım: ${plan.symbol} | $${plan.amount} → ${amount.toFixed(6)} @ $${price.toFixed(2)} | Ort: $${avgBuyPrice.toFixed(2)} | ROI: ${roi.toFixed(2)}%`);
+      logger.info(`DCA alım: ${plan.symbol} | $${cost.toFixed(2)}${sizing.multiplier !== 1 ? ` (x${sizing.multiplier.toFixed(2)})` : ''} → ${amount.toFixed(6)} @ $${fillPrice.toFixed(2)}${plan.execution === 'limit' ? ` (maker %${makerShare.toFixed(0)})` : ''} | Ort: $${avgBuyPrice.toFixed(2)} | ROI: ${roi.toFixed(2)}%`);
 
       if (this.notifier) {
         await this.notifier.notifyTrade({
           type: 'DCA ALIM',
           symbol: plan.symbol,
           direction: 'BUY',
-          entryPrice: price,
+          entryPrice: fillPrice,
           amount,
-          margin: plan.amount,
+          margin: cost,
           balance: totalInvested,
         });
       }
+
+      const updated = getDCAPlan(plan.id);
+      const stopReason = updated && this.capReached(updated, nextBuy);
+      if (stopReason) await this.stopPlan(updated, stopReason);
+      return true;
     } catch (err) {
       logger.error(`DCA alım hatası (${plan.symbol}): ${err.message}`);
+      return false;
+    } finally {
+      this.executing.delete(plan.id);
+    }
+  }
+
+  /**
+   * Sepet alımı: tutarı sembollere böl, her birini market alımla al, varlık bazında maliyeti güncelle
+   * Minimum emir tutarının altında kalan paylar en büyük paya eklenir.
+   */
+  async executeBasketBuy(plan, { note = null } = {}) {
+    const basket = JSON.parse(plan.basket || '[]');
+    const holdings = JSON.parse(plan.basket_holdings || '{}');
+    const remaining = plan.max_invested ? plan.max_invested - (plan.total_invested || 0) : Infinity;
+    const amount = Math.min(parseFloat(plan.amount), remaining);
+
+    const prices = {};
+    for (const { symbol } of basket) {
+      prices[symbol] = (await this.exchangeManager.getTicker(plan.exchange, symbol)).last;
+    }
+
+    const minOrder = getSettingNum('dca.min_order_usd', 5);
+    const legs = allocateBasket(basket, holdings, prices, amount, plan.basket_mode).sort((a, b) => b.cost - a.cost);
+    for (const leg of legs.slice(1)) {
+      if (leg.cost > 0 && leg.cost < minOrder) {
+        legs[0].cost += leg.cost;
+        leg.cost = 0;
+      }
+    }
+
+    let spent = 0;
+    const bought = [];
+    for (const leg of legs.filter(l => l.cost > 0)) {
+      try {
+        const { fills, error } = await this.placeBuy(plan, leg.symbol, leg.cost, prices[leg.symbol]);
+        if (fills.length === 0 && error) throw error;
+        if (fills.length === 0) {
+          logger.info(`DCA sepet alımı yapılmadı: ${leg.symbol} | Limit emir pencere içinde dolmadı`);
+          continue;
+        }
+        const legSpent = fills.reduce((sum, f) => sum + f.spent, 0);
+        const h = holdings[leg.symbol] || { invested: 0, coins: 0, buys: 0 };
+        h.invested += legSpent;
+        h.coins += fills.reduce((sum, f) => sum + f.coins, 0);
+        h.buys += 1;
+        h.avgPrice = h.invested / h.coins;
+        holdings[leg.symbol] = h;
+        spent += legSpent;
+        bought.push(`${leg.symbol.split('/')[0]} $${legSpent.toFixed(2)}`);
+
+        const target = basket.find(b => b.symbol === leg.symbol).weight * 100;
+        for (const fill of fills) {
+          insertTrade({
+            exchange: plan.exchange,
+            symbol: leg.symbol,
+            side: 'buy',
+            type: fill.type,
+            price: fill.price,
+            amount: fill.amount,
+            cost: fill.cost,
+            fee: fill.fee,
+            fee_currency: fill.feeCurrency,
+            strategy: 'dca',
+            strategy_id: plan.id,
+            order_id: fill.orderId,
+            status: 'filled',
+            maker: fill.maker,
+            notes: `DCA sepet (${plan.basket_mode}) | Hedef %${target.toFixed(1)} | ${leg.symbol.split('/')[0]} toplam: $${h.invested.toFixed(2)} | Ort: $${h.avgPrice.toFixed(2)}${note ? ` | ${note}` : ''}`,
+          });
+        }
+        if (error) logger.error(`DCA sepet alım hatası (${leg.symbol}): ${error.message} — dolan kısım kaydedildi`);
+      } catch (err) {
+        logger.error(`DCA sepet alım hatası (${leg.symbol}): ${err.message}`);
+      }
     }
+
+    const nextBuy = this.nextBuyAt(plan);
+    if (spent === 0) {
+      updateDCAPlan(plan.id, { next_buy_at: nextBuy?.toISOString() ?? null });
+      return false;
+    }
+
+    const current = getDCAPlan(plan.id) || plan;
+    const totalInvested = (current.total_invested || 0) + spent;
+    updateDCAPlan(plan.id, {
+      basket_holdings: JSON.stringify(holdings),
+      total_invested: totalInvested,
+      last_buy_at: new Date().toISOString(),
+      next_buy_at: nextBuy?.toISOString() ?? null,
+      buy_count: (current.buy_count || 0) + 1,
+    });
+    logger.info(`DCA sepet alım: $${spent.toFixed(2)} → ${bought.join(', ')} | Toplam: $${totalInvested.toFixed(2)}`);
+
+    if (this.notifier) {
+      await this.notifier.notifyTrade({
+        type: 'DCA SEPET ALIM',
+        symbol: bought.join(', '),
+        direction: 'BUY',
+        margin: spent,
+        balance: totalInvested,
+      }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+
+    const updated = getDCAPlan(plan.id);
+    const stopReason = updated && this.capReached(updated, nextBuy);
+    if (stopReason) await this.stopPlan(updated, stopReason);
+    return true;
   }
 
   /**
-   * Manuel alım tetikle
+   * Çıkış planı satışı: kaynak planın biriktirdiği coinlerden market satış
+   * Satılan coinlerin maliyeti kaynak planın ortalamasından düşülür, gerçekleşen K/Z kaynak plana yazılır.
+   */
+  async executeSell(plan, { note = null } = {}) {
+    const source = getDCAPlan(plan.source_plan_id);
+    if (!source) {
+      await this.stopPlan(plan, 'Kaynak plan bulunamadı');
+      return false;
+    }
+
+    const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
+    const price = ticker.last;
+    const minOrder = getSettingNum('dca.min_order_usd', 5);
+    const holding = source.total_coins || 0;
+    const nextBuy = this.nextBuyAt(plan);
+    const skip = (reason) => {
+      updateDCAPlan(plan.id, { next_buy_at: nextBuy?.toISOString() ?? null });
+      logger.info(`DCA çıkış satışı atlandı: ${plan.symbol} | ${reason}`);
+      return false;
+    };
+
+    // Kaynak plan hâlâ alım yapıyorsa pozisyonun dolması beklenir
+    if (holding * price < minOrder) {
+      if (source.status === 'active') return skip(`Kaynak pozisyon minimum emrin altında (${holding.toFixed(6)} coin)`);
+      await this.stopPlan(plan, 'Kaynak pozisyon tükendi');
+      return false;
+    }
+    const floor = plan.exit_min_multiple ? source.avg_buy_price * plan.exit_min_multiple : null;
+    if (floor && price < floor) return skip(`Fiyat $${price} < ort. x${plan.exit_min_multiple} ($${floor.toFixed(2)})`);
+
+    const target = exitAmount(plan, holding, price);
+    if (target.amount <= 0) return skip(`Fiyat ($${price}) satılmamış bir basamağa ulaşmadı`);
+    // Kalan pozisyon minimum emir tutarının altına düşecekse tamamı satılır
+    const amount = (holding - target.amount) * price < minOrder ? holding : target.amount;
+    if (amount * price < minOrder) return skip(`Satış tutarı minimum emrin altında ($${(amount * price).toFixed(2)} < $${minOrder})`);
+
+    const { order, fill } = await this.marketFill(plan, 'sell', amount, price);
+    const fees = fill.feeQuote + fill.feeBase * fill.price;
+    const proceeds = fill.price * fill.filled - fees;
+
+    // Satış sürerken kaynak planda alım olmuş olabilir — maliyet güncel kayıttan
+    const current = getDCAPlan(source.id) || source;
+    const sold = Math.min(fill.filled, current.total_coins || 0);
+    const costBasis = sold * (current.avg_buy_price || 0);
+    const pnl = proceeds - costBasis;
+    const pnlPct = costBasis > 0 ? (pnl / costBasis) * 100 : 0;
+    const remainingCoins = (current.total_coins || 0) - sold;
+
+    // Kaynağın total_invested'ı brüt harcama olarak kalır (bütçe limiti için) — satılan maliyet ayrı tutulur
+    updateDCAPlan(current.id, {
+      total_coins: remainingCoins,
+      sold_cost: remainingCoins > 0 ? (current.sold_cost || 0) + costBasis : current.total_invested || 0,
+      realized_pnl: (current.realized_pnl || 0) + pnl,
+    });
+    const ladderDone = target.rung !== undefined
+      ? JSON.parse(plan.exit_ladder || '[]').filter(l => l.price <= target.rung).map(l => l.price)
+      : null;
+    updateDCAPlan(plan.id, {
+      ...(ladderDone ? { exit_ladder_done: JSON.stringify(ladderDone) } : {}),
+      total_coins: (plan.total_coins || 0) + sold,
+      total_invested: (plan.total_invested || 0) + costBasis,
+      total_proceeds: (plan.total_proceeds || 0) + proceeds,
+      realized_pnl: (plan.realized_pnl || 0) + pnl,
+      last_buy_at: new Date().toISOString(),
+      next_buy_at: nextBuy?.toISOString() ?? null,
+      buy_count: (plan.buy_count || 0) + 1,
+    });
+
+    insertTrade({
+      exchange: plan.exchange, symbol: plan.symbol, side: 'sell', type: 'market',
+      price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'dca', strategy_id: current.id, order_id: order.id, status: 'filled', pnl,
+      notes: `DCA çıkış ${target.label} | Plan ${plan.id} | Maliyet: $${(current.avg_buy_price || 0).toFixed(2)} | Kalan: ${remainingCoins.toFixed(6)}${note ? ` | ${note}` : ''}`,
+    });
+
+    logger.info(`DCA çıkış satışı: ${plan.symbol} | ${fill.filled.toFixed(6)} @ $${fill.price.toFixed(2)} (${target.label}) | P&L: $${pnl.toFixed(2)} (${pnlPct.toFixed(2)}%) | Kalan: ${remainingCoins.toFixed(6)}`);
+
+    if (this.notifier) {
+      await this.notifier.notifyTrade({
+        type: 'DCA ÇIKIŞ',
+        symbol: plan.symbol,
+        direction: 'SELL',
+        entryPrice: current.avg_buy_price,
+        closePrice: fill.price,
+        amount: fill.filled,
+        pnl,
+        pnlPct,
+      }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+
+    const updated = getDCAPlan(plan.id);
+    const exhausted = remainingCoins * fill.price < minOrder && current.status !== 'active';
+    const ladderFinished = ladderDone && ladderDone.length === JSON.parse(plan.exit_ladder || '[]').length;
+    const stopReason = exhausted ? 'Kaynak pozisyon tükendi'
+      : ladderFinished ? 'Tüm basamaklar satıldı'
+      : updated && this.capReached(updated, nextBuy);
+    if (stopReason) await this.stopPlan(updated, stopReason);
+    return true;
+  }
+
+  /**
+   * Sepet ROI — varlık bazında maliyet, güncel değer ve hedef/mevcut ağırlık
+   */
+  async basketReport(plan) {
+    const basket = JSON.parse(plan.basket || '[]');
+    const holdings = JSON.parse(plan.basket_holdings || '{}');
+    const assets = [];
+
+    for (const { symbol, weight } of basket) {
+      const h = holdings[symbol] || { invested: 0, coins: 0, buys: 0 };
+      let price = null;
+      try {
+        price = (await this.exchangeManager.getTicker(plan.exchange, symbol)).last;
+      } catch { /* ignore */ }
+      const value = price !== null ? h.coins * price : null;
+      assets.push({
+        symbol,
+        targetWeight: weight * 100,
+        invested: h.invested,
+        coins: h.coins,
+        buys: h.buys,
+        avgPrice: h.coins > 0 ? h.invested / h.coins : 0,
+        price,
+        value,
+        roi: value !== null && h.invested > 0 ? ((value - h.invested) / h.invested) * 100 : 0,
+      });
+    }
+
+    // Fiyatı alınamayan varlık maliyetinden sayılır
+    const currentValue = assets.reduce((sum, a) => sum + (a.value ?? a.invested), 0);
+    for (const a of assets) a.currentWeight = currentValue > 0 ? ((a.value ?? a.invested) / currentValue) * 100 : 0;
+    const invested = assets.reduce((sum, a) => sum + a.invested, 0);
+    return { assets, currentValue, roi: invested > 0 ? ((currentValue - invested) / invested) * 100 : 0 };
+  }
+
+  /**
+   * Manuel alım tetikle — deal modunda açık deal yoksa yeni deal başlatır
+   * Limit yürütmede alım pencere boyunca arka planda sürer.
    */
   async manualBuy(planId) {
     const plan = getDCAPlan(planId);
     if (!plan) throw new Error('Plan bulunamadı.');
-    await this.executeBuy(plan);
+    if (this.executing.has(planId)) throw new Error('Planın alımı zaten sürüyor.');
+    if (plan.mode === 'deal') {
+      const locked = await this.dealLocked(planId, (current, deal) => {
+        if (deal) throw new Error('Planın açık bir deal\'i var — alımlar güvenlik emirleriyle yapılır.');
+        return this.openDeal(current);
+      });
+      if (!locked) throw new Error('Planın deal\'i zaten açılıyor.');
+    } else if (plan.execution === 'limit') {
+      this.executeBuy(plan);
+    } else {
+      await this.executeBuy(plan);
+    }
     return getDCAPlan(planId);
   }
 
+  // ==================== EMİR YÜRÜTME ====================
+
+  /**
+   * Planın yürütme moduna göre alım — { fills, error } döner (fills boşsa alım yapılmadı).
+   * Limit yürütme sonradan hata alsa da o ana kadarki dolumlar error ile birlikte döner.
+   */
+  async placeBuy(plan, symbol, cost, price) {
+    if (plan.execution === 'limit') return this.limitBuy(plan, symbol, cost);
+    return { fills: [await this.marketBuy(plan, symbol, cost, price)], error: null };
+  }
+
+  async marketBuy(plan, symbol, cost, price) {
+    const { order, fill } = await this.marketFill(plan, 'buy', cost / price, price, symbol);
+    return this.fillRecord(order, fill, 'market', false);
+  }
+
+  /**
+   * Dolum kaydı — cost emir tutarı, spent quote fee dahil harcanan, coins baz fee düşülmüş miktar
+   */
+  fillRecord(order, fill, type, maker) {
+    const cost = fill.price * fill.filled;
+    return {
+      orderId: order.id,
+      type,
+      maker,
+      price: fill.price,
+      amount: fill.filled,
+      coins: fill.filled - fill.feeBase,
+      cost,
+      spent: cost + fill.feeQuote,
+      fee: fill.feeCost,
+      feeCurrency: fill.feeCurrency,
+    };
+  }
+
+  /**
+   * Post-only limit alım: en iyi alışın biraz altına emir koy, pencere içinde dolmazsa iptal edip yeniden fiyatla.
+   * Pencere sonunda kalan tutar planın ayarına göre market alınır veya atlanır.
+   */
+  async limitBuy(plan, symbol, cost) {
+    const [base, quote] = symbol.split('/');
+    const attempts = (plan.limit_reprices ?? 3) + 1;
+    const sliceMs = ((plan.limit_window_sec ?? 300) * 1000) / attempts;
+    const offset = (plan.limit_offset_pct ?? 0.05) / 100;
+    const minOrder = getSettingNum('dca.min_order_usd', 5);
+    const fills = [];
+    let remaining = cost;
+
+    // Kısmi dolumdan sonra minimum emir tutarının altında kalan kısım alınmaz
+    const pending = () => remaining > 0 && (fills.length === 0 || remaining >= minOrder);
+
+    try {
+      for (let attempt = 1; attempt <= attempts && pending(); attempt++) {
+        const deadline = Date.now() + sliceMs;
+        const ticker = await this.exchangeManager.getTicker(plan.exchange, symbol);
+        const price = (ticker.bid || ticker.last) * (1 - offset);
+
+        let order;
+        try {
+          order = await this.exchangeManager.createOrder(plan.exchange, symbol, 'limit', 'buy', remaining / price, price, { postOnly: true });
+        } catch (err) {
+          if (!(err instanceof ccxt.OrderImmediatelyFillable)) throw err;
+          // Fiyat bu arada satışı geçti — bu dilim beklenir, sonraki denemede yeniden fiyatlanır
+          logger.warn(`DCA limit emir anında eşleşirdi: ${symbol} @ ${price} (${attempt}/${attempts})`);
+          await sleep(Math.max(0, deadline - Date.now()));
+          continue;
+        }
+
+        this.liveOrders.add(order.id);
+        while (order.status === 'open' && Date.now() < deadline) {
+          await sleep(Math.min(LIMIT_POLL_MS, Math.max(0, deadline - Date.now())));
+          try {
+            order = await this.exchangeManager.fetchOrder(plan.exchange, order.id, symbol);
+          } catch { /* sonraki sorguda tekrar denenir */ }
+        }
+
+        if (order.status === 'open') {
+          try { await this.exchangeManager.cancelOrder(plan.exchange, order.id, symbol); } catch { /* bu arada dolmuş olabilir */ }
+          try { order = await this.exchangeManager.fetchOrder(plan.exchange, order.id, symbol); } catch { /* aşağıda kontrol edilir */ }
+          this.liveOrders.delete(order.id);
+          if (order.status === 'open') {
+            // İptal doğrulanamazsa aynı tutar için ikinci emir açılmaz
+            logger.error(`DCA limit emir iptali doğrulanamadı: ${symbol} — ${order.id}`);
+            return { fills, error: null };
+          }
+        }
+
+        this.liveOrders.delete(order.id);
+        const fill = fillDetails(order, price, base, quote);
+        if (fill.filled > 0) {
+          const record = this.fillRecord(order, fill, 'limit', true);
+          fills.push(record);
+          remaining -= record.cost;
+          logger.info(`DCA limit dolum: ${symbol} | ${fill.filled.toFixed(6)} @ $${fill.price.toFixed(2)} (maker, ${attempt}/${attempts})`);
+        } else if (attempt < attempts) {
+          logger.info(`DCA limit emir dolmadı, yeniden fiyatlanıyor: ${symbol} (${attempt}/${attempts})`);
+        }
+      }
+
+      if (pending()) {
+        if (plan.limit_fallback === 'skip') {
+          logger.info(`DCA limit penceresi doldu: ${symbol} | $${remaining.toFixed(2)} alınmadı (atla)`);
+        } else {
+          const ticker = await this.exchangeManager.getTicker(plan.exchange, symbol);
+          fills.push(await this.marketBuy(plan, symbol, remaining, ticker.last));
+          logger.info(`DCA limit penceresi doldu: ${symbol} | Kalan $${remaining.toFixed(2)} market alındı`);
+        }
+      }
+    } catch (err) {
+      // Önceki denemelerde dolan kısım kaybolmasın — hata dolumlarla birlikte çağırana döner
+      return { fills, error: err };
+    }
+    return { fills, error: null };
+  }
+
+  // ==================== DEAL MODU ====================
+
+  /**
+   * Aktif deal planlarını kontrol et: açık deal yoksa başlat, varsa güvenlik emirlerini ve TP'yi takip et
+   */
+  async checkDeals() {
+    if (this.checkingDeals) return;
+    this.checkingDeals = true;
+    try {
+      for (const plan of getDCAPlans('active').filter(p => p.mode === 'deal')) {
+        try {
+          await this.dealLocked(plan.id, (current, deal) => (deal ? this.checkDeal(current, deal) : this.openDeal(current)));
+        } catch (err) {
+          logger.error(`DCA deal hatası (${plan.symbol}): ${err.message}`);
+        }
+      }
+    } finally {
+      this.checkingDeals = false;
+    }
+  }
+
+  /**
+   * Market emir dolumu — borsa yanıtında dolum yoksa emir sorgulanır
+   */
+  async marketFill(plan, side, amount, price, symbol = plan.symbol) {
+    const [base, quote] = symbol.split('/');
+    let order = await this.exchangeManager.createOrder(plan.exchange, symbol, 'market', side, amount);
+    if (!order.filled) {
+      try { order = await this.exchangeManager.fetchOrder(plan.exchange, order.id, symbol); } catch { /* yanıttaki bilgiyle devam */ }
+    }
+    const fill = fillDetails(order, price, base, quote);
+    if (fill.filled <= 0) fill.filled = amount;
+    return { order, fill };
+  }
+
+  /**
+   * Deal işlemini plan kilidi altında çalıştır — plan ve açık deal kilit içinde yeniden okunur.
+   * Açılış, kontrol ve elle kapanış aynı planda üst üste binmez; kilit doluysa false döner.
+   */
+  async dealLocked(planId, fn) {
+    if (this.executing.has(planId)) return false;
+    this.executing.add(planId);
+    try {
+      const plan = getDCAPlan(planId);
+      if (!plan) throw new Error('Plan bulunamadı.');
+      await fn(plan, getOpenDCADeal(planId));
+      return true;
+    } finally {
+      this.executing.delete(planId);
+    }
+  }
+
+  /**
+   * Yeni deal: taban emir market alım, güvenlik emirleri limit alım olarak yerleştirilir
+   */
+  async openDeal(plan) {
+    const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
+    const { order, fill } = await this.marketFill(plan, 'buy', plan.amount / ticker.last, ticker.last);
+
+    const totalCost = fill.price * fill.filled + fill.feeQuote;
+    const totalAmount = fill.filled - fill.feeBase;
+    const avgPrice = totalCost / totalAmount;
+    const dealNo = (plan.deals_closed || 0) + 1;
+
+    insertTrade({
+      exchange: plan.exchange, symbol: plan.symbol, side: 'buy', type: 'market',
+      price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'dca', strategy_id: plan.id, order_id: order.id, status: 'filled',
+      notes: `DCA deal #${dealNo} | Taban emir`,
+    });
+
+    const safetyOrders = [];
+    for (const level of buildSafetyLevels(fill.price, plan)) {
+      safetyOrders.push(await this.placeSafetyOrder(plan, { ...level, status: 'pending' }));
+    }
+
+    const takeProfitPrice = avgPrice * (1 + plan.take_profit_pct / 100);
+    const dealId = insertDCADeal({
+      plan_id: plan.id,
+      exchange: plan.exchange,
+      symbol: plan.symbol,
+      base_price: fill.price,
+      avg_price: avgPrice,
+      total_cost: totalCost,
+      total_amount: totalAmount,
+      fees: fill.feeQuote + fill.feeBase * fill.price,
+      safety_orders: JSON.stringify(safetyOrders),
+      take_profit_price: takeProfitPrice,
+    });
+
+    updateDCAPlan(plan.id, {
+      total_invested: totalCost,
+      total_coins: totalAmount,
+      avg_buy_price: avgPrice,
+      last_buy_at: new Date().toISOString(),
+    });
+
+    const placed = safetyOrders.filter(o => o.status === 'placed').length;
+    logger.info(`DCA deal #${dealNo} açıldı: ${plan.symbol} | $${totalCost.toFixed(2)} @ $${fill.price} | ${placed}/${safetyOrders.length} güvenlik emri | TP $${takeProfitPrice.toFixed(6)}`);
+
+    if (this.notifier) {
+      await this.notifier.notifyTrade({
+        type: 'DCA DEAL AÇILIŞ',
+        symbol: plan.symbol,
+        direction: 'BUY',
+        entryPrice: fill.price,
+        takeProfit: takeProfitPrice,
+        amount: totalAmount,
+        margin: totalCost,
+      }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+    return dealId;
+  }
+
+  /**
+   * Güvenlik emrini limit alım olarak yerleştir — hata olursa sonraki kontrolde yeniden denenir
+   */
+  async placeSafetyOrder(plan, so) {
+    try {
+      const order = await this.exchangeManager.createOrder(plan.exchange, plan.symbol, 'limit', 'buy', so.amount, so.price);
+      return { ...so, orderId: order.id, status: 'placed', error: undefined };
+    } catch (err) {
+      logger.warn(`DCA güvenlik emri #${so.index} yerleştirilemedi (${plan.symbol} @ $${so.price}): ${err.message}`);
+      return { ...so, status: 'failed', error: err.message };
+    }
+  }
+
+  /**
+   * Açık deal: güvenlik emri dolumlarını işle, ortalama ve TP'yi güncelle, TP'ye ulaşıldıysa kapat
+   */
+  async checkDeal(plan, deal) {
+    const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
+    const price = ticker.last;
+    const state = this.dealState(deal);
+    let changed = false;
+
+    for (let i = 0; i < state.safetyOrders.length; i++) {
+      const so = state.safetyOrders[i];
+      if (so.status === 'failed' && price > so.price) {
+        state.safetyOrders[i] = await this.placeSafetyOrder(plan, so);
+        changed = true;
+        continue;
+      }
+      if (so.status !== 'placed') continue;
+
+      let remote;
+      try {
+        remote = await this.exchangeManager.fetchOrder(plan.exchange, so.orderId, plan.symbol);
+      } catch {
+        continue;
+      }
+      if (remote.status === 'open') continue;
+      this.applySafetyFill(plan, state, so, remote);
+      changed = true;
+    }
+
+    if (changed) this.saveDealState(plan, deal, state);
+    if (price >= state.takeProfitPrice) await this.closeDeal(plan, { ...deal, ...this.dealRow(state) }, 'take_profit');
+  }
+
+  dealState(deal) {
+    return {
+      totalCost: deal.total_cost,
+      totalAmount: deal.total_amount,
+      fees: deal.fees || 0,
+      safetyFilled: deal.safety_filled || 0,
+      safetyOrders: JSON.parse(deal.safety_orders || '[]'),
+      avgPrice: deal.avg_price,
+      takeProfitPrice: deal.take_profit_price,
+    };
+  }
+
+  dealRow(state) {
+    return {
+      total_cost: state.totalCost,
+      total_amount: state.totalAmount,
+      fees: state.fees,
+      safety_filled: state.safetyFilled,
+      safety_orders: JSON.stringify(state.safetyOrders),
+      avg_price: state.avgPrice,
+      take_profit_price: state.takeProfitPrice,
+    };
+  }
+
+  saveDealState(plan, deal, state) {
+    updateDCADeal(deal.id, this.dealRow(state));
+    updateDCAPlan(plan.id, {
+      total_invested: state.totalCost,
+      total_coins: state.totalAmount,
+      avg_buy_price: state.avgPrice,
+    });
+  }
+
+  /**
+   * Güvenlik emri dolumunu deal maliyetine ekle, ortalama ve TP fiyatını yeniden hesapla
+   */
+  applySafetyFill(plan, state, so, remote) {
+    const [base, quote] = plan.symbol.split('/');
+    const fill = fillDetails(remote, so.price, base, quote);
+    if (fill.filled <= 0) {
+      so.status = 'cancelled';
+      logger.warn(`DCA güvenlik emri #${so.index} dolmadan kapandı (${plan.symbol}, ${remote.status}).`);
+      return;
+    }
+
+    so.status = 'filled';
+    so.filledPrice = fill.price;
+    so.filledAmount = fill.filled;
+    state.totalCost += fill.price * fill.filled + fill.feeQuote;
+    state.totalAmount += fill.filled - fill.feeBase;
+    state.fees += fill.feeQuote + fill.feeBase * fill.price;
+    state.safetyFilled++;
+    state.avgPrice = state.totalCost / state.totalAmount;
+    state.takeProfitPrice = state.avgPrice * (1 + plan.take_profit_pct / 100);
+
+    insertTrade({
+      exchange: plan.exchange, symbol: plan.symbol, side: 'buy', type: 'limit',
+      price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'dca', strategy_id: plan.id, order_id: remote.id, status: 'filled',
+      notes: `DCA deal #${(plan.deals_closed || 0) + 1} | Güvenlik emri #${so.index} (-${so.deviationPct.toFixed(2)}%)`,
+    });
+    logger.info(`DCA güvenlik emri #${so.index} doldu: ${plan.symbol} @ $${fill.price} | Ort: $${state.avgPrice.toFixed(6)} | Yeni TP: $${state.takeProfitPrice.toFixed(6)}`);
+  }
+
+  /**
+   * Deal'i kapat: bekleyen güvenlik emirlerini iptal et, tüm pozisyonu market satışla kapat
+   */
+  async closeDeal(plan, deal, reason) {
+    const state = this.dealState(deal);
+    const cancelled = [];
+
+    for (const so of state.safetyOrders.filter(o => o.status === 'placed')) {
+      try {
+        await this.exchangeManager.cancelOrder(plan.exchange, so.orderId, plan.symbol);
+      } catch { /* dolmuş olabilir — aşağıda sorgulanır */ }
+      try {
+        const remote = await this.exchangeManager.fetchOrder(plan.exchange, so.orderId, plan.symbol);
+        if (remote.filled > 0) this.applySafetyFill(plan, state, so, remote);
+        else cancelled.push(so);
+      } catch {
+        cancelled.push(so);
+      }
+    }
+
+    let sale;
+    try {
+      const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
+      sale = await this.marketFill(plan, 'sell', state.totalAmount, ticker.last);
+    } catch (err) {
+      // Satış olmadı — deal açık kalır, iptal edilen güvenlik emirleri yeniden yerleştirilir
+      for (const so of cancelled) Object.assign(so, await this.placeSafetyOrder(plan, so));
+      this.saveDealState(plan, deal, state);
+      throw err;
+    }
+    for (const so of state.safetyOrders.filter(o => o.status !== 'filled')) so.status = 'cancelled';
+    this.saveDealState(plan, deal, state);
+
+    const { order, fill } = sale;
+    const sellFees = fill.feeQuote + fill.feeBase * fill.price;
+    const proceeds = fill.price * fill.filled - sellFees;
+    const pnl = proceeds - state.totalCost;
+    const pnlPct = (pnl / state.totalCost) * 100;
+    const dealNo = (plan.deals_closed || 0) + 1;
+
+    insertTrade({
+      exchange: plan.exchange, symbol: plan.symbol, side: 'sell', type: 'market',
+      price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'dca', strategy_id: plan.id, order_id: order.id, status: 'filled', pnl,
+      notes: `DCA deal #${dealNo} | Kapanış (${reason}) | ${state.safetyFilled} güvenlik emri`,
+    });
+
+    closeDCADeal(deal.id, { reason, closePrice: fill.price, fees: state.fees + sellFees, pnl, pnlPct });
+    updateDCAPlan(plan.id, {
+      realized_pnl: (plan.realized_pnl || 0) + pnl,
+      deals_closed: dealNo,
+      total_invested: 0,
+      total_coins: 0,
+      avg_buy_price: 0,
+    });
+
+    logger.info(`DCA deal #${dealNo} kapandı (${reason}): ${plan.symbol} @ $${fill.price} | P&L: $${pnl.toFixed(2)} (${pnlPct.toFixed(2)}%)`);
+
+    if (this.notifier) {
+      await this.notifier.notifyTrade({
+        type: 'DCA DEAL KAPANIŞ',
+        symbol: plan.symbol,
+        direction: 'SELL',
+        entryPrice: state.avgPrice,
+        closePrice: fill.price,
+        amount: fill.filled,
+        pnl,
+        pnlPct,
+      }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+  }
+
+  /**
+   * Açık deal'i elle kapat — plan aktifse bir sonraki kontrolde yeni deal başlar
+   */
+  async closeDealManually(planId) {
+    const plan = getDCAPlan(planId);
+    if (!plan) throw new Error('Plan bulunamadı.');
+    const locked = await this.dealLocked(planId, (current, deal) => {
+      if (!deal) throw new Error('Açık deal yok.');
+      return this.closeDeal(current, deal, 'manual');
+    });
+    if (!locked) throw new Error('Planın deal işlemi sürüyor — biraz sonra tekrar deneyin.');
+    return getDCAPlan(planId);
+  }
+
+  /**
+   * Planın deal geçmişi
+   */
+  getDeals(planId, limit = 50) {
+    return getDCADeals(planId, limit).map(d => ({ ...d, safety_orders: JSON.parse(d.safety_orders || '[]') }));
+  }
+
   /**
    * Plan duraklat
    */
@@ -168,20 +1584,35 @@ class DCAEngine {
    * Plan devam et
    */
   resumePlan(id) {
-    updateDCAPlan(id, { status: 'active' });
     const plan = getDCAPlan(id);
-    if (plan) this.schedulePlan(plan);
+    if (!plan) throw new Error('Plan bulunamadı.');
+    const nextBuy = plan.mode === 'deal' ? null : this.nextBuyAt(plan);
+    const cap = plan.mode === 'deal' ? null : this.capReached(plan, nextBuy);
+    if (cap) throw new Error(`Plan devam ettirilemez: ${cap}`);
+
+    updateDCAPlan(id, { status: 'active', stop_reason: null, next_buy_at: nextBuy?.toISOString() ?? null });
+    this.schedulePlan(getDCAPlan(id));
     logger.info(`DCA planı devam ediyor: ${id}`);
   }
 
   /**
-   * Plan sil
+   * Plan sil — açık deal'in bekleyen güvenlik emirleri iptal edilir, eldeki coinler satılmaz
    */
-  deletePlan(id) {
+  async deletePlan(id) {
     if (this.cronJobs.has(id)) {
       this.cronJobs.get(id).stop();
       this.cronJobs.delete(id);
     }
+    const plan = getDCAPlan(id);
+    const deal = plan && getOpenDCADeal(id);
+    if (deal) {
+      for (const so of JSON.parse(deal.safety_orders || '[]').filter(o => o.status === 'placed')) {
+        try {
+          await this.exchangeManager.cancelOrder(plan.exchange, so.orderId, plan.symbol);
+        } catch { /* ignore */ }
+      }
+      logger.warn(`DCA planı açık deal ile silindi: ${plan.symbol} | ${deal.total_amount} coin elde kaldı`);
+    }
     dbDeleteDCA(id);
     logger.info(`DCA planı silindi: ${id}`);
   }
@@ -196,35 +1627,59 @@ class DCAEngine {
     for (const plan of plans) {
       let roi = 0;
       let currentValue = 0;
+      let basketReport = null;
 
-      if (plan.total_coins > 0) {
+      if (plan.mode === 'basket') {
+        basketReport = await this.basketReport(plan);
+        currentValue = basketReport.currentValue;
+        roi = basketReport.roi;
+      } else if (plan.mode === 'exit') {
+        // Çıkış planında ROI satılan coinlerin maliyetine göre gerçekleşen getiri
+        currentValue = plan.total_proceeds || 0;
+        roi = plan.total_invested > 0 ? ((plan.realized_pnl || 0) / plan.total_invested) * 100 : 0;
+      } else if (plan.total_coins > 0 || plan.sold_cost > 0) {
+        // Çıkış planı satış yaptıysa: eldeki coinlerin K/Z'si + gerçekleşen K/Z, brüt harcamaya oranla
         try {
-          const ticker = await this.exchangeManager.getTicker(plan.exchange, plan.symbol);
-          currentValue = plan.total_coins * ticker.last;
-          roi = plan.total_invested > 0 ? ((currentValue - plan.total_invested) / plan.total_invested) * 100 : 0;
+          if (plan.total_coins > 0) currentValue = plan.total_coins * (await this.exchangeManager.getTicker(plan.exchange, plan.symbol)).last;
+          const heldCost = (plan.total_invested || 0) - (plan.sold_cost || 0);
+          roi = plan.total_invested > 0 ? ((currentValue - heldCost + (plan.sold_cost > 0 ? plan.realized_pnl || 0 : 0)) / plan.total_invested) * 100 : 0;
         } catch { /* ignore */ }
       }
 
+      const deal = plan.mode === 'deal' ? getOpenDCADeal(plan.id) : null;
       results.push({
         ...plan,
         currentValue,
         roi: roi.toFixed(2),
+        basketReport,
+        executionStats: plan.mode === 'deal' || plan.mode === 'exit' ? null : getDCAExecutionStats(plan.id),
+        exit: plan.mode === 'exit' ? this.exitInfo(plan, plans) : null,
+        deal: deal ? {
+          id: deal.id,
+          safetyFilled: deal.safety_filled,
+          safetyTotal: JSON.parse(deal.safety_orders || '[]').length,
+          takeProfitPrice: deal.take_profit_price,
+          openedAt: deal.opened_at,
+        } : null,
       });
     }
 
     return results;
   }
 
-  calculateNextBuy(interval) {
-    const now = new Date();
-    switch (interval) {
-      case 'hourly': return new Date(now.getTime() + 60 * 60 * 1000);
-      case 'daily': { const d = new Date(now); d.setDate(d.getDate() + 1); d.setHours(9, 0, 0, 0); return d; }
-      case 'weekly': { const d = new Date(now); d.setDate(d.getDate() + (7 - d.getDay() + 1) % 7 || 7); d.setHours(9, 0, 0, 0); return d; }
-      case 'biweekly': { const d = new Date(now); d.setDate(d.getDate() + 14); d.setHours(9, 0, 0, 0); return d; }
-      case 'monthly': { const d = new Date(now); d.setMonth(d.getMonth() + 1); d.setDate(1); d.setHours(9, 0, 0, 0); return d; }
-      default: return now;
-    }
+  /**
+   * Çıkış planının kaynak pozisyonu ve satış eşiği
+   */
+  exitInfo(plan, plans) {
+    const source = plans.find(p => p.id === plan.source_plan_id);
+    return {
+      sourceId: plan.source_plan_id,
+      sourceCoins: source ? source.total_coins || 0 : null,
+      sourceAvgPrice: source ? source.avg_buy_price || 0 : null,
+      minPrice: source && plan.exit_min_multiple ? source.avg_buy_price * plan.exit_min_multiple : null,
+      ladder: JSON.parse(plan.exit_ladder || '[]').map(l => ({ ...l, done: JSON.parse(plan.exit_ladder_done || '[]').includes(l.price) })),
+      avgSellPrice: plan.total_coins > 0 ? (plan.total_proceeds || 0) / plan.total_coins : 0,
+    };
   }
 
   stopAll() {
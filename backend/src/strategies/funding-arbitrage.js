@@ -0,0 +1,448 @@
+import { createLogger, format, transports } from 'winston';
+import { getSetting, getSettingNum, setSetting, insertTrade, insertRiskEvent, insertFundingPosition, updateFundingPosition, closeFundingPosition, getFundingPosition, getFundingPositions } from '../database.js';
+import { filledAmount, legFee } from './arbitrage.js';
+
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(format.timestamp(), format.printf(({ timestamp, level, message }) => `${timestamp} [FUNDING][${level.toUpperCase()}] ${message}`)),
+  transports: [new transports.Console(), new transports.File({ filename: 'logs/funding.log' })],
+});
+
+const HOURS_PER_YEAR = 365 * 24;
+// Spot ve perp bacakları arasında bu orandan küçük miktar farkı yuvarlama sayılır
+const LEG_TOLERANCE = 0.001;
+
+/**
+ * Dönemlik funding oranını yıllık yüzdeye çevir
+ */
+export function annualizeFunding(rate, intervalHours = 8) {
+  return rate * (HOURS_PER_YEAR / intervalHours) * 100;
+}
+
+/**
+ * Spot–Perpetual Funding Arbitrajı
+ * short_perp: spot long + perp short — pozitif funding alınır
+ * long_perp: spot satış + perp long — negatif funding alınır (eldeki spot coin satılır)
+ * Fiyat riski iki bacakla nötrlenir; getiri funding ödemeleri + baz yakınsaması.
+ */
+class FundingArbitrage {
+  constructor(exchangeManager, riskManager, notifier) {
+    this.exchangeManager = exchangeManager;
+    this.riskManager = riskManager;
+    this.notifier = notifier;
+    this.rates = [];
+    this.lastScanAt = null;
+    this.autoExecute = getSetting('funding.auto_execute') === '1';
+  }
+
+  getConfig() {
+    const list = (key, def) => (getSetting(key) || def).split(',').map(s => s.trim()).filter(Boolean);
+    return {
+      exchanges: list('funding.exchanges', 'binance'),
+      coins: list('funding.coins', 'BTC/USDT,ETH/USDT'),
+      minAnnualPct: getSettingNum('funding.min_annual_pct', 15),
+      exitAnnualPct: getSettingNum('funding.exit_annual_pct', 3),
+      basisConvergePct: getSettingNum('funding.basis_converge_pct', 0.05),
+      tradeUSD: getSettingNum('funding.trade_usd', 50),
+      leverage: getSettingNum('funding.leverage', 1),
+      maxPositions: getSettingNum('funding.max_positions', 3),
+    };
+  }
+
+  /**
+   * Zamanlayıcı girişi — tarama kapalıyken de açık pozisyonların funding/çıkış takibi sürer
+   */
+  async tick() {
+    if (getSetting('funding.enabled') === '1') return this.scan();
+    if (getFundingPositions('open').length > 0) await this.checkPositions();
+    return this.rates;
+  }
+
+  /**
+   * Funding oranı, spot ve perp fiyatı, baz
+   */
+  async fetchMarket(exchangeId, symbol) {
+    const [funding, spot] = await Promise.all([
+      this.exchangeManager.getFundingRate(exchangeId, symbol),
+      this.exchangeManager.getTicker(exchangeId, symbol),
+    ]);
+    const spotPrice = spot.last;
+    const perpPrice = funding.markPrice || (await this.exchangeManager.getTicker(exchangeId, funding.symbol)).last;
+    // Borsa sonraki funding zamanını vermezse UTC aralık sınırı varsayılır
+    const intervalMs = funding.intervalHours * 3600 * 1000;
+    const nextFundingTimestamp = funding.nextFundingTimestamp || Math.ceil(Date.now() / intervalMs) * intervalMs;
+
+    return {
+      exchange: exchangeId,
+      symbol,
+      perpSymbol: funding.symbol,
+      fundingRate: funding.fundingRate,
+      annualPct: annualizeFunding(funding.fundingRate, funding.intervalHours),
+      intervalHours: funding.intervalHours,
+      nextFundingTimestamp,
+      spotPrice,
+      perpPrice,
+      basisPct: ((perpPrice - spotPrice) / spotPrice) * 100,
+      timestamp: Date.now(),
+    };
+  }
+
+  entrySignal(market, config) {
+    if (market.annualPct >= config.minAnnualPct) return 'short_perp';
+    if (market.annualPct <= -config.minAnnualPct) return 'long_perp';
+    return null;
+  }
+
+  /**
+   * Tüm borsa/coin çiftlerinde funding ve bazı tara, açık pozisyonları güncelle
+   */
+  async scan() {
+    const config = this.getConfig();
+    const rates = [];
+
+    for (const exchangeId of config.exchanges) {
+      if (!this.exchangeManager.getExchange(exchangeId)) continue;
+      for (const symbol of config.coins) {
+        try {
+          const market = await this.fetchMarket(exchangeId, symbol);
+          market.signal = this.entrySignal(market, config);
+          rates.push(market);
+          if (market.signal) {
+            logger.info(`💸 Funding fırsatı: ${exchangeId} ${symbol} | Oran: ${(market.fundingRate * 100).toFixed(4)}% (${market.annualPct.toFixed(2)}%/yıl) | Baz: ${market.basisPct.toFixed(4)}% | ${market.signal}`);
+          }
+        } catch (err) {
+          logger.warn(`${exchangeId} ${symbol} funding verisi alınamadı: ${err.message}`);
+        }
+      }
+    }
+
+    this.rates = rates;
+    this.lastScanAt = Date.now();
+    await this.checkPositions(rates);
+
+    if (this.autoExecute) {
+      const candidates = rates.filter(r => r.signal).sort((a, b) => Math.abs(b.annualPct) - Math.abs(a.annualPct));
+      for (const market of candidates) {
+        const result = await this.open(market.exchange, market.symbol);
+        if (!result.success) logger.info(`${market.exchange} ${market.symbol} açılmadı: ${result.reason}`);
+      }
+    }
+
+    return rates;
+  }
+
+  /**
+   * Açık pozisyonlar: funding tahakkuku ve çıkış koşulları
+   */
+  async checkPositions(rates = []) {
+    const config = this.getConfig();
+    for (const pos of getFundingPositions('open')) {
+      try {
+        const market = rates.find(r => r.exchange === pos.exchange && r.symbol === pos.symbol) || await this.fetchMarket(pos.exchange, pos.symbol);
+        this.accrueFunding(pos, market);
+        // Bir bacağı kapanmış çift hedge'siz kalır — çıkış sinyali beklenmeden kapatılmaya devam edilir
+        const unbalanced = Math.abs(pos.spot_amount - pos.perp_amount) > Math.max(pos.spot_amount, pos.perp_amount) * LEG_TOLERANCE;
+        const reason = unbalanced ? 'Dengesiz bacak — kapanış tekrarı' : this.exitReason(pos, market, config);
+        if (reason) await this.close(pos.id, reason);
+      } catch (err) {
+        logger.error(`${pos.exchange} ${pos.symbol} funding pozisyon kontrol hatası: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Geçen her funding dönemi için ödemeyi trades tablosuna yaz — kontroller arasında kaçırılan dönemler de eklenir
+   * Tutar tahminidir: perp notional × dönem için bilinen son oran (ilk dönemde ilan edilen, sonrakilerde güncel oran)
+   */
+  accrueFunding(pos, market) {
+    const updates = { last_rate: market.fundingRate, next_funding_ts: market.nextFundingTimestamp };
+
+    if (pos.next_funding_ts && Date.now() >= pos.next_funding_ts && pos.last_rate !== null) {
+      const intervalMs = market.intervalHours * 3600 * 1000;
+      // Pozitif oranda short alır, long öder
+      const sign = pos.direction === 'short_perp' ? 1 : -1;
+      let fundingTs = pos.next_funding_ts;
+      let rate = pos.last_rate;
+      let accrued = pos.funding_accrued || 0;
+      let count = pos.funding_count || 0;
+
+      while (fundingTs <= Date.now()) {
+        const payment = pos.perp_amount * market.perpPrice * rate * sign;
+        insertTrade({
+          exchange: pos.exchange,
+          symbol: pos.symbol,
+          side: pos.direction === 'short_perp' ? 'sell' : 'buy',
+          type: 'funding',
+          price: market.perpPrice,
+          amount: pos.perp_amount,
+          cost: Math.abs(payment),
+          strategy: 'funding-arbitrage',
+          strategy_id: pos.id,
+          status: 'filled',
+          pnl: payment,
+          notes: `Funding ödemesi ${payment >= 0 ? 'alındı' : 'ödendi'} | Oran: ${(rate * 100).toFixed(4)}% | ${pos.direction} | ${new Date(fundingTs).toISOString()}`,
+        });
+        if (this.exchangeManager.isDemo(pos.exchange)) this.exchangeManager.paper[pos.exchange]?.applyFunding(pos.symbol, payment);
+
+        accrued += payment;
+        count++;
+        logger.info(`${pos.exchange} ${pos.symbol} funding: ${payment >= 0 ? '+' : ''}$${payment.toFixed(4)} | Toplam: $${accrued.toFixed(4)}`);
+        fundingTs += intervalMs;
+        rate = market.fundingRate;
+      }
+
+      // Borsa sonraki zamanı henüz güncellemediyse aynı dönem iki kez yazılmasın
+      updates.next_funding_ts = Math.max(market.nextFundingTimestamp, fundingTs);
+      updates.funding_accrued = accrued;
+      updates.funding_count = count;
+    }
+
+    updateFundingPosition(pos.id, updates);
+  }
+
+  /**
+   * Çıkış nedeni — funding yön değiştirdi, eşiğin altına düştü veya baz yakınsadı
+   */
+  exitReason(pos, market, config) {
+    const collected = pos.direction === 'short_perp' ? market.annualPct : -market.annualPct;
+    if (collected < 0) return `Funding yön değiştirdi (${market.annualPct.toFixed(2)}%/yıl)`;
+    if (collected < config.exitAnnualPct) return `Funding eşiğin altında (${market.annualPct.toFixed(2)}%/yıl < ${config.exitAnnualPct}%)`;
+    if (Math.abs(pos.entry_basis_pct || 0) > config.basisConvergePct && Math.abs(market.basisPct) <= config.basisConvergePct) {
+      return `Baz yakınsadı (${(pos.entry_basis_pct || 0).toFixed(4)}% → ${market.basisPct.toFixed(4)}%)`;
+    }
+    return null;
+  }
+
+  /**
+   * Delta-nötr çift aç: spot ve perp bacakları eşzamanlı market emri
+   */
+  async open(exchangeId, symbol, options = {}) {
+    const config = this.getConfig();
+    const openPositions = getFundingPositions('open');
+    if (openPositions.some(p => p.exchange === exchangeId && p.symbol === symbol)) {
+      return { success: false, reason: 'Bu borsa/coin için açık funding pozisyonu var' };
+    }
+    if (openPositions.length >= config.maxPositions) {
+      return { success: false, reason: `Maksimum funding pozisyonu sayısına ulaşıldı (${config.maxPositions})` };
+    }
+
+    try {
+      const market = await this.fetchMarket(exchangeId, symbol);
+      const direction = options.direction || this.entrySignal(market, config);
+      if (!['short_perp', 'long_perp'].includes(direction)) {
+        return { success: false, reason: `Funding eşiğin altında (${market.annualPct.toFixed(2)}%/yıl, eşik ±${config.minAnnualPct}%)` };
+      }
+
+      const tradeUSD = options.usd || config.tradeUSD;
+      const leverage = config.leverage;
+      const amount = tradeUSD / market.spotPrice;
+      const [base, quote] = symbol.split('/');
+      const balance = await this.exchangeManager.getBalance(exchangeId);
+
+      // Risk kontrolü yalnızca perp marjinini kapsar — spot bacak kaldıraçsızdır, bakiyesi ayrıca kontrol edilir
+      if (this.riskManager && !this.riskManager.canTrade({ balance: balance.totalUSD, margin: tradeUSD / leverage })) {
+        return { success: false, reason: 'Risk yöneticisi işleme izin vermiyor' };
+      }
+      if (direction === 'short_perp' && (balance.free?.[quote] || 0) < tradeUSD) {
+        return { success: false, reason: `Spot alım için ${quote} bakiyesi yetersiz (gereken: $${tradeUSD.toFixed(2)})` };
+      }
+      if (direction === 'long_perp' && (balance.free?.[base] || 0) < amount) {
+        return { success: false, reason: `Ters yön için spot ${base} bakiyesi yetersiz (gereken: ${amount.toFixed(6)})` };
+      }
+
+      await this.exchangeManager.setLeverage(exchangeId, symbol, leverage);
+      await this.exchangeManager.setMarginMode(exchangeId, symbol, 'isolated');
+
+      const [spotSide, perpSide] = direction === 'short_perp' ? ['buy', 'sell'] : ['sell', 'buy'];
+      const [spotResult, perpResult] = await Promise.allSettled([
+        this.exchangeManager.createOrder(exchangeId, symbol, 'market', spotSide, amount),
+        this.exchangeManager.createOrder(exchangeId, symbol, 'market', perpSide, amount, undefined, { type: 'future' }),
+      ]);
+      const spot = this.legResult(spotResult, amount, symbol);
+      const perp = this.legResult(perpResult, amount, symbol);
+
+      if (spot.filled === 0 && perp.filled === 0) {
+        logger.warn(`${exchangeId} ${symbol} funding çifti açılamadı: ${spot.error || ''} ${perp.error || ''}`);
+        return { success: false, reason: spot.error || perp.error || 'İki bacak da dolmadı' };
+      }
+
+      // Bacaklar dengesizse fazla olan geri alınır — pozisyon küçük bacak kadar açılır
+      if (Math.abs(spot.filled - perp.filled) > amount * LEG_TOLERANCE) {
+        await this.unwindExcess(exchangeId, symbol, direction, spot, perp);
+      }
+      const hedged = Math.min(spot.filled, perp.filled);
+      if (hedged <= 0) return { success: false, reason: 'Bir bacak dolmadı — dolan bacak geri alındı' };
+
+      const spotEntry = spot.avgPrice || market.spotPrice;
+      const perpEntry = perp.avgPrice || market.perpPrice;
+      const id = insertFundingPosition({
+        exchange: exchangeId,
+        symbol,
+        direction,
+        spot_amount: hedged,
+        perp_amount: hedged,
+        spot_entry: spotEntry,
+        perp_entry: perpEntry,
+        entry_basis_pct: ((perpEntry - spotEntry) / spotEntry) * 100,
+        entry_annual_pct: market.annualPct,
+        leverage,
+        last_rate: market.fundingRate,
+        next_funding_ts: market.nextFundingTimestamp,
+        fees: spot.fee + perp.fee,
+      });
+
+      const notes = `FUNDING ${direction} AÇILIŞ | ${market.annualPct.toFixed(2)}%/yıl | Baz: ${market.basisPct.toFixed(4)}%`;
+      insertTrade({ exchange: exchangeId, symbol, side: spotSide, type: 'market', price: spotEntry, amount: hedged, cost: hedged * spotEntry, fee: spot.fee, strategy: 'funding-arbitrage', strategy_id: id, order_id: spot.orderId, status: 'filled', notes: `${notes} | spot` });
+      insertTrade({ exchange: exchangeId, symbol, side: perpSide, type: 'market', price: perpEntry, amount: hedged, cost: hedged * perpEntry, fee: perp.fee, strategy: 'funding-arbitrage', strategy_id: id, order_id: perp.orderId, status: 'filled', notes: `${notes} | perp ${leverage}x` });
+
+      logger.info(`✅ Funding çifti açıldı: ${exchangeId} ${symbol} ${direction} | ${hedged.toFixed(6)} @ spot $${spotEntry.toFixed(2)} / perp $${perpEntry.toFixed(2)} | ${market.annualPct.toFixed(2)}%/yıl`);
+
+      if (this.notifier) {
+        await this.notifier.notifyTrade({
+          type: 'FUNDING ARB AÇILIŞ',
+          symbol: `${symbol} @ ${exchangeId}`,
+          direction: direction === 'short_perp' ? 'SPOT LONG + PERP SHORT' : 'SPOT SHORT + PERP LONG',
+          leverage,
+          entryPrice: spotEntry,
+          amount: hedged,
+        }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+      }
+
+      return { success: true, id, position: getFundingPosition(id) };
+    } catch (err) {
+      logger.error(`${exchangeId} ${symbol} funding açılış hatası: ${err.message}`);
+      return { success: false, reason: err.message };
+    }
+  }
+
+  legResult(result, requested, symbol) {
+    const order = result.status === 'fulfilled' ? result.value : null;
+    const avgPrice = order?.average || order?.price || null;
+    return {
+      filled: filledAmount(order, requested),
+      avgPrice,
+      fee: legFee(order, symbol, avgPrice),
+      orderId: order?.id || null,
+      error: result.status === 'rejected' ? result.reason?.message || String(result.reason) : null,
+    };
+  }
+
+  /**
+   * Fazla dolan bacağı küçük bacağa eşitle — başaramazsa kritik risk olayı
+   */
+  async unwindExcess(exchangeId, symbol, direction, spot, perp) {
+    const excess = spot.filled - perp.filled;
+    const isSpot = excess > 0;
+    const openSide = isSpot ? (direction === 'short_perp' ? 'buy' : 'sell') : (direction === 'short_perp' ? 'sell' : 'buy');
+    const side = openSide === 'buy' ? 'sell' : 'buy';
+    const params = isSpot ? {} : { type: 'future', reduceOnly: true };
+    let message;
+
+    try {
+      await this.exchangeManager.createOrder(exchangeId, symbol, 'market', side, Math.abs(excess), undefined, params);
+      (isSpot ? spot : perp).filled -= Math.abs(excess);
+      message = `Funding çifti ${symbol} (${exchangeId}) dengesiz doldu — spot ${spot.error ? 'HATA' : 'ok'}, perp ${perp.error ? 'HATA' : 'ok'}. Fazla ${isSpot ? 'spot' : 'perp'} ${Math.abs(excess).toFixed(6)} geri alındı.`;
+    } catch (err) {
+      message = `Funding çifti ${symbol} (${exchangeId}) dengesiz doldu ve fazla ${isSpot ? 'spot' : 'perp'} ${Math.abs(excess).toFixed(6)} GERİ ALINAMADI: ${err.message} — MANUEL MÜDAHALE GEREKLİ.`;
+    }
+
+    insertRiskEvent({ type: 'funding_leg_risk', message, severity: 'critical' });
+    logger.error(message);
+    if (this.notifier) {
+      await this.notifier.notifyRiskAlert(`💸 ${message}`).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+  }
+
+  /**
+   * Çifti kapat — iki bacak ters emirle; bir bacak kalırsa pozisyon açık kalır ve sonraki turda tekrar denenir
+   */
+  async close(id, reason = 'Manuel kapatma') {
+    const pos = getFundingPosition(id);
+    if (!pos || pos.status !== 'open') throw new Error('Açık funding pozisyonu bulunamadı');
+
+    const [spotSide, perpSide] = pos.direction === 'short_perp' ? ['sell', 'buy'] : ['buy', 'sell'];
+    const legs = [];
+    if (pos.spot_amount > 0) legs.push(this.exchangeManager.createOrder(pos.exchange, pos.symbol, 'market', spotSide, pos.spot_amount));
+    else legs.push(Promise.resolve(null));
+    if (pos.perp_amount > 0) legs.push(this.exchangeManager.createOrder(pos.exchange, pos.symbol, 'market', perpSide, pos.perp_amount, undefined, { type: 'future', reduceOnly: true }));
+    else legs.push(Promise.resolve(null));
+
+    const [spotResult, perpResult] = await Promise.allSettled(legs);
+    const spot = this.legResult(spotResult, pos.spot_amount, pos.symbol);
+    const perp = this.legResult(perpResult, pos.perp_amount, pos.symbol);
+    const spotLeft = pos.spot_amount - spot.filled;
+    const perpLeft = pos.perp_amount - perp.filled;
+    const spotClosed = Math.min(spot.filled, pos.spot_amount);
+    const perpClosed = Math.min(perp.filled, pos.perp_amount);
+    const partial = spotLeft > pos.spot_amount * LEG_TOLERANCE || perpLeft > pos.perp_amount * LEG_TOLERANCE;
+
+    // Kapanan bacaklar her turda hemen kaydedilir — kalan bacak sonraki turda giriş fiyatına göre hesaplanır
+    const needsTicker = (spotClosed > 0 && !spot.avgPrice) || (perpClosed > 0 && !perp.avgPrice);
+    const ticker = needsTicker ? await this.exchangeManager.getTicker(pos.exchange, pos.symbol).catch(() => null) : null;
+    const spotExit = spot.avgPrice || ticker?.last || pos.spot_entry;
+    const perpExit = perp.avgPrice || ticker?.last || pos.perp_entry;
+    const dir = pos.direction === 'short_perp' ? 1 : -1;
+    const spotPnl = (spotExit - pos.spot_entry) * spotClosed * dir;
+    const perpPnl = (pos.perp_entry - perpExit) * perpClosed * dir;
+    const realizedPnl = (pos.realized_pnl || 0) + spotPnl + perpPnl;
+    const fees = pos.fees + spot.fee + perp.fee;
+
+    const notes = partial
+      ? `FUNDING KISMİ KAPANIŞ: ${reason}`
+      : `FUNDING KAPANIŞ: ${reason} | Funding: $${(pos.funding_accrued || 0).toFixed(4)} (${pos.funding_count} dönem)`;
+    if (spotClosed > 0) insertTrade({ exchange: pos.exchange, symbol: pos.symbol, side: spotSide, type: 'market', price: spotExit, amount: spotClosed, cost: spotClosed * spotExit, fee: spot.fee, strategy: 'funding-arbitrage', strategy_id: id, order_id: spot.orderId, status: 'filled', pnl: spotPnl, notes: `${notes} | spot` });
+    if (perpClosed > 0) insertTrade({ exchange: pos.exchange, symbol: pos.symbol, side: perpSide, type: 'market', price: perpExit, amount: perpClosed, cost: perpClosed * perpExit, fee: perp.fee, strategy: 'funding-arbitrage', strategy_id: id, order_id: perp.orderId, status: 'filled', pnl: perpPnl, notes: `${notes} | perp` });
+
+    if (partial) {
+      updateFundingPosition(id, { spot_amount: Math.max(spotLeft, 0), perp_amount: Math.max(perpLeft, 0), fees, realized_pnl: realizedPnl });
+      const message = `Funding çifti ${pos.symbol} (${pos.exchange}) kapatılamadı — kalan spot ${spotLeft.toFixed(6)}, perp ${perpLeft.toFixed(6)}. ${spot.error || perp.error || ''}`.trim();
+      insertRiskEvent({ type: 'funding_leg_risk', message, severity: 'critical' });
+      logger.error(message);
+      if (this.notifier) await this.notifier.notifyRiskAlert(`💸 ${message}`).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+      return { success: false, reason: message };
+    }
+
+    const pnl = realizedPnl + (pos.funding_accrued || 0) - fees;
+    closeFundingPosition(id, { reason, spotExit, perpExit, fees, pnl });
+    updateFundingPosition(id, { realized_pnl: realizedPnl });
+
+    if (this.riskManager) this.riskManager.recordPnL(pnl);
+    logger.info(`🏁 Funding çifti kapatıldı: ${pos.exchange} ${pos.symbol} | ${reason} | Baz: $${realizedPnl.toFixed(4)} | Funding: $${(pos.funding_accrued || 0).toFixed(4)} | Ücret: $${fees.toFixed(4)} | Net: $${pnl.toFixed(4)}`);
+
+    if (this.notifier) {
+      await this.notifier.notifyTrade({
+        type: 'FUNDING ARB KAPANIŞ',
+        symbol: `${pos.symbol} @ ${pos.exchange}`,
+        direction: reason,
+        entryPrice: pos.spot_entry,
+        closePrice: spotExit,
+        amount: pos.spot_amount,
+        pnl,
+      }).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+
+    return { success: true, id, pnl, spotPnl, perpPnl, funding: pos.funding_accrued || 0, fees };
+  }
+
+  enableAuto() {
+    this.autoExecute = true;
+    setSetting('funding.auto_execute', '1');
+    logger.info('Funding arbitrajı otomatik işlem aktif.');
+  }
+
+  disableAuto() {
+    this.autoExecute = false;
+    setSetting('funding.auto_execute', '0');
+    logger.info('Funding arbitrajı otomatik işlem devre dışı.');
+  }
+
+  getRates() {
+    return { rates: this.rates, lastScanAt: this.lastScanAt, autoExecute: this.autoExecute, enabled: getSetting('funding.enabled') === '1' };
+  }
+
+  getPositions(status) {
+    return getFundingPositions(status);
+  }
+}
+
+export default FundingArbitrage;
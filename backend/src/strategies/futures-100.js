@@ -1,7 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import { createLogger, format, transports } from 'winston';
 import { multiTimeframeAnalysis, calculateIndicators } from './technical-analysis.js';
-import { getSetting, getSettingNum, setSetting, insertTrade } from '../database.js';
+import { getSetting, getSettingNum, setSetting, insertTrade, insertRiskEvent, saveFuturesPosition, closeFuturesPosition, getOpenFuturesPositions } from '../database.js';
 
 const logger = createLogger({
   level: 'info',
@@ -9,15 +9,19 @@ const logger = createLogger({
   transports: [new transports.Console(), new transports.File({ filename: 'logs/futures.log' })],
 });
 
+// Koruyucu (SL/TP) tetik emirleri bu parametrelerle oluşturulur; iptal ve sorgu da aynılarıyla yapılır
+const PROTECTIVE_PARAMS = { type: 'future' };
+
 /**
  * Futures $100 Katlama Motoru
  * $100 bakiye ile kalibre edilmiş, çok katmanlı sinyal puanlamalı futures trading
  */
 class FuturesEngine {
-  constructor(exchangeManager, riskManager, notifier) {
+  constructor(exchangeManager, riskManager, notifier, options = {}) {
     this.exchangeManager = exchangeManager;
     this.riskManager = riskManager;
     this.notifier = notifier;
+    this.settingOverrides = options.settings || {}; // backtest: DB ayarlarının yerine geçer
     this.running = false;
     this.positions = new Map(); // symbol -> position data
     this.scanTimer = null;
@@ -27,6 +31,15 @@ class FuturesEngine {
     this.dailyPnLReset = new Date().toDateString();
   }
 
+  /**
+   * Sayısal ayar oku (override varsa onu kullan)
+   */
+  settingNum(key, defaultVal = 0) {
+    const override = this.settingOverrides[key];
+    if (override !== undefined && override !== null && override !== '') return parseFloat(override);
+    return getSettingNum(key, defaultVal);
+  }
+
   getCoins() {
     const raw = getSetting('futures.coins') || 'BTC/USDT,ETH/USDT,SOL/USDT';
     return raw.split(',').map(s => s.trim());
@@ -39,10 +52,14 @@ class FuturesEngine {
     }
 
     this.running = true;
+    setSetting('futures.running', '1');
     logger.info('🚀 Futures $100 Katlama Motoru başlatıldı!');
 
-    const scanInterval = getSettingNum('futures.scan_interval_sec', 60) * 1000;
-    const posInterval = getSettingNum('futures.position_check_sec', 5) * 1000;
+    // Yeniden başlatma öncesi açık pozisyonları geri yükle
+    await this.restorePositions();
+
+    const scanInterval = this.settingNum('futures.scan_interval_sec', 60) * 1000;
+    const posInterval = this.settingNum('futures.position_check_sec', 5) * 1000;
 
     // İlk tarama
     await this.scanSignals();
@@ -58,8 +75,12 @@ class FuturesEngine {
     }
   }
 
-  stop() {
+  /**
+   * Motoru durdur. persistState=false ise (kapanış sinyali) futures.auto_resume açıksa yeniden başlatmada motor devam eder.
+   */
+  stop(persistState = true) {
     this.running = false;
+    if (persistState) setSetting('futures.running', '0');
     if (this.scanTimer) { clearInterval(this.scanTimer); this.scanTimer = null; }
     if (this.positionTimer) { clearInterval(this.positionTimer); this.positionTimer = null; }
     logger.info('Futures motoru durduruldu.');
@@ -68,6 +89,89 @@ class FuturesEngine {
     }
   }
 
+  /**
+   * Kayıtlı açık pozisyonları yükle ve borsadaki pozisyonlarla uzlaştır
+   */
+  async restorePositions() {
+    const exchangeId = this.preferredExchange;
+    const rows = getOpenFuturesPositions(exchangeId);
+    const report = { restored: [], adjusted: [], missing: [], untracked: [] };
+
+    // Borsa pozisyonları (demo modda paper simülatöründen)
+    let exchangePositions = null;
+    try {
+      const raw = await this.exchangeManager.getPositions(exchangeId, undefined, { throwOnError: true });
+      exchangePositions = raw.filter(p => Math.abs(p.contracts || 0) > 0);
+    } catch (err) {
+      logger.warn(`Borsa pozisyonları alınamadı — kayıtlı pozisyonlar doğrulanmadan yükleniyor: ${err.message}`);
+    }
+
+    this.positions.clear();
+    for (const row of rows) {
+      const pos = row.data;
+
+      if (exchangePositions) {
+        const live = exchangePositions.find(p => p.symbol.split(':')[0] === pos.symbol && p.side === pos.direction);
+        if (!live) {
+          // Kapalıyken SL/TP/likidasyon ile kapanmış olabilir
+          closeFuturesPosition(pos.id, { reason: 'BORSADA BULUNAMADI' });
+          insertRiskEvent({
+            type: 'futures_position_missing',
+            message: `${pos.symbol} ${pos.direction.toUpperCase()} kayıtlı ama borsada açık değil — kapalı olarak işaretlendi.`,
+            severity: 'warning',
+          });
+          report.missing.push(pos.symbol);
+          continue;
+        }
+
+        const liveAmount = Math.abs(live.contracts) * (live.contractSize || 1);
+        if (Math.abs(liveAmount - pos.amount) > pos.amount * 0.001) {
+          logger.warn(`${pos.symbol} miktar farkı — kayıt: ${pos.amount} | borsa: ${liveAmount}. Borsa miktarı kullanılıyor.`);
+          pos.amount = liveAmount;
+          saveFuturesPosition(exchangeId, pos);
+          report.adjusted.push(pos.symbol);
+        }
+      }
+
+      // Koruyucu emri olmayan pozisyonlar için borsa SL/TP yerleştir
+      if (!pos.slOrderId && this.settingNum('futures.native_sltp', 1) === 1) {
+        await this.placeProtectiveOrders(pos);
+        saveFuturesPosition(exchangeId, pos);
+      }
+
+      this.positions.set(pos.symbol, pos);
+      report.restored.push(pos.symbol);
+    }
+
+    if (exchangePositions) {
+      for (const live of exchangePositions) {
+        const symbol = live.symbol.split(':')[0];
+        if (this.positions.has(symbol)) continue;
+        insertRiskEvent({
+          type: 'futures_position_untracked',
+          message: `${symbol} ${live.side?.toUpperCase()} borsada açık ama motor tarafından takip edilmiyor.`,
+          severity: 'warning',
+        });
+        report.untracked.push(symbol);
+      }
+    }
+
+    const changed = report.missing.length + report.adjusted.length + report.untracked.length;
+    if (rows.length > 0 || changed > 0) {
+      logger.info(`Pozisyonlar geri yüklendi: ${report.restored.length} | Düzeltilen: ${report.adjusted.length} | Borsada yok: ${report.missing.length} | Takipsiz: ${report.untracked.length}`);
+    }
+    if (changed > 0 && this.notifier) {
+      let msg = `Futures pozisyon senkronizasyonu\n`;
+      if (report.restored.length) msg += `✅ Devam: ${report.restored.join(', ')}\n`;
+      if (report.adjusted.length) msg += `⚠️ Miktar düzeltildi: ${report.adjusted.join(', ')}\n`;
+      if (report.missing.length) msg += `❌ Borsada yok (kapatıldı): ${report.missing.join(', ')}\n`;
+      if (report.untracked.length) msg += `❓ Takipsiz borsa pozisyonu: ${report.untracked.join(', ')}`;
+      await this.notifier.notifyRiskAlert(msg);
+    }
+
+    return report;
+  }
+
   /**
    * 7 Katmanlı Sinyal Puanlama (10 üzerinden)
    */
@@ -187,8 +291,8 @@ class FuturesEngine {
    * Kaldıraç belirleme
    */
   determineLeverage(score, atrPct) {
-    const maxLeverage = getSettingNum('futures.max_leverage', 4);
-    const defaultLeverage = getSettingNum('futures.default_leverage', 2);
+    const maxLeverage = this.settingNum('futures.max_leverage', 4);
+    const defaultLeverage = this.settingNum('futures.default_leverage', 2);
 
     // 4x sadece: sinyal puanı 9+ VE ATR < %2
     if (score >= 9 && atrPct !== null && atrPct < 2) {
@@ -205,8 +309,8 @@ class FuturesEngine {
    * Pozisyon büyüklüğü hesapla ($100 bakiye bazlı)
    */
   calculatePositionSize(balance, entryPrice, stopLossPrice, leverage) {
-    const maxRiskPct = getSettingNum('risk.max_position_risk_pct', 3) / 100;
-    const maxMarginPct = getSettingNum('risk.max_margin_usage_pct', 50) / 100;
+    const maxRiskPct = this.settingNum('risk.max_position_risk_pct', 3) / 100;
+    const maxMarginPct = this.settingNum('risk.max_margin_usage_pct', 50) / 100;
 
     const riskUSD = balance * maxRiskPct; // ör: $100 * 0.03 = $3
     const stopDistance = Math.abs(entryPrice - stopLossPrice) / entryPrice;
@@ -277,7 +381,7 @@ class FuturesEngine {
     const slDist = Math.abs(entryPrice - stopLoss);
     const tpDist = Math.abs(entryPrice - takeProfit);
     const rrRatio = slDist > 0 ? tpDist / slDist : 0;
-    const minRR = getSettingNum('risk.min_rr_ratio', 2.5);
+    const minRR = this.settingNum('risk.min_rr_ratio', 2.5);
 
     if (rrRatio < minRR) {
       // TP'yi minimum R:R'a göre ayarla
@@ -295,6 +399,64 @@ class FuturesEngine {
     };
   }
 
+  /**
+   * Giriş planı: kaldıraç, SL/TP, pozisyon büyüklüğü ve margin kontrolü
+   */
+  buildEntryPlan(direction, score, analysis, balance) {
+    const tf1h = analysis.timeframes?.['1h'];
+    const atrPct = tf1h?.indicators?.atrPct || null;
+    const atr = tf1h?.indicators?.atr || 0;
+    const bollinger = tf1h?.indicators?.bollinger || null;
+    const entryPrice = tf1h?.indicators?.price;
+
+    if (!entryPrice) return { error: 'Giriş fiyatı alınamadı.' };
+
+    const { leverage, mode: leverageMode } = this.determineLeverage(score, atrPct);
+    const sltp = this.calculateSLTP(direction, entryPrice, atr, bollinger);
+
+    const sizing = this.calculatePositionSize(balance, entryPrice, sltp.stopLoss, leverage);
+    if (!sizing) return { error: 'Pozisyon büyüklüğü hesaplanamadı.' };
+
+    if (sizing.margin > balance * 0.5) {
+      return { error: `Margin çok yüksek: $${sizing.margin.toFixed(2)} > $${(balance * 0.5).toFixed(2)}` };
+    }
+
+    return { entryPrice, leverage, leverageMode, sltp, sizing };
+  }
+
+  /**
+   * Pozisyon kaydı oluştur
+   */
+  createPosition(symbol, direction, score, layers, plan, orderId, openedAt = new Date().toISOString()) {
+    const { entryPrice, leverage, leverageMode, sltp, sizing } = plan;
+    return {
+      id: uuidv4(),
+      symbol,
+      direction,
+      entryPrice,
+      currentPrice: entryPrice,
+      amount: sizing.amount,
+      leverage,
+      leverageMode,
+      stopLoss: sltp.stopLoss,
+      takeProfit: sltp.takeProfit,
+      trailingStopActive: false,
+      trailingStopPrice: null,
+      partialClosed: false,
+      score,
+      layers,
+      margin: sizing.margin,
+      positionValue: sizing.positionValue,
+      orderId,
+      slOrderId: null,
+      slOrderPrice: null,
+      tpOrderId: null,
+      openedAt,
+      pnl: 0,
+      pnlPct: 0,
+    };
+  }
+
   /**
    * Tüm coinleri tara ve sinyal üret
    */
@@ -324,7 +486,7 @@ class FuturesEngine {
     }
 
     const coins = this.getCoins();
-    const maxOpenPositions = getSettingNum('risk.max_open_positions', 2);
+    const maxOpenPositions = this.settingNum('risk.max_open_positions', 2);
 
     if (this.positions.size >= maxOpenPositions) {
       logger.info(`Maksimum açık pozisyon sayısına ulaşıldı (${this.positions.size}/${maxOpenPositions})`);
@@ -342,7 +504,7 @@ class FuturesEngine {
         if (analysis.error) continue;
 
         const { score, direction, layers } = this.calculateSignalScore(analysis);
-        const minScore = getSettingNum('futures.min_signal_score', 7);
+        const minScore = this.settingNum('futures.min_signal_score', 7);
 
         logger.info(`${symbol}: Sinyal Puanı ${score}/10 — Yön: ${direction || 'Yok'} — Min: ${minScore}`);
 
@@ -368,33 +530,19 @@ class FuturesEngine {
 
       // Bakiye al
       const balance = await this.getBalance();
-      const tf1h = analysis.timeframes?.['1h'];
-      const atrPct = tf1h?.indicators?.atrPct || null;
-      const atr = tf1h?.indicators?.atr || 0;
-      const bollinger = tf1h?.indicators?.bollinger || null;
-      const entryPrice = tf1h?.indicators?.price;
 
-      if (!entryPrice) {
-        logger.error(`${symbol} — Giriş fiyatı alınamadı.`);
+      // Kaldıraç, SL/TP ve pozisyon büyüklüğü
+      const plan = this.buildEntryPlan(direction, score, analysis, balance);
+      if (plan.error) {
+        logger.warn(`${symbol} — ${plan.error}`);
         return;
       }
+      const { entryPrice, leverage, leverageMode, sltp, sizing } = plan;
 
-      // Kaldıraç
-      const { leverage, mode: leverageMode } = this.determineLeverage(score, atrPct);
-
-      // SL & TP
-      const sltp = this.calculateSLTP(direction, entryPrice, atr, bollinger);
-
-      // Pozisyon büyüklüğü
-      const sizing = this.calculatePositionSize(balance, entryPrice, sltp.stopLoss, leverage);
-      if (!sizing) {
-        logger.warn(`${symbol} — Pozisyon büyüklüğü hesaplanamadı.`);
-        return;
-      }
-
-      // Margin kontrolü
-      if (sizing.margin > balance * 0.5) {
-        logger.warn(`${symbol} — Margin çok yüksek: $${sizing.margin.toFixed(2)} > $${(balance * 0.5).toFixed(2)}`);
+      // Marjin kullanımı ve R:R limitleri — açık futures pozisyonlarının marjini de sayılır
+      const openMargin = [...this.positions.values()].reduce((sum, p) => sum + (p.margin || 0), 0);
+      if (this.riskManager && !this.riskManager.canTrade({ balance, margin: sizing.margin + openMargin, rrRatio: parseFloat(sltp.rrRatio) })) {
+        logger.warn(`${symbol} — risk limitleri pozisyona izin vermiyor.`);
         return;
       }
 
@@ -420,32 +568,14 @@ class FuturesEngine {
       );
 
       // Pozisyonu kaydet
-      const position = {
-        id: uuidv4(),
-        symbol,
-        direction,
-        entryPrice,
-        currentPrice: entryPrice,
-        amount: sizing.amount,
-        leverage,
-        leverageMode,
-        stopLoss: sltp.stopLoss,
-        takeProfit: sltp.takeProfit,
-        trailingStopActive: false,
-        trailingStopPrice: null,
-        partialClosed: false,
-        score,
-        layers,
-        margin: sizing.margin,
-        positionValue: sizing.positionValue,
-        orderId: order.id,
-        openedAt: new Date().toISOString(),
-        pnl: 0,
-        pnlPct: 0,
-      };
+      const position = this.createPosition(symbol, direction, score, layers, plan, order.id);
 
       this.positions.set(symbol, position);
 
+      // Borsa tarafında koruyucu SL/TP emirleri
+      await this.placeProtectiveOrders(position);
+      saveFuturesPosition(this.preferredExchange, position);
+
       // DB'ye kaydet
       insertTrade({
         exchange: this.preferredExchange,
@@ -496,123 +626,292 @@ class FuturesEngine {
 
     for (const [symbol, pos] of this.positions) {
       try {
+        // İki kontrol arasındaki fitil borsadaki SL/TP'yi tetiklemiş olabilir
+        if (await this.checkProtectiveOrders(pos)) continue;
+
         const ticker = await this.exchangeManager.getTicker(this.preferredExchange, symbol);
         const currentPrice = ticker.last;
         if (!currentPrice) continue;
 
-        pos.currentPrice = currentPrice;
+        const wasTrailing = pos.trailingStopActive;
+        const prevTSL = pos.trailingStopPrice;
+        const decision = this.evaluatePosition(pos, currentPrice);
 
-        // P&L hesapla
-        if (pos.direction === 'long') {
-          pos.pnl = (currentPrice - pos.entryPrice) * pos.amount;
-          pos.pnlPct = ((currentPrice - pos.entryPrice) / pos.entryPrice) * 100 * pos.leverage;
-        } else {
-          pos.pnl = (pos.entryPrice - currentPrice) * pos.amount;
-          pos.pnlPct = ((pos.entryPrice - currentPrice) / pos.entryPrice) * 100 * pos.leverage;
+        if (!wasTrailing && pos.trailingStopActive) {
+          logger.info(`${symbol} Trailing Stop aktif! Mesafe: ${this.settingNum('futures.trailing_stop_distance_pct', 1.5)}% | TSL: $${pos.trailingStopPrice.toFixed(2)}`);
+        }
+        if (pos.trailingStopPrice !== prevTSL) {
+          if (decision?.action !== 'close' && this.shouldAmendStop(pos)) {
+            await this.replaceProtectiveOrders(pos, ['sl']);
+          }
+          saveFuturesPosition(this.preferredExchange, pos);
         }
 
-        // --- STOP LOSS kontrolü ---
-        const hitSL = (pos.direction === 'long' && currentPrice <= pos.stopLoss) ||
-                      (pos.direction === 'short' && currentPrice >= pos.stopLoss);
+        if (!decision) continue;
 
-        if (hitSL) {
-          await this.closePosition(symbol, 'STOP LOSS', currentPrice);
+        if (decision.action === 'close') {
+          await this.closePosition(symbol, decision.reason, currentPrice);
           continue;
         }
 
-        // --- TAKE PROFIT kontrolü ---
-        const hitTP = (pos.direction === 'long' && currentPrice >= pos.takeProfit) ||
-                      (pos.direction === 'short' && currentPrice <= pos.takeProfit);
-
-        if (hitTP) {
-          await this.closePosition(symbol, 'TAKE PROFIT', currentPrice);
-          continue;
+        // --- KISMI KÂR ---
+        const closeSide = pos.direction === 'long' ? 'sell' : 'buy';
+        try {
+          await this.exchangeManager.createOrder(
+            this.preferredExchange, symbol, 'market', closeSide, decision.amount, undefined, { type: 'future', reduceOnly: true }
+          );
+
+          this.applyPartialClose(pos, decision.amount);
+          // Kalan miktar ve breakeven SL için borsa emirlerini güncelle
+          await this.replaceProtectiveOrders(pos, ['sl', 'tp']);
+          saveFuturesPosition(this.preferredExchange, pos);
+
+          logger.info(`${symbol} Kısmi kâr alındı! %${decision.percent} kapatıldı | SL → Breakeven`);
+
+          if (this.notifier) {
+            await this.notifier.notifyTrade({
+              type: 'KISMI KÂR',
+              symbol,
+              direction: pos.direction.toUpperCase(),
+              closePrice: currentPrice,
+              closedAmount: decision.amount,
+              remainingAmount: pos.amount,
+              pnlPct: pos.pnlPct.toFixed(2),
+              newSL: pos.entryPrice,
+            });
+          }
+        } catch (err) {
+          logger.error(`${symbol} kısmi kâr hatası: ${err.message}`);
         }
+      } catch (err) {
+        logger.error(`${symbol} pozisyon izleme hatası: ${err.message}`);
+      }
+    }
+  }
 
-        // --- TRAILING STOP kontrolü ---
-        const trailingActivatePct = getSettingNum('futures.trailing_stop_activate_pct', 2);
-        const trailingDistancePct = getSettingNum('futures.trailing_stop_distance_pct', 1.5);
+  /**
+   * Fiyat güncellemesinde pozisyonu değerlendir: P&L, SL, TP, trailing stop, kısmi kâr.
+   * Pozisyon nesnesini günceller; yapılacak işlemi döndürür (yoksa null).
+   * Canlı izleme ve backtest aynı kuralları kullanır.
+   */
+  evaluatePosition(pos, currentPrice) {
+    pos.currentPrice = currentPrice;
 
-        if (pos.pnlPct >= trailingActivatePct && !pos.trailingStopActive) {
-          pos.trailingStopActive = true;
-          const distance = currentPrice * (trailingDistancePct / 100);
-          pos.trailingStopPrice = pos.direction === 'long' ? currentPrice - distance : currentPrice + distance;
-          logger.info(`${symbol} Trailing Stop aktif! Mesafe: ${trailingDistancePct}% | TSL: $${pos.trailingStopPrice.toFixed(2)}`);
-        }
+    // P&L hesapla
+    if (pos.direction === 'long') {
+      pos.pnl = (currentPrice - pos.entryPrice) * pos.amount;
+      pos.pnlPct = ((currentPrice - pos.entryPrice) / pos.entryPrice) * 100 * pos.leverage;
+    } else {
+      pos.pnl = (pos.entryPrice - currentPrice) * pos.amount;
+      pos.pnlPct = ((pos.entryPrice - currentPrice) / pos.entryPrice) * 100 * pos.leverage;
+    }
 
-        if (pos.trailingStopActive) {
-          const distance = currentPrice * (trailingDistancePct / 100);
-          if (pos.direction === 'long') {
-            const newTSL = currentPrice - distance;
-            if (newTSL > pos.trailingStopPrice) pos.trailingStopPrice = newTSL;
-            if (currentPrice <= pos.trailingStopPrice) {
-              await this.closePosition(symbol, 'TRAILING STOP', currentPrice);
-              continue;
-            }
-          } else {
-            const newTSL = currentPrice + distance;
-            if (newTSL < pos.trailingStopPrice) pos.trailingStopPrice = newTSL;
-            if (currentPrice >= pos.trailingStopPrice) {
-              await this.closePosition(symbol, 'TRAILING STOP', currentPrice);
-              continue;
-            }
-          }
-        }
+    // --- STOP LOSS kontrolü ---
+    const hitSL = (pos.direction === 'long' && currentPrice <= pos.stopLoss) ||
+                  (pos.direction === 'short' && currentPrice >= pos.stopLoss);
+    if (hitSL) return { action: 'close', reason: 'STOP LOSS' };
 
-        // --- KISMI KÂR kontrolü ---
-        const partialClosePct = getSettingNum('futures.partial_close_pct', 4);
-        const partialCloseAmount = getSettingNum('futures.partial_close_amount', 50);
-
-        if (pos.pnlPct >= partialClosePct && !pos.partialClosed) {
-          const closeAmount = pos.amount * (partialCloseAmount / 100);
-          const closeSide = pos.direction === 'long' ? 'sell' : 'buy';
-
-          try {
-            await this.exchangeManager.createOrder(
-              this.preferredExchange, symbol, 'market', closeSide, closeAmount, undefined, { type: 'future', reduceOnly: true }
-            );
-
-            pos.amount -= closeAmount;
-            pos.partialClosed = true;
-            pos.stopLoss = pos.entryPrice; // Breakeven SL
-
-            logger.info(`${symbol} Kısmi kâr alındı! %${partialCloseAmount} kapatıldı | SL → Breakeven`);
-
-            if (this.notifier) {
-              await this.notifier.notifyTrade({
-                type: 'KISMI KÂR',
-                symbol,
-                direction: pos.direction.toUpperCase(),
-                closePrice: currentPrice,
-                closedAmount: closeAmount,
-                remainingAmount: pos.amount,
-                pnlPct: pos.pnlPct.toFixed(2),
-                newSL: pos.entryPrice,
-              });
-            }
-          } catch (err) {
-            logger.error(`${symbol} kısmi kâr hatası: ${err.message}`);
-          }
-        }
+    // --- TAKE PROFIT kontrolü ---
+    const hitTP = (pos.direction === 'long' && currentPrice >= pos.takeProfit) ||
+                  (pos.direction === 'short' && currentPrice <= pos.takeProfit);
+    if (hitTP) return { action: 'close', reason: 'TAKE PROFIT' };
+
+    // --- TRAILING STOP kontrolü ---
+    const trailingActivatePct = this.settingNum('futures.trailing_stop_activate_pct', 2);
+    const trailingDistancePct = this.settingNum('futures.trailing_stop_distance_pct', 1.5);
+
+    if (pos.pnlPct >= trailingActivatePct && !pos.trailingStopActive) {
+      pos.trailingStopActive = true;
+      const distance = currentPrice * (trailingDistancePct / 100);
+      pos.trailingStopPrice = pos.direction === 'long' ? currentPrice - distance : currentPrice + distance;
+    }
+
+    if (pos.trailingStopActive) {
+      const distance = currentPrice * (trailingDistancePct / 100);
+      if (pos.direction === 'long') {
+        const newTSL = currentPrice - distance;
+        if (newTSL > pos.trailingStopPrice) pos.trailingStopPrice = newTSL;
+        if (currentPrice <= pos.trailingStopPrice) return { action: 'close', reason: 'TRAILING STOP' };
+      } else {
+        const newTSL = currentPrice + distance;
+        if (newTSL < pos.trailingStopPrice) pos.trailingStopPrice = newTSL;
+        if (currentPrice >= pos.trailingStopPrice) return { action: 'close', reason: 'TRAILING STOP' };
+      }
+    }
+
+    // --- KISMI KÂR kontrolü ---
+    const partialClosePct = this.settingNum('futures.partial_close_pct', 4);
+    const partialCloseAmount = this.settingNum('futures.partial_close_amount', 50);
+
+    if (pos.pnlPct >= partialClosePct && !pos.partialClosed) {
+      return { action: 'partial', amount: pos.amount * (partialCloseAmount / 100), percent: partialCloseAmount };
+    }
+
+    return null;
+  }
+
+  /**
+   * Kısmi kapanış sonrası pozisyonu güncelle — SL breakeven'a çekilir
+   */
+  applyPartialClose(pos, closeAmount) {
+    pos.amount -= closeAmount;
+    pos.partialClosed = true;
+    pos.stopLoss = pos.entryPrice; // Breakeven SL
+  }
+
+  /**
+   * Borsadaki stop seviyesi: trailing stop aktifse sabit SL'den sıkı olanı
+   */
+  effectiveStopPrice(pos) {
+    if (!pos.trailingStopActive || pos.trailingStopPrice === null) return pos.stopLoss;
+    return pos.direction === 'long'
+      ? Math.max(pos.stopLoss, pos.trailingStopPrice)
+      : Math.min(pos.stopLoss, pos.trailingStopPrice);
+  }
+
+  /**
+   * Trailing stop borsadaki SL emrinden yeterince uzaklaştı mı (her tick'te emir güncellememek için)
+   */
+  shouldAmendStop(pos) {
+    if (!pos.slOrderId || !pos.slOrderPrice) return false;
+    const stepPct = this.settingNum('futures.native_sl_amend_step_pct', 0.25);
+    const target = this.effectiveStopPrice(pos);
+    const improved = pos.direction === 'long' ? target > pos.slOrderPrice : target < pos.slOrderPrice;
+    return improved && (Math.abs(target - pos.slOrderPrice) / pos.slOrderPrice) * 100 >= stepPct;
+  }
+
+  /**
+   * Borsada reduce-only SL ve TP emirlerini yerleştir
+   */
+  async placeProtectiveOrders(pos, kinds = ['sl', 'tp']) {
+    if (this.settingNum('futures.native_sltp', 1) !== 1) return;
+    const closeSide = pos.direction === 'long' ? 'sell' : 'buy';
+
+    if (kinds.includes('sl')) {
+      const stopPrice = this.effectiveStopPrice(pos);
+      try {
+        const order = await this.exchangeManager.createTriggerOrder(this.preferredExchange, pos.symbol, 'stop_loss', closeSide, pos.amount, stopPrice, PROTECTIVE_PARAMS);
+        pos.slOrderId = order.id;
+        pos.slOrderPrice = stopPrice;
       } catch (err) {
-        logger.error(`${symbol} pozisyon izleme hatası: ${err.message}`);
+        pos.slOrderId = null;
+        logger.error(`${pos.symbol} borsa SL emri yerleştirilemedi: ${err.message}`);
+        if (this.notifier) await this.notifier.notifyRiskAlert(`${pos.symbol} için borsa SL emri yerleştirilemedi — pozisyon sadece yazılım SL ile korunuyor.\n${err.message}`);
+      }
+    }
+
+    if (kinds.includes('tp')) {
+      try {
+        const order = await this.exchangeManager.createTriggerOrder(this.preferredExchange, pos.symbol, 'take_profit', closeSide, pos.amount, pos.takeProfit, PROTECTIVE_PARAMS);
+        pos.tpOrderId = order.id;
+      } catch (err) {
+        pos.tpOrderId = null;
+        logger.error(`${pos.symbol} borsa TP emri yerleştirilemedi: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Borsadaki SL/TP emirlerini iptal et
+   */
+  async cancelProtectiveOrders(pos, kinds = ['sl', 'tp']) {
+    for (const kind of kinds) {
+      const field = kind === 'sl' ? 'slOrderId' : 'tpOrderId';
+      if (!pos[field]) continue;
+      try {
+        await this.exchangeManager.cancelTriggerOrder(this.preferredExchange, pos[field], pos.symbol, PROTECTIVE_PARAMS);
+      } catch (err) {
+        // Tetiklenmiş veya zaten iptal edilmiş olabilir
+        logger.warn(`${pos.symbol} ${kind.toUpperCase()} emri iptal edilemedi: ${err.message}`);
+      }
+      pos[field] = null;
+    }
+  }
+
+  /**
+   * SL/TP emirlerini güncel seviye ve miktarla yeniden yerleştir (iptal + yeni emir)
+   */
+  async replaceProtectiveOrders(pos, kinds) {
+    if (this.settingNum('futures.native_sltp', 1) !== 1) return;
+    await this.cancelProtectiveOrders(pos, kinds);
+    await this.placeProtectiveOrders(pos, kinds);
+    logger.info(`${pos.symbol} borsa emirleri güncellendi (${kinds.join('+').toUpperCase()}) | SL: $${this.effectiveStopPrice(pos).toFixed(2)} | Miktar: ${pos.amount.toFixed(6)}`);
+  }
+
+  /**
+   * Borsadaki SL/TP emirlerinin durumunu sorgula — biri dolduysa diğeri iptal edilir ve pozisyon gerçek dolum fiyatıyla kapanır.
+   * Borsada iptal edilmiş emir yeniden yerleştirilir. Pozisyon kapandıysa true döner.
+   */
+  async checkProtectiveOrders(pos) {
+    for (const kind of ['sl', 'tp']) {
+      const field = kind === 'sl' ? 'slOrderId' : 'tpOrderId';
+      if (!pos[field]) continue;
+
+      let order;
+      try {
+        order = await this.exchangeManager.fetchTriggerOrder(this.preferredExchange, pos[field], pos.symbol, PROTECTIVE_PARAMS);
+      } catch {
+        continue; // sonraki döngüde tekrar sorgulanır
+      }
+
+      if (order.status === 'closed' || (order.status !== 'open' && order.filled > 0)) {
+        pos[field] = null;
+        const trigger = kind === 'sl' ? pos.slOrderPrice : pos.takeProfit;
+        const reason = kind === 'tp' ? 'TAKE PROFIT' : pos.trailingStopActive ? 'TRAILING STOP' : 'STOP LOSS';
+        logger.warn(`${pos.symbol} borsa ${kind.toUpperCase()} emri doldu @ $${order.average || order.price || trigger}`);
+        await this.closePosition(pos.symbol, reason, order.average || order.price || trigger, { filledOnExchange: true });
+        return true;
+      }
+      if (['canceled', 'cancelled', 'rejected', 'expired'].includes(order.status)) {
+        logger.warn(`${pos.symbol} borsa ${kind.toUpperCase()} emri ${order.status} — yeniden yerleştiriliyor`);
+        pos[field] = null;
+        await this.placeProtectiveOrders(pos, [kind]);
+        saveFuturesPosition(this.preferredExchange, pos);
       }
     }
+    return false;
+  }
+
+  /**
+   * Pozisyon borsada kapanmış mı (koruyucu emir tetiklenmiş olabilir)
+   */
+  async isClosedOnExchange(pos) {
+    try {
+      const positions = await this.exchangeManager.getPositions(this.preferredExchange, undefined, { throwOnError: true });
+      return !positions.some(p => p.symbol.split(':')[0] === pos.symbol && p.side === pos.direction && Math.abs(p.contracts || 0) > 0);
+    } catch {
+      return false;
+    }
   }
 
   /**
    * Pozisyon kapat
    */
-  async closePosition(symbol, reason, closePrice) {
+  async closePosition(symbol, reason, closePrice, { filledOnExchange = false } = {}) {
     const pos = this.positions.get(symbol);
     if (!pos) return;
 
     try {
       const closeSide = pos.direction === 'long' ? 'sell' : 'buy';
 
-      await this.exchangeManager.createOrder(
-        this.preferredExchange, symbol, 'market', closeSide, pos.amount, undefined, { type: 'future', reduceOnly: true }
-      );
+      if (filledOnExchange) {
+        // Koruyucu emir pozisyonu borsada kapattı — yalnızca yerel kayıt kapanır
+        reason = `${reason} (BORSA EMRİ)`;
+      } else {
+        try {
+          await this.exchangeManager.createOrder(
+            this.preferredExchange, symbol, 'market', closeSide, pos.amount, undefined, { type: 'future', reduceOnly: true }
+          );
+        } catch (err) {
+          // Borsadaki SL/TP emri pozisyonu zaten kapatmış olabilir
+          if (!(await this.isClosedOnExchange(pos))) throw err;
+          reason = `${reason} (BORSA EMRİ)`;
+          logger.warn(`${symbol} borsada zaten kapalı — koruyucu emir tetiklenmiş.`);
+        }
+      }
+
+      // Artık gereksiz koruyucu emirleri iptal et
+      await this.cancelProtectiveOrders(pos);
 
       // Final P&L
       let finalPnL;
@@ -651,7 +950,7 @@ class FuturesEngine {
 
       // Günlük kayıp kontrolü
       const balance = await this.getBalance();
-      const maxDailyLossPct = getSettingNum('risk.max_daily_loss_pct', 10) / 100;
+      const maxDailyLossPct = this.settingNum('risk.max_daily_loss_pct', 10) / 100;
       const maxDailyLoss = balance * maxDailyLossPct;
 
       if (this.dailyPnL < -maxDailyLoss) {
@@ -695,11 +994,38 @@ class FuturesEngine {
       logger.info(`${reason === 'STOP LOSS' ? '🔴' : '🟢'} ${symbol} ${pos.direction.toUpperCase()} kapatıldı — ${reason} | P&L: ${finalPnL >= 0 ? '+' : ''}$${finalPnL.toFixed(2)} (${finalPnLPct.toFixed(2)}%)`);
 
       this.positions.delete(symbol);
+      closeFuturesPosition(pos.id, { reason, closePrice, pnl: finalPnL });
     } catch (err) {
       logger.error(`${symbol} pozisyon kapatma hatası: ${err.message}`);
     }
   }
 
+  /**
+   * Yerel pozisyonu borsaya emir göndermeden düşür (borsada karşılığı yok)
+   */
+  async dropPosition(symbol, reason) {
+    const pos = this.positions.get(symbol);
+    if (!pos) return false;
+    await this.cancelProtectiveOrders(pos);
+    this.positions.delete(symbol);
+    closeFuturesPosition(pos.id, { reason });
+    logger.warn(`${symbol} yerel pozisyon düşürüldü — ${reason}`);
+    return true;
+  }
+
+  /**
+   * Yerel pozisyon miktarını borsadaki miktara eşitle
+   */
+  async syncPositionAmount(symbol, amount) {
+    const pos = this.positions.get(symbol);
+    if (!pos) return false;
+    logger.warn(`${symbol} miktar eşitlendi: ${pos.amount} → ${amount}`);
+    pos.amount = amount;
+    await this.replaceProtectiveOrders(pos, ['sl', 'tp']);
+    saveFuturesPosition(this.preferredExchange, pos);
+    return true;
+  }
+
   /**
    * Tüm pozisyonları kapat
    */
@@ -723,7 +1049,7 @@ class FuturesEngine {
       const bal = await this.exchangeManager.getBalance(this.preferredExchange);
       return bal.totalUSD || 100;
     } catch {
-      return getSettingNum('bot.initial_balance', 100);
+      return this.settingNum('bot.initial_balance', 100);
     }
   }
 
@@ -755,7 +1081,7 @@ class FuturesEngine {
       return {
         symbol,
         score,
-        minScore: getSettingNum('futures.min_signal_score', 7),
+        minScore: this.settingNum('futures.min_signal_score', 7),
         direction,
         layers,
         leverage,
@@ -764,7 +1090,7 @@ class FuturesEngine {
         sltp,
         sizing,
         atrPct,
-        wouldTrade: score >= getSettingNum('futures.min_signal_score', 7) && direction !== null,
+        wouldTrade: score >= this.settingNum('futures.min_signal_score', 7) && direction !== null,
         analysis: {
           '15m': analysis.timeframes?.['15m']?.signal,
           '1h': analysis.timeframes?.['1h']?.signal,
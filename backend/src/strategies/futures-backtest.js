@@ -0,0 +1,478 @@
+import { createLogger, format, transports } from 'winston';
+import { multiTimeframeAnalysis } from './technical-analysis.js';
+import FuturesEngine from './futures-100.js';
+import { checkTradeLimits } from '../risk-manager.js';
+import { getAllSettings, getCandles, upsertCandles, getCandleCoverage, insertBacktestRun, getBacktestRuns, getBacktestRun, deleteBacktestRun } from '../database.js';
+
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(format.timestamp(), format.printf(({ timestamp, level, message }) => `${timestamp} [BACKTEST][${level.toUpperCase()}] ${message}`)),
+  transports: [new transports.Console(), new transports.File({ filename: 'logs/backtest.log' })],
+});
+
+const TIMEFRAME_MS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+};
+const TIMEFRAMES = Object.keys(TIMEFRAME_MS);
+const BASE_TIMEFRAME = '15m';
+
+// multiTimeframeAnalysis en uzun geçmişi 4h x 100 mum ile istiyor
+const WARMUP_MS = 100 * TIMEFRAME_MS['4h'];
+const MAX_EQUITY_POINTS = 2000;
+
+// Sonuçla birlikte saklanan ayarlar (karşılaştırma için)
+const SETTING_KEYS = [
+  'futures.min_signal_score', 'futures.scan_interval_sec', 'futures.default_leverage', 'futures.max_leverage',
+  'futures.trailing_stop_activate_pct', 'futures.trailing_stop_distance_pct',
+  'futures.partial_close_pct', 'futures.partial_close_amount',
+  'risk.max_daily_loss_pct', 'risk.max_position_risk_pct', 'risk.max_open_positions',
+  'risk.max_margin_usage_pct', 'risk.min_rr_ratio',
+];
+
+/**
+ * Yerel mumları zamanda oynatan besleyici — ExchangeManager.getOHLCV arayüzünü taklit eder.
+ * Sadece "şimdi"ye kadar kapanmış mumları verir; üst zaman dilimlerinde henüz kapanmamış
+ * mumu taban (15m) mumlardan derleyerek ekler, canlıdaki fetchOHLCV davranışı gibi.
+ */
+class CandleReplay {
+  constructor(series) {
+    this.series = series; // symbol -> timeframe -> mumlar (artan sırada)
+    this.now = 0;
+  }
+
+  async getOHLCV(exchangeId, symbol, timeframe = '1h', limit = 100) {
+    const candles = this.series[symbol]?.[timeframe];
+    const tfMs = TIMEFRAME_MS[timeframe];
+    if (!candles || !tfMs) throw new Error(`Yerel mum verisi yok: ${symbol} ${timeframe}`);
+
+    const lastClosed = lastIndexAtOrBefore(candles, this.now - tfMs);
+    const result = candles.slice(Math.max(0, lastClosed + 1 - limit), lastClosed + 1);
+
+    if (timeframe !== BASE_TIMEFRAME) {
+      const partial = this.buildPartialCandle(symbol, Math.floor(this.now / tfMs) * tfMs);
+      if (partial) {
+        result.push(partial);
+        if (result.length > limit) result.shift();
+      }
+    }
+    return result;
+  }
+
+  buildPartialCandle(symbol, periodStart) {
+    const base = this.series[symbol][BASE_TIMEFRAME];
+    const from = lastIndexAtOrBefore(base, periodStart - 1) + 1;
+    const to = lastIndexAtOrBefore(base, this.now - TIMEFRAME_MS[BASE_TIMEFRAME]);
+    if (from > to) return null;
+
+    const slice = base.slice(from, to + 1);
+    return {
+      timestamp: periodStart,
+      open: slice[0].open,
+      high: Math.max(...slice.map(c => c.high)),
+      low: Math.min(...slice.map(c => c.low)),
+      close: slice[slice.length - 1].close,
+      volume: slice.reduce((sum, c) => sum + c.volume, 0),
+    };
+  }
+}
+
+function lastIndexAtOrBefore(candles, time) {
+  let lo = 0;
+  let hi = candles.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].timestamp <= time) { found = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return found;
+}
+
+/**
+ * Mum içi fiyat yolu: yükselen mumda O→L→H→C, düşen mumda O→H→L→C.
+ * Her bacak stepPct adımlarına bölünür; her nokta bir ticker sorgusu gibi değerlendirilir.
+ */
+function pricePath(candle, stepPct) {
+  const pivots = candle.close >= candle.open
+    ? [candle.open, candle.low, candle.high, candle.close]
+    : [candle.open, candle.high, candle.low, candle.close];
+
+  const path = [pivots[0]];
+  for (let i = 1; i < pivots.length; i++) {
+    const from = pivots[i - 1];
+    const to = pivots[i];
+    const steps = Math.max(1, Math.ceil(Math.abs(to - from) / (from * stepPct / 100)));
+    for (let k = 1; k <= steps; k++) path.push(from + ((to - from) * k) / steps);
+  }
+  return path;
+}
+
+function toTimestamp(value, name) {
+  const ts = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ts)) throw new Error(`Geçersiz tarih (${name}): ${value}`);
+  return ts;
+}
+
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const step = Math.ceil(points.length / maxPoints);
+  const result = points.filter((_, i) => i % step === 0);
+  if (result[result.length - 1] !== points[points.length - 1]) result.push(points[points.length - 1]);
+  return result;
+}
+
+/**
+ * Futures Backtest Motoru
+ * FuturesEngine'in sinyal puanlama, kaldıraç, SL/TP ve pozisyon kurallarını yerel mumlar üzerinde oynatır
+ */
+class FuturesBacktester {
+  constructor(exchangeManager) {
+    this.exchangeManager = exchangeManager;
+    this.running = false;
+  }
+
+  /**
+   * Borsadan geçmiş mumları indirip yerel depoya yaz (backtest öncesi tek seferlik)
+   */
+  async syncCandles(config) {
+    const { exchange = 'binance', symbol, timeframes = TIMEFRAMES, start, end } = config;
+    if (!symbol) throw new Error('Sembol gerekli.');
+    const invalid = timeframes.filter(tf => !TIMEFRAME_MS[tf]);
+    if (invalid.length) throw new Error(`Geçersiz zaman dilimi: ${invalid.join(', ')}. Geçerli: ${TIMEFRAMES.join(', ')}`);
+
+    const from = toTimestamp(start, 'start') - WARMUP_MS;
+    const to = end ? toTimestamp(end, 'end') : Date.now();
+    const counts = {};
+
+    for (const timeframe of timeframes) {
+      let since = from;
+      let count = 0;
+      while (since < to) {
+        const batch = await this.exchangeManager.getOHLCV(exchange, symbol, timeframe, 1000, since);
+        if (!batch || batch.length === 0) break;
+
+        count += upsertCandles(exchange, symbol, timeframe, batch.filter(c => c.timestamp <= to));
+        const next = batch[batch.length - 1].timestamp + TIMEFRAME_MS[timeframe];
+        if (next <= since) break;
+        since = next;
+      }
+      counts[timeframe] = count;
+    }
+
+    logger.info(`Mum verisi indirildi: ${exchange} ${symbol} | ${Object.entries(counts).map(([tf, n]) => `${tf}: ${n}`).join(' | ')}`);
+    return { exchange, symbol, from, to, candles: counts };
+  }
+
+  getCoverage() {
+    return getCandleCoverage();
+  }
+
+  /**
+   * Futures backtest çalıştır ve sonucu kaydet
+   */
+  async runFutures(config) {
+    const {
+      exchange = 'binance',
+      start,
+      end,
+      settings = {},
+      fee_rate: feeRate = 0.0005,
+      price_step_pct: priceStepPct = 0.05,
+    } = config;
+    const symbols = config.symbols || (config.symbol ? [config.symbol] : []);
+
+    if (symbols.length === 0) throw new Error('En az bir sembol gerekli.');
+    const startTs = toTimestamp(start, 'start');
+    const endTs = end ? toTimestamp(end, 'end') : Date.now();
+    if (startTs >= endTs) throw new Error('Başlangıç tarihi bitişten önce olmalı.');
+    if (this.running) throw new Error('Başka bir backtest çalışıyor.');
+
+    const effectiveSettings = { ...getAllSettings(), ...settings };
+    const initialBalance = parseFloat(config.initial_balance ?? effectiveSettings['bot.initial_balance'] ?? 100);
+    const engine = new FuturesEngine(null, null, null, { settings: effectiveSettings });
+
+    // Yerel mumları yükle
+    const series = {};
+    for (const symbol of symbols) {
+      series[symbol] = {};
+      for (const timeframe of TIMEFRAMES) {
+        series[symbol][timeframe] = getCandles(exchange, symbol, timeframe, startTs - WARMUP_MS, endTs);
+        if (series[symbol][timeframe].length === 0) {
+          throw new Error(`${symbol} için yerel ${timeframe} mum verisi yok — önce /api/backtest/candles ile indirin.`);
+        }
+      }
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+    const runRecord = {
+      strategy: 'futures-100',
+      exchange,
+      symbols,
+      start_at: new Date(startTs).toISOString(),
+      end_at: new Date(endTs).toISOString(),
+      settings: {
+        ...Object.fromEntries(SETTING_KEYS.map(key => [key, engine.settingNum(key)])),
+        initial_balance: initialBalance,
+        fee_rate: feeRate,
+        price_step_pct: priceStepPct,
+      },
+    };
+
+    try {
+      const result = await this.simulate(engine, series, symbols, exchange, startTs, endTs, { initialBalance, feeRate, priceStepPct });
+      const id = insertBacktestRun({ ...runRecord, ...result, status: 'completed', duration_ms: Date.now() - startedAt });
+      logger.info(`Backtest tamamlandı: ${symbols.join(',')} | ${result.metrics.totalTrades} işlem | Getiri: ${result.metrics.totalReturnPct}% | Max DD: ${result.metrics.maxDrawdownPct}% | ${Date.now() - startedAt}ms`);
+      return this.getRun(id);
+    } catch (err) {
+      logger.error(`Backtest hatası: ${err.message}`);
+      insertBacktestRun({ ...runRecord, status: 'failed', error: err.message, duration_ms: Date.now() - startedAt });
+      throw err;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Zaman çizelgesi üzerinde tarama + pozisyon izleme döngüsü
+   */
+  async simulate(engine, series, symbols, exchange, startTs, endTs, { initialBalance, feeRate, priceStepPct }) {
+    const replay = new CandleReplay(series);
+    const baseMs = TIMEFRAME_MS[BASE_TIMEFRAME];
+
+    const candleAt = {};
+    const timeline = new Set();
+    for (const symbol of symbols) {
+      candleAt[symbol] = new Map();
+      for (const c of series[symbol][BASE_TIMEFRAME]) {
+        if (c.timestamp < startTs || c.timestamp + baseMs > endTs) continue;
+        candleAt[symbol].set(c.timestamp, c);
+        timeline.add(c.timestamp);
+      }
+    }
+    const steps = [...timeline].sort((a, b) => a - b);
+
+    const state = {
+      balance: initialBalance,
+      positions: new Map(),
+      trades: [],
+      equity: [],
+      dailyPnL: 0,
+      day: null,
+      lockedDay: null,
+    };
+
+    const settle = (pos, amount, price) => {
+      const gross = pos.direction === 'long' ? (price - pos.entryPrice) * amount : (pos.entryPrice - price) * amount;
+      const fee = amount * price * feeRate;
+      state.balance += gross - fee;
+      state.dailyPnL += gross - fee;
+      pos.realizedPnl += gross - fee;
+      pos.fees += fee;
+    };
+
+    const closeSim = (symbol, pos, reason, price, time) => {
+      settle(pos, pos.amount, price);
+      state.positions.delete(symbol);
+      state.trades.push({
+        id: pos.id,
+        symbol,
+        direction: pos.direction,
+        leverage: pos.leverage,
+        score: pos.score,
+        entryPrice: pos.entryPrice,
+        exitPrice: price,
+        amount: pos.initialAmount,
+        margin: pos.margin,
+        stopLoss: pos.stopLoss,
+        takeProfit: pos.takeProfit,
+        partialClosed: pos.partialClosed,
+        reason,
+        fees: pos.fees,
+        pnl: pos.realizedPnl,
+        pnlPct: pos.margin > 0 ? (pos.realizedPnl / pos.margin) * 100 : 0,
+        openedAt: pos.openedAt,
+        closedAt: new Date(time).toISOString(),
+      });
+
+      // Günlük kayıp limiti — closePosition ile aynı kural
+      const maxDailyLoss = state.balance * (engine.settingNum('risk.max_daily_loss_pct', 10) / 100);
+      if (state.dailyPnL < -maxDailyLoss) state.lockedDay = state.day;
+    };
+
+    // Canlıdaki gibi tarama futures.scan_interval_sec aralıklarla yapılır; 15m'den kısa aralık her mumda taranır
+    const scanMs = engine.settingNum('futures.scan_interval_sec', 60) * 1000;
+    let lastScanSlot = null;
+
+    for (let i = 0; i < steps.length; i++) {
+      const t = steps[i];
+      replay.now = t + baseMs;
+
+      const day = new Date(t).toISOString().slice(0, 10);
+      if (day !== state.day) {
+        state.day = day;
+        state.dailyPnL = 0;
+      }
+
+      // 1. Açık pozisyonları mum içi fiyat yolu boyunca izle
+      for (const [symbol, pos] of [...state.positions]) {
+        const candle = candleAt[symbol].get(t);
+        if (!candle) continue;
+        for (const price of pricePath(candle, priceStepPct)) {
+          const decision = engine.evaluatePosition(pos, price);
+          if (!decision) continue;
+          if (decision.action === 'close') {
+            closeSim(symbol, pos, decision.reason, price, replay.now);
+            break;
+          }
+          settle(pos, decision.amount, price);
+          engine.applyPartialClose(pos, decision.amount);
+        }
+      }
+
+      // 2. Sinyal taraması — bu mum içinde bir tarama zamanı varsa
+      const scanSlot = Math.floor(replay.now / scanMs);
+      const scanDue = scanSlot !== lastScanSlot;
+      if (scanDue) lastScanSlot = scanSlot;
+      const maxOpenPositions = engine.settingNum('risk.max_open_positions', 2);
+      if (scanDue && state.lockedDay !== day) {
+        for (const symbol of symbols) {
+          if (state.positions.size >= maxOpenPositions) break;
+          if (state.positions.has(symbol) || !candleAt[symbol].has(t)) continue;
+
+          const analysis = await multiTimeframeAnalysis(replay, exchange, symbol);
+          if (analysis.error) continue;
+
+          const { score, direction, layers } = engine.calculateSignalScore(analysis);
+          if (!direction || score < engine.settingNum('futures.min_signal_score', 7)) continue;
+
+          const plan = engine.buildEntryPlan(direction, score, analysis, state.balance);
+          if (plan.error) continue;
+
+          // RiskManager.canTrade ile aynı limitler (kilit, günlük kayıp, toplam marjin, R:R)
+          const openMargin = [...state.positions.values()].reduce((sum, p) => sum + p.margin, 0);
+          const rejected = checkTradeLimits(
+            { balance: state.balance, margin: plan.sizing.margin + openMargin, rrRatio: parseFloat(plan.sltp.rrRatio) },
+            { locked: state.lockedDay === day, dailyPnL: state.dailyPnL, settingNum: (key, def) => engine.settingNum(key, def) },
+          );
+          if (rejected) {
+            if (rejected.lock) {
+              state.lockedDay = day;
+              break;
+            }
+            continue;
+          }
+
+          const pos = engine.createPosition(symbol, direction, score, layers, plan, null, new Date(replay.now).toISOString());
+          pos.initialAmount = pos.amount;
+          pos.fees = pos.positionValue * feeRate;
+          pos.realizedPnl = -pos.fees;
+          state.balance -= pos.fees;
+          state.dailyPnL -= pos.fees;
+          state.positions.set(symbol, pos);
+        }
+      }
+
+      // 3. Equity (gerçekleşen + açık P&L)
+      let unrealized = 0;
+      for (const pos of state.positions.values()) unrealized += pos.pnl;
+      state.equity.push({ time: replay.now, equity: state.balance + unrealized, balance: state.balance, openPositions: state.positions.size });
+
+      // Uzun backtest'lerde event loop'u bloklama
+      if (i % 100 === 99) await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // Dönem sonunda açık kalan pozisyonları son fiyattan kapat
+    for (const [symbol, pos] of [...state.positions]) {
+      closeSim(symbol, pos, 'BACKTEST SONU', pos.currentPrice, endTs);
+    }
+    if (state.equity.length > 0) state.equity[state.equity.length - 1].equity = state.balance;
+
+    return {
+      metrics: this.calculateMetrics(state.trades, state.equity, initialBalance, state.balance, steps.length),
+      trades: state.trades,
+      equity_curve: downsample(state.equity, MAX_EQUITY_POINTS),
+    };
+  }
+
+  /**
+   * Performans metrikleri
+   */
+  calculateMetrics(trades, equity, initialBalance, finalBalance, candleCount) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl < 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = losses.reduce((sum, t) => sum + t.pnl, 0);
+    const totalFees = trades.reduce((sum, t) => sum + t.fees, 0);
+
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    for (const point of equity) {
+      if (point.equity > peak) peak = point.equity;
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+      const drawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+      if (drawdownPct > maxDrawdownPct) maxDrawdownPct = drawdownPct;
+    }
+
+    const exitReasons = {};
+    for (const t of trades) exitReasons[t.reason] = (exitReasons[t.reason] || 0) + 1;
+
+    const holdHours = trades.map(t => (Date.parse(t.closedAt) - Date.parse(t.openedAt)) / 3600000);
+
+    return {
+      initialBalance,
+      finalBalance,
+      totalPnl: finalBalance - initialBalance,
+      totalReturnPct: (((finalBalance - initialBalance) / initialBalance) * 100).toFixed(2),
+      totalTrades: trades.length,
+      winCount: wins.length,
+      lossCount: losses.length,
+      winRate: trades.length > 0 ? ((wins.length / trades.length) * 100).toFixed(1) : 0,
+      profitFactor: grossLoss !== 0 ? Math.abs(grossProfit / grossLoss).toFixed(2) : 'N/A',
+      grossProfit,
+      grossLoss,
+      avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+      avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+      totalFees,
+      maxDrawdown,
+      maxDrawdownPct: maxDrawdownPct.toFixed(2),
+      avgHoldHours: holdHours.length > 0 ? (holdHours.reduce((a, b) => a + b, 0) / holdHours.length).toFixed(1) : 0,
+      longCount: trades.filter(t => t.direction === 'long').length,
+      shortCount: trades.filter(t => t.direction === 'short').length,
+      exitReasons,
+      candleCount,
+    };
+  }
+
+  getRuns(limit = 20) {
+    return getBacktestRuns(limit).map(run => ({
+      ...run,
+      symbols: JSON.parse(run.symbols),
+      settings: JSON.parse(run.settings),
+      metrics: JSON.parse(run.metrics),
+    }));
+  }
+
+  getRun(id) {
+    const run = getBacktestRun(id);
+    if (!run) return null;
+    return {
+      ...run,
+      symbols: JSON.parse(run.symbols),
+      settings: JSON.parse(run.settings),
+      metrics: JSON.parse(run.metrics),
+      trades: JSON.parse(run.trades),
+      equity_curve: JSON.parse(run.equity_curve),
+    };
+  }
+
+  deleteRun(id) {
+    deleteBacktestRun(id);
+  }
+}
+
+export default FuturesBacktester;
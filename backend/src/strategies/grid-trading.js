@@ -1,6 +1,9 @@
+import ccxt from 'ccxt';
 import { v4 as uuidv4 } from 'uuid';
 import { createLogger, format, transports } from 'winston';
-import { insertGridBot, getGridBots, getGridBot, updateGridBot, insertTrade } from '../database.js';
+import { calculateIndicators } from './technical-analysis.js';
+import { fillDetails } from '../exchanges.js';
+import { insertGridBot, getGridBots, getGridBot, updateGridBot, insertTrade, getTrades, insertGridEvent, insertRiskEvent, getSettingNum } from '../database.js';
 
 const logger = createLogger({
   level: 'info',
@@ -8,67 +11,336 @@ const logger = createLogger({
   transports: [new transports.Console(), new transports.File({ filename: 'logs/grid.log' })],
 });
 
+// Bu orandan küçük eksik dolum yuvarlama sayılır
+const FILL_TOLERANCE = 0.001;
+// Düzenleme, süren kontrol turunun bitmesini en fazla bu kadar bekler
+const EDIT_LOCK_WAIT_MS = 30000;
+const LOCK_POLL_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const GRID_TYPES = ['arithmetic', 'geometric'];
+// off: sabit aralık, trailing: tavana kadar yukarı kayar, infinity: üst sınırsız
+const TRAIL_MODES = ['off', 'trailing', 'infinity'];
+// Aralık önerisi: zaman dilimi, mum sayısı, yakın dönem tepe/dip penceresi, ağırlık
+const SUGGEST_TIMEFRAMES = [
+  { timeframe: '1h', limit: 168, window: 72, weight: 1 },
+  { timeframe: '4h', limit: 180, window: 42, weight: 2 },
+  { timeframe: '1d', limit: 90, window: 30, weight: 1 },
+];
+
+const roundPrice = (price) => parseFloat(price.toPrecision(6));
+
+// Futures grid yönü — long/short başlangıç pozisyonu açar, neutral düz başlar
+const DIRECTIONS = ['long', 'short', 'neutral'];
+
+/**
+ * Futures grid için en kötü durum likidasyon tahmini: fiyat aralık dışına çıkıp ilgili yöndeki tüm açılış emirleri dolmuş.
+ * Yatırım tutarı izole marjin kabul edilir.
+ */
+export function estimateGridLiquidation(gridOrders, margin, currentPrice) {
+  const mmr = getSettingNum('grid.maintenance_margin_pct', 0.5) / 100;
+  const side = (cycle) => {
+    const levels = gridOrders.filter(o => (o.cycle || 'long') === cycle);
+    const size = levels.reduce((sum, o) => sum + (o.holding ?? o.amount), 0);
+    if (size <= 0) return null;
+    // Başlangıç pozisyonu piyasa fiyatından, diğerleri açılış seviyesinden girer
+    const entry = levels.reduce((sum, o) => {
+      const price = o.entryFillPrice ?? (cycle === 'long' ? Math.min(o.buyPrice, currentPrice) : Math.max(o.sellPrice, currentPrice));
+      return sum + price * (o.holding ?? o.amount);
+    }, 0) / size;
+    const liq = cycle === 'long'
+      ? (entry - margin / size) / (1 - mmr)
+      : (entry + margin / size) / (1 + mmr);
+    return liq > 0 ? parseFloat(liq.toFixed(8)) : null;
+  };
+  return { long: side('long'), short: side('short') };
+}
+
+/**
+ * Grid seviyeleri — aritmetik: eşit dolar adım, geometrik: sabit oran (her grid aynı % kâr)
+ */
+export function buildGridLevels(lower, upper, count, gridType = 'arithmetic') {
+  const levels = [];
+  if (gridType === 'geometric') {
+    const ratio = Math.pow(upper / lower, 1 / count);
+    for (let i = 0; i <= count; i++) levels.push(parseFloat((lower * Math.pow(ratio, i)).toFixed(8)));
+  } else {
+    const step = (upper - lower) / count;
+    for (let i = 0; i <= count; i++) levels.push(parseFloat((lower + step * i).toFixed(8)));
+  }
+  // Yuvarlama kaymasın — uçlar tam aralık sınırı
+  levels[count] = upper;
+  return levels;
+}
+
 class GridTrading {
-  constructor(exchangeManager, notifier) {
+  constructor(exchangeManager, notifier, riskManager = null) {
     this.exchangeManager = exchangeManager;
     this.notifier = notifier;
+    this.riskManager = riskManager;
     this.activeBots = new Map();
+    this.busy = new Set(); // kontrol turu veya düzenlemesi süren botlar
   }
 
   /**
-   * Grid bot oluştur
+   * Futures botlarının emirleri vadeli piyasaya gider
    */
-  async createBot(config) {
-    const { exchange, symbol, upper_price, lower_price, grid_count, investment, stop_loss_pct, take_profit_pct } = config;
+  marketParams(bot) {
+    return bot.market === 'futures' ? { type: 'future' } : {};
+  }
+
+  /**
+   * Spot/futures ayarları — spot her zaman kaldıraçsız long döngü
+   */
+  buildFutures(config) {
+    const market = config.market || 'spot';
+    if (!['spot', 'futures'].includes(market)) throw new Error('Piyasa spot veya futures olmalı.');
+    if (market === 'spot') return { market, direction: 'long', leverage: 1 };
+
+    const direction = config.direction || 'neutral';
+    const leverage = parseFloat(config.leverage) || 1;
+    const maxLeverage = getSettingNum('futures.max_leverage', 4);
+    if (!DIRECTIONS.includes(direction)) throw new Error(`Yön ${DIRECTIONS.join(', ')} olmalı.`);
+    if (leverage < 1 || leverage > maxLeverage) throw new Error(`Kaldıraç 1-${maxLeverage} arasında olmalı.`);
+    if (config.trail_mode && config.trail_mode !== 'off') throw new Error('Takip modu yalnızca spot grid için kullanılabilir.');
+    return { market, direction, leverage };
+  }
+
+  /**
+   * Grid parametrelerini doğrula ve seviyeleri hesapla
+   */
+  buildPlan(config) {
+    const { upper_price, lower_price, grid_count } = config;
+    const gridType = config.grid_type || 'arithmetic';
 
     if (upper_price <= lower_price) throw new Error('Üst fiyat alt fiyattan büyük olmalı.');
     if (grid_count < 2 || grid_count > 100) throw new Error('Grid sayısı 2-100 arasında olmalı.');
+    if (!GRID_TYPES.includes(gridType)) throw new Error(`Grid tipi ${GRID_TYPES.join(' veya ')} olmalı.`);
+    if (gridType === 'geometric' && lower_price <= 0) throw new Error('Geometrik grid için alt fiyat sıfırdan büyük olmalı.');
+
+    return { gridType, levels: buildGridLevels(lower_price, upper_price, grid_count, gridType) };
+  }
+
+  /**
+   * Takip modu ayarları — taban verilmezse alt fiyatın SL% altı sabit taban olur
+   */
+  buildTrail(config) {
+    const mode = config.trail_mode || 'off';
+    if (!TRAIL_MODES.includes(mode)) throw new Error(`Takip modu ${TRAIL_MODES.join(', ')} olmalı.`);
+    if (mode === 'off') return { trail_mode: 'off', trail_floor: null, trail_limit: null };
+
+    const floor = config.trail_floor ? parseFloat(config.trail_floor) : config.lower_price * (1 - (config.stop_loss_pct || 5) / 100);
+    if (floor >= config.lower_price) throw new Error('Taban fiyat alt fiyattan küçük olmalı.');
+
+    let limit = null;
+    if (mode === 'trailing') {
+      limit = parseFloat(config.trail_limit);
+      if (!limit || limit <= config.upper_price) throw new Error('Trailing grid için üst fiyattan büyük bir tavan fiyat gerekli.');
+    }
+    return { trail_mode: mode, trail_floor: floor, trail_limit: limit };
+  }
+
+  /**
+   * Oluşturmadan önce grid başına beklenen kâr (% — alış+satış maker ücreti düşülmüş)
+   */
+  async previewBot(config) {
+    const { exchange, symbol, investment, grid_count } = config;
+    const { gridType, levels } = this.buildPlan(config);
+    const fee = await this.exchangeManager.getTradingFee(exchange, symbol);
+    const feePct = (fee.maker ?? 0.001) * 2 * 100;
+    const perGridInvestment = investment / grid_count;
+
+    const grids = [];
+    for (let i = 0; i < levels.length - 1; i++) {
+      const grossPct = (levels[i + 1] / levels[i] - 1) * 100;
+      grids.push({
+        level: i,
+        buyPrice: levels[i],
+        sellPrice: levels[i + 1],
+        amount: perGridInvestment / levels[i],
+        grossPct,
+        netPct: grossPct - feePct,
+        netProfit: perGridInvestment * (grossPct - feePct) / 100,
+      });
+    }
+
+    const net = grids.map(g => g.netPct);
+    const preview = {
+      gridType,
+      levels,
+      grids,
+      feePct,
+      perGridInvestment,
+      minProfitPct: Math.min(...net),
+      maxProfitPct: Math.max(...net),
+      avgProfitPct: net.reduce((a, b) => a + b, 0) / net.length,
+      warning: null,
+    };
+    if (preview.minProfitPct <= 0) {
+      preview.warning = `Bazı gridlerde ücret sonrası kâr negatif (min ${preview.minProfitPct.toFixed(3)}%) — grid sayısını azaltın veya aralığı genişletin.`;
+    }
+    return preview;
+  }
+
+  /**
+   * Volatiliteye göre aralık ve grid sayısı önerisi.
+   * Her zaman diliminde Bollinger bandı ile yakın dönem tepe/dip ortalaması aday aralıktır; adaylar ağırlıklı ortalanır.
+   * Grid adımı 1s ATR'ye yakın tutulur ama ücretleri ve minimum net kârı karşılayacak kadar geniş olmalıdır.
+   */
+  async suggestRange(config) {
+    const { exchange, symbol } = config;
+    const gridType = config.grid_type || 'geometric';
+    const investment = parseFloat(config.investment) || 0;
+    if (!exchange || !symbol) throw new Error('Borsa ve sembol gerekli.');
+
+    const ticker = await this.exchangeManager.getTicker(exchange, symbol);
+    const currentPrice = ticker.last;
+    const timeframes = [];
+    let hourly = null;
+
+    for (const tf of SUGGEST_TIMEFRAMES) {
+      const candles = await this.exchangeManager.getOHLCV(exchange, symbol, tf.timeframe, tf.limit);
+      const indicators = calculateIndicators(candles);
+      if (!indicators?.bollinger || !indicators.atr) continue;
+
+      const recent = candles.slice(-tf.window);
+      const high = Math.max(...recent.map(c => c.high));
+      const low = Math.min(...recent.map(c => c.low));
+      timeframes.push({
+        timeframe: tf.timeframe,
+        weight: tf.weight,
+        high,
+        low,
+        bbUpper: indicators.bollinger.upper,
+        bbLower: indicators.bollinger.lower,
+        atr: indicators.atr,
+        atrPct: indicators.atrPct,
+        lower: (indicators.bollinger.lower + low) / 2,
+        upper: (indicators.bollinger.upper + high) / 2,
+      });
+      if (tf.timeframe === '1h') hourly = { candles: recent, atrPct: indicators.atrPct };
+    }
+    if (timeframes.length === 0) throw new Error(`${symbol} için yeterli mum verisi yok.`);
+
+    const totalWeight = timeframes.reduce((sum, t) => sum + t.weight, 0);
+    let lower = timeframes.reduce((sum, t) => sum + t.lower * t.weight, 0) / totalWeight;
+    let upper = timeframes.reduce((sum, t) => sum + t.upper * t.weight, 0) / totalWeight;
+
+    // Fiyat aralığın kenarına yapışmasın — en az bir ATR (en uzun zaman dilimi) pay bırakılır
+    const atr = timeframes[timeframes.length - 1].atr;
+    lower = roundPrice(Math.max(Math.min(lower, currentPrice - atr), currentPrice * 0.05));
+    upper = roundPrice(Math.max(upper, currentPrice + atr));
+
+    // Grid adımı: ücret + minimum net kâr tabanı, 1s ATR hedefi
+    const fee = await this.exchangeManager.getTradingFee(exchange, symbol);
+    const feePct = (fee.maker ?? 0.001) * 2 * 100;
+    const minStepPct = feePct + getSettingNum('grid.min_net_profit_pct', 0.2);
+    const stepPct = Math.max(hourly?.atrPct || minStepPct, minStepPct);
+
+    let gridCount = gridType === 'geometric'
+      ? Math.floor(Math.log(upper / lower) / Math.log(1 + stepPct / 100))
+      : Math.floor((upper - lower) / (currentPrice * stepPct / 100));
+    // Aritmetik gridde alt seviyelerde adım % olarak büyür, üstte küçülür — en dar adım da ücreti karşılamalı
+    if (gridType !== 'geometric') gridCount = Math.min(gridCount, Math.floor((upper - lower) / (upper * minStepPct / 100)));
+    const minOrderUSD = getSettingNum('grid.min_order_usd', 5);
+    if (investment > 0) gridCount = Math.min(gridCount, Math.floor(investment / minOrderUSD));
+    gridCount = Math.max(2, Math.min(gridCount, 100));
+
+    const suggestion = { exchange, symbol, grid_type: gridType, lower_price: lower, upper_price: upper, grid_count: gridCount };
+    const preview = await this.previewBot({ ...suggestion, investment: investment || gridCount * minOrderUSD });
+
+    // Beklenen işlem sıklığı: son 72 saatlik mumların toplam fiyat yolu / grid adımı
+    let expected = null;
+    if (hourly) {
+      const path = hourly.candles.reduce((sum, c) => sum + (c.high - c.low), 0);
+      const days = hourly.candles.length / 24;
+      const stepPrice = currentPrice * (preview.avgProfitPct + feePct) / 100;
+      const fillsPerDay = stepPrice > 0 ? path / stepPrice / days : 0;
+      expected = {
+        fillsPerDay,
+        cyclesPerDay: fillsPerDay / 2,
+        dailyProfit: (fillsPerDay / 2) * preview.perGridInvestment * preview.avgProfitPct / 100,
+      };
+    }
 
-    // Grid seviyelerini hesapla
-    const step = (upper_price - lower_price) / grid_count;
-    const gridLevels = [];
-    for (let i = 0; i <= grid_count; i++) {
-      gridLevels.push(parseFloat((lower_price + step * i).toFixed(8)));
+    logger.info(`Grid önerisi: ${symbol} $${lower}-$${upper} | ${gridCount} grid (${gridType}) | net ${preview.avgProfitPct.toFixed(3)}% | ~${expected ? expected.fillsPerDay.toFixed(1) : '-'} dolum/gün`);
+    return {
+      ...suggestion,
+      currentPrice,
+      stepPct,
+      feePct,
+      timeframes,
+      expected,
+      preview: { minProfitPct: preview.minProfitPct, maxProfitPct: preview.maxProfitPct, avgProfitPct: preview.avgProfitPct, warning: preview.warning },
+    };
+  }
+
+  /**
+   * Grid bot oluştur — auto_range: true ise aralık ve grid sayısı öneriden gelir
+   */
+  async createBot(input) {
+    let config = input;
+    if (input.auto_range) {
+      const { lower_price, upper_price, grid_count, grid_type } = await this.suggestRange(input);
+      config = { ...input, lower_price, upper_price, grid_count, grid_type };
     }
+    const { exchange, symbol, upper_price, lower_price, grid_count, investment, stop_loss_pct, take_profit_pct } = config;
+    const futures = this.buildFutures(config);
+    const trail = this.buildTrail(config);
+    const preview = await this.previewBot(config);
+    const { gridType, levels: gridLevels } = preview;
+    const isFutures = futures.market === 'futures';
 
     // Mevcut fiyatı al
     const ticker = await this.exchangeManager.getTicker(exchange, symbol);
     const currentPrice = ticker.last;
 
-    // Grid emirleri oluştur
+    // Grid emirleri oluştur — her seviyeye eşit USDT (futures: marjin × kaldıraç), miktar seviye fiyatına göre
     const perGridInvestment = investment / grid_count;
     const gridOrders = [];
 
     for (let i = 0; i < gridLevels.length - 1; i++) {
       const buyPrice = gridLevels[i];
       const sellPrice = gridLevels[i + 1];
+      const order = {
+        id: uuidv4(),
+        level: i,
+        buyPrice,
+        sellPrice,
+        amount: (perGridInvestment * futures.leverage) / buyPrice,
+        status: buyPrice < currentPrice ? 'pending_buy' : 'pending_sell', // pending_buy, buy_placed, pending_sell, sell_placed
+        orderId: null,
+      };
 
-      if (buyPrice < currentPrice) {
-        // Fiyatın altındaki seviyelere alım emri
-        gridOrders.push({
-          id: uuidv4(),
-          level: i,
-          buyPrice,
-          sellPrice,
-          amount: perGridInvestment / buyPrice,
-          status: 'pending_buy', // pending_buy, bought, pending_sell, completed
-          orderId: null,
-        });
-      } else {
-        // Fiyatın üstündeki seviyelere satım emri (eldekileri sat)
-        gridOrders.push({
-          id: uuidv4(),
-          level: i,
-          buyPrice,
-          sellPrice,
-          amount: perGridInvestment / buyPrice,
-          status: 'pending_sell',
-          orderId: null,
-        });
+      if (isFutures) {
+        // long döngü: alış açar, satış kapatır — short döngü tersi. Neutral'da fiyatın altı long, üstü short.
+        order.cycle = futures.direction === 'neutral' ? (buyPrice < currentPrice ? 'long' : 'short') : futures.direction;
+        // Fiyatın yanlış tarafında kalan seviyeler başlangıç pozisyonuyla açılır (long: üstteki satışlar, short: alttaki alışlar)
+        order.initial = (order.cycle === 'long' && order.status === 'pending_sell') || (order.cycle === 'short' && order.status === 'pending_buy');
+      }
+      gridOrders.push(order);
+    }
+
+    const id = uuidv4();
+    let liquidation = { long: null, short: null };
+    if (isFutures) {
+      liquidation = estimateGridLiquidation(gridOrders, investment, currentPrice);
+      this.checkLiquidationRange({ lower_price, upper_price, stop_loss_pct: stop_loss_pct || 5 }, liquidation);
+
+      const [, quote] = symbol.split('/');
+      const balance = await this.exchangeManager.getBalance(exchange);
+      if (this.riskManager && !this.riskManager.canTrade({ margin: investment, balance: balance.free?.[quote] || 0 })) {
+        throw new Error('Risk yöneticisi işleme izin vermiyor.');
       }
+
+      await this.exchangeManager.setLeverage(exchange, symbol, futures.leverage);
+      await this.exchangeManager.setMarginMode(exchange, symbol, 'isolated');
+      await this.openInitialPosition({ id, exchange, symbol, market: 'futures' }, gridOrders, futures.direction, currentPrice);
     }
 
-    const id = insertGridBot({
+    insertGridBot({
+      id,
       exchange,
       symbol,
       upper_price,
@@ -78,17 +350,76 @@ class GridTrading {
       stop_loss_pct: stop_loss_pct || 5,
       take_profit_pct: take_profit_pct || 10,
       grid_orders: gridOrders,
+      grid_type: gridType,
+      ...trail,
+      ...futures,
+      liq_price_long: liquidation.long,
+      liq_price_short: liquidation.short,
+      start_price: currentPrice,
     });
 
     const bot = getGridBot(id);
     this.activeBots.set(id, { ...bot, gridOrders });
+    this.updateExposure(bot, gridOrders, currentPrice);
 
-    logger.info(`Grid bot oluşturuldu: ${symbol} | ${grid_count} grid | $${investment} | Aralık: $${lower_price}-$${upper_price}`);
+    logger.info(`Grid bot oluşturuldu: ${symbol} | ${gridType}${trail.trail_mode !== 'off' ? ` (${trail.trail_mode}, taban $${trail.trail_floor})` : ''} | ${grid_count} grid | $${investment} | Aralık: $${lower_price}-$${upper_price} | Grid başı net: ${preview.minProfitPct.toFixed(3)}%-${preview.maxProfitPct.toFixed(3)}%`);
+    if (isFutures) {
+      logger.info(`Futures grid: ${futures.direction} ${futures.leverage}x | Tahmini likidasyon: long ${liquidation.long ?? '-'} / short ${liquidation.short ?? '-'}`);
+    }
+    if (preview.warning) logger.warn(`${symbol}: ${preview.warning}`);
 
     // Limit emirleri yerleştir
     await this.placeGridOrders(id);
 
-    return bot;
+    return { ...bot, preview: { minProfitPct: preview.minProfitPct, maxProfitPct: preview.maxProfitPct, avgProfitPct: preview.avgProfitPct, warning: preview.warning } };
+  }
+
+  /**
+   * Likidasyon, SL tetiklenmeden önce gelmemeli — aralık içindeyse bot kurulmaz
+   */
+  checkLiquidationRange(bot, liquidation) {
+    const slLow = bot.lower_price * (1 - bot.stop_loss_pct / 100);
+    const slHigh = bot.upper_price * (1 + bot.stop_loss_pct / 100);
+    if (liquidation.long && liquidation.long >= bot.lower_price) {
+      throw new Error(`Long likidasyon ($${liquidation.long}) grid aralığının içinde — kaldıracı veya grid sayısını düşürün.`);
+    }
+    if (liquidation.short && liquidation.short <= bot.upper_price) {
+      throw new Error(`Short likidasyon ($${liquidation.short}) grid aralığının içinde — kaldıracı veya grid sayısını düşürün.`);
+    }
+    if ((liquidation.long && liquidation.long >= slLow) || (liquidation.short && liquidation.short <= slHigh)) {
+      logger.warn(`Tahmini likidasyon SL seviyesinden önce geliyor (long ${liquidation.long ?? '-'} / short ${liquidation.short ?? '-'}).`);
+    }
+  }
+
+  /**
+   * Long/short modda fiyatın yanlış tarafındaki seviyeler için piyasa emriyle başlangıç pozisyonu
+   */
+  async openInitialPosition(bot, gridOrders, direction, currentPrice) {
+    const levels = gridOrders.filter(o => o.initial);
+    gridOrders.forEach(o => delete o.initial);
+    if (levels.length === 0) return;
+
+    const [base, quote] = bot.symbol.split('/');
+    const side = direction === 'long' ? 'buy' : 'sell';
+    const amount = levels.reduce((sum, o) => sum + o.amount, 0);
+    const order = await this.exchangeManager.createOrder(bot.exchange, bot.symbol, 'market', side, amount, undefined, this.marketParams(bot));
+    const fill = fillDetails(order, currentPrice, base, quote);
+    const filled = fill.filled || amount;
+    const fee = fill.feeQuote + fill.feeBase * fill.price;
+
+    for (const level of levels) {
+      const share = level.amount / amount;
+      level.holding = filled * share;
+      level.entryFillPrice = fill.price;
+      level.entryFee = fee * share;
+    }
+
+    insertTrade({
+      exchange: bot.exchange, symbol: bot.symbol, side, type: 'market',
+      price: fill.price, amount: filled, cost: fill.price * filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'grid', strategy_id: bot.id, order_id: order.id, status: 'filled', notes: `Futures grid başlangıç pozisyonu (${direction}, ${levels.length} seviye)`,
+    });
+    logger.info(`Futures grid başlangıç pozisyonu: ${side} ${filled} ${bot.symbol} @ $${fill.price}`);
   }
 
   /**
@@ -101,133 +432,757 @@ class GridTrading {
     const gridOrders = typeof bot.gridOrders === 'string' ? JSON.parse(bot.gridOrders) : bot.gridOrders;
 
     for (const order of gridOrders) {
-      if (order.status === 'pending_buy') {
-        try {
-          const placed = await this.exchangeManager.createOrder(
-            bot.exchange, bot.symbol, 'limit', 'buy', order.amount, order.buyPrice
-          );
-          order.orderId = placed.id;
-          order.status = 'buy_placed';
-          logger.info(`Grid alım emri: ${bot.symbol} @ $${order.buyPrice} — ${order.amount}`);
-        } catch (err) {
-          logger.error(`Grid alım emir hatası: ${err.message}`);
-        }
-      } else if (order.status === 'pending_sell') {
-        try {
-          const placed = await this.exchangeManager.createOrder(
-            bot.exchange, bot.symbol, 'limit', 'sell', order.amount, order.sellPrice
-          );
-          order.orderId = placed.id;
-          order.status = 'sell_placed';
-          logger.info(`Grid satım emri: ${bot.symbol} @ $${order.sellPrice} — ${order.amount}`);
-        } catch (err) {
-          logger.error(`Grid satım emir hatası: ${err.message}`);
-        }
+      if (order.status === 'pending_buy' || order.status === 'pending_sell') {
+        await this.placeLevelOrder(bot, order);
       }
     }
 
     updateGridBot(botId, { grid_orders: JSON.stringify(gridOrders) });
   }
 
+  /**
+   * Seviyenin sıradaki emri — kapatan emirde eldeki gerçek miktar (holding) kullanılır.
+   * Futures long/short modda kapatan emir reduce-only; neutral'da net pozisyon iki yöne de geçebildiği için değil.
+   */
+  levelOrderSpec(bot, order) {
+    const isBuy = order.status === 'pending_buy' || order.status === 'buy_placed';
+    const closing = isBuy === ((order.cycle || 'long') === 'short');
+    const params = this.marketParams(bot);
+    if (bot.market === 'futures' && closing && bot.direction !== 'neutral') params.reduceOnly = true;
+    return {
+      side: isBuy ? 'buy' : 'sell',
+      price: isBuy ? order.buyPrice : order.sellPrice,
+      amount: closing ? (order.holding ?? order.amount) : order.amount,
+      params,
+    };
+  }
+
+  /**
+   * Bekleyen seviyeye limit emri koy
+   */
+  async placeLevelOrder(bot, order) {
+    const { side, price, amount, params } = this.levelOrderSpec(bot, order);
+    const isBuy = side === 'buy';
+    try {
+      const placed = await this.exchangeManager.createOrder(bot.exchange, bot.symbol, 'limit', side, amount, price, params);
+      order.orderId = placed.id;
+      order.status = isBuy ? 'buy_placed' : 'sell_placed';
+      order.filled = 0;
+      order.placedAt = Date.now();
+      logger.info(`Grid ${isBuy ? 'alım' : 'satım'} emri: ${bot.symbol} @ $${price} — ${amount}${params.reduceOnly ? ' (reduce-only)' : ''}`);
+      return true;
+    } catch (err) {
+      logger.error(`Grid ${isBuy ? 'alım' : 'satım'} emir hatası: ${err.message}`);
+      return false;
+    }
+  }
+
   /**
    * Aktif botları kontrol et
    */
   async checkAllBots() {
+    // Başlangıç senkronizasyonu sürerken aynı emirler iki kez işlenmesin
+    if (this.restoring) return;
     const bots = getGridBots('active');
 
     for (const bot of bots) {
       try {
-        await this.checkBot(bot);
+        await this.checkBot(bot.id);
       } catch (err) {
         logger.error(`Grid bot kontrol hatası (${bot.id}): ${err.message}`);
       }
     }
   }
 
-  async checkBot(bot) {
+  /**
+   * Bot kilidi — kontrol turu ve düzenleme aynı botun emirlerini aynı anda işlemez
+   */
+  async lockBot(id, waitMs = 0) {
+    const deadline = Date.now() + waitMs;
+    while (this.busy.has(id)) {
+      if (Date.now() >= deadline) return false;
+      await sleep(LOCK_POLL_MS);
+    }
+    this.busy.add(id);
+    return true;
+  }
+
+  unlockBot(id) {
+    this.busy.delete(id);
+  }
+
+  /**
+   * Kilit alınamazsa (düzenleme sürüyor) bu tur atlanır; bot kilit altında DB'den yeniden okunur
+   */
+  async checkBot(id) {
+    if (!await this.lockBot(id)) return;
+    try {
+      const bot = getGridBot(id);
+      if (bot?.status === 'active') await this.runCheck(bot);
+    } finally {
+      this.unlockBot(id);
+    }
+  }
+
+  async runCheck(bot) {
+    // Demo modda bu çağrı simülatördeki limit emirleri de eşleştirir
     const ticker = await this.exchangeManager.getTicker(bot.exchange, bot.symbol);
     const currentPrice = ticker.last;
 
-    // Stop Loss kontrolü
-    const slPrice = bot.lower_price * (1 - bot.stop_loss_pct / 100);
+    const trailing = bot.trail_mode && bot.trail_mode !== 'off';
+
+    // Takip modunda aralık kaydığı için sabit taban kesin stop; normal modda alt fiyatın SL% altı
+    const slPrice = trailing ? bot.trail_floor : bot.lower_price * (1 - bot.stop_loss_pct / 100);
     if (currentPrice <= slPrice) {
-      logger.warn(`Grid bot SL tetiklendi: ${bot.symbol} @ $${currentPrice}`);
+      logger.warn(`Grid bot ${trailing ? 'taban' : 'SL'} tetiklendi: ${bot.symbol} @ $${currentPrice}`);
+      if (trailing) {
+        insertGridEvent({ bot_id: bot.id, type: 'floor_stop', message: `Taban $${slPrice} kırıldı @ $${currentPrice}`, details: { price: currentPrice, floor: slPrice } });
+      }
       await this.stopBot(bot.id);
       return;
     }
 
-    // Take Profit kontrolü
+    // Take Profit kontrolü — takip eden grid tavana ulaşana kadar TP yerine yukarı kayar, infinity hiç durmaz
+    const canShift = trailing && (bot.trail_mode === 'infinity' || bot.upper_price < bot.trail_limit);
     const tpPrice = bot.upper_price * (1 + bot.take_profit_pct / 100);
-    if (currentPrice >= tpPrice) {
+    if (!canShift && currentPrice >= tpPrice) {
       logger.info(`Grid bot TP tetiklendi: ${bot.symbol} @ $${currentPrice}`);
       await this.stopBot(bot.id);
       return;
     }
 
-    // Emir durumlarını kontrol et
     const gridOrders = typeof bot.grid_orders === 'string' ? JSON.parse(bot.grid_orders) : bot.grid_orders;
-    let updated = false;
-    let botProfit = bot.total_profit || 0;
-    let botTrades = bot.total_trades || 0;
+    const stats = this.newStats(bot);
+    await this.syncPlacedOrders(bot, gridOrders, stats);
+
+    // Fiyat üst seviyeyi aştıysa en alt seviye iptal edilip üste yeni seviye eklenir
+    if (canShift && currentPrice > bot.upper_price) {
+      if (await this.shiftUp(bot, gridOrders, currentPrice)) stats.updated = true;
+    }
+
+    await this.placePendingLevels(bot, gridOrders, stats);
+    this.saveProgress(bot, gridOrders, stats);
+    this.updateExposure(bot, gridOrders, currentPrice);
+  }
+
+  newStats(bot) {
+    return { updated: false, profit: bot.total_profit || 0, trades: bot.total_trades || 0, missing: 0, placed: 0, failed: 0 };
+  }
 
+  saveProgress(bot, gridOrders, stats) {
+    if (!stats.updated) return;
+    updateGridBot(bot.id, {
+      grid_orders: JSON.stringify(gridOrders), total_profit: stats.profit, total_trades: stats.trades,
+      lower_price: bot.lower_price, upper_price: bot.upper_price,
+    });
+  }
+
+  /**
+   * Emir durumlarını borsadan teyit et — seviye sadece gerçekleşen dolumda değişir
+   */
+  async syncPlacedOrders(bot, gridOrders, stats) {
+    const placed = gridOrders.filter(o => o.orderId && (o.status === 'buy_placed' || o.status === 'sell_placed'));
+    if (placed.length === 0) return;
+
+    // Açık emir listesi alınamazsa tüm emirler dolmuş sanılmasın diye tur atlanır
+    const openOrders = await this.exchangeManager.getOpenOrders(bot.exchange, bot.symbol, { throwOnError: true, params: this.marketParams(bot) });
+    const openById = new Map(openOrders.map(o => [o.id, o]));
+    const missing = placed.filter(o => !openById.has(o.orderId));
+    const closedById = missing.length > 0 ? await this.fetchClosedById(bot, missing) : new Map();
+
+    for (const order of placed) {
+      const open = openById.get(order.orderId);
+      if (open) {
+        // Kısmi dolum sürüyor — seviye emir kapanana kadar değişmez
+        if ((open.filled || 0) !== (order.filled || 0)) {
+          order.filled = open.filled || 0;
+          stats.updated = true;
+        }
+        continue;
+      }
+
+      let remote = closedById.get(order.orderId);
+      if (!remote) {
+        try {
+          remote = await this.exchangeManager.fetchOrder(bot.exchange, order.orderId, bot.symbol, this.marketParams(bot));
+        } catch (err) {
+          if (err instanceof ccxt.OrderNotFound) {
+            logger.warn(`Grid ${bot.symbol} seviye ${order.level}: emir ${order.orderId} borsada bulunamadı — yeniden yerleştirilecek.`);
+            this.resetLevel(order);
+            stats.missing++;
+            stats.updated = true;
+          }
+          continue;
+        }
+      }
+
+      await this.applyOrderStatus(bot, order, remote, stats);
+    }
+
+    // Kapanışı tamamlanan emekli seviyeler listeden çıkar
+    for (let i = gridOrders.length - 1; i >= 0; i--) {
+      if (gridOrders[i].status === 'retired') gridOrders.splice(i, 1);
+    }
+  }
+
+  /**
+   * Yerleştirilemeyen veya kaybolan seviyeler için emirleri tekrar dene
+   */
+  async placePendingLevels(bot, gridOrders, stats) {
     for (const order of gridOrders) {
-      if (order.status === 'buy_placed' && currentPrice <= order.buyPrice) {
-        // Alım dolmuş sayılıyor (basitleştirilmiş kontrol)
-        order.status = 'bought';
-        updated = true;
-        botTrades++;
-
-        insertTrade({
-          exchange: bot.exchange, symbol: bot.symbol, side: 'buy', type: 'limit',
-          price: order.buyPrice, amount: order.amount, cost: order.buyPrice * order.amount,
-          strategy: 'grid', strategy_id: bot.id, status: 'filled',
-        });
-
-        // Ters emir (satım) yerleştir
+      if (order.status === 'pending_buy' || order.status === 'pending_sell') {
+        if (await this.placeLevelOrder(bot, order)) {
+          stats.placed++;
+          stats.updated = true;
+        } else {
+          stats.failed++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Yeniden başlatma sonrası aktif botları yükle ve seviyeleri borsayla eşitle:
+   * kapalıyken dolan emirler işlenir, kaybolanlar yeniden yerleştirilir, özet bildirilir
+   */
+  async restoreBots() {
+    const bots = getGridBots('active');
+    if (bots.length === 0) return [];
+
+    this.restoring = true;
+    const results = [];
+    try {
+      for (const bot of bots) {
         try {
-          const placed = await this.exchangeManager.createOrder(
-            bot.exchange, bot.symbol, 'limit', 'sell', order.amount, order.sellPrice
-          );
-          order.orderId = placed.id;
-          order.status = 'sell_placed';
-          logger.info(`Grid: ${bot.symbol} alım doldu @ $${order.buyPrice} → satım emri @ $${order.sellPrice}`);
+          results.push(await this.restoreBot(bot));
         } catch (err) {
-          logger.error(`Grid ters emir hatası: ${err.message}`);
+          logger.error(`Grid bot geri yükleme hatası (${bot.id}): ${err.message}`);
+          results.push({ id: bot.id, symbol: bot.symbol, error: err.message });
         }
-      } else if (order.status === 'sell_placed' && currentPrice >= order.sellPrice) {
-        // Satım dolmuş
-        order.status = 'completed';
-        updated = true;
-        botTrades++;
-
-        const profit = (order.sellPrice - order.buyPrice) * order.amount;
-        botProfit += profit;
-
-        insertTrade({
-          exchange: bot.exchange, symbol: bot.symbol, side: 'sell', type: 'limit',
-          price: order.sellPrice, amount: order.amount, cost: order.sellPrice * order.amount,
-          strategy: 'grid', strategy_id: bot.id, status: 'filled', pnl: profit,
-        });
-
-        // Yeni alım emri yerleştir (döngü)
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    const total = (key) => results.reduce((sum, r) => sum + (r[key] || 0), 0);
+    const lines = results
+      .filter(r => r.error || r.fills || r.missing || r.failed)
+      .map(r => (r.error
+        ? `• ${r.symbol}: senkronizasyon hatası — ${r.error}`
+        : `• ${r.symbol}: ${r.fills} dolum (+$${r.profit.toFixed(4)}), ${r.missing} kayıp emir, ${r.placed} emir yerleştirildi${r.failed ? `, ${r.failed} başarısız` : ''}`));
+    const message = `♻️ Grid botları geri yüklendi: ${results.length} bot | ${total('fills')} dolum işlendi | ${total('missing')} kayıp emir | ${total('placed')} emir yerleştirildi${total('failed') ? ` | ${total('failed')} başarısız` : ''}`
+      + (lines.length ? `\n${lines.join('\n')}` : '');
+
+    logger.info(message);
+    if (this.notifier) {
+      await this.notifier.notifyBotStatus(message).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+    }
+    return results;
+  }
+
+  async restoreBot(bot) {
+    const gridOrders = typeof bot.grid_orders === 'string' ? JSON.parse(bot.grid_orders) : bot.grid_orders;
+    this.activeBots.set(bot.id, { ...bot, gridOrders });
+
+    // Demo modda bu çağrı simülatördeki limit emirleri de eşleştirir
+    const ticker = await this.exchangeManager.getTicker(bot.exchange, bot.symbol);
+    const stats = this.newStats(bot);
+    const checked = gridOrders.filter(o => o.status === 'buy_placed' || o.status === 'sell_placed').length;
+
+    await this.syncPlacedOrders(bot, gridOrders, stats);
+    await this.placePendingLevels(bot, gridOrders, stats);
+    this.saveProgress(bot, gridOrders, stats);
+    this.updateExposure(bot, gridOrders, ticker.last);
+
+    const result = {
+      id: bot.id,
+      symbol: bot.symbol,
+      checked,
+      fills: stats.trades - (bot.total_trades || 0),
+      profit: stats.profit - (bot.total_profit || 0),
+      missing: stats.missing,
+      placed: stats.placed,
+      failed: stats.failed,
+    };
+    if (result.fills || result.missing || result.placed || result.failed) {
+      insertGridEvent({
+        bot_id: bot.id,
+        type: 'restore',
+        message: `Yeniden başlatma senkronizasyonu: ${result.fills} dolum, ${result.missing} kayıp emir, ${result.placed} yerleştirildi`,
+        details: result,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Futures botunun net pozisyonu — long döngüde tutulan miktar +, short döngüde −
+   */
+  netPosition(gridOrders) {
+    return gridOrders.reduce((sum, o) => sum + (o.holding || 0) * ((o.cycle || 'long') === 'short' ? -1 : 1), 0);
+  }
+
+  /**
+   * Futures pozisyon riskini RiskManager'a bildir
+   */
+  updateExposure(bot, gridOrders, price) {
+    if (bot.market !== 'futures' || !this.riskManager) return;
+    const net = this.netPosition(gridOrders);
+    const notional = Math.abs(net) * price;
+    this.riskManager.setExposure(`grid:${bot.id}`, {
+      source: 'grid',
+      exchange: bot.exchange,
+      symbol: bot.symbol,
+      side: net >= 0 ? 'long' : 'short',
+      size: Math.abs(net),
+      notional,
+      margin: notional / (bot.leverage || 1),
+      liquidationPrice: net >= 0 ? bot.liq_price_long : bot.liq_price_short,
+    });
+  }
+
+  /**
+   * Aralığı yukarı kaydır — her adımda en alttaki alım seviyesi kalkar, bir grid adımı üstte yeni alım seviyesi açılır.
+   * Alt seviyede coin tutuluyorsa (satışta) veya alım kısmen dolduysa kaydırma bekler.
+   */
+  async shiftUp(bot, gridOrders, currentPrice) {
+    const perGridInvestment = bot.investment / bot.grid_count;
+    let shifted = 0;
+
+    while (currentPrice > bot.upper_price && shifted < bot.grid_count) {
+      if (bot.trail_mode === 'trailing' && bot.upper_price >= bot.trail_limit) break;
+
+      // Düzenlemeden kalan emekli seviyeler aralığın parçası değil
+      const levels = gridOrders.filter(o => !o.retiring);
+      const bottom = levels.reduce((min, o) => (o.buyPrice < min.buyPrice ? o : min), levels[0]);
+      const top = levels.reduce((max, o) => (o.sellPrice > max.sellPrice ? o : max), levels[0]);
+      if (!['pending_buy', 'buy_placed'].includes(bottom.status) || (bottom.filled || 0) > 0) {
+        logger.info(`Grid ${bot.symbol}: alt seviye ${bottom.level} boşta değil (${bottom.status}) — kaydırma bekliyor.`);
+        break;
+      }
+
+      if (bottom.status === 'buy_placed' && bottom.orderId) {
         try {
-          const placed = await this.exchangeManager.createOrder(
-            bot.exchange, bot.symbol, 'limit', 'buy', order.amount, order.buyPrice
-          );
-          order.orderId = placed.id;
-          order.status = 'buy_placed';
-          logger.info(`Grid: ${bot.symbol} satım doldu @ $${order.sellPrice} (+$${profit.toFixed(4)}) → yeni alım @ $${order.buyPrice}`);
+          await this.exchangeManager.cancelOrder(bot.exchange, bottom.orderId, bot.symbol);
         } catch (err) {
-          logger.error(`Grid yeni emir hatası: ${err.message}`);
+          // Emir dolmuş olabilir — bir sonraki turda durum teyit edilir
+          logger.warn(`Grid ${bot.symbol}: alt seviye emri iptal edilemedi (${err.message}) — kaydırma bekliyor.`);
+          break;
         }
       }
+
+      // Yeni seviye grid tipinin adımını korur
+      const buyPrice = top.sellPrice;
+      const sellPrice = bot.grid_type === 'geometric'
+        ? parseFloat((buyPrice * (top.sellPrice / top.buyPrice)).toFixed(8))
+        : parseFloat((buyPrice + (top.sellPrice - top.buyPrice)).toFixed(8));
+      const from = { lower: bot.lower_price, upper: bot.upper_price };
+
+      gridOrders.splice(gridOrders.indexOf(bottom), 1);
+      gridOrders.push({
+        id: uuidv4(),
+        level: Math.max(...gridOrders.map(o => o.level), bottom.level) + 1,
+        buyPrice,
+        sellPrice,
+        amount: perGridInvestment / buyPrice,
+        status: 'pending_buy',
+        orderId: null,
+      });
+
+      bot.lower_price = Math.min(...gridOrders.filter(o => !o.retiring).map(o => o.buyPrice));
+      bot.upper_price = sellPrice;
+      shifted++;
+
+      insertGridEvent({
+        bot_id: bot.id,
+        type: 'shift_up',
+        message: `Aralık $${from.lower}-$${from.upper} → $${bot.lower_price}-$${bot.upper_price} @ $${currentPrice}`,
+        details: { price: currentPrice, from, to: { lower: bot.lower_price, upper: bot.upper_price }, removed: { level: bottom.level, buyPrice: bottom.buyPrice }, added: { buyPrice, sellPrice } },
+      });
+      logger.info(`Grid ${bot.symbol} (${bot.trail_mode}) yukarı kaydı: $${bot.lower_price}-$${bot.upper_price} @ $${currentPrice}`);
     }
 
-    if (updated) {
-      updateGridBot(bot.id, { grid_orders: JSON.stringify(gridOrders), total_profit: botProfit, total_trades: botTrades });
+    return shifted > 0;
+  }
+
+  /**
+   * Açık listede olmayan emirler — önce toplu kapalı emir sorgusu, bulunamayanlar tek tek sorgulanır
+   */
+  async fetchClosedById(bot, orders) {
+    const since = Math.min(...orders.map(o => o.placedAt || Infinity));
+    const closed = await this.exchangeManager.fetchClosedOrders(bot.exchange, bot.symbol, Number.isFinite(since) ? since : undefined, undefined, { params: this.marketParams(bot) });
+    return new Map(closed.map(o => [o.id, o]));
+  }
+
+  /**
+   * Açılış durumu: long döngüde alım, short döngüde satım bekleyen seviye (envanter taşımaz)
+   */
+  isOpening(order) {
+    const buySide = order.status === 'pending_buy' || order.status === 'buy_placed';
+    return buySide === ((order.cycle || 'long') === 'long');
+  }
+
+  /**
+   * Çalışan botu düzenle — aralık, grid sayısı ve yatırım (investment veya investment_delta).
+   * Yeni seviyeler eskileriyle fiyatına göre eşleşir; yalnızca değişen seviyelerin emirleri iptal edilip yeniden konur.
+   * Envanter taşıyan eski seviyeler yeni aralıktaki envanter bekleyen seviyelere devredilir,
+   * devredilemeyenler kapanış emriyle "emekli" olarak kalır ve dolunca listeden çıkar.
+   */
+  async editBot(id, changes = {}) {
+    // Süren kontrol turu beklenir — kilit altında bot DB'den güncel okunur
+    if (!await this.lockBot(id, EDIT_LOCK_WAIT_MS)) throw new Error('Bot şu an işleniyor — birkaç saniye sonra tekrar deneyin.');
+    try {
+      return await this.applyEdit(id, changes);
+    } finally {
+      this.unlockBot(id);
     }
   }
 
+  async applyEdit(id, changes) {
+    const bot = getGridBot(id);
+    if (!bot) throw new Error('Grid bot bulunamadı.');
+    if (bot.status === 'stopped') throw new Error('Durdurulmuş bot düzenlenemez.');
+    // Duraklatılmış botun emirleri senkronize edilmez — yeni emirler sahipsiz kalırdı
+    if (bot.status === 'paused') throw new Error('Duraklatılmış bot düzenlenemez — önce devam ettirin.');
+
+    const investment = changes.investment_delta !== undefined
+      ? bot.investment + parseFloat(changes.investment_delta)
+      : parseFloat(changes.investment ?? bot.investment);
+    const next = {
+      lower_price: parseFloat(changes.lower_price ?? bot.lower_price),
+      upper_price: parseFloat(changes.upper_price ?? bot.upper_price),
+      grid_count: parseInt(changes.grid_count ?? bot.grid_count),
+      investment,
+      grid_type: bot.grid_type || 'arithmetic',
+    };
+    if (!(investment > 0)) throw new Error('Yatırım sıfırdan büyük olmalı.');
+    const { levels } = this.buildPlan(next);
+    if (bot.trail_mode && bot.trail_mode !== 'off' && bot.trail_floor >= next.lower_price) throw new Error('Taban fiyat yeni alt fiyattan küçük olmalı.');
+    if (bot.trail_mode === 'trailing' && bot.trail_limit <= next.upper_price) throw new Error('Tavan fiyat yeni üst fiyattan büyük olmalı.');
+
+    const price = (await this.exchangeManager.getTicker(bot.exchange, bot.symbol)).last;
+    const gridOrders = typeof bot.grid_orders === 'string' ? JSON.parse(bot.grid_orders) : bot.grid_orders;
+    const stats = this.newStats(bot);
+
+    // Önce güncel dolumlar işlenir — plan borsadaki son duruma göre yapılır
+    await this.syncPlacedOrders(bot, gridOrders, stats);
+
+    const plan = this.planEdit(bot, gridOrders, levels, next, price);
+    if (bot.market === 'futures') {
+      plan.liquidation = estimateGridLiquidation(plan.levels, investment, price);
+      this.checkLiquidationRange({ ...next, stop_loss_pct: bot.stop_loss_pct }, plan.liquidation);
+    }
+
+    // İptaller başarısız olursa yeni plan uygulanmaz; iptal edilenler eski düzende yeniden yerleştirilir
+    const cancelled = [];
+    for (const orderId of plan.cancels) {
+      try {
+        await this.exchangeManager.cancelOrder(bot.exchange, orderId, bot.symbol, this.marketParams(bot));
+        cancelled.push(orderId);
+      } catch (err) {
+        for (const order of gridOrders) {
+          if (cancelled.includes(order.orderId)) this.resetLevel(order);
+        }
+        stats.updated = true;
+        this.saveProgress(bot, gridOrders, stats);
+        throw new Error(`Emir iptal edilemedi (${orderId}): ${err.message} — düzenleme uygulanmadı, tekrar deneyin.`);
+      }
+    }
+
+    const edited = { ...bot, ...next };
+    if (plan.liquidation) {
+      edited.liq_price_long = plan.liquidation.long;
+      edited.liq_price_short = plan.liquidation.short;
+    }
+    await this.placePendingLevels(edited, plan.levels, stats);
+
+    updateGridBot(id, {
+      ...next,
+      grid_orders: JSON.stringify(plan.levels),
+      total_profit: stats.profit,
+      total_trades: stats.trades,
+      ...(plan.liquidation ? { liq_price_long: plan.liquidation.long, liq_price_short: plan.liquidation.short } : {}),
+    });
+    this.updateExposure(edited, plan.levels, price);
+    if (this.activeBots.has(id)) this.activeBots.set(id, { ...getGridBot(id), gridOrders: plan.levels });
+
+    const summary = { ...plan.counts, cancelled: plan.cancels.length, placed: stats.placed, failed: stats.failed };
+    insertGridEvent({
+      bot_id: id,
+      type: 'edit',
+      message: `Düzenlendi: $${bot.lower_price}-$${bot.upper_price} (${bot.grid_count} grid, $${bot.investment}) → $${next.lower_price}-$${next.upper_price} (${next.grid_count} grid, $${investment}) | ${summary.cancelled} iptal, ${summary.placed} yeni emir`,
+      details: { from: { lower: bot.lower_price, upper: bot.upper_price, grid_count: bot.grid_count, investment: bot.investment }, to: next, ...summary },
+    });
+    logger.info(`Grid bot düzenlendi: ${bot.symbol} → $${next.lower_price}-$${next.upper_price} | ${next.grid_count} grid | $${investment} | korunan ${summary.kept}, boyut ${summary.resized}, yeni ${summary.added}, devir ${summary.moved}, emekli ${summary.retired}, kaldırılan ${summary.removed}`);
+
+    return { bot: getGridBot(id), summary };
+  }
+
+  /**
+   * Düzenleme planı (emir göndermez): yeni seviye listesi ve iptal edilecek emirler
+   */
+  planEdit(bot, gridOrders, levels, next, price) {
+    const leverage = bot.leverage || 1;
+    const perGridInvestment = next.investment / next.grid_count;
+    const key = (buyPrice, sellPrice) => `${roundPrice(buyPrice)}|${roundPrice(sellPrice)}`;
+    const current = JSON.parse(JSON.stringify(gridOrders));
+    const unmatched = new Map(current.filter(o => !o.retiring).map(o => [key(o.buyPrice, o.sellPrice), o]));
+    const result = current.filter(o => o.retiring);
+    const cancels = [];
+    const counts = { kept: 0, resized: 0, added: 0, moved: 0, retired: 0, removed: 0 };
+
+    const cancel = (order) => {
+      if (order.status !== 'buy_placed' && order.status !== 'sell_placed') return;
+      if ((order.filled || 0) > 0) throw new Error(`Seviye ${order.level} kısmen dolmuş durumda — emir kapanınca tekrar deneyin.`);
+      cancels.push(order.orderId);
+      this.resetLevel(order);
+    };
+
+    const needy = [];
+    for (let i = 0; i < levels.length - 1; i++) {
+      const buyPrice = levels[i];
+      const sellPrice = levels[i + 1];
+      const amount = (perGridInvestment * leverage) / buyPrice;
+      const existing = unmatched.get(key(buyPrice, sellPrice));
+
+      if (existing) {
+        unmatched.delete(key(buyPrice, sellPrice));
+        if (this.isOpening(existing) && Math.abs(existing.amount - amount) > amount * FILL_TOLERANCE) {
+          cancel(existing);
+          counts.resized++;
+        } else {
+          counts.kept++;
+        }
+        // Kapanış bekleyen seviyede eldeki miktar (holding) korunur, yeni tutar sonraki döngüde kullanılır
+        if (!this.isOpening(existing) && existing.holding === undefined) existing.holding = existing.amount;
+        existing.amount = amount;
+        result.push(existing);
+        continue;
+      }
+
+      const cycle = bot.market === 'futures'
+        ? (bot.direction === 'neutral' ? (buyPrice < price ? 'long' : 'short') : bot.direction)
+        : 'long';
+      const level = { id: uuidv4(), buyPrice, sellPrice, amount, status: cycle === 'long' ? 'pending_buy' : 'pending_sell', orderId: null };
+      if (bot.market === 'futures') level.cycle = cycle;
+      // Fiyatın yanlış tarafındaki seviye envanterle başlamalı (createBot'taki başlangıç pozisyonu gibi)
+      if (cycle === 'long' ? buyPrice >= price : buyPrice < price) needy.push(level);
+      result.push(level);
+      counts.added++;
+    }
+
+    // Eşleşmeyen eski seviyeler: açılıştakiler iptal, envanter taşıyanlar devredilir veya emekli olur
+    const holders = [];
+    for (const order of unmatched.values()) {
+      if (this.isOpening(order)) {
+        cancel(order);
+        counts.removed++;
+      } else {
+        holders.push(order);
+      }
+    }
+
+    for (const order of holders.sort((a, b) => a.sellPrice - b.sellPrice)) {
+      const target = needy.find(l => (l.cycle || 'long') === (order.cycle || 'long'));
+      if (!target) {
+        order.retiring = true;
+        result.push(order);
+        counts.retired++;
+        continue;
+      }
+      needy.splice(needy.indexOf(target), 1);
+      cancel(order);
+      target.holding = order.holding ?? order.amount;
+      target.entryFillPrice = order.entryFillPrice ?? order.buyFillPrice;
+      target.entryFee = order.entryFee ?? order.buyFee ?? 0;
+      if (target.entryFillPrice === undefined) delete target.entryFillPrice;
+      target.status = (target.cycle || 'long') === 'long' ? 'pending_sell' : 'pending_buy';
+      counts.moved++;
+    }
+
+    result.sort((a, b) => a.buyPrice - b.buyPrice).forEach((o, i) => { o.level = i; });
+    return { levels: result, cancels, counts };
+  }
+
+  resetLevel(order) {
+    order.status = order.status === 'buy_placed' ? 'pending_buy' : 'pending_sell';
+    order.orderId = null;
+    order.filled = 0;
+  }
+
+  /**
+   * Kapanmış emri işle: gerçek dolum fiyatı/ücreti ile trade kaydı, ters emir
+   * İptal edilip kısmen dolmuş emirde dolan miktar kadar işlem yapılır
+   */
+  async applyOrderStatus(bot, order, remote, stats) {
+    if (remote.status === 'open') {
+      order.filled = remote.filled || 0;
+      return;
+    }
+
+    const [base, quote] = bot.symbol.split('/');
+    const isBuy = order.status === 'buy_placed';
+    const cycle = order.cycle || 'long';
+    const opening = isBuy === (cycle === 'long');
+    const side = isBuy ? 'alım' : 'satım';
+    const fill = fillDetails(remote, isBuy ? order.buyPrice : order.sellPrice, base, quote);
+    stats.updated = true;
+
+    if (fill.filled <= 0) {
+      logger.warn(`Grid ${bot.symbol} seviye ${order.level}: ${side} emri dolmadan kapandı (${remote.status}) — yeniden yerleştirilecek.`);
+      this.resetLevel(order);
+      stats.missing++;
+      return;
+    }
+
+    const requested = opening ? order.amount : (order.holding ?? order.amount);
+    const partial = fill.filled < requested * (1 - FILL_TOLERANCE);
+    const notes = partial ? `Kısmi dolum: ${fill.filled}/${requested} (${remote.status})` : null;
+    stats.trades++;
+
+    if (opening) {
+      // Ücret baz coinden kesildiyse eldeki miktar azalır, kesilen coinin maliyeti giriş ücretine eklenir
+      order.holding = fill.filled - fill.feeBase;
+      order.entryFillPrice = fill.price;
+      order.entryFee = fill.feeQuote + fill.feeBase * fill.price;
+
+      insertTrade({
+        exchange: bot.exchange, symbol: bot.symbol, side: isBuy ? 'buy' : 'sell', type: 'limit',
+        price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+        strategy: 'grid', strategy_id: bot.id, order_id: remote.id, status: 'filled', notes,
+      });
+
+      // Ters (kapatan) emir — açılan gerçek miktar kadar
+      order.status = isBuy ? 'pending_sell' : 'pending_buy';
+      await this.placeLevelOrder(bot, order);
+      logger.info(`Grid: ${bot.symbol} ${side} doldu @ $${fill.price} (${fill.filled}) → ${isBuy ? 'satım' : 'alım'} emri @ $${isBuy ? order.sellPrice : order.buyPrice}`);
+      return;
+    }
+
+    // Kapanış: kâr gerçek giriş/çıkış fiyatı ve iki tarafın ücretiyle (giriş ücreti kapanan oranda)
+    const holding = order.holding ?? order.amount;
+    const entryPrice = order.entryFillPrice ?? order.buyFillPrice ?? (cycle === 'long' ? order.buyPrice : order.sellPrice);
+    const entryFee = order.entryFee ?? order.buyFee ?? 0;
+    const entryFeeShare = entryFee * Math.min(fill.filled / holding, 1);
+    const direction = cycle === 'long' ? 1 : -1;
+    const profit = (fill.price - entryPrice) * fill.filled * direction - fill.feeQuote - fill.feeBase * fill.price - entryFeeShare;
+    stats.profit += profit;
+
+    insertTrade({
+      exchange: bot.exchange, symbol: bot.symbol, side: isBuy ? 'buy' : 'sell', type: 'limit',
+      price: fill.price, amount: fill.filled, cost: fill.price * fill.filled, fee: fill.feeCost, fee_currency: fill.feeCurrency,
+      strategy: 'grid', strategy_id: bot.id, order_id: remote.id, status: 'filled', pnl: profit, notes,
+    });
+
+    if (partial) {
+      // Kalan miktar için kapatan emir tekrar yerleştirilir
+      order.holding = holding - fill.filled;
+      order.entryFee = entryFee - entryFeeShare;
+      order.status = isBuy ? 'pending_buy' : 'pending_sell';
+      await this.placeLevelOrder(bot, order);
+      logger.info(`Grid: ${bot.symbol} ${side} kısmi doldu @ $${fill.price} (${fill.filled}/${holding}, +$${profit.toFixed(4)}) → kalan ${order.holding} tekrar emirde`);
+      return;
+    }
+
+    // Yeni açılış emri yerleştir (döngü)
+    for (const key of ['holding', 'entryFillPrice', 'entryFee', 'buyFillPrice', 'buyFee']) delete order[key];
+    if (order.retiring) {
+      order.status = 'retired';
+      logger.info(`Grid: ${bot.symbol} emekli seviye kapandı @ $${fill.price} (+$${profit.toFixed(4)})`);
+      return;
+    }
+    order.status = cycle === 'long' ? 'pending_buy' : 'pending_sell';
+    await this.placeLevelOrder(bot, order);
+    logger.info(`Grid: ${bot.symbol} ${side} doldu @ $${fill.price} (+$${profit.toFixed(4)}) → yeni ${cycle === 'long' ? 'alım' : 'satım'} @ $${cycle === 'long' ? order.buyPrice : order.sellPrice}`);
+  }
+
+  /**
+   * Bot raporu: envanter ve ortalama maliyet, gerçekleşen/gerçekleşmemiş K/Z, ödenen ücret,
+   * grid kârı ↔ envanter K/Z ayrımı, al-tut karşılaştırması, APR ve dolum zaman çizelgesi
+   */
+  async getReport(id) {
+    const bot = getGridBot(id);
+    if (!bot) throw new Error('Grid bot bulunamadı.');
+
+    const gridOrders = typeof bot.grid_orders === 'string' ? JSON.parse(bot.grid_orders) : bot.grid_orders;
+    const [base, quote] = bot.symbol.split('/');
+    const ticker = await this.exchangeManager.getTicker(bot.exchange, bot.symbol);
+    const price = ticker.last;
+
+    // Envanter: kapatan emri bekleyen seviyeler pozisyon taşır (eski spot botlarda başlangıç satışları holding'siz)
+    // Durdurulan futures botun pozisyonu closeFuturesPosition ile kapatılıp P&L'i gerçekleşene yazıldı — envanter sıfırdır
+    const sides = { long: { amount: 0, cost: 0, fees: 0 }, short: { amount: 0, cost: 0, fees: 0 } };
+    const flat = bot.market === 'futures' && bot.status === 'stopped';
+    for (const o of flat ? [] : gridOrders) {
+      const cycle = o.cycle || 'long';
+      const closingStatus = cycle === 'long' ? ['pending_sell', 'sell_placed'] : ['pending_buy', 'buy_placed'];
+      if (!closingStatus.includes(o.status)) continue;
+      const amount = o.holding ?? o.amount;
+      const entry = o.entryFillPrice ?? o.buyFillPrice ?? (cycle === 'long' ? o.buyPrice : o.sellPrice);
+      sides[cycle].amount += amount;
+      sides[cycle].cost += amount * entry;
+      sides[cycle].fees += o.entryFee ?? o.buyFee ?? 0;
+    }
+    const unrealizedPnl = (price * sides.long.amount - sides.long.cost) - sides.long.fees
+      + (sides.short.cost - price * sides.short.amount) - sides.short.fees;
+
+    const trades = getTrades(1000, 0, { strategy: 'grid', strategy_id: bot.id }).reverse();
+    const realizedPnl = trades.reduce((sum, t) => sum + (t.pnl || 0), 0);
+    const feesPaid = trades.reduce((sum, t) => sum + (t.fee_currency === base ? t.fee * t.price : t.fee || 0), 0);
+
+    // Al-tut: yatırımın tamamı başlangıç fiyatından alınsaydı
+    const startPrice = bot.start_price || trades[0]?.price || (bot.lower_price + bot.upper_price) / 2;
+    const holdPnl = bot.investment * (price / startPrice - 1);
+    const totalPnl = realizedPnl + unrealizedPnl;
+    const days = Math.max((Date.now() - new Date(`${bot.created_at.replace(' ', 'T')}Z`).getTime()) / 86400000, 1 / 24);
+
+    const daily = {};
+    for (const t of trades) {
+      const day = t.created_at.slice(0, 10);
+      daily[day] = daily[day] || { date: day, fills: 0, profit: 0 };
+      daily[day].fills++;
+      daily[day].profit += t.pnl || 0;
+    }
+
+    return {
+      id: bot.id,
+      symbol: bot.symbol,
+      status: bot.status,
+      market: bot.market || 'spot',
+      price,
+      investment: bot.investment,
+      days,
+      inventory: {
+        base,
+        quote,
+        long: { amount: sides.long.amount, avgCost: sides.long.amount > 0 ? sides.long.cost / sides.long.amount : null },
+        short: { amount: sides.short.amount, avgCost: sides.short.amount > 0 ? sides.short.cost / sides.short.amount : null },
+        net: sides.long.amount - sides.short.amount,
+        valueUSD: (sides.long.amount - sides.short.amount) * price,
+      },
+      pnl: {
+        realized: realizedPnl,
+        unrealized: unrealizedPnl,
+        total: totalPnl,
+        feesPaid,
+        returnPct: (totalPnl / bot.investment) * 100,
+      },
+      split: { gridProfit: realizedPnl, inventoryPnl: unrealizedPnl },
+      benchmark: {
+        startPrice,
+        holdPnl,
+        holdReturnPct: (holdPnl / bot.investment) * 100,
+        excessPnl: totalPnl - holdPnl,
+      },
+      apr: {
+        total: (totalPnl / bot.investment) * (365 / days) * 100,
+        grid: (realizedPnl / bot.investment) * (365 / days) * 100,
+      },
+      timeline: trades.map(t => ({ time: t.created_at, side: t.side, type: t.type, price: t.price, amount: t.amount, fee: t.fee, pnl: t.pnl, notes: t.notes })),
+      daily: Object.values(daily),
+    };
+  }
+
   async pauseBot(id) {
     updateGridBot(id, { status: 'paused' });
     this.activeBots.delete(id);
@@ -249,16 +1204,54 @@ class GridTrading {
       for (const order of gridOrders) {
         if (order.orderId && (order.status === 'buy_placed' || order.status === 'sell_placed')) {
           try {
-            await this.exchangeManager.cancelOrder(bot.exchange, order.orderId, bot.symbol);
+            await this.exchangeManager.cancelOrder(bot.exchange, order.orderId, bot.symbol, this.marketParams(bot));
           } catch { /* ignore */ }
         }
       }
+      if (bot.market === 'futures') await this.closeFuturesPosition(bot, gridOrders);
     }
 
     updateGridBot(id, { status: 'stopped' });
     this.activeBots.delete(id);
+    this.riskManager?.clearExposure(`grid:${id}`);
     logger.info(`Grid bot durduruldu: ${id}`);
   }
+
+  /**
+   * Futures botu durunca kalan net pozisyon piyasa emriyle (reduce-only) kapatılır
+   */
+  async closeFuturesPosition(bot, gridOrders) {
+    const net = this.netPosition(gridOrders);
+    if (Math.abs(net) <= 0) return;
+
+    const [base, quote] = bot.symbol.split('/');
+    const side = net > 0 ? 'sell' : 'buy';
+    try {
+      const ticker = await this.exchangeManager.getTicker(bot.exchange, bot.symbol);
+      const order = await this.exchangeManager.createOrder(bot.exchange, bot.symbol, 'market', side, Math.abs(net), undefined, { ...this.marketParams(bot), reduceOnly: true });
+      const fill = fillDetails(order, ticker.last, base, quote);
+      const price = fill.price;
+      const pnl = gridOrders.reduce((sum, o) => {
+        if (!o.holding) return sum;
+        const short = o.cycle === 'short';
+        return sum + (price - (o.entryFillPrice ?? (short ? o.sellPrice : o.buyPrice))) * o.holding * (short ? -1 : 1) - (o.entryFee || 0);
+      }, 0) - fill.feeQuote;
+
+      insertTrade({
+        exchange: bot.exchange, symbol: bot.symbol, side, type: 'market',
+        price, amount: Math.abs(net), cost: price * Math.abs(net), fee: fill.feeCost, fee_currency: fill.feeCurrency,
+        strategy: 'grid', strategy_id: bot.id, order_id: order.id, status: 'filled', pnl, notes: 'Futures grid durduruldu — pozisyon kapatıldı',
+      });
+      updateGridBot(bot.id, { total_profit: (bot.total_profit || 0) + pnl, total_trades: (bot.total_trades || 0) + 1 });
+      logger.info(`Futures grid pozisyonu kapatıldı: ${side} ${Math.abs(net)} ${bot.symbol} @ $${price} (P&L $${pnl.toFixed(4)})`);
+    } catch (err) {
+      logger.error(`Futures grid pozisyon kapatma hatası (${bot.id}): ${err.message}`);
+      insertRiskEvent({ type: 'grid_close_failed', message: `Grid ${bot.symbol} durduruldu ama ${Math.abs(net)} pozisyon kapatılamadı: ${err.message}`, severity: 'critical' });
+      if (this.notifier) {
+        await this.notifier.notifyRiskAlert(`⚠️ Grid ${bot.symbol} pozisyonu kapatılamadı: ${err.message}`).catch(e => logger.error(`Bildirim hatası: ${e.message}`));
+      }
+    }
+  }
 }
 
 export default GridTrading;
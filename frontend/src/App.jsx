@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { Fragment, useState, useEffect, useRef, useCallback } from 'react';
 
 const API = '/api';
 const MONO = "'JetBrains Mono', monospace";
@@ -66,6 +66,13 @@ async function apiPut(endpoint, body = {}) {
   return res.json();
 }
 
+async function apiPatch(endpoint, body = {}) {
+  const res = await fetch(`${API}${endpoint}`, {
+    method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
 async function apiDelete(endpoint) {
   const res = await fetch(`${API}${endpoint}`, { method: 'DELETE' });
   return res.json();
@@ -228,6 +235,8 @@ function DashboardTab() {
         </div>
       </div>
 
+      <InventoryCard inventory={data.inventory} />
+
       <div style={S.card}>
         <div style={S.cardTitle}>Son İşlemler</div>
         <table style={S.table}>
@@ -258,6 +267,72 @@ function DashboardTab() {
   );
 }
 
+function InventoryCard({ inventory }) {
+  const [plan, setPlan] = useState(null);
+  if (!inventory) return null;
+
+  const loadPlan = async () => setPlan(await fetch(`${API}/inventory/rebalance?refresh=1`).then(r => r.json()));
+
+  return (
+    <div style={S.card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={S.cardTitle}>
+          Envanter Dağılımı
+          <Badge text={`Sapma ${inventory.maxSkewPct.toFixed(1)}%`} color={inventory.alert ? S.red : S.green} />
+        </div>
+        <button style={S.btn(S.blue)} onClick={loadPlan}>Dengeleme Planı</button>
+      </div>
+      <table style={S.table}>
+        <thead><tr><th style={S.th}>Varlık</th>{inventory.exchanges.map(ex => <th key={ex} style={S.th}>{ex}</th>)}<th style={S.th}>Toplam</th><th style={S.th}>Sapma</th></tr></thead>
+        <tbody>
+          {inventory.assets.map(a => (
+            <tr key={a.asset}>
+              <td style={{ ...S.td, fontWeight: 600 }}>{a.asset}</td>
+              {inventory.exchanges.map(ex => (
+                <td key={ex} style={S.td}>
+                  {Number(a.amounts[ex]).toFixed(a.price > 100 ? 6 : 2)}
+                  <span style={{ color: '#8B8B9A', fontSize: 11 }}> ({a.shares[ex].toFixed(0)}%)</span>
+                </td>
+              ))}
+              <td style={S.td}>${a.totalUSD.toFixed(2)}</td>
+              <td style={{ ...S.td, color: a.alert ? S.red : '#8B8B9A', fontWeight: a.alert ? 700 : 400 }}>{a.skewPct.toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {plan && !plan.error && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 12, color: '#8B8B9A', marginBottom: 6 }}>
+            Önerilen transferler — ücret ${plan.totalFeeUSD.toFixed(2)} | süre ~{plan.completeInMin} dk | sapma {plan.before.maxSkewPct.toFixed(1)}% → {plan.after.maxSkewPct.toFixed(1)}%
+          </div>
+          <table style={S.table}>
+            <tbody>
+              {plan.transfers.map((t, i) => (
+                <tr key={i}>
+                  <td style={{ ...S.td, fontWeight: 600 }}>{t.asset}</td>
+                  <td style={S.td}>{t.from} → {t.to}</td>
+                  <td style={S.td}>{Number(t.amount).toFixed(6)} (${t.valueUSD.toFixed(2)})</td>
+                  <td style={{ ...S.td, color: S.yellow }}>Ücret: {t.fee} (${t.feeUSD.toFixed(2)})</td>
+                  <td style={S.td}>{t.delayMin} dk</td>
+                </tr>
+              ))}
+              {plan.skipped.map((t, i) => (
+                <tr key={`s${i}`}>
+                  <td style={{ ...S.td, color: '#4A4A5A' }}>{t.asset}</td>
+                  <td style={{ ...S.td, color: '#4A4A5A' }}>{t.from} → {t.to}</td>
+                  <td style={{ ...S.td, color: '#4A4A5A' }} colSpan={3}>{t.reason}</td>
+                </tr>
+              ))}
+              {plan.transfers.length === 0 && plan.skipped.length === 0 && <tr><td style={{ ...S.td, color: '#4A4A5A' }}>Dengeleme gerekmiyor</td></tr>}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // --- 2. PİYASA ---
 function MarketTab() {
   const { data, loading } = useAPI('/market', 5000);
@@ -308,10 +383,48 @@ function MarketTab() {
 // --- 3. GRID TRADING ---
 function GridTab() {
   const { data: bots, refetch } = useAPI('/grid/bots', 10000);
-  const [form, setForm] = useState({ exchange: 'binance', symbol: 'BTC/USDT', upper_price: '', lower_price: '', grid_count: 10, investment: 50, stop_loss_pct: 5, take_profit_pct: 10 });
+  const [form, setForm] = useState({ exchange: 'binance', symbol: 'BTC/USDT', grid_type: 'arithmetic', market: 'spot', direction: 'neutral', leverage: 2, trail_mode: 'off', trail_floor: '', trail_limit: '', upper_price: '', lower_price: '', grid_count: 10, investment: 50, stop_loss_pct: 5, take_profit_pct: 10 });
+  const [preview, setPreview] = useState(null);
+  const [detailBot, setDetailBot] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const startEdit = (b) => setEditing({ id: b.id, symbol: b.symbol, lower_price: b.lower_price, upper_price: b.upper_price, grid_count: b.grid_count, investment_delta: 0 });
+
+  const saveEdit = async () => {
+    const res = await apiPatch(`/grid/bots/${editing.id}`, {
+      lower_price: parseFloat(editing.lower_price), upper_price: parseFloat(editing.upper_price),
+      grid_count: parseInt(editing.grid_count), investment_delta: parseFloat(editing.investment_delta) || 0,
+    });
+    if (res.error) return alert(res.error);
+    setEditing(null);
+    refetch();
+  };
+  const [suggestion, setSuggestion] = useState(null);
+
+  const payload = () => ({ ...form, upper_price: parseFloat(form.upper_price), lower_price: parseFloat(form.lower_price), grid_count: parseInt(form.grid_count), investment: parseFloat(form.investment), leverage: parseFloat(form.leverage), trail_floor: parseFloat(form.trail_floor) || null, trail_limit: parseFloat(form.trail_limit) || null });
+  const update = (patch) => { setForm({ ...form, ...patch }); setPreview(null); };
+
+  const previewBot = async () => {
+    const res = await apiPost('/grid/preview', payload());
+    if (res.error) return alert(res.error);
+    setPreview(res);
+  };
+
+  const suggest = async () => {
+    const res = await apiPost('/grid/suggest', { exchange: form.exchange, symbol: form.symbol, grid_type: form.grid_type, investment: parseFloat(form.investment) });
+    if (res.error) return alert(res.error);
+    setSuggestion(res);
+  };
+
+  const useSuggestion = () => {
+    update({ lower_price: suggestion.lower_price, upper_price: suggestion.upper_price, grid_count: suggestion.grid_count, grid_type: suggestion.grid_type });
+    setSuggestion(null);
+  };
 
   const createBot = async () => {
-    await apiPost('/grid/bots', { ...form, upper_price: parseFloat(form.upper_price), lower_price: parseFloat(form.lower_price), grid_count: parseInt(form.grid_count), investment: parseFloat(form.investment) });
+    const res = await apiPost('/grid/bots', payload());
+    if (res.error) return alert(res.error);
+    setPreview(null);
     refetch();
   };
 
@@ -320,25 +433,69 @@ function GridTab() {
       <div style={S.card}>
         <div style={S.cardTitle}>Yeni Grid Bot</div>
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Borsa</label><select style={S.select} value={form.exchange} onChange={e => setForm({ ...form, exchange: e.target.value })}><option>binance</option><option>bybit</option><option>okx</option></select></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sembol</label><input style={S.input} value={form.symbol} onChange={e => setForm({ ...form, symbol: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Üst Fiyat</label><input style={S.input} type="number" value={form.upper_price} onChange={e => setForm({ ...form, upper_price: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Alt Fiyat</label><input style={S.input} type="number" value={form.lower_price} onChange={e => setForm({ ...form, lower_price: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Grid Sayısı</label><input style={S.input} type="number" value={form.grid_count} onChange={e => setForm({ ...form, grid_count: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Yatırım ($)</label><input style={S.input} type="number" value={form.investment} onChange={e => setForm({ ...form, investment: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>SL %</label><input style={S.input} type="number" value={form.stop_loss_pct} onChange={e => setForm({ ...form, stop_loss_pct: e.target.value })} /></div>
-          <div style={{ display: 'flex', alignItems: 'flex-end' }}><button style={S.btn(S.purple)} onClick={createBot}>Bot Oluştur</button></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Borsa</label><select style={S.select} value={form.exchange} onChange={e => update({ exchange: e.target.value })}><option>binance</option><option>bybit</option><option>okx</option></select></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sembol</label><input style={S.input} value={form.symbol} onChange={e => update({ symbol: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Grid Tipi</label><select style={S.select} value={form.grid_type} onChange={e => update({ grid_type: e.target.value })}><option value="arithmetic">Aritmetik (eşit $)</option><option value="geometric">Geometrik (eşit %)</option></select></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Üst Fiyat</label><input style={S.input} type="number" value={form.upper_price} onChange={e => update({ upper_price: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Alt Fiyat</label><input style={S.input} type="number" value={form.lower_price} onChange={e => update({ lower_price: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Grid Sayısı</label><input style={S.input} type="number" value={form.grid_count} onChange={e => update({ grid_count: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Yatırım ($)</label><input style={S.input} type="number" value={form.investment} onChange={e => update({ investment: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>SL %</label><input style={S.input} type="number" value={form.stop_loss_pct} onChange={e => update({ stop_loss_pct: e.target.value })} /></div>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Piyasa</label><select style={S.select} value={form.market} onChange={e => update({ market: e.target.value, trail_mode: 'off' })}><option value="spot">Spot</option><option value="futures">Futures</option></select></div>
+          {form.market === 'futures' && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Yön</label><select style={S.select} value={form.direction} onChange={e => update({ direction: e.target.value })}><option value="long">Long</option><option value="short">Short</option><option value="neutral">Nötr</option></select></div>}
+          {form.market === 'futures' && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Kaldıraç</label><input style={S.input} type="number" value={form.leverage} onChange={e => update({ leverage: e.target.value })} /></div>}
+          {form.market === 'spot' && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Takip Modu</label><select style={S.select} value={form.trail_mode} onChange={e => update({ trail_mode: e.target.value })}><option value="off">Kapalı (sabit aralık)</option><option value="trailing">Trailing (tavana kadar)</option><option value="infinity">Infinity (üst sınırsız)</option></select></div>}
+          {form.trail_mode !== 'off' && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Taban (kesin stop)</label><input style={S.input} type="number" placeholder="Boş: alt fiyat - SL%" value={form.trail_floor} onChange={e => update({ trail_floor: e.target.value })} /></div>}
+          {form.trail_mode === 'trailing' && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Tavan</label><input style={S.input} type="number" value={form.trail_limit} onChange={e => update({ trail_limit: e.target.value })} /></div>}
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: 8 }}>
+            <button style={S.btn(S.yellow)} onClick={suggest}>Öneri Al</button>
+            <button style={S.btn(S.blue)} onClick={previewBot}>Önizle</button>
+            <button style={S.btn(S.purple)} onClick={createBot}>Bot Oluştur</button>
+          </div>
         </div>
+        {suggestion && (
+          <div style={{ marginTop: 12, padding: 12, background: '#0F1015', borderRadius: 8, fontSize: 12 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div>
+                Önerilen aralık: <span style={{ fontWeight: 600 }}>${suggestion.lower_price} - ${suggestion.upper_price}</span>
+                {' '}| {suggestion.grid_count} grid ({suggestion.grid_type === 'geometric' ? 'geometrik' : 'aritmetik'}) | Fiyat ${suggestion.currentPrice}
+              </div>
+              <button style={S.btnSm(S.green)} onClick={useSuggestion}>Öneriyi Kullan</button>
+            </div>
+            <div style={{ color: '#8B8B9A', marginTop: 6 }}>
+              Grid başı net: {suggestion.preview.minProfitPct.toFixed(3)}% - {suggestion.preview.maxProfitPct.toFixed(3)}% | Adım {suggestion.stepPct.toFixed(2)}% (ücret {suggestion.feePct.toFixed(3)}%)
+              {suggestion.expected && <> | ~{suggestion.expected.fillsPerDay.toFixed(1)} dolum/gün, ~${suggestion.expected.dailyProfit.toFixed(2)}/gün</>}
+            </div>
+            <div style={{ color: '#8B8B9A', marginTop: 4 }}>
+              {suggestion.timeframes.map(t => `${t.timeframe}: ATR ${t.atrPct.toFixed(2)}%, BB $${t.bbLower.toFixed(2)}-$${t.bbUpper.toFixed(2)}, dip/tepe $${t.low}-$${t.high}`).join(' · ')}
+            </div>
+          </div>
+        )}
+        {preview && (
+          <div style={{ marginTop: 12, fontSize: 12, color: '#8B8B9A' }}>
+            Grid başı net kâr: <span style={{ color: preview.minProfitPct > 0 ? S.green : S.red, fontWeight: 600 }}>{preview.minProfitPct.toFixed(3)}% - {preview.maxProfitPct.toFixed(3)}%</span>
+            {' '}| Ort. {preview.avgProfitPct.toFixed(3)}% | Ücret (alış+satış) {preview.feePct.toFixed(3)}% | Grid başı ${preview.perGridInvestment.toFixed(2)}
+            {preview.warning && <div style={{ color: S.yellow, marginTop: 4 }}>{preview.warning}</div>}
+          </div>
+        )}
       </div>
 
       <div style={S.card}>
         <div style={S.cardTitle}>Aktif Grid Botlar</div>
         <table style={S.table}>
-          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Aralık</th><th style={S.th}>Grid</th><th style={S.th}>Yatırım</th><th style={S.th}>Kâr</th><th style={S.th}>Durum</th><th style={S.th}>İşlem</th></tr></thead>
+          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Tip</th><th style={S.th}>Aralık</th><th style={S.th}>Grid</th><th style={S.th}>Yatırım</th><th style={S.th}>Kâr</th><th style={S.th}>Durum</th><th style={S.th}>İşlem</th></tr></thead>
           <tbody>
             {(bots || []).map(b => (
               <tr key={b.id}>
                 <td style={{ ...S.td, fontWeight: 600 }}>{b.symbol}</td>
+                <td style={S.td}>
+                  <Badge text={b.grid_type === 'geometric' ? 'geometrik' : 'aritmetik'} color={b.grid_type === 'geometric' ? S.blue : S.purple} />
+                  {b.trail_mode && b.trail_mode !== 'off' && <span style={{ marginLeft: 4 }}><Badge text={b.trail_mode} color={S.yellow} /></span>}
+                  {b.market === 'futures' && <span style={{ marginLeft: 4 }}><Badge text={`${b.direction} ${b.leverage}x`} color={b.direction === 'long' ? S.green : b.direction === 'short' ? S.red : S.yellow} /></span>}
+                  {b.market === 'futures' && (b.liq_price_long || b.liq_price_short) && (
+                    <div style={{ fontSize: 10, color: '#8B8B9A', marginTop: 2 }}>Liq: {b.liq_price_long ? `$${b.liq_price_long.toFixed(2)}` : '-'} / {b.liq_price_short ? `$${b.liq_price_short.toFixed(2)}` : '-'}</div>
+                  )}
+                </td>
                 <td style={S.td}>${b.lower_price} - ${b.upper_price}</td>
                 <td style={S.td}>{b.grid_count}</td>
                 <td style={S.td}>${b.investment}</td>
@@ -348,57 +505,432 @@ function GridTab() {
                   {b.status === 'active' && <button style={S.btnSm(S.yellow)} onClick={() => { apiPost(`/grid/bots/${b.id}/pause`); refetch(); }}>Duraklat</button>}
                   {b.status === 'paused' && <button style={S.btnSm(S.green)} onClick={() => { apiPost(`/grid/bots/${b.id}/resume`); refetch(); }}>Devam</button>}
                   {b.status !== 'stopped' && <button style={{ ...S.btnSm(S.red), marginLeft: 4 }} onClick={() => { apiPost(`/grid/bots/${b.id}/stop`); refetch(); }}>Durdur</button>}
+                  {b.status === 'active' && <button style={{ ...S.btnSm(S.purple), marginLeft: 4 }} onClick={() => startEdit(b)}>Düzenle</button>}
+                  <button style={{ ...S.btnSm(S.blue), marginLeft: 4 }} onClick={() => setDetailBot(detailBot === b.id ? null : b.id)}>Detay</button>
                 </td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+
+      {editing && (
+        <div style={S.card}>
+          <div style={S.cardTitle}>{editing.symbol} Botunu Düzenle</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 12 }}>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Alt Fiyat</label><input style={S.input} type="number" value={editing.lower_price} onChange={e => setEditing({ ...editing, lower_price: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Üst Fiyat</label><input style={S.input} type="number" value={editing.upper_price} onChange={e => setEditing({ ...editing, upper_price: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Grid Sayısı</label><input style={S.input} type="number" value={editing.grid_count} onChange={e => setEditing({ ...editing, grid_count: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Yatırım Ekle/Çek ($)</label><input style={S.input} type="number" value={editing.investment_delta} onChange={e => setEditing({ ...editing, investment_delta: e.target.value })} /></div>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: 8 }}>
+              <button style={S.btn(S.green)} onClick={saveEdit}>Kaydet</button>
+              <button style={S.btn(S.red)} onClick={() => setEditing(null)}>Vazgeç</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {detailBot && <GridReport botId={detailBot} />}
+      {detailBot && <GridEvents botId={detailBot} />}
+    </div>
+  );
+}
+
+function GridReport({ botId }) {
+  const { data: r } = useAPI(`/grid/bots/${botId}/report`, 15000);
+  if (!r) return <div style={S.card}>Yükleniyor...</div>;
+  if (r.error) return <div style={S.card}>{r.error}</div>;
+
+  const pnlColor = (v) => (v >= 0 ? S.green : S.red);
+  const money = (v) => `${v >= 0 ? '+' : ''}$${v.toFixed(2)}`;
+  const inv = r.inventory;
+
+  return (
+    <div style={S.card}>
+      <div style={S.cardTitle}>{r.symbol} Bot Raporu — ${r.price} | {r.days.toFixed(1)} gün</div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12, marginBottom: 16 }}>
+        <StatCard label="Gerçekleşen (grid kârı)" value={money(r.pnl.realized)} color={pnlColor(r.pnl.realized)} />
+        <StatCard label="Gerçekleşmemiş (envanter)" value={money(r.pnl.unrealized)} color={pnlColor(r.pnl.unrealized)} />
+        <StatCard label="Toplam" value={`${money(r.pnl.total)} (${r.pnl.returnPct.toFixed(2)}%)`} color={pnlColor(r.pnl.total)} />
+        <StatCard label="Ödenen Ücret" value={`$${r.pnl.feesPaid.toFixed(4)}`} />
+        <StatCard label={`Envanter (${inv.base})`} value={`${inv.net.toFixed(6)} ($${inv.valueUSD.toFixed(2)})`} />
+        <StatCard label="Ort. Maliyet" value={inv.long.avgCost ? `$${inv.long.avgCost.toFixed(4)}` : inv.short.avgCost ? `$${inv.short.avgCost.toFixed(4)} (short)` : '-'} />
+        <StatCard label="Al-Tut K/Z" value={`${money(r.benchmark.holdPnl)} (${r.benchmark.holdReturnPct.toFixed(2)}%)`} color={pnlColor(r.benchmark.holdPnl)} />
+        <StatCard label="Al-Tut'a Göre Fark" value={money(r.benchmark.excessPnl)} color={pnlColor(r.benchmark.excessPnl)} />
+        <StatCard label="APR (toplam / grid)" value={`${r.apr.total.toFixed(1)}% / ${r.apr.grid.toFixed(1)}%`} color={pnlColor(r.apr.total)} />
+      </div>
+
+      <table style={S.table}>
+        <thead><tr><th style={S.th}>Zaman</th><th style={S.th}>Yön</th><th style={S.th}>Fiyat</th><th style={S.th}>Miktar</th><th style={S.th}>Ücret</th><th style={S.th}>K/Z</th></tr></thead>
+        <tbody>
+          {r.timeline.slice(-50).reverse().map((t, i) => (
+            <tr key={i}>
+              <td style={S.td}>{new Date(t.time).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+              <td style={S.td}><Badge text={t.side} color={t.side === 'buy' ? S.green : S.red} /></td>
+              <td style={S.td}>${t.price}</td>
+              <td style={S.td}>{t.amount.toFixed(6)}</td>
+              <td style={S.td}>{(t.fee || 0).toFixed(4)}</td>
+              <td style={{ ...S.td, color: pnlColor(t.pnl || 0) }}>{t.pnl ? money(t.pnl) : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function GridEvents({ botId }) {
+  const { data: events } = useAPI(`/grid/bots/${botId}/events`, 10000);
+
+  return (
+    <div style={S.card}>
+      <div style={S.cardTitle}>Bot Geçmişi</div>
+      {(events || []).length === 0 ? <div style={{ fontSize: 12, color: '#8B8B9A' }}>Kayıt yok</div> : (
+        <table style={S.table}>
+          <thead><tr><th style={S.th}>Zaman</th><th style={S.th}>Olay</th><th style={S.th}>Detay</th></tr></thead>
+          <tbody>
+            {events.map(e => (
+              <tr key={e.id}>
+                <td style={S.td}>{new Date(e.created_at).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+                <td style={S.td}><Badge text={e.type} color={e.type === 'floor_stop' ? S.red : S.blue} /></td>
+                <td style={S.td}>{e.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
 
 // --- 4. DCA ---
+const SIZING_RULE_TYPES = [
+  { value: 'rsi_below', label: 'RSI altında' },
+  { value: 'rsi_above', label: 'RSI üstünde' },
+  { value: 'below_avg', label: 'Ortalamanın % altında' },
+  { value: 'above_avg', label: 'Ortalamanın % üstünde' },
+  { value: 'below_sma200', label: 'SMA200 % altında' },
+  { value: 'above_sma200', label: 'SMA200 % üstünde' },
+];
+
+const CATCH_UP_OPTIONS = [
+  <option key="skip" value="skip">Telafi: atla</option>,
+  <option key="once" value="once">Telafi: tek alım</option>,
+  <option key="all" value="all">Telafi: hepsini al</option>,
+];
+
+function SizingRulesEditor({ rules, onChange }) {
+  const update = (i, patch) => onChange(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  return (
+    <div>
+      {rules.map((r, i) => (
+        <div key={i} style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1.5fr 1fr auto', gap: 8, marginBottom: 6 }}>
+          <select style={S.select} value={r.type} onChange={e => update(i, { type: e.target.value })}>
+            {SIZING_RULE_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <input style={S.input} type="number" value={r.value} onChange={e => update(i, { value: parseFloat(e.target.value) })} />
+          <select style={S.select} value={r.action} onChange={e => update(i, { action: e.target.value })}>
+            <option value="scale">Tutarı çarp</option>
+            <option value="skip">Sağlanırsa atla</option>
+            <option value="require">Sağlanmazsa atla</option>
+          </select>
+          <input style={S.input} type="number" step="0.1" disabled={r.action !== 'scale'} value={r.action === 'scale' ? r.multiplier : ''} onChange={e => update(i, { multiplier: parseFloat(e.target.value) })} />
+          <button style={S.btnSm(S.red)} onClick={() => onChange(rules.filter((_, j) => j !== i))}>Sil</button>
+        </div>
+      ))}
+      <button style={S.btnSm(S.purple)} onClick={() => onChange([...rules, { type: 'rsi_below', value: 30, action: 'scale', multiplier: 2 }])}>+ Kural</button>
+    </div>
+  );
+}
+
+function SizingPreview({ preview }) {
+  if (!preview) return null;
+  return (
+    <div style={{ marginTop: 12, fontSize: 12, color: '#8B8B9A' }}>
+      Fiyat ${preview.price} | RSI {preview.market.rsi != null ? preview.market.rsi.toFixed(1) : '-'} | SMA200 {preview.market.sma200 ? `$${preview.market.sma200.toFixed(2)}` : '-'}
+      {' '}| Alım: {preview.skip
+        ? <span style={{ color: S.yellow, fontWeight: 600 }}>Atlanır — {preview.skipReason}</span>
+        : <span style={{ color: S.green, fontWeight: 600 }}>${preview.amount.toFixed(2)} (x{preview.multiplier.toFixed(2)})</span>}
+      {preview.summary && <div style={{ marginTop: 4 }}>Tetiklenen: {preview.summary}</div>}
+      {preview.ignored.length > 0 && <div style={{ color: S.yellow, marginTop: 4 }}>Veri olmadığı için uygulanmadı: {preview.ignored.map(r => r.type).join(', ')}</div>}
+    </div>
+  );
+}
+
+function DCADeals({ planId }) {
+  const { data: deals } = useAPI(`/dca/plans/${planId}/deals`, 10000);
+  if (!deals) return null;
+  return (
+    <table style={S.table}>
+      <thead><tr><th style={S.th}>Açılış</th><th style={S.th}>Durum</th><th style={S.th}>Taban</th><th style={S.th}>Ort. Fiyat</th><th style={S.th}>Güvenlik</th><th style={S.th}>Maliyet</th><th style={S.th}>TP / Çıkış</th><th style={S.th}>Ücret</th><th style={S.th}>P&L</th></tr></thead>
+      <tbody>
+        {deals.map(d => (
+          <tr key={d.id}>
+            <td style={{ ...S.td, fontSize: 11 }}>{new Date(`${d.opened_at.replace(' ', 'T')}Z`).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+            <td style={S.td}><Badge text={d.status === 'closed' ? d.close_reason : d.status} color={d.status === 'open' ? S.blue : d.status === 'closed' ? S.green : S.yellow} /></td>
+            <td style={S.td}>${d.base_price}</td>
+            <td style={S.td}>${d.avg_price.toFixed(4)}</td>
+            <td style={S.td}>{d.safety_filled}/{d.safety_orders.length}</td>
+            <td style={S.td}>${d.total_cost.toFixed(2)}</td>
+            <td style={S.td}>{d.status === 'open' ? `$${d.take_profit_price.toFixed(4)}` : d.close_price ? `$${d.close_price}` : '-'}</td>
+            <td style={S.td}>${(d.fees || 0).toFixed(4)}</td>
+            <td style={{ ...S.td, color: (d.pnl || 0) >= 0 ? S.green : S.red }}>{d.pnl != null ? `$${d.pnl.toFixed(2)} (${d.pnl_pct.toFixed(2)}%)` : '-'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
 function DCATab() {
   const { data: plans, refetch } = useAPI('/dca/plans', 10000);
-  const [form, setForm] = useState({ exchange: 'binance', symbol: 'BTC/USDT', amount: 10, interval: 'daily' });
+  const [form, setForm] = useState({
+    exchange: 'binance', symbol: 'BTC/USDT', amount: 10, interval: 'daily', sizing_rules: [], mode: 'accumulate',
+    safety_orders: 5, safety_order_amount: 10, safety_deviation_pct: 1.5, safety_step_scale: 1.2, safety_volume_scale: 1.5, take_profit_pct: 1.5,
+    cron_expr: '', timezone: '', start_at: '', end_at: '', max_invested: '', max_buys: '', catch_up: 'skip',
+    basket_text: 'BTC/USDT:50,ETH/USDT:30,SOL/USDT:20', basket_mode: 'fixed',
+    execution: 'market', limit_offset_pct: 0.05, limit_reprices: 3, limit_window_sec: 300, limit_fallback: 'market',
+    source_plan_id: '', exit_unit: 'percent', exit_min_multiple: '', ladder_text: '',
+  });
+  const [preview, setPreview] = useState(null);
+  const [rulesEdit, setRulesEdit] = useState(null);
+  const [dealsOf, setDealsOf] = useState(null);
+  const isDeal = form.mode === 'deal';
+  const isBasket = form.mode === 'basket';
+  const isExit = form.mode === 'exit';
+  const sourcePlans = (plans || []).filter(p => (p.mode || 'accumulate') === 'accumulate');
+
+  const payload = () => {
+    const { cron_expr, timezone, start_at, end_at, max_invested, max_buys, catch_up, basket_text, basket_mode, source_plan_id, exit_unit, exit_min_multiple, ladder_text, ...base } = form;
+    if (isDeal) return { ...base, sizing_rules: [], execution: 'market' };
+    if (isExit) {
+      Object.assign(base, { sizing_rules: [], execution: 'market', source_plan_id, exit_unit, exit_min_multiple: exit_min_multiple || null });
+      if (exit_unit === 'ladder') {
+        base.exit_ladder = ladder_text.split(',').map(pair => pair.split(':').map(x => x.trim())).filter(([price]) => price)
+          .map(([price, pct]) => ({ price: parseFloat(price), pct: parseFloat(pct) }));
+      }
+    }
+    if (isBasket) {
+      base.sizing_rules = [];
+      base.basket_mode = basket_mode;
+      base.basket = basket_text.split(',').map(pair => pair.split(':').map(x => x.trim())).filter(([symbol]) => symbol)
+        .map(([symbol, weight]) => ({ symbol: symbol.toUpperCase(), weight: parseFloat(weight) }));
+    }
+    const toISO = (v) => (v ? new Date(v).toISOString() : null);
+    return {
+      ...base,
+      cron_expr: form.interval === 'custom' ? cron_expr : null,
+      timezone: timezone || null,
+      start_at: toISO(start_at),
+      end_at: toISO(end_at),
+      max_invested: isExit ? null : max_invested || null,
+      max_buys: max_buys || null,
+      catch_up,
+    };
+  };
+
+  const setCatchUp = async (id, policy) => {
+    const res = await apiPut(`/dca/plans/${id}/catch-up`, { policy });
+    if (res.error) alert(res.error);
+    refetch();
+  };
 
   const createPlan = async () => {
-    await apiPost('/dca/plans', form);
+    const res = await apiPost('/dca/plans', payload());
+    if (res.error) return alert(res.error);
+    setPreview(null);
+    refetch();
+  };
+
+  const previewPlan = async (body, target) => {
+    const res = await apiPost('/dca/preview', body);
+    if (res.error) return alert(res.error);
+    if (target === 'edit') setRulesEdit(r => ({ ...r, preview: res }));
+    else setPreview(res);
+  };
+
+  const saveRules = async () => {
+    const res = await apiPut(`/dca/plans/${rulesEdit.id}/rules`, { sizing_rules: rulesEdit.rules });
+    if (res.error) return alert(res.error);
+    setRulesEdit(null);
     refetch();
   };
 
+  const ruleCount = (p) => { try { return JSON.parse(p.sizing_rules || '[]').length; } catch { return 0; } };
+
+  const closeDeal = async (id) => {
+    const res = await apiPost(`/dca/plans/${id}/close-deal`);
+    if (res.error) alert(res.error);
+    refetch();
+  };
+
+  const num = (key) => e => setForm({ ...form, [key]: parseFloat(e.target.value) });
+
   return (
     <div>
       <div style={S.card}>
         <div style={S.cardTitle}>Yeni DCA Planı</div>
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 12 }}>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Borsa</label><select style={S.select} value={form.exchange} onChange={e => setForm({ ...form, exchange: e.target.value })}><option>binance</option><option>bybit</option><option>okx</option></select></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sembol</label><input style={S.input} value={form.symbol} onChange={e => setForm({ ...form, symbol: e.target.value })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Miktar ($)</label><input style={S.input} type="number" value={form.amount} onChange={e => setForm({ ...form, amount: parseFloat(e.target.value) })} /></div>
-          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Aralık</label><select style={S.select} value={form.interval} onChange={e => setForm({ ...form, interval: e.target.value })}><option value="hourly">Saatlik</option><option value="daily">Günlük</option><option value="weekly">Haftalık</option><option value="biweekly">2 Hafta</option><option value="monthly">Aylık</option></select></div>
-          <div style={{ display: 'flex', alignItems: 'flex-end' }}><button style={S.btn(S.green)} onClick={createPlan}>Plan Oluştur</button></div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: 12 }}>
+          <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Mod</label><select style={S.select} value={form.mode} onChange={e => setForm({ ...form, mode: e.target.value })}><option value="accumulate">Birikim</option><option value="deal">Deal (TP ile çıkış)</option><option value="basket">Sepet</option><option value="exit">Çıkış (satış)</option></select></div>
+          {!isExit && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Borsa</label><select style={S.select} value={form.exchange} onChange={e => setForm({ ...form, exchange: e.target.value })}><option>binance</option><option>bybit</option><option>okx</option></select></div>}
+          {isExit ? (
+            <div style={{ gridColumn: 'span 2' }}><label style={{ fontSize: 11, color: '#8B8B9A' }}>Kaynak Plan</label><select style={S.select} value={form.source_plan_id} onChange={e => setForm({ ...form, source_plan_id: e.target.value })}>
+              <option value="">Seçin</option>
+              {sourcePlans.map(p => <option key={p.id} value={p.id}>{p.exchange} {p.symbol} — {(p.total_coins || 0).toFixed(6)} @ ${(p.avg_buy_price || 0).toFixed(2)}</option>)}
+            </select></div>
+          ) : isBasket
+            ? <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sepet (sembol:ağırlık)</label><input style={S.input} value={form.basket_text} onChange={e => setForm({ ...form, basket_text: e.target.value })} /></div>
+            : <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sembol</label><input style={S.input} value={form.symbol} onChange={e => setForm({ ...form, symbol: e.target.value })} /></div>}
+          {isExit
+            ? <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Satış ({{ coin: 'coin', usd: '$', percent: '% kalan', ladder: 'basamak' }[form.exit_unit]})</label><input style={S.input} type="number" disabled={form.exit_unit === 'ladder'} value={form.amount} onChange={num('amount')} /></div>
+            : <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>{isDeal ? 'Taban Emir ($)' : 'Miktar ($)'}</label><input style={S.input} type="number" value={form.amount} onChange={num('amount')} /></div>}
+          {!isDeal && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Aralık</label><select style={S.select} value={form.interval} onChange={e => setForm({ ...form, interval: e.target.value })}><option value="hourly">Saatlik</option><option value="daily">Günlük</option><option value="weekly">Haftalık</option><option value="biweekly">2 Hafta</option><option value="monthly">Aylık</option><option value="custom">Özel (cron)</option></select></div>}
+          {isDeal && <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Take-Profit (%)</label><input style={S.input} type="number" step="0.1" value={form.take_profit_pct} onChange={num('take_profit_pct')} /></div>}
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: 8 }}>
+            {form.mode === 'accumulate' && <button style={S.btn(S.blue)} onClick={() => previewPlan(form)}>Önizle</button>}
+            <button style={S.btn(S.green)} onClick={createPlan}>Plan Oluştur</button>
+          </div>
         </div>
+        {!isDeal && (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 12, marginTop: 12 }}>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Cron (dk sa gün ay hgün)</label><input style={S.input} placeholder="0 9 * * 1-5" disabled={form.interval !== 'custom'} value={form.cron_expr} onChange={e => setForm({ ...form, cron_expr: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Saat Dilimi</label><input style={S.input} placeholder="Europe/Istanbul" value={form.timezone} onChange={e => setForm({ ...form, timezone: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Başlangıç</label><input style={S.input} type="datetime-local" value={form.start_at} onChange={e => setForm({ ...form, start_at: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Bitiş</label><input style={S.input} type="datetime-local" value={form.end_at} onChange={e => setForm({ ...form, end_at: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Bütçe Limiti ($)</label><input style={S.input} type="number" disabled={isExit} value={form.max_invested} onChange={e => setForm({ ...form, max_invested: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>{isExit ? 'Maks. Satış Sayısı' : 'Maks. Alım Sayısı'}</label><input style={S.input} type="number" value={form.max_buys} onChange={e => setForm({ ...form, max_buys: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Kaçırılan Alımlar</label><select style={S.select} value={form.catch_up} onChange={e => setForm({ ...form, catch_up: e.target.value })}>{CATCH_UP_OPTIONS}</select></div>
+          </div>
+        )}
+        {!isDeal && !isExit && (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 12, marginTop: 12 }}>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Emir Tipi</label><select style={S.select} value={form.execution} onChange={e => setForm({ ...form, execution: e.target.value })}><option value="market">Market</option><option value="limit">Limit (post-only)</option></select></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Alışın Altında (%)</label><input style={S.input} type="number" step="0.01" disabled={form.execution !== 'limit'} value={form.limit_offset_pct} onChange={num('limit_offset_pct')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Yeniden Fiyatlama</label><input style={S.input} type="number" disabled={form.execution !== 'limit'} value={form.limit_reprices} onChange={num('limit_reprices')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Pencere (sn)</label><input style={S.input} type="number" disabled={form.execution !== 'limit'} value={form.limit_window_sec} onChange={num('limit_window_sec')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Dolmazsa</label><select style={S.select} disabled={form.execution !== 'limit'} value={form.limit_fallback} onChange={e => setForm({ ...form, limit_fallback: e.target.value })}><option value="market">Market al</option><option value="skip">Atla</option></select></div>
+          </div>
+        )}
+        {isDeal ? (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 12, marginTop: 12 }}>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Güvenlik Emri Sayısı</label><input style={S.input} type="number" value={form.safety_orders} onChange={num('safety_orders')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Güvenlik Emri ($)</label><input style={S.input} type="number" value={form.safety_order_amount} onChange={num('safety_order_amount')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Sapma (%)</label><input style={S.input} type="number" step="0.1" value={form.safety_deviation_pct} onChange={num('safety_deviation_pct')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Adım Çarpanı</label><input style={S.input} type="number" step="0.1" value={form.safety_step_scale} onChange={num('safety_step_scale')} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Hacim Çarpanı</label><input style={S.input} type="number" step="0.1" value={form.safety_volume_scale} onChange={num('safety_volume_scale')} /></div>
+          </div>
+        ) : isExit ? (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 2fr', gap: 12, marginTop: 12 }}>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Satış Birimi</label><select style={S.select} value={form.exit_unit} onChange={e => setForm({ ...form, exit_unit: e.target.value })}>
+              <option value="percent">Kalan pozisyonun %'si</option>
+              <option value="coin">Sabit coin</option>
+              <option value="usd">Sabit $</option>
+              <option value="ladder">Fiyat basamağı</option>
+            </select></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Min. Fiyat (ort. x)</label><input style={S.input} type="number" step="0.05" placeholder="1.2" value={form.exit_min_multiple} onChange={e => setForm({ ...form, exit_min_multiple: e.target.value })} /></div>
+            <div><label style={{ fontSize: 11, color: '#8B8B9A' }}>Basamaklar (fiyat:% — ulaşılan en yüksek basamak kadar satılır, her basamak bir kez)</label><input style={S.input} placeholder="70000:10,80000:25" disabled={form.exit_unit !== 'ladder'} value={form.ladder_text} onChange={e => setForm({ ...form, ladder_text: e.target.value })} /></div>
+          </div>
+        ) : isBasket ? (
+          <div style={{ marginTop: 12, maxWidth: 320 }}>
+            <label style={{ fontSize: 11, color: '#8B8B9A' }}>Dağıtım</label>
+            <select style={S.select} value={form.basket_mode} onChange={e => setForm({ ...form, basket_mode: e.target.value })}>
+              <option value="fixed">Sabit ağırlık</option>
+              <option value="rebalance">Hedefin altındakine öncelik</option>
+            </select>
+          </div>
+        ) : (
+          <div style={{ marginTop: 12 }}>
+            <label style={{ fontSize: 11, color: '#8B8B9A' }}>Akıllı Boyutlandırma (kural / eşik / aksiyon / çarpan)</label>
+            <SizingRulesEditor rules={form.sizing_rules} onChange={rules => setForm({ ...form, sizing_rules: rules })} />
+          </div>
+        )}
+        {form.mode === 'accumulate' && <SizingPreview preview={preview} />}
       </div>
 
+      {rulesEdit && (
+        <div style={S.card}>
+          <div style={S.cardTitle}>Boyutlandırma Kuralları — {rulesEdit.symbol}</div>
+          <SizingRulesEditor rules={rulesEdit.rules} onChange={rules => setRulesEdit({ ...rulesEdit, rules })} />
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button style={S.btn(S.blue)} onClick={() => previewPlan({ id: rulesEdit.id, sizing_rules: rulesEdit.rules }, 'edit')}>Önizle</button>
+            <button style={S.btn(S.green)} onClick={saveRules}>Kaydet</button>
+            <button style={S.btn(S.red)} onClick={() => setRulesEdit(null)}>Vazgeç</button>
+          </div>
+          <SizingPreview preview={rulesEdit.preview} />
+        </div>
+      )}
+
       <div style={S.card}>
         <div style={S.cardTitle}>DCA Planları</div>
         <table style={S.table}>
-          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Miktar</th><th style={S.th}>Aralık</th><th style={S.th}>Toplam Yatırım</th><th style={S.th}>Ort. Fiyat</th><th style={S.th}>ROI</th><th style={S.th}>Durum</th><th style={S.th}>İşlem</th></tr></thead>
+          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Miktar</th><th style={S.th}>Aralık</th><th style={S.th}>Sonraki / Limit</th><th style={S.th}>Kural / Deal</th><th style={S.th}>Toplam Yatırım</th><th style={S.th}>Ort. Fiyat</th><th style={S.th}>ROI</th><th style={S.th}>Gerçekleşen</th><th style={S.th}>Durum</th><th style={S.th}>İşlem</th></tr></thead>
           <tbody>
             {(plans || []).map(p => (
               <tr key={p.id}>
-                <td style={{ ...S.td, fontWeight: 600 }}>{p.symbol}</td>
-                <td style={S.td}>${p.amount}</td>
-                <td style={S.td}>{p.interval}</td>
-                <td style={S.td}>${(p.total_invested || 0).toFixed(2)}</td>
-                <td style={S.td}>${(p.avg_buy_price || 0).toFixed(2)}</td>
+                <td style={{ ...S.td, fontWeight: 600 }}>
+                  {p.basketReport ? (
+                    <>
+                      <Badge text={`sepet · ${p.basket_mode}`} color={S.purple} />
+                      {p.basketReport.assets.map(a => (
+                        <div key={a.symbol} style={{ fontSize: 11, fontWeight: 400, marginTop: 2 }}>
+                          {a.symbol.split('/')[0]} %{a.currentWeight.toFixed(1)} <span style={{ color: '#8B8B9A' }}>/ %{a.targetWeight.toFixed(0)}</span>
+                          {' '}| ${a.invested.toFixed(2)} @ ${a.avgPrice.toFixed(2)}
+                          {' '}<span style={{ color: a.roi >= 0 ? S.green : S.red }}>{a.roi.toFixed(2)}%</span>
+                        </div>
+                      ))}
+                    </>
+                  ) : p.symbol}
+                </td>
+                <td style={S.td}>{p.mode === 'exit' ? ({ coin: `${p.amount} coin`, usd: `$${p.amount}`, percent: `%${p.amount}`, ladder: 'basamak' }[p.exit_unit]) : `$${p.amount}`}</td>
+                <td style={S.td}>{p.mode === 'exit' && <Badge text="çıkış" color={S.red} />}{p.mode === 'deal' ? <Badge text="deal" color={S.blue} /> : p.cron_expr ? <code style={{ fontSize: 11 }}>{p.cron_expr}</code> : p.interval}{p.timezone && <div style={{ fontSize: 10, color: '#8B8B9A' }}>{p.timezone}</div>}
+                  {p.execution === 'limit' && <div style={{ fontSize: 10, color: '#8B8B9A' }}>limit -%{p.limit_offset_pct} · {p.limit_window_sec}sn → {p.limit_fallback === 'skip' ? 'atla' : 'market'}</div>}
+                </td>
+                <td style={{ ...S.td, fontSize: 11 }}>
+                  {p.next_buy_at ? new Date(p.next_buy_at).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' }) : '-'}
+                  {(p.max_invested || p.max_buys || p.end_at) && (
+                    <div style={{ color: '#8B8B9A' }}>
+                      {[p.max_invested && `$${(p.total_invested || 0).toFixed(0)}/$${p.max_invested}`, p.max_buys && `${p.buy_count || 0}/${p.max_buys} alım`, p.end_at && `bitiş ${new Date(p.end_at).toLocaleDateString('tr-TR')}`].filter(Boolean).join(' · ')}
+                    </div>
+                  )}
+                  {p.stop_reason && <div style={{ color: S.yellow }}>{p.stop_reason}</div>}
+                  {p.mode !== 'deal' && (
+                    <select style={{ ...S.select, marginTop: 4, padding: '2px 4px', fontSize: 11 }} value={p.catch_up || 'skip'} onChange={e => setCatchUp(p.id, e.target.value)}>{CATCH_UP_OPTIONS}</select>
+                  )}
+                </td>
+                <td style={S.td}>
+                  {p.mode === 'deal'
+                    ? (p.deal ? <span style={{ fontSize: 11 }}>#{(p.deals_closed || 0) + 1} | SO {p.deal.safetyFilled}/{p.deal.safetyTotal} | TP ${p.deal.takeProfitPrice.toFixed(4)}</span> : '-')
+                    : p.exit ? (
+                      <span style={{ fontSize: 11 }}>
+                        Kaynak: {p.exit.sourceCoins === null ? 'silindi' : `${p.exit.sourceCoins.toFixed(6)} @ $${p.exit.sourceAvgPrice.toFixed(2)}`}
+                        {p.exit.minPrice > 0 && <div style={{ color: '#8B8B9A' }}>min ${p.exit.minPrice.toFixed(2)}</div>}
+                        {p.exit.ladder.length > 0 && <div style={{ color: '#8B8B9A' }}>{p.exit.ladder.map(l => `$${l.price}→%${l.pct}${l.done ? ' ✓' : ''}`).join(' · ')}</div>}
+                      </span>
+                    )
+                    : (ruleCount(p) > 0 ? <Badge text={`${ruleCount(p)} kural`} color={S.purple} /> : '-')}
+                </td>
+                <td style={S.td}>
+                  ${(p.total_invested || 0).toFixed(2)}
+                  {p.executionStats?.fills > 0 && <div style={{ fontSize: 10, color: '#8B8B9A' }}>maker {p.executionStats.maker_fills}/{p.executionStats.fills} · ücret ${p.executionStats.fees.toFixed(2)}</div>}
+                </td>
+                <td style={S.td}>{p.mode === 'basket' ? `$${(p.currentValue || 0).toFixed(2)} (değer)` : p.exit ? `$${p.exit.avgSellPrice.toFixed(2)} (satış)` : `$${(p.avg_buy_price || 0).toFixed(2)}`}</td>
                 <td style={{ ...S.td, color: parseFloat(p.roi || 0) >= 0 ? S.green : S.red }}>{p.roi || 0}%</td>
-                <td style={S.td}><Badge text={p.status} color={p.status === 'active' ? S.green : S.yellow} /></td>
+                <td style={{ ...S.td, color: (p.realized_pnl || 0) >= 0 ? S.green : S.red }}>{p.mode === 'deal' ? `$${(p.realized_pnl || 0).toFixed(2)} (${p.deals_closed || 0})` : p.mode === 'exit' || p.realized_pnl ? `$${(p.realized_pnl || 0).toFixed(2)}` : '-'}</td>
+                <td style={S.td}><Badge text={p.status} color={p.status === 'active' ? S.green : p.status === 'stopped' ? S.red : S.yellow} /></td>
                 <td style={S.td}>
-                  <button style={S.btnSm(S.blue)} onClick={() => { apiPost(`/dca/plans/${p.id}/buy`); refetch(); }}>Manuel Al</button>
+                  {p.mode === 'deal' ? (
+                    <>
+                      <button style={S.btnSm(S.blue)} onClick={() => setDealsOf(dealsOf?.id === p.id ? null : p)}>Deal'ler</button>
+                      {p.deal && <button style={{ ...S.btnSm(S.purple), marginLeft: 4 }} onClick={() => closeDeal(p.id)}>Deal Kapat</button>}
+                    </>
+                  ) : (
+                    <>
+                      <button style={S.btnSm(S.blue)} onClick={() => { apiPost(`/dca/plans/${p.id}/buy`); refetch(); }}>{p.mode === 'exit' ? 'Manuel Sat' : 'Manuel Al'}</button>
+                      {p.mode === 'accumulate' && <button style={{ ...S.btnSm(S.purple), marginLeft: 4 }} onClick={() => setRulesEdit({ id: p.id, symbol: p.symbol, rules: JSON.parse(p.sizing_rules || '[]'), preview: null })}>Kurallar</button>}
+                    </>
+                  )}
                   {p.status === 'active' && <button style={{ ...S.btnSm(S.yellow), marginLeft: 4 }} onClick={() => { apiPost(`/dca/plans/${p.id}/pause`); refetch(); }}>Duraklat</button>}
-                  {p.status === 'paused' && <button style={{ ...S.btnSm(S.green), marginLeft: 4 }} onClick={() => { apiPost(`/dca/plans/${p.id}/resume`); refetch(); }}>Devam</button>}
+                  {p.status === 'paused' && <button style={{ ...S.btnSm(S.green), marginLeft: 4 }} onClick={async () => { const res = await apiPost(`/dca/plans/${p.id}/resume`); if (res.error) alert(res.error); refetch(); }}>Devam</button>}
                   <button style={{ ...S.btnSm(S.red), marginLeft: 4 }} onClick={() => { apiDelete(`/dca/plans/${p.id}`); refetch(); }}>Sil</button>
                 </td>
               </tr>
@@ -406,6 +938,13 @@ function DCATab() {
           </tbody>
         </table>
       </div>
+
+      {dealsOf && (
+        <div style={S.card}>
+          <div style={S.cardTitle}>Deal Geçmişi — {dealsOf.symbol}</div>
+          <DCADeals planId={dealsOf.id} />
+        </div>
+      )}
     </div>
   );
 }
@@ -448,6 +987,15 @@ function ArbitrageTab() {
   const { data: opps, refetch: refetchOpps } = useAPI('/arbitrage/opportunities', 5000);
   const { data: stats } = useAPI('/arbitrage/stats', 10000);
   const { data: history } = useAPI('/arbitrage/history?limit=20', 10000);
+  const [legs, setLegs] = useState(null);
+
+  const showLegs = async (id) => {
+    if (legs?.id === id) return setLegs(null);
+    const rows = await fetch(`${API}/arbitrage/history/${id}/legs`).then(r => r.json());
+    setLegs({ id, rows });
+  };
+
+  const statusColor = (status) => ({ executed: S.green, failed: S.red, exposed: S.red, unwound: S.yellow, hedged: S.yellow })[status] || S.blue;
 
   return (
     <div>
@@ -467,19 +1015,24 @@ function ArbitrageTab() {
       <div style={S.card}>
         <div style={S.cardTitle}>Canlı Fırsatlar</div>
         <table style={S.table}>
-          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Al Borsa</th><th style={S.th}>Al Fiyat</th><th style={S.th}>Sat Borsa</th><th style={S.th}>Sat Fiyat</th><th style={S.th}>Spread</th></tr></thead>
+          <thead><tr><th style={S.th}>Sembol</th><th style={S.th}>Al Borsa</th><th style={S.th}>Al Ort.</th><th style={S.th}>Sat Borsa</th><th style={S.th}>Sat Ort.</th><th style={S.th}>Spread</th><th style={S.th}>Derinlik Spread</th><th style={S.th}>Boyut</th><th style={S.th}>Maks.</th><th style={S.th}>Kayma</th><th style={S.th}>Net Kâr</th></tr></thead>
           <tbody>
             {(opps || []).map(o => (
               <tr key={o.id}>
-                <td style={{ ...S.td, fontWeight: 600 }}>{o.symbol}</td>
+                <td style={{ ...S.td, fontWeight: 600 }}>{o.symbol} {o.type === 'triangular' && <Badge text="ÜÇGEN" color={S.purple} />}</td>
                 <td style={{ ...S.td, color: S.green }}>{o.buyExchange}</td>
                 <td style={S.td}>${Number(o.buyPrice).toFixed(2)}</td>
                 <td style={{ ...S.td, color: S.red }}>{o.sellExchange}</td>
                 <td style={S.td}>${Number(o.sellPrice).toFixed(2)}</td>
-                <td style={{ ...S.td, color: S.yellow, fontWeight: 700 }}>{o.spread}%</td>
+                <td style={S.td}>{o.spread}%</td>
+                <td style={{ ...S.td, color: S.yellow, fontWeight: 700 }}>{o.depthSpread}%</td>
+                <td style={S.td}>${Number(o.sizeUSD || 0).toFixed(2)}</td>
+                <td style={S.td}>${Number(o.maxSizeUSD || 0).toFixed(2)}</td>
+                <td style={S.td}>{Number(o.slippagePct || 0).toFixed(3)}%</td>
+                <td style={{ ...S.td, color: S.green }}>${Number(o.expectedProfit || 0).toFixed(4)}</td>
               </tr>
             ))}
-            {(!opps || opps.length === 0) && <tr><td style={{ ...S.td, color: '#4A4A5A' }} colSpan={6}>Fırsat bulunamadı</td></tr>}
+            {(!opps || opps.length === 0) && <tr><td style={{ ...S.td, color: '#4A4A5A' }} colSpan={11}>Fırsat bulunamadı</td></tr>}
           </tbody>
         </table>
       </div>
@@ -487,22 +1040,116 @@ function ArbitrageTab() {
       <div style={S.card}>
         <div style={S.cardTitle}>Geçmiş</div>
         <table style={S.table}>
-          <thead><tr><th style={S.th}>Tarih</th><th style={S.th}>Sembol</th><th style={S.th}>Al</th><th style={S.th}>Sat</th><th style={S.th}>Spread</th><th style={S.th}>Kâr</th><th style={S.th}>Durum</th></tr></thead>
+          <thead><tr><th style={S.th}>Tarih</th><th style={S.th}>Sembol</th><th style={S.th}>Al</th><th style={S.th}>Sat</th><th style={S.th}>Spread</th><th style={S.th}>Derinlik</th><th style={S.th}>Beklenen</th><th style={S.th}>Kâr</th><th style={S.th}>Durum</th></tr></thead>
           <tbody>
             {(history || []).map(h => (
-              <tr key={h.id}>
-                <td style={S.td}>{new Date(h.created_at).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
-                <td style={{ ...S.td, fontWeight: 600 }}>{h.symbol}</td>
-                <td style={S.td}>{h.buy_exchange}</td>
-                <td style={S.td}>{h.sell_exchange}</td>
-                <td style={S.td}>{Number(h.spread_pct).toFixed(3)}%</td>
-                <td style={{ ...S.td, color: S.green }}>${(h.profit || 0).toFixed(4)}</td>
-                <td style={S.td}><Badge text={h.status} color={h.status === 'executed' ? S.green : h.status === 'failed' ? S.red : S.blue} /></td>
-              </tr>
+              <Fragment key={h.id}>
+                <tr style={{ cursor: 'pointer' }} onClick={() => showLegs(h.id)}>
+                  <td style={S.td}>{new Date(h.created_at).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+                  <td style={{ ...S.td, fontWeight: 600 }}>{h.symbol}</td>
+                  <td style={S.td}>{h.buy_exchange}</td>
+                  <td style={S.td}>{h.sell_exchange}</td>
+                  <td style={S.td}>{Number(h.spread_pct).toFixed(3)}%</td>
+                  <td style={S.td}>{h.depth_spread_pct != null ? `${Number(h.depth_spread_pct).toFixed(3)}%` : '-'}</td>
+                  <td style={S.td}>{h.expected_profit != null ? `$${Number(h.expected_profit).toFixed(4)}` : '-'}</td>
+                  <td style={{ ...S.td, color: S.green }}>${(h.profit || 0).toFixed(4)}</td>
+                  <td style={S.td}><Badge text={h.status} color={statusColor(h.status)} /></td>
+                </tr>
+                {legs?.id === h.id && legs.rows.map(l => (
+                  <tr key={l.id} style={{ background: '#0F1015' }}>
+                    <td style={S.td} />
+                    <td style={S.td}><Badge text={l.role} color={S.purple} /></td>
+                    <td style={S.td}>{l.exchange}</td>
+                    <td style={S.td}>{l.side.toUpperCase()}</td>
+                    <td style={S.td} colSpan={2}>{Number(l.filled_amount).toFixed(6)} / {Number(l.requested_amount).toFixed(6)}</td>
+                    <td style={S.td}>{l.avg_price ? `$${Number(l.avg_price).toFixed(2)}` : '-'}</td>
+                    <td style={{ ...S.td, color: S.red, fontSize: 11 }}>{l.error || ''}</td>
+                    <td style={S.td}><Badge text={l.status} color={l.status === 'filled' ? S.green : l.status === 'partial' ? S.yellow : S.red} /></td>
+                  </tr>
+                ))}
+              </Fragment>
             ))}
           </tbody>
         </table>
       </div>
+
+      <FundingPanel />
+    </div>
+  );
+}
+
+function FundingPanel() {
+  const { data: funding, refetch: refetchRates } = useAPI('/funding/rates', 30000);
+  const { data: positions, refetch: refetchPositions } = useAPI('/funding/positions', 10000);
+
+  const scan = async () => { await apiPost('/funding/scan'); refetchRates(); refetchPositions(); };
+  const open = async (r) => {
+    const res = await apiPost('/funding/open', { exchange: r.exchange, symbol: r.symbol });
+    if (!res.success) alert(res.reason || res.error);
+    refetchPositions();
+  };
+  const close = async (id) => { await apiPost(`/funding/positions/${id}/close`); refetchPositions(); };
+
+  return (
+    <div style={S.card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={S.cardTitle}>
+          Funding Arbitrajı (Spot–Perp)
+          <Badge text={funding?.enabled ? 'TARAMA AÇIK' : 'TARAMA KAPALI'} color={funding?.enabled ? S.green : S.red} />
+          {funding?.autoExecute && <Badge text="OTO" color={S.green} />}
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button style={S.btn(S.blue)} onClick={scan}>Funding Tara</button>
+          <button style={S.btn(funding?.autoExecute ? S.red : S.green)} onClick={() => apiPost(`/funding/auto/${funding?.autoExecute ? 'disable' : 'enable'}`).then(refetchRates)}>
+            {funding?.autoExecute ? 'Oto Kapat' : 'Oto Aç'}
+          </button>
+        </div>
+      </div>
+
+      <table style={S.table}>
+        <thead><tr><th style={S.th}>Borsa</th><th style={S.th}>Sembol</th><th style={S.th}>Funding</th><th style={S.th}>Yıllık</th><th style={S.th}>Spot</th><th style={S.th}>Perp</th><th style={S.th}>Baz</th><th style={S.th}>Sonraki</th><th style={S.th}></th></tr></thead>
+        <tbody>
+          {(funding?.rates || []).map(r => (
+            <tr key={`${r.exchange}-${r.symbol}`}>
+              <td style={S.td}>{r.exchange}</td>
+              <td style={{ ...S.td, fontWeight: 600 }}>{r.symbol}</td>
+              <td style={{ ...S.td, color: r.fundingRate >= 0 ? S.green : S.red }}>{(r.fundingRate * 100).toFixed(4)}%</td>
+              <td style={{ ...S.td, fontWeight: 700, color: r.signal ? S.yellow : '#8B8B9A' }}>{r.annualPct.toFixed(2)}%</td>
+              <td style={S.td}>${Number(r.spotPrice).toFixed(2)}</td>
+              <td style={S.td}>${Number(r.perpPrice).toFixed(2)}</td>
+              <td style={S.td}>{r.basisPct.toFixed(4)}%</td>
+              <td style={S.td}>{new Date(r.nextFundingTimestamp).toLocaleTimeString('tr-TR', { timeStyle: 'short' })}</td>
+              <td style={S.td}>{r.signal && <button style={S.btn(S.green)} onClick={() => open(r)}>{r.signal === 'short_perp' ? 'Spot Al + Perp Short' : 'Spot Sat + Perp Long'}</button>}</td>
+            </tr>
+          ))}
+          {(!funding?.rates || funding.rates.length === 0) && <tr><td style={{ ...S.td, color: '#4A4A5A' }} colSpan={9}>Henüz tarama yapılmadı</td></tr>}
+        </tbody>
+      </table>
+
+      <div style={{ ...S.cardTitle, marginTop: 16 }}>Funding Pozisyonları</div>
+      <table style={S.table}>
+        <thead><tr><th style={S.th}>Açılış</th><th style={S.th}>Borsa</th><th style={S.th}>Sembol</th><th style={S.th}>Yön</th><th style={S.th}>Miktar</th><th style={S.th}>Giriş Bazı</th><th style={S.th}>Funding</th><th style={S.th}>P&L</th><th style={S.th}>Durum</th></tr></thead>
+        <tbody>
+          {(positions || []).map(p => (
+            <tr key={p.id}>
+              <td style={S.td}>{new Date(p.opened_at).toLocaleString('tr-TR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+              <td style={S.td}>{p.exchange}</td>
+              <td style={{ ...S.td, fontWeight: 600 }}>{p.symbol}</td>
+              <td style={S.td}><Badge text={p.direction === 'short_perp' ? 'PERP SHORT' : 'PERP LONG'} color={p.direction === 'short_perp' ? S.red : S.green} /></td>
+              <td style={S.td}>{Number(p.spot_amount).toFixed(6)}</td>
+              <td style={S.td}>{Number(p.entry_basis_pct || 0).toFixed(4)}%</td>
+              <td style={{ ...S.td, color: p.funding_accrued >= 0 ? S.green : S.red }}>${Number(p.funding_accrued || 0).toFixed(4)} ({p.funding_count})</td>
+              <td style={{ ...S.td, color: (p.pnl || 0) >= 0 ? S.green : S.red }}>{p.pnl != null ? `$${Number(p.pnl).toFixed(4)}` : '-'}</td>
+              <td style={S.td}>
+                {p.status === 'open'
+                  ? <button style={S.btn(S.red)} onClick={() => close(p.id)}>Kapat</button>
+                  : <span title={p.close_reason}><Badge text="KAPALI" color="#8B8B9A" /></span>}
+              </td>
+            </tr>
+          ))}
+          {(!positions || positions.length === 0) && <tr><td style={{ ...S.td, color: '#4A4A5A' }} colSpan={9}>Funding pozisyonu yok</td></tr>}
+        </tbody>
+      </table>
     </div>
   );
 }
@@ -680,27 +1327,54 @@ function FuturesTab() {
 
 // --- 8. PORTFÖY ---
 function PortfolioTab() {
-  const { data } = useAPI('/portfolio', 30000);
+  const { data, refetch } = useAPI('/portfolio', 30000);
+  const { data: demo, refetch: refetchDemo } = useAPI('/demo');
+
+  const togglePaper = async (exchange, enabled) => {
+    await apiPost('/demo/paper', { exchange, enabled });
+    refetchDemo();
+    refetch();
+  };
+
+  const resetPaper = async (exchange) => {
+    if (!confirm(`${exchange} paper hesabı sıfırlansın mı? Tüm simüle emir ve pozisyonlar silinir.`)) return;
+    await apiPost('/paper/reset', { exchange });
+    refetch();
+  };
 
   return (
     <div>
       <div style={S.card}>
         <div style={S.cardTitle}>Varlık Dağılımı</div>
-        {data?.current && Object.entries(data.current).map(([exchange, bal]) => (
-          <div key={exchange} style={{ marginBottom: 16 }}>
-            <div style={{ fontSize: 14, fontWeight: 600, textTransform: 'capitalize', marginBottom: 8 }}>{exchange}</div>
-            {bal.total && Object.entries(bal.total).filter(([, v]) => v > 0).map(([coin, amount]) => (
-              <div key={coin} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0', borderBottom: '1px solid #0F1015' }}>
-                <span>{coin}</span>
-                <span style={{ fontFamily: MONO }}>{Number(amount).toFixed(6)}</span>
+        {data?.current && Object.entries(data.current).map(([exchange, bal]) => {
+          const mode = demo?.exchanges?.[exchange];
+          return (
+            <div key={exchange} style={{ marginBottom: 16 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+                <span style={{ fontSize: 14, fontWeight: 600, textTransform: 'capitalize' }}>{exchange}</span>
+                {mode?.demo && <Badge text="PAPER" color="#F59E0B" />}
+                {mode?.hasApiKey && !demo?.forceDemo && (
+                  <button style={{ ...S.btn('#374151'), padding: '2px 8px', fontSize: 11 }} onClick={() => togglePaper(exchange, !mode.paper)}>
+                    {mode.paper ? 'Canlıya Geç' : 'Paper Moda Geç'}
+                  </button>
+                )}
+                {mode?.demo && (
+                  <button style={{ ...S.btn(S.red), padding: '2px 8px', fontSize: 11 }} onClick={() => resetPaper(exchange)}>Sıfırla</button>
+                )}
+              </div>
+              {bal.total && Object.entries(bal.total).filter(([, v]) => v > 0).map(([coin, amount]) => (
+                <div key={coin} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0', borderBottom: '1px solid #0F1015' }}>
+                  <span>{coin}</span>
+                  <span style={{ fontFamily: MONO }}>{Number(amount).toFixed(6)}</span>
+                </div>
+              ))}
+              <div style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', fontWeight: 700 }}>
+                <span>Toplam USD</span>
+                <span style={{ fontFamily: MONO, color: S.green }}>${(bal.totalUSD || 0).toFixed(2)}</span>
               </div>
-            ))}
-            <div style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', fontWeight: 700 }}>
-              <span>Toplam USD</span>
-              <span style={{ fontFamily: MONO, color: S.green }}>${(bal.totalUSD || 0).toFixed(2)}</span>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
@@ -764,9 +1438,14 @@ function SettingsTab() {
 
   const groups = {
     'Risk Yönetimi': ['risk.max_daily_loss_pct', 'risk.max_position_risk_pct', 'risk.max_open_positions', 'risk.max_margin_usage_pct', 'risk.min_rr_ratio'],
-    'Futures': ['futures.default_leverage', 'futures.max_leverage', 'futures.min_signal_score', 'futures.trailing_stop_activate_pct', 'futures.trailing_stop_distance_pct', 'futures.partial_close_pct', 'futures.partial_close_amount', 'futures.scan_interval_sec', 'futures.position_check_sec', 'futures.coins'],
-    'Grid': ['grid.check_interval_sec'],
-    'Arbitraj': ['arbitrage.min_spread_pct', 'arbitrage.scan_interval_sec', 'arbitrage.auto_execute', 'arbitrage.coins'],
+    'Futures': ['futures.default_leverage', 'futures.max_leverage', 'futures.min_signal_score', 'futures.trailing_stop_activate_pct', 'futures.trailing_stop_distance_pct', 'futures.partial_close_pct', 'futures.partial_close_amount', 'futures.scan_interval_sec', 'futures.position_check_sec', 'futures.native_sltp', 'futures.native_sl_amend_step_pct', 'futures.auto_resume', 'futures.coins'],
+    'Grid': ['grid.check_interval_sec', 'grid.maintenance_margin_pct', 'grid.min_net_profit_pct', 'grid.min_order_usd'],
+    'DCA': ['dca.indicator_timeframe', 'dca.max_multiplier', 'dca.min_order_usd', 'dca.max_catch_up_buys'],
+    'Arbitraj': ['arbitrage.min_spread_pct', 'arbitrage.scan_interval_sec', 'arbitrage.auto_execute', 'arbitrage.orderbook_depth', 'arbitrage.min_trade_usd', 'arbitrage.max_trade_usd', 'arbitrage.unwind_policy', 'arbitrage.unwind_retries', 'arbitrage.coins', 'arbitrage.triangular_enabled', 'arbitrage.triangular_execute', 'arbitrage.triangular_exchanges', 'arbitrage.triangular_base', 'arbitrage.triangular_coins', 'arbitrage.triangular_min_profit_pct'],
+    'Envanter': ['inventory.cache_sec', 'inventory.skew_alert_pct', 'inventory.min_transfer_usd', 'inventory.max_fee_pct', 'inventory.withdraw_fees', 'inventory.transfer_delays_min', 'inventory.default_transfer_delay_min'],
+    'Funding Arbitrajı': ['funding.enabled', 'funding.auto_execute', 'funding.exchanges', 'funding.coins', 'funding.scan_interval_sec', 'funding.min_annual_pct', 'funding.exit_annual_pct', 'funding.basis_converge_pct', 'funding.trade_usd', 'funding.leverage', 'funding.max_positions'],
+    'Paper Trading': ['paper.initial_balance', 'paper.slippage_pct', 'paper.maker_fee_pct', 'paper.taker_fee_pct', 'paper.futures_maker_fee_pct', 'paper.futures_taker_fee_pct', 'paper.maintenance_margin_pct'],
+    'Mutabakat': ['reconcile.enabled', 'reconcile.interval_sec', 'reconcile.auto_repair', 'reconcile.size_tolerance_pct'],
     'Telegram': ['telegram.enabled', 'telegram.trade_notifications', 'telegram.daily_report', 'telegram.risk_alerts'],
     'Bot': ['bot.locked', 'bot.initial_balance'],
   };